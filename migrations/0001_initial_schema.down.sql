@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS subscriptions;
+DROP TABLE IF EXISTS payees;
+DROP TABLE IF EXISTS services;
+DROP TABLE IF EXISTS entities;
+DROP TABLE IF EXISTS users;
@@ -0,0 +1,90 @@
+-- Core tables used by the API routes.
+-- Every record hangs off users.sr through user_id; deleting a user removes their data.
+
+CREATE TABLE users (
+  sr INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  username VARCHAR(100) NOT NULL,
+  email VARCHAR(255) NOT NULL,
+  password VARCHAR(255) NOT NULL,
+  name VARCHAR(255) NULL,
+  phone VARCHAR(30) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (sr),
+  UNIQUE KEY users_username_unique (username),
+  UNIQUE KEY users_email_unique (email)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE entities (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id INT UNSIGNED NOT NULL,
+  entity_name VARCHAR(255) NOT NULL,
+  entity_desc TEXT NOT NULL,
+  entity_short_desc VARCHAR(255) NOT NULL,
+  category ENUM('income', 'expense') NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY entities_user_category_index (user_id, category),
+  CONSTRAINT entities_user_fk FOREIGN KEY (user_id) REFERENCES users (sr) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE services (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id INT UNSIGNED NOT NULL,
+  entity_id INT UNSIGNED NOT NULL,
+  service_name VARCHAR(255) NOT NULL,
+  service_desc TEXT NOT NULL,
+  min_duration INT UNSIGNED NOT NULL COMMENT 'Default term length in months',
+  amount DECIMAL(12, 2) NOT NULL,
+  category ENUM('income', 'expense') NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY services_user_category_index (user_id, category),
+  KEY services_entity_index (entity_id),
+  CONSTRAINT services_user_fk FOREIGN KEY (user_id) REFERENCES users (sr) ON DELETE CASCADE,
+  CONSTRAINT services_entity_fk FOREIGN KEY (entity_id) REFERENCES entities (id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE payees (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id INT UNSIGNED NOT NULL,
+  entity_id INT UNSIGNED NOT NULL,
+  service_id INT UNSIGNED NOT NULL,
+  payee_name VARCHAR(255) NOT NULL,
+  phone VARCHAR(30) NULL,
+  email VARCHAR(255) NULL,
+  amount DECIMAL(12, 2) NOT NULL,
+  category ENUM('income', 'expense') NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY payees_user_category_index (user_id, category),
+  KEY payees_entity_index (entity_id),
+  KEY payees_service_index (service_id),
+  CONSTRAINT payees_user_fk FOREIGN KEY (user_id) REFERENCES users (sr) ON DELETE CASCADE,
+  CONSTRAINT payees_entity_fk FOREIGN KEY (entity_id) REFERENCES entities (id),
+  CONSTRAINT payees_service_fk FOREIGN KEY (service_id) REFERENCES services (id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE subscriptions (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id INT UNSIGNED NOT NULL,
+  entity_id INT UNSIGNED NOT NULL,
+  service_id INT UNSIGNED NOT NULL,
+  payee_id INT UNSIGNED NOT NULL,
+  startDate DATE NOT NULL,
+  endDate DATE NOT NULL,
+  amount DECIMAL(12, 2) NOT NULL,
+  paymentDate DATE NOT NULL,
+  category ENUM('income', 'expense') NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY subscriptions_user_end_index (user_id, endDate),
+  KEY subscriptions_user_start_index (user_id, startDate),
+  KEY subscriptions_user_payment_index (user_id, paymentDate),
+  KEY subscriptions_entity_index (entity_id),
+  KEY subscriptions_service_index (service_id),
+  KEY subscriptions_payee_index (payee_id),
+  CONSTRAINT subscriptions_user_fk FOREIGN KEY (user_id) REFERENCES users (sr) ON DELETE CASCADE,
+  CONSTRAINT subscriptions_entity_fk FOREIGN KEY (entity_id) REFERENCES entities (id),
+  CONSTRAINT subscriptions_service_fk FOREIGN KEY (service_id) REFERENCES services (id),
+  CONSTRAINT subscriptions_payee_fk FOREIGN KEY (payee_id) REFERENCES payees (id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,4 @@
+ALTER TABLE subscriptions
+  DROP COLUMN renewal_duration,
+  DROP COLUMN renewal_amount,
+  DROP COLUMN cancelled;
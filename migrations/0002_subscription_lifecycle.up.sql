@@ -0,0 +1,7 @@
+-- Cancellation flag used by the computed subscription status, and the pinned
+-- renewal terms written when a service price change is applied to new subscriptions only.
+
+ALTER TABLE subscriptions
+  ADD COLUMN cancelled TINYINT(1) NOT NULL DEFAULT 0 AFTER category,
+  ADD COLUMN renewal_amount DECIMAL(12, 2) NULL AFTER cancelled,
+  ADD COLUMN renewal_duration INT UNSIGNED NULL AFTER renewal_amount;
@@ -0,0 +1,3 @@
+ALTER TABLE payees DROP INDEX payees_user_name_unique;
+ALTER TABLE services DROP INDEX services_user_name_unique;
+ALTER TABLE entities DROP INDEX entities_user_name_unique;
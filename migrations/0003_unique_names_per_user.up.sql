@@ -0,0 +1,5 @@
+-- Names are unique per user rather than globally, so two users can both have an "Office" entity.
+
+ALTER TABLE entities ADD UNIQUE KEY entities_user_name_unique (user_id, entity_name);
+ALTER TABLE services ADD UNIQUE KEY services_user_name_unique (user_id, service_name);
+ALTER TABLE payees ADD UNIQUE KEY payees_user_name_unique (user_id, payee_name);
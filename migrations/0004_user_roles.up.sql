@@ -0,0 +1,3 @@
+-- Roles carried in the login token and checked by withAuth({ roles }).
+
+ALTER TABLE users ADD COLUMN role VARCHAR(20) NOT NULL DEFAULT 'user' AFTER phone;
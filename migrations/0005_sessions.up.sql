@@ -0,0 +1,23 @@
+-- Server-side sessions, one per login on a device.
+-- Access tokens carry the session id (sid) and stop working once the session is revoked.
+-- The refresh token is only stored as a SHA-256 hash; it rotates on every refresh and the
+-- hash it replaced is kept (with rotated_at) so that a stolen, already-used token can be recognised.
+
+CREATE TABLE sessions (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id INT UNSIGNED NOT NULL,
+  refresh_token_hash CHAR(64) NOT NULL,
+  previous_token_hash CHAR(64) NULL,
+  user_agent VARCHAR(512) NULL,
+  ip VARCHAR(45) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_seen_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  rotated_at DATETIME NULL,
+  expires_at DATETIME NOT NULL,
+  revoked_at DATETIME NULL,
+  PRIMARY KEY (id),
+  UNIQUE KEY sessions_refresh_token_unique (refresh_token_hash),
+  KEY sessions_previous_token_index (previous_token_hash),
+  KEY sessions_user_index (user_id, revoked_at),
+  CONSTRAINT sessions_user_fk FOREIGN KEY (user_id) REFERENCES users (sr) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,22 @@
+-- TOTP two-step verification.
+-- The authenticator secret is stored encrypted. totp_pending_secret holds a secret that has
+-- been shown to the user but not confirmed with a code yet; totp_last_step is the last
+-- accepted 30-second step, so a code cannot be used twice.
+
+ALTER TABLE users
+  ADD COLUMN totp_secret VARCHAR(255) NULL AFTER role,
+  ADD COLUMN totp_pending_secret VARCHAR(255) NULL AFTER totp_secret,
+  ADD COLUMN totp_enabled_at DATETIME NULL AFTER totp_pending_secret,
+  ADD COLUMN totp_last_step BIGINT UNSIGNED NULL AFTER totp_enabled_at;
+
+-- One-time recovery codes, stored as SHA-256 hashes
+CREATE TABLE recovery_codes (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id INT UNSIGNED NOT NULL,
+  code_hash CHAR(64) NOT NULL,
+  used_at DATETIME NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY recovery_codes_user_code_unique (user_id, code_hash),
+  CONSTRAINT recovery_codes_user_fk FOREIGN KEY (user_id) REFERENCES users (sr) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
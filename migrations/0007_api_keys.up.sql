@@ -0,0 +1,22 @@
+-- API keys for scripts and internal tools, used in place of a login.
+-- The key itself is only shown when it is created; key_hash is its SHA-256 hash and
+-- key_prefix the first characters, kept so the user can tell their keys apart.
+-- scopes is a comma-separated list such as "subscriptions:read" or "full".
+
+CREATE TABLE api_keys (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id INT UNSIGNED NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  key_prefix VARCHAR(16) NOT NULL,
+  key_hash CHAR(64) NOT NULL,
+  scopes VARCHAR(255) NOT NULL,
+  expires_at DATETIME NULL,
+  last_used_at DATETIME NULL,
+  last_used_ip VARCHAR(45) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  revoked_at DATETIME NULL,
+  PRIMARY KEY (id),
+  UNIQUE KEY api_keys_key_hash_unique (key_hash),
+  KEY api_keys_user_index (user_id, revoked_at),
+  CONSTRAINT api_keys_user_fk FOREIGN KEY (user_id) REFERENCES users (sr) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
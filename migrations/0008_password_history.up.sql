@@ -0,0 +1,12 @@
+-- Hashes of passwords a user has replaced, so a password change can refuse recent ones.
+-- Only the newest few rows per user are kept (see PASSWORD_HISTORY in src/lib/passwords.js).
+
+CREATE TABLE password_history (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id INT UNSIGNED NOT NULL,
+  password_hash VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY password_history_user_index (user_id, id),
+  CONSTRAINT password_history_user_fk FOREIGN KEY (user_id) REFERENCES users (sr) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
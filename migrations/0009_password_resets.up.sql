@@ -0,0 +1,29 @@
+-- Forgot-password tokens. Only the SHA-256 hash of the token is stored; a token works once
+-- (used_at) and until expires_at, and requesting a new one retires the older ones.
+
+CREATE TABLE password_resets (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id INT UNSIGNED NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  requested_ip VARCHAR(45) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at DATETIME NOT NULL,
+  used_at DATETIME NULL,
+  PRIMARY KEY (id),
+  UNIQUE KEY password_resets_token_unique (token_hash),
+  KEY password_resets_user_index (user_id, used_at),
+  CONSTRAINT password_resets_user_fk FOREIGN KEY (user_id) REFERENCES users (sr) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Mail written by the "outbox" transport instead of being sent (MAIL_TRANSPORT=outbox, the
+-- default in development). `npm run mail:outbox` prints the latest messages.
+CREATE TABLE mail_outbox (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  to_address VARCHAR(255) NOT NULL,
+  subject VARCHAR(255) NOT NULL,
+  body_text TEXT NOT NULL,
+  body_html TEXT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY mail_outbox_to_index (to_address, id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,24 @@
+-- Email verification. Accounts with email_verified_at NULL can log in but only reach their
+-- account settings until they follow the link sent at signup. Accounts that existed before
+-- this migration are treated as verified.
+
+ALTER TABLE users
+  ADD COLUMN email_verified_at DATETIME NULL AFTER email;
+
+UPDATE users SET email_verified_at = created_at;
+
+-- Verification links. Only the SHA-256 hash of the token is stored, together with the
+-- address it was sent to, so a link stops working if the email address changes.
+CREATE TABLE email_verifications (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id INT UNSIGNED NOT NULL,
+  email VARCHAR(255) NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at DATETIME NOT NULL,
+  used_at DATETIME NULL,
+  PRIMARY KEY (id),
+  UNIQUE KEY email_verifications_token_unique (token_hash),
+  KEY email_verifications_user_index (user_id, used_at),
+  CONSTRAINT email_verifications_user_fk FOREIGN KEY (user_id) REFERENCES users (sr) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
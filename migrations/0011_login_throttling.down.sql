@@ -0,0 +1,3 @@
+DROP TABLE account_unlocks;
+DROP TABLE login_events;
+DROP TABLE login_throttles;
@@ -0,0 +1,44 @@
+-- Brute-force protection for logins (see src/lib/loginThrottle.js).
+--
+-- login_throttles keeps the running count of recent failures per account ('account', users.sr)
+-- and per client IP ('ip', address), and until when further attempts are refused. It lives in
+-- the database so every app instance sees the same state.
+
+CREATE TABLE login_throttles (
+  scope ENUM('account', 'ip') NOT NULL,
+  throttle_key VARCHAR(64) NOT NULL,
+  failures INT UNSIGNED NOT NULL DEFAULT 0,
+  last_failure_at DATETIME NOT NULL,
+  blocked_until DATETIME NULL,
+  locked_at DATETIME NULL,
+  PRIMARY KEY (scope, throttle_key)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Failed and refused sign-ins, lockouts and unlocks, shown on Accounts/Security.
+-- user_id is NULL when the username did not match an account.
+CREATE TABLE login_events (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id INT UNSIGNED NULL,
+  identifier VARCHAR(255) NULL,
+  event ENUM('failed_password', 'failed_two_factor', 'blocked', 'locked', 'unlocked') NOT NULL,
+  ip VARCHAR(45) NULL,
+  user_agent VARCHAR(512) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY login_events_user_index (user_id, id),
+  KEY login_events_ip_index (ip, created_at),
+  CONSTRAINT login_events_user_fk FOREIGN KEY (user_id) REFERENCES users (sr) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Links emailed on lockout that lift it early. Only the SHA-256 hash of the token is stored.
+CREATE TABLE account_unlocks (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id INT UNSIGNED NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at DATETIME NOT NULL,
+  used_at DATETIME NULL,
+  PRIMARY KEY (id),
+  UNIQUE KEY account_unlocks_token_unique (token_hash),
+  CONSTRAINT account_unlocks_user_fk FOREIGN KEY (user_id) REFERENCES users (sr) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
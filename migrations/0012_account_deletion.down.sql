@@ -0,0 +1,4 @@
+ALTER TABLE users
+  DROP KEY users_deletion_index,
+  DROP COLUMN deletion_scheduled_at,
+  DROP COLUMN deletion_requested_at;
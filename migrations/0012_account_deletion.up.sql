@@ -0,0 +1,8 @@
+-- Account deletion with a grace period. Asking to delete the account sets both columns;
+-- cancelling clears them. `npm run accounts:purge` deletes the accounts whose
+-- deletion_scheduled_at has passed, together with everything they own.
+
+ALTER TABLE users
+  ADD COLUMN deletion_requested_at DATETIME NULL,
+  ADD COLUMN deletion_scheduled_at DATETIME NULL,
+  ADD KEY users_deletion_index (deletion_scheduled_at);
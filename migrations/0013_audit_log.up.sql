@@ -0,0 +1,29 @@
+-- Audit trail of every create, update and delete of entities, services, payees and
+-- subscriptions (see src/lib/audit.js). before_data / after_data hold the whole row as JSON;
+-- before_data is NULL for a create and after_data for a delete.
+--
+-- user_id is the owner of the record, actor_id whoever made the change. The actor's username
+-- is copied so the entry stays readable if that account goes away.
+
+CREATE TABLE audit_log (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id INT UNSIGNED NOT NULL,
+  actor_id INT UNSIGNED NULL,
+  actor_username VARCHAR(100) NULL,
+  api_key_id INT UNSIGNED NULL,
+  ip VARCHAR(45) NULL,
+  user_agent VARCHAR(512) NULL,
+  action ENUM('create', 'update', 'delete') NOT NULL,
+  resource ENUM('entities', 'services', 'payees', 'subscriptions') NOT NULL,
+  record_id INT UNSIGNED NOT NULL,
+  before_data JSON NULL,
+  after_data JSON NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY audit_log_user_index (user_id, id),
+  KEY audit_log_record_index (user_id, resource, record_id, id),
+  KEY audit_log_actor_index (actor_id, id),
+  CONSTRAINT audit_log_user_fk FOREIGN KEY (user_id) REFERENCES users (sr) ON DELETE CASCADE,
+  CONSTRAINT audit_log_actor_fk FOREIGN KEY (actor_id) REFERENCES users (sr) ON DELETE SET NULL,
+  CONSTRAINT audit_log_api_key_fk FOREIGN KEY (api_key_id) REFERENCES api_keys (id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,9 @@
+DROP TABLE reminders;
+
+ALTER TABLE subscriptions
+  DROP COLUMN payment_reminder_days,
+  DROP COLUMN reminder_days;
+
+ALTER TABLE users
+  DROP COLUMN payment_reminder_days,
+  DROP COLUMN reminder_days;
@@ -0,0 +1,33 @@
+-- Expiry and payment reminders (see src/lib/reminderSchedule.mjs).
+--
+-- reminder_days / payment_reminder_days list how many days before endDate / paymentDate a
+-- reminder is due, comma separated ("30,7,1"). On a subscription they override the account's
+-- setting, on the account they override the defaults; NULL means "use the default" and an
+-- empty string means no reminders.
+
+ALTER TABLE users
+  ADD COLUMN reminder_days VARCHAR(100) NULL,
+  ADD COLUMN payment_reminder_days VARCHAR(100) NULL;
+
+ALTER TABLE subscriptions
+  ADD COLUMN reminder_days VARCHAR(100) NULL,
+  ADD COLUMN payment_reminder_days VARCHAR(100) NULL;
+
+-- One row per reminder that fired. The unique key makes every reminder fire once, however
+-- often the scheduler runs; a new endDate or paymentDate gets reminders of its own.
+CREATE TABLE reminders (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id INT UNSIGNED NOT NULL,
+  subscription_id INT UNSIGNED NOT NULL,
+  kind ENUM('expiry', 'payment') NOT NULL,
+  due_date DATE NOT NULL,
+  days_before SMALLINT UNSIGNED NOT NULL,
+  remind_on DATE NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  read_at DATETIME NULL,
+  PRIMARY KEY (id),
+  UNIQUE KEY reminders_once_unique (subscription_id, kind, due_date, days_before),
+  KEY reminders_user_index (user_id, read_at, id),
+  CONSTRAINT reminders_user_fk FOREIGN KEY (user_id) REFERENCES users (sr) ON DELETE CASCADE,
+  CONSTRAINT reminders_subscription_fk FOREIGN KEY (subscription_id) REFERENCES subscriptions (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
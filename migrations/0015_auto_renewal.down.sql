@@ -0,0 +1,7 @@
+ALTER TABLE subscriptions
+  DROP FOREIGN KEY subscriptions_previous_fk,
+  DROP INDEX subscriptions_previous_unique,
+  DROP COLUMN lapsed_at,
+  DROP COLUMN renewed_at,
+  DROP COLUMN previous_id,
+  DROP COLUMN auto_renew;
@@ -0,0 +1,13 @@
+-- Auto-renewal (see src/lib/renewalSchedule.mjs).
+--
+-- When a term with auto_renew passes its endDate the scheduler adds the next term as a new
+-- subscription whose previous_id points back to it, and stamps the old term's renewed_at.
+-- A term without auto_renew gets lapsed_at instead. The unique key allows one next term per term.
+
+ALTER TABLE subscriptions
+  ADD COLUMN auto_renew TINYINT(1) NOT NULL DEFAULT 0 AFTER cancelled,
+  ADD COLUMN previous_id INT UNSIGNED NULL AFTER auto_renew,
+  ADD COLUMN renewed_at DATETIME NULL AFTER previous_id,
+  ADD COLUMN lapsed_at DATETIME NULL AFTER renewed_at,
+  ADD UNIQUE KEY subscriptions_previous_unique (previous_id),
+  ADD CONSTRAINT subscriptions_previous_fk FOREIGN KEY (previous_id) REFERENCES subscriptions (id) ON DELETE SET NULL;
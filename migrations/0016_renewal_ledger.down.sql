@@ -0,0 +1,2 @@
+-- Chains made by the up migration are kept; only the ledger is dropped
+DROP TABLE renewals;
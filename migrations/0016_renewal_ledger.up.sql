@@ -0,0 +1,54 @@
+-- Renewal ledger (see src/lib/renewalHistory.js).
+--
+-- One row per renewal: the term it created (subscription_id), the term it followed
+-- (previous_id), the amount and payment date agreed at the time, who renewed and notes.
+-- renewed_by_username keeps the name after the user is gone and reads "auto-renewal" for
+-- terms added by the scheduler.
+
+CREATE TABLE renewals (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id INT UNSIGNED NOT NULL,
+  subscription_id INT UNSIGNED NOT NULL,
+  previous_id INT UNSIGNED NULL,
+  amount DECIMAL(12, 2) NOT NULL,
+  paymentDate DATE NOT NULL,
+  renewed_by INT UNSIGNED NULL,
+  renewed_by_username VARCHAR(100) NULL,
+  notes TEXT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY renewals_subscription_unique (subscription_id),
+  KEY renewals_previous_index (previous_id),
+  KEY renewals_user_index (user_id, created_at),
+  CONSTRAINT renewals_user_fk FOREIGN KEY (user_id) REFERENCES users (sr) ON DELETE CASCADE,
+  CONSTRAINT renewals_subscription_fk FOREIGN KEY (subscription_id) REFERENCES subscriptions (id) ON DELETE CASCADE,
+  CONSTRAINT renewals_previous_fk FOREIGN KEY (previous_id) REFERENCES subscriptions (id) ON DELETE SET NULL,
+  CONSTRAINT renewals_renewed_by_fk FOREIGN KEY (renewed_by) REFERENCES users (sr) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Chain the terms entered before the ledger existed: each subscription follows the one of the
+-- same entity, service and payee that started before it, unless either is already linked.
+UPDATE subscriptions
+JOIN (
+  SELECT chain.id, chain.prev
+  FROM (
+    SELECT id, previous_id,
+           LAG(id) OVER (PARTITION BY user_id, entity_id, service_id, payee_id ORDER BY startDate, id) AS prev
+    FROM subscriptions
+  ) AS chain
+  WHERE chain.previous_id IS NULL AND chain.prev IS NOT NULL
+    AND chain.prev NOT IN (SELECT linked.previous_id FROM subscriptions AS linked WHERE linked.previous_id IS NOT NULL)
+) AS links ON links.id = subscriptions.id
+SET subscriptions.previous_id = links.prev;
+
+-- A term with a successor counts as renewed, so the scheduler does not lapse it
+UPDATE subscriptions
+JOIN subscriptions AS next_term ON next_term.previous_id = subscriptions.id
+SET subscriptions.renewed_at = next_term.created_at
+WHERE subscriptions.renewed_at IS NULL;
+
+-- Ledger entries for the chained terms. Who renewed them is not known.
+INSERT INTO renewals (user_id, subscription_id, previous_id, amount, paymentDate, created_at)
+SELECT user_id, id, previous_id, amount, paymentDate, created_at
+FROM subscriptions
+WHERE previous_id IS NOT NULL;
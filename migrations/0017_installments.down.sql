@@ -0,0 +1,4 @@
+DROP TABLE installments;
+
+ALTER TABLE subscriptions
+  DROP COLUMN billing_frequency;
@@ -0,0 +1,32 @@
+-- Installment schedules (see src/lib/installmentSchedule.mjs).
+--
+-- billing_frequency says how a subscription's amount is paid over its term: all at once on
+-- paymentDate, or in monthly, quarterly, half-yearly or yearly installments starting then.
+
+ALTER TABLE subscriptions
+  ADD COLUMN billing_frequency ENUM('once', 'monthly', 'quarterly', 'half-yearly', 'yearly') NOT NULL DEFAULT 'once' AFTER paymentDate;
+
+CREATE TABLE installments (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id INT UNSIGNED NOT NULL,
+  subscription_id INT UNSIGNED NOT NULL,
+  sequence SMALLINT UNSIGNED NOT NULL,
+  due_date DATE NOT NULL,
+  amount DECIMAL(12, 2) NOT NULL,
+  paid_on DATE NULL,
+  paid_amount DECIMAL(12, 2) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY installments_sequence_unique (subscription_id, sequence),
+  KEY installments_user_due_index (user_id, paid_on, due_date),
+  CONSTRAINT installments_user_fk FOREIGN KEY (user_id) REFERENCES users (sr) ON DELETE CASCADE,
+  CONSTRAINT installments_subscription_fk FOREIGN KEY (subscription_id) REFERENCES subscriptions (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Existing subscriptions are paid once. Payments that fell due before this migration are
+-- taken as made, so the dashboards do not start out full of overdue installments.
+INSERT INTO installments (user_id, subscription_id, sequence, due_date, amount, paid_on, paid_amount)
+SELECT user_id, id, 1, paymentDate, amount,
+       IF(paymentDate < CURDATE(), paymentDate, NULL),
+       IF(paymentDate < CURDATE(), amount, NULL)
+FROM subscriptions;
@@ -0,0 +1,8 @@
+DROP TABLE payment_state_changes;
+
+ALTER TABLE installments
+  DROP COLUMN payment_state_at,
+  DROP COLUMN payment_state;
+
+ALTER TABLE services
+  DROP COLUMN grace_days;
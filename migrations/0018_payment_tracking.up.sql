@@ -0,0 +1,33 @@
+-- Overdue tracking (see src/lib/paymentTracking.mjs).
+--
+-- An unpaid installment is due until its due date, overdue for a week after it, then in grace
+-- for the service's grace_days, then lapsed. The state is computed when read; payment_state
+-- holds the one last recorded by the tracker, and payment_state_changes every move between
+-- states with when it happened.
+
+ALTER TABLE services
+  ADD COLUMN grace_days SMALLINT UNSIGNED NOT NULL DEFAULT 14 AFTER min_duration;
+
+ALTER TABLE installments
+  ADD COLUMN payment_state ENUM('due', 'overdue', 'in-grace', 'lapsed', 'paid') NULL AFTER paid_amount,
+  ADD COLUMN payment_state_at DATETIME NULL AFTER payment_state;
+
+CREATE TABLE payment_state_changes (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id INT UNSIGNED NOT NULL,
+  subscription_id INT UNSIGNED NOT NULL,
+  installment_id INT UNSIGNED NOT NULL,
+  from_state ENUM('due', 'overdue', 'in-grace', 'lapsed', 'paid') NULL,
+  to_state ENUM('due', 'overdue', 'in-grace', 'lapsed', 'paid') NOT NULL,
+  as_of DATE NOT NULL,
+  changed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY payment_state_changes_subscription_index (subscription_id, id),
+  KEY payment_state_changes_user_index (user_id, changed_at),
+  CONSTRAINT payment_state_changes_user_fk FOREIGN KEY (user_id) REFERENCES users (sr) ON DELETE CASCADE,
+  CONSTRAINT payment_state_changes_subscription_fk FOREIGN KEY (subscription_id) REFERENCES subscriptions (id) ON DELETE CASCADE,
+  CONSTRAINT payment_state_changes_installment_fk FOREIGN KEY (installment_id) REFERENCES installments (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Installments paid before tracking started begin as paid, without a recorded change
+UPDATE installments SET payment_state = 'paid', payment_state_at = paid_on WHERE paid_on IS NOT NULL;
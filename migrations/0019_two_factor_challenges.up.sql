@@ -0,0 +1,12 @@
+-- Two-step login challenges that have been used. A challenge token is exchanged for a session
+-- once; its id (the JWT jti) is kept here until the token would have expired anyway.
+
+CREATE TABLE two_factor_challenges (
+  jti CHAR(32) NOT NULL,
+  user_id INT UNSIGNED NOT NULL,
+  expires_at DATETIME NOT NULL,
+  used_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (jti),
+  KEY two_factor_challenges_expires_index (expires_at),
+  CONSTRAINT two_factor_challenges_user_fk FOREIGN KEY (user_id) REFERENCES users (sr) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
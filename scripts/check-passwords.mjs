@@ -0,0 +1,54 @@
+// List the accounts whose password is still stored in plain text.
+//
+//   node scripts/check-passwords.mjs
+//
+// Plain-text passwords are replaced by a bcrypt hash the next time the user logs in
+// (see src/lib/passwords.js), so this list shrinks on its own. Accounts that stay on it
+// belong to users who have not logged in since hashing was introduced.
+//
+// Exits with status 1 while any account is unmigrated, so it can gate a deploy or a cron alert.
+
+import mysql from 'mysql2/promise';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Same format check as isPasswordHash() in src/lib/passwords.js
+const BCRYPT_PATTERN = '^\\$2[aby]\\$[0-9]{2}\\$[./A-Za-z0-9]{53}$';
+
+async function main() {
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+  });
+
+  try {
+    const [[{ total }]] = await connection.query('SELECT COUNT(*) AS total FROM users');
+    const [rows] = await connection.execute(
+      `SELECT sr, username, email, created_at FROM users
+       WHERE NOT REGEXP_LIKE(password, ?, 'c')
+       ORDER BY sr`,
+      [BCRYPT_PATTERN]
+    );
+
+    if (rows.length === 0) {
+      console.log(`All ${total} account(s) have hashed passwords.`);
+      return;
+    }
+
+    console.log(`${rows.length} of ${total} account(s) still have a plain-text password:`);
+    for (const row of rows) {
+      console.log(`  #${row.sr}  ${row.username}  <${row.email}>  created ${row.created_at.toISOString().slice(0, 10)}`);
+    }
+    process.exitCode = 1;
+  } finally {
+    await connection.end();
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
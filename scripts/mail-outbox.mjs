@@ -0,0 +1,55 @@
+// Print the latest mail written by the "outbox" transport (MAIL_TRANSPORT=outbox, the default).
+//
+//   node scripts/mail-outbox.mjs                 # the last 10 messages
+//   node scripts/mail-outbox.mjs user@example.com 3
+//
+// Handy in development to follow a password reset link without a mail server.
+
+import mysql from 'mysql2/promise';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+async function main() {
+  const [to, limit = '10'] = process.argv.slice(2);
+  const count = Number.parseInt(limit, 10);
+  if (!Number.isInteger(count) || count <= 0) {
+    console.error('Usage: node scripts/mail-outbox.mjs [to-address] [count]');
+    process.exit(1);
+  }
+
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+  });
+
+  try {
+    const [rows] = await connection.query(
+      `SELECT id, to_address, subject, body_text, created_at FROM mail_outbox
+       ${to ? 'WHERE to_address = ?' : ''}
+       ORDER BY id DESC LIMIT ${count}`,
+      to ? [to] : []
+    );
+
+    if (rows.length === 0) {
+      console.log('The outbox is empty.');
+      return;
+    }
+
+    for (const row of rows.reverse()) {
+      console.log(`#${row.id}  ${row.created_at.toISOString()}  To: ${row.to_address}`);
+      console.log(`Subject: ${row.subject}\n`);
+      console.log(row.body_text);
+      console.log(`\n${'-'.repeat(72)}`);
+    }
+  } finally {
+    await connection.end();
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,131 @@
+// Schema migration runner.
+//
+//   node scripts/migrate.mjs            apply every pending migration
+//   node scripts/migrate.mjs down [n]   roll back the last n migrations (default 1)
+//   node scripts/migrate.mjs status     list applied and pending migrations
+//
+// Migrations live in /migrations as <version>_<name>.up.sql / .down.sql pairs and
+// are applied in version order. Applied versions are tracked in schema_migrations.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import mysql from 'mysql2/promise';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'migrations');
+
+async function loadMigrations() {
+  const files = await fs.readdir(MIGRATIONS_DIR);
+  const migrations = new Map();
+
+  for (const file of files) {
+    const match = file.match(/^(\d+)_(.+)\.(up|down)\.sql$/);
+    if (!match) {
+      continue;
+    }
+    const [, version, name, direction] = match;
+    const migration = migrations.get(version) ?? { version, name };
+    migration[direction] = path.join(MIGRATIONS_DIR, file);
+    migrations.set(version, migration);
+  }
+
+  return [...migrations.values()].sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+async function appliedVersions(connection) {
+  await connection.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+       version VARCHAR(20) NOT NULL,
+       name VARCHAR(255) NOT NULL,
+       applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+       PRIMARY KEY (version)
+     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  );
+  const [rows] = await connection.query('SELECT version FROM schema_migrations ORDER BY version');
+  return new Set(rows.map((row) => row.version));
+}
+
+async function up(connection) {
+  const applied = await appliedVersions(connection);
+  const pending = (await loadMigrations()).filter((migration) => !applied.has(migration.version));
+
+  if (pending.length === 0) {
+    console.log('Schema is up to date.');
+    return;
+  }
+
+  for (const migration of pending) {
+    if (!migration.up) {
+      throw new Error(`Migration ${migration.version}_${migration.name} has no .up.sql file`);
+    }
+    console.log(`Applying ${migration.version}_${migration.name}`);
+    await connection.query(await fs.readFile(migration.up, 'utf8'));
+    await connection.execute(
+      'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+      [migration.version, migration.name]
+    );
+  }
+}
+
+async function down(connection, steps) {
+  const applied = await appliedVersions(connection);
+  const toRevert = (await loadMigrations())
+    .filter((migration) => applied.has(migration.version))
+    .reverse()
+    .slice(0, steps);
+
+  if (toRevert.length === 0) {
+    console.log('Nothing to roll back.');
+    return;
+  }
+
+  for (const migration of toRevert) {
+    if (!migration.down) {
+      throw new Error(`Migration ${migration.version}_${migration.name} has no .down.sql file`);
+    }
+    console.log(`Reverting ${migration.version}_${migration.name}`);
+    await connection.query(await fs.readFile(migration.down, 'utf8'));
+    await connection.execute('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+  }
+}
+
+async function status(connection) {
+  const applied = await appliedVersions(connection);
+  for (const migration of await loadMigrations()) {
+    console.log(`${applied.has(migration.version) ? '[x]' : '[ ]'} ${migration.version}_${migration.name}`);
+  }
+}
+
+async function main() {
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    multipleStatements: true,
+  });
+
+  try {
+    if (command === 'up') {
+      await up(connection);
+    } else if (command === 'down') {
+      await down(connection, arg ? Number(arg) : 1);
+    } else if (command === 'status') {
+      await status(connection);
+    } else {
+      throw new Error(`Unknown command "${command}". Use up, down [n] or status.`);
+    }
+  } finally {
+    await connection.end();
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
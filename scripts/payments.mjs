@@ -0,0 +1,68 @@
+// Run the payment tracker (see src/lib/paymentTracking.mjs).
+//
+//   node scripts/payments.mjs                    record the installments that changed payment state, then exit
+//   node scripts/payments.mjs --date=2025-03-01  as if today were 2025-03-01
+//   node scripts/payments.mjs --every=6          keep running, every 6 hours
+//
+// Run it once a day from cron, or keep it running with --every. A state is only recorded when
+// it changes, so running it more often does no harm. /api/Cron/Payments does the same over HTTP.
+
+import mysql from 'mysql2/promise';
+import dotenv from 'dotenv';
+import { runPaymentTracker } from '../src/lib/paymentTracking.mjs';
+
+dotenv.config();
+
+function option(name) {
+  const arg = process.argv.find((value) => value.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : null;
+}
+
+async function runOnce(today) {
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+  });
+
+  try {
+    await connection.beginTransaction();
+    const { date, changed, counts } = await runPaymentTracker(connection, today ? { today } : {});
+    await connection.commit();
+
+    console.log(`${date}: ${changed} installment(s) changed payment state.`);
+    for (const [state, count] of Object.entries(counts)) {
+      console.log(`  ${state}: ${count}`);
+    }
+  } catch (error) {
+    await connection.rollback().catch(() => {});
+    throw error;
+  } finally {
+    await connection.end();
+  }
+}
+
+async function main() {
+  const date = option('date');
+  if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    console.error('Usage: node scripts/payments.mjs [--date=YYYY-MM-DD] [--every=<hours>]');
+    process.exit(1);
+  }
+
+  const every = Number(option('every'));
+  if (!every) {
+    await runOnce(date);
+    return;
+  }
+
+  // A failed run is reported and retried at the next interval instead of stopping the process
+  const tick = () => runOnce(date).catch((error) => console.error(error.message));
+  await tick();
+  setInterval(tick, every * 60 * 60 * 1000);
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,89 @@
+// Delete the accounts whose deletion grace period has ended (see src/lib/accountDeletion.js).
+//
+//   node scripts/purge-accounts.mjs [--dry-run]
+//
+// Run it once a day from cron. Each account goes in its own transaction: its subscriptions,
+// payees, services and entities, the user row (which takes sessions, API keys, recovery codes,
+// password history and the other per-user tables with it through ON DELETE CASCADE), and the
+// rows that name the account without a user_id: failed logins under its username or email,
+// its login throttle and mail sent to its address.
+
+import mysql from 'mysql2/promise';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Returns false, touching nothing, when the deletion was cancelled since the account was listed
+async function purgeAccount(connection, user) {
+  await connection.beginTransaction();
+  try {
+    // Lock the user row so a cancellation waits for the purge, or the purge sees it
+    const [[due]] = await connection.execute(
+      'SELECT sr FROM users WHERE sr = ? AND deletion_scheduled_at <= NOW() FOR UPDATE',
+      [user.sr]
+    );
+    if (!due) {
+      await connection.rollback();
+      return false;
+    }
+
+    // Children first: services, payees and subscriptions refer to each other without cascades
+    for (const table of ['subscriptions', 'payees', 'services', 'entities']) {
+      await connection.execute(`DELETE FROM ${table} WHERE user_id = ?`, [user.sr]);
+    }
+    await connection.execute(
+      'DELETE FROM login_events WHERE user_id IS NULL AND identifier IN (?, ?)',
+      [user.username, user.email]
+    );
+    await connection.execute("DELETE FROM login_throttles WHERE scope = 'account' AND throttle_key = ?", [String(user.sr)]);
+    await connection.execute('DELETE FROM mail_outbox WHERE to_address = ?', [user.email]);
+    await connection.execute('DELETE FROM users WHERE sr = ?', [user.sr]);
+    await connection.commit();
+    return true;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  }
+}
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+  });
+
+  try {
+    const [users] = await connection.execute(
+      `SELECT sr, username, email, deletion_scheduled_at FROM users
+       WHERE deletion_scheduled_at <= NOW() ORDER BY deletion_scheduled_at`
+    );
+
+    if (users.length === 0) {
+      console.log('No accounts are due for deletion.');
+      return;
+    }
+
+    for (const user of users) {
+      if (dryRun) {
+        console.log(`Would delete ${user.username} (#${user.sr}), due ${user.deletion_scheduled_at.toISOString()}`);
+        continue;
+      }
+      if (await purgeAccount(connection, user)) {
+        console.log(`Deleted ${user.username} (#${user.sr})`);
+      } else {
+        console.log(`Skipped ${user.username} (#${user.sr}): deletion was cancelled`);
+      }
+    }
+  } finally {
+    await connection.end();
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,59 @@
+// Run the expiry and payment reminder scheduler (see src/lib/reminderSchedule.mjs).
+//
+//   node scripts/reminders.mjs                    record the reminders due today, then exit
+//   node scripts/reminders.mjs --date=2025-03-01  as if today were 2025-03-01
+//   node scripts/reminders.mjs --every=6          keep running, every 6 hours
+//
+// Run it once a day from cron, or keep it running with --every. Reminders are only recorded
+// once, so running it more often does no harm. /api/Cron/Reminders does the same over HTTP.
+
+import mysql from 'mysql2/promise';
+import dotenv from 'dotenv';
+import { runReminderSchedule } from '../src/lib/reminderSchedule.mjs';
+
+dotenv.config();
+
+function option(name) {
+  const arg = process.argv.find((value) => value.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : null;
+}
+
+async function runOnce(today) {
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+  });
+
+  try {
+    const { date, checked, created } = await runReminderSchedule(connection, today ? { today } : {});
+    console.log(`${date}: checked ${checked} subscription(s), recorded ${created} new reminder(s).`);
+  } finally {
+    await connection.end();
+  }
+}
+
+async function main() {
+  const date = option('date');
+  if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    console.error('Usage: node scripts/reminders.mjs [--date=YYYY-MM-DD] [--every=<hours>]');
+    process.exit(1);
+  }
+
+  const every = Number(option('every'));
+  if (!every) {
+    await runOnce(date);
+    return;
+  }
+
+  // A failed run is reported and retried at the next interval instead of stopping the process
+  const tick = () => runOnce(date).catch((error) => console.error(error.message));
+  await tick();
+  setInterval(tick, every * 60 * 60 * 1000);
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,65 @@
+// Turn off two-step verification for a user who has lost both their authenticator and
+// their recovery codes.
+//
+//   node scripts/reset-two-factor.mjs <username>
+//
+// Clears the TOTP secret, deletes the recovery codes and signs the user out everywhere.
+// Check the person's identity some other way before running it: afterwards the password
+// alone is enough to log in, and they can enroll again from Accounts/Security.
+
+import mysql from 'mysql2/promise';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+async function main() {
+  const username = process.argv[2];
+  if (!username) {
+    console.error('Usage: node scripts/reset-two-factor.mjs <username>');
+    process.exit(1);
+  }
+
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+  });
+
+  try {
+    const [[user]] = await connection.execute('SELECT sr, totp_enabled_at FROM users WHERE username = ?', [username]);
+    if (!user) {
+      console.error(`No user named "${username}".`);
+      process.exitCode = 1;
+      return;
+    }
+    if (!user.totp_enabled_at) {
+      console.log(`Two-step verification is not enabled for ${username}.`);
+      return;
+    }
+
+    await connection.beginTransaction();
+    try {
+      await connection.execute(
+        `UPDATE users SET totp_secret = NULL, totp_pending_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL
+         WHERE sr = ?`,
+        [user.sr]
+      );
+      await connection.execute('DELETE FROM recovery_codes WHERE user_id = ?', [user.sr]);
+      await connection.execute('UPDATE sessions SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL', [user.sr]);
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+
+    console.log(`Two-step verification turned off for ${username}; all their sessions were ended.`);
+  } finally {
+    await connection.end();
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
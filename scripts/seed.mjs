@@ -0,0 +1,139 @@
+// Seed a freshly migrated database with a demo account and sample data.
+//
+//   node scripts/seed.mjs
+//
+// The demo user logs in as demo / demo1234. Running the seed twice is safe:
+// it does nothing if the demo user already exists.
+
+import mysql from 'mysql2/promise';
+import bcrypt from 'bcryptjs';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const DEMO_USER = {
+  username: 'demo',
+  email: 'demo@expirio.local',
+  password: 'demo1234',
+  name: 'Demo User',
+  phone: '+1 555 0100',
+};
+
+async function insert(connection, table, fields) {
+  const columns = Object.keys(fields);
+  const [result] = await connection.execute(
+    `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    Object.values(fields)
+  );
+  return result.insertId;
+}
+
+async function main() {
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+  });
+
+  try {
+    const [[existing]] = await connection.execute('SELECT sr FROM users WHERE username = ?', [DEMO_USER.username]);
+    if (existing) {
+      console.log('Demo user already exists, skipping seed.');
+      return;
+    }
+
+    const user_id = await insert(connection, 'users', {
+      ...DEMO_USER,
+      password: await bcrypt.hash(DEMO_USER.password, Number(process.env.BCRYPT_ROUNDS) || 12),
+      email_verified_at: new Date(),
+    });
+
+    const office = await insert(connection, 'entities', {
+      user_id,
+      entity_name: 'Office',
+      entity_desc: 'Expenses related to the work place',
+      entity_short_desc: 'Work place',
+      category: 'expense',
+    });
+    const clients = await insert(connection, 'entities', {
+      user_id,
+      entity_name: 'Clients',
+      entity_desc: 'Retainers billed to clients',
+      entity_short_desc: 'Client work',
+      category: 'income',
+    });
+
+    const domain = await insert(connection, 'services', {
+      user_id,
+      entity_id: office,
+      service_name: 'Domain Renewal',
+      service_desc: 'Yearly renewal of the company domain',
+      min_duration: 12,
+      amount: 15,
+      category: 'expense',
+    });
+    const retainer = await insert(connection, 'services', {
+      user_id,
+      entity_id: clients,
+      service_name: 'Support Retainer',
+      service_desc: 'Quarterly support retainer',
+      min_duration: 3,
+      amount: 1200,
+      category: 'income',
+    });
+
+    const registrar = await insert(connection, 'payees', {
+      user_id,
+      entity_id: office,
+      service_id: domain,
+      payee_name: 'Acme Registrar',
+      phone: '+1 555 0101',
+      email: 'billing@acme-registrar.example',
+      amount: 15,
+      category: 'expense',
+    });
+    const client = await insert(connection, 'payees', {
+      user_id,
+      entity_id: clients,
+      service_id: retainer,
+      payee_name: 'Globex Corp',
+      phone: '+1 555 0102',
+      email: 'ap@globex.example',
+      amount: 1200,
+      category: 'income',
+    });
+
+    await insert(connection, 'subscriptions', {
+      user_id,
+      entity_id: office,
+      service_id: domain,
+      payee_id: registrar,
+      startDate: '2025-01-01',
+      endDate: '2025-12-31',
+      amount: 15,
+      paymentDate: '2025-01-01',
+      category: 'expense',
+    });
+    await insert(connection, 'subscriptions', {
+      user_id,
+      entity_id: clients,
+      service_id: retainer,
+      payee_id: client,
+      startDate: '2025-04-01',
+      endDate: '2025-06-30',
+      amount: 1200,
+      paymentDate: '2025-04-15',
+      category: 'income',
+    });
+
+    console.log(`Seeded demo user "${DEMO_USER.username}" (password "${DEMO_USER.password}").`);
+  } finally {
+    await connection.end();
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
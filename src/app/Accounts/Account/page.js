@@ -1,4 +1,8 @@
+'use client'
 import React from 'react'
+import DataExport from '@/app/components/DataExport'
+import ReminderSettings from '@/app/components/ReminderSettings'
+import AccountDeletion from '@/app/components/AccountDeletion'
 
 export default function page() {
   return (
@@ -24,6 +28,11 @@ export default function page() {
                           ><i className="ri-bookmark-line me-2"></i>Billing & Plans</a
                         >
                       </li>
+                      <li className="nav-item">
+                        <a className="nav-link" href="/Accounts/AuditLog"
+                          ><i className="ri-history-line me-2"></i>Audit Log</a
+                        >
+                      </li>
                       
                     </ul>
                   </div>
@@ -230,32 +239,10 @@ export default function page() {
                     </div>
                     
                   </div>
-                  <div className="card">
-                    <h5 className="card-header mb-1">Delete Account</h5>
-                    <div className="card-body">
-                      <div className="mb-6 col-12 mb-0">
-                        <div className="alert alert-warning">
-                          <h6 className="alert-heading mb-1">Are you sure you want to delete your account?</h6>
-                          <p className="mb-0">Once you delete your account, there is no going back. Please be certain.</p>
-                        </div>
-                      </div>
-                      <form id="formAccountDeactivation" onsubmit="return false">
-                        <div className="form-check mb-6">
-                          <input
-                            className="form-check-input"
-                            type="checkbox"
-                            name="accountActivation"
-                            id="accountActivation" />
-                          <label className="form-check-label" for="accountActivation"
-                            >I confirm my account deactivation</label
-                          >
-                        </div>
-                        <button type="submit" className="btn btn-danger deactivate-account" disabled>
-                          Deactivate Account
-                        </button>
-                      </form>
-                    </div>
-                  </div>
+                  <ReminderSettings />
+                  <DataExport />
+
+                  <AccountDeletion />
                 </div>
               </div>
             </div>
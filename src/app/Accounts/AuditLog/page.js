@@ -0,0 +1,271 @@
+'use client'
+import React, { useEffect, useState } from 'react'
+import axios from 'axios'
+
+const RESOURCES = {
+    entities: { label: 'Entity', nameColumn: 'entity_name' },
+    services: { label: 'Service', nameColumn: 'service_name' },
+    payees: { label: 'Payee', nameColumn: 'payee_name' },
+    subscriptions: { label: 'Subscription', nameColumn: null },
+}
+
+const ACTIONS = {
+    create: { label: 'Created', badge: 'bg-label-success' },
+    update: { label: 'Updated', badge: 'bg-label-info' },
+    delete: { label: 'Deleted', badge: 'bg-label-danger' },
+}
+
+const EMPTY_FILTERS = { resource: '', action: '', record_id: '', from: '', to: '' }
+
+// Columns every row has that say nothing about the change itself
+const HIDDEN_FIELDS = ['id', 'user_id', 'created_at']
+
+function formatDate(value) {
+    return new Date(value).toLocaleString(undefined, { day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit' })
+}
+
+function formatValue(value) {
+    if (value === null || value === undefined || value === '') {
+        return '—'
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value)
+}
+
+// The fields an entry shows: what changed for an update, every field for a create or delete
+function changedFields(entry) {
+    const before = entry.before_data ?? {}
+    const after = entry.after_data ?? {}
+    const fields = Object.keys({ ...before, ...after }).filter((field) => !HIDDEN_FIELDS.includes(field))
+    if (entry.action !== 'update') {
+        return fields
+    }
+    return fields.filter((field) => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+}
+
+function recordName(entry) {
+    const { label, nameColumn } = RESOURCES[entry.resource] ?? { label: entry.resource, nameColumn: null }
+    const row = entry.after_data ?? entry.before_data ?? {}
+    return nameColumn && row[nameColumn] ? `${label} "${row[nameColumn]}"` : `${label} #${entry.record_id}`
+}
+
+// Audit log of the user's entities, services, payees and subscriptions. Filters can be
+// preset from the URL, e.g. /Accounts/AuditLog?resource=subscriptions&record_id=12
+export default function page() {
+    const [entries, setEntries] = useState([])
+    const [pagination, setPagination] = useState(null)
+    const [filters, setFilters] = useState(null)
+    const [page, setPage] = useState(1)
+    const [expanded, setExpanded] = useState(null)
+    const [loading, setLoading] = useState(true)
+    const [error, setError] = useState(null)
+
+    useEffect(() => {
+        const params = new URLSearchParams(window.location.search)
+        setFilters(Object.fromEntries(Object.keys(EMPTY_FILTERS).map((name) => [name, params.get(name) || ''])))
+    }, [])
+
+    useEffect(() => {
+        if (filters) {
+            fetchEntries()
+        }
+    }, [filters, page])
+
+    const fetchEntries = async () => {
+        setLoading(true)
+        const params = { page, limit: 25 }
+        for (const name of ['resource', 'action', 'record_id']) {
+            if (filters[name]) {
+                params[name] = filters[name]
+            }
+        }
+        if (filters.from) {
+            params.created_at_from = filters.from
+        }
+        if (filters.to) {
+            params.created_at_to = `${filters.to} 23:59:59`
+        }
+
+        try {
+            const response = await axios.get('http://localhost:3000/api/AuditLog', {
+                headers: { Authorization: localStorage.getItem("token") },
+                params,
+            })
+            setEntries(response.data.data)
+            setPagination(response.data.pagination)
+            setError(null)
+        } catch (err) {
+            console.error('Error fetching audit log:', err)
+            setError(err.response?.data?.message || 'Failed to load the audit log')
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    const handleFilterChange = (e) => {
+        setFilters({ ...filters, [e.target.name]: e.target.value })
+        setPage(1)
+    }
+
+    const clearFilters = () => {
+        setFilters(EMPTY_FILTERS)
+        setPage(1)
+    }
+
+    return (
+        <>
+
+            <div className="container-xxl flex-grow-1 container-p-y">
+                <div className="row">
+                    <div className="col-md-12">
+                        <div className="nav-align-top">
+                            <ul className="nav nav-pills flex-column flex-md-row mb-6 gap-2 gap-lg-0">
+                                <li className="nav-item">
+                                    <a className="nav-link" href="/Accounts/Account"
+                                    ><i className="ri-group-line me-2"></i> Account</a
+                                    >
+                                </li>
+                                <li className="nav-item">
+                                    <a className="nav-link" href="/Accounts/Security"
+                                    ><i className="ri-lock-line me-2"></i> Security</a
+                                    >
+                                </li>
+                                <li className="nav-item">
+                                    <a className="nav-link" href="/Accounts/Billing"
+                                    ><i className="ri-bookmark-line me-2"></i> Billing & Plans</a
+                                    >
+                                </li>
+                                <li className="nav-item">
+                                    <a className="nav-link active" href="javascript:void(0);"
+                                    ><i className="ri-history-line me-2"></i> Audit Log</a
+                                    >
+                                </li>
+                            </ul>
+                        </div>
+
+                        <div className="card">
+                            <h5 className="card-header">Audit Log</h5>
+                            {filters && (
+                                <div className="card-body">
+                                    <div className="row g-4">
+                                        <div className="col-md-2">
+                                            <select className="form-select" name="resource" value={filters.resource} onChange={handleFilterChange}>
+                                                <option value="">All records</option>
+                                                {Object.entries(RESOURCES).map(([value, { label }]) => (
+                                                    <option key={value} value={value}>{label}</option>
+                                                ))}
+                                            </select>
+                                        </div>
+                                        <div className="col-md-2">
+                                            <select className="form-select" name="action" value={filters.action} onChange={handleFilterChange}>
+                                                <option value="">All actions</option>
+                                                {Object.entries(ACTIONS).map(([value, { label }]) => (
+                                                    <option key={value} value={value}>{label}</option>
+                                                ))}
+                                            </select>
+                                        </div>
+                                        <div className="col-md-2">
+                                            <input className="form-control" type="number" min="1" name="record_id" placeholder="Record ID"
+                                                value={filters.record_id} onChange={handleFilterChange} />
+                                        </div>
+                                        <div className="col-md-2">
+                                            <input className="form-control" type="date" name="from" title="From"
+                                                value={filters.from} onChange={handleFilterChange} />
+                                        </div>
+                                        <div className="col-md-2">
+                                            <input className="form-control" type="date" name="to" title="To"
+                                                value={filters.to} onChange={handleFilterChange} />
+                                        </div>
+                                        <div className="col-md-2">
+                                            <button type="button" className="btn btn-outline-secondary w-100" onClick={clearFilters}>Clear</button>
+                                        </div>
+                                    </div>
+                                </div>
+                            )}
+                            {error && <p className="text-danger px-5">{error}</p>}
+                            <div className="table-responsive">
+                                <table className="table">
+                                    <thead>
+                                        <tr>
+                                            <th className="text-truncate">When</th>
+                                            <th className="text-truncate">Record</th>
+                                            <th className="text-truncate">Action</th>
+                                            <th className="text-truncate">Changed</th>
+                                            <th className="text-truncate">By</th>
+                                            <th className="text-truncate">IP Address</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {loading ? (
+                                            <tr><td colSpan="6">Loading...</td></tr>
+                                        ) : entries.length === 0 ? (
+                                            <tr><td colSpan="6">No changes recorded.</td></tr>
+                                        ) : (
+                                            entries.map((entry) => {
+                                                const fields = changedFields(entry)
+                                                const { label, badge } = ACTIONS[entry.action]
+                                                return (
+                                                    <React.Fragment key={entry.id}>
+                                                        <tr className="cursor-pointer" onClick={() => setExpanded(expanded === entry.id ? null : entry.id)}>
+                                                            <td className="text-truncate">{formatDate(entry.created_at)}</td>
+                                                            <td className="text-truncate text-heading">{recordName(entry)}</td>
+                                                            <td><span className={`badge ${badge} rounded-pill`}>{label}</span></td>
+                                                            <td className="text-truncate">{entry.action === 'update' ? fields.join(', ') : '—'}</td>
+                                                            <td className="text-truncate">
+                                                                {entry.actor_username || 'Unknown'}
+                                                                {entry.api_key_id && <span className="badge bg-label-secondary rounded-pill ms-2">API key</span>}
+                                                            </td>
+                                                            <td className="text-truncate">{entry.ip || 'Unknown'}</td>
+                                                        </tr>
+                                                        {expanded === entry.id && (
+                                                            <tr>
+                                                                <td colSpan="6" className="bg-lighter">
+                                                                    <table className="table table-sm mb-0">
+                                                                        <thead>
+                                                                            <tr>
+                                                                                <th>Field</th>
+                                                                                <th>Before</th>
+                                                                                <th>After</th>
+                                                                            </tr>
+                                                                        </thead>
+                                                                        <tbody>
+                                                                            {fields.map((field) => (
+                                                                                <tr key={field}>
+                                                                                    <td>{field}</td>
+                                                                                    <td>{formatValue(entry.before_data?.[field])}</td>
+                                                                                    <td>{formatValue(entry.after_data?.[field])}</td>
+                                                                                </tr>
+                                                                            ))}
+                                                                        </tbody>
+                                                                    </table>
+                                                                </td>
+                                                            </tr>
+                                                        )}
+                                                    </React.Fragment>
+                                                )
+                                            })
+                                        )}
+                                    </tbody>
+                                </table>
+                            </div>
+                            {pagination && pagination.pages > 1 && (
+                                <div className="card-body d-flex align-items-center justify-content-between">
+                                    <span>Page {pagination.page} of {pagination.pages} ({pagination.total} changes)</span>
+                                    <div>
+                                        <button className="btn btn-sm btn-outline-secondary me-2" disabled={page <= 1} onClick={() => setPage(page - 1)}>
+                                            Previous
+                                        </button>
+                                        <button className="btn btn-sm btn-outline-secondary" disabled={page >= pagination.pages} onClick={() => setPage(page + 1)}>
+                                            Next
+                                        </button>
+                                    </div>
+                                </div>
+                            )}
+                        </div>
+
+                    </div>
+                </div>
+            </div>
+
+        </>
+    )
+}
@@ -24,6 +24,11 @@ export default function page() {
                                     ><i className="ri-bookmark-line me-2"></i> Billing & Plans</a
                                     >
                                 </li>
+                                <li className="nav-item">
+                                    <a className="nav-link" href="/Accounts/AuditLog"
+                                    ><i className="ri-history-line me-2"></i> Audit Log</a
+                                    >
+                                </li>
 
                             </ul>
                         </div>
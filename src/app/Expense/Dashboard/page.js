@@ -1,4 +1,6 @@
+'use client'
 import React from 'react'
+import InstallmentsDue from '@/app/components/InstallmentsDue'
 
 export default function page() {
   return (
@@ -58,6 +60,8 @@ export default function page() {
             </div>
           </div>
 
+          <InstallmentsDue category="expense" />
+
         </div>
       </div>
 
@@ -1,10 +1,16 @@
 'use client'
 import React, { useEffect, useState } from "react";
 import axios from "axios";
+import Pagination from "@/app/components/Pagination";
+import { fetchAllPages } from "@/lib/listClient";
+import FieldError, { inputClass, responseErrors } from "@/app/components/FieldError";
 
 export default function page() {
 
   const [entities, setEntities] = useState([]); // Store fetched data
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
+  const [reassignTargets, setReassignTargets] = useState([]); // Every entity, for the "Move to" select
   const [loading, setLoading] = useState(true); // Loading state
   const [error, setError] = useState(null); // Error state
 
@@ -16,6 +22,8 @@ export default function page() {
     entity_short_desc: "",
     category: "income", // Default category
   });
+  const [formErrors, setFormErrors] = useState({}); // Field errors returned by the API
+  const [formMessage, setFormMessage] = useState(null);
 
   const [showEditModal, setShowEditModal] = useState(false); // Show/hide edit modal
   const [editFormData, setEditFormData] = useState({
@@ -25,11 +33,17 @@ export default function page() {
     entity_short_desc: "",
     category: "income",
   });
+  const [editErrors, setEditErrors] = useState({});
+  const [editMessage, setEditMessage] = useState(null);
+
+  const [deleteTarget, setDeleteTarget] = useState(null); // Entity pending deletion, with its dependency counts
+  const [deleteMode, setDeleteMode] = useState("restrict");
+  const [reassignTo, setReassignTo] = useState("");
 
 
   useEffect(() => {
     fetchEntities();
-  }, [])
+  }, [page])
 
   const fetchEntities = async () => {
     const token = localStorage.getItem("token"); // Get token from localStorage
@@ -42,9 +56,11 @@ export default function page() {
     try {
       const response = await axios.get("http://localhost:3000/api/Entities", {
         headers: { Authorization: token }, // Send token in header
+        params: { page },
       });
 
       setEntities(response.data.data); // Set data
+      setPagination(response.data.pagination);
     } catch (err) {
       console.error("Error fetching entities:", err);
       setError("Failed to load entities");
@@ -73,11 +89,15 @@ export default function page() {
     });
 
     console.log("Entity Added:", response.data);
+    setFormErrors({});
+    setFormMessage(null);
     setShowModal(false); // Close modal
     fetchEntities(); // Refresh list
   } catch (err) {
     console.error("Error adding entity:", err);
-    setError("Failed to add entity");
+    const { errors, message } = responseErrors(err, "Failed to add entity");
+    setFormErrors(errors);
+    setFormMessage(message);
   }
 };
 
@@ -96,6 +116,8 @@ const handleEditChange = (e) => {
     entity_short_desc: entity.entity_short_desc,
     category: entity.category,
   });
+  setEditErrors({});
+  setEditMessage(null);
   setShowEditModal(true);
 };
 
@@ -123,10 +145,58 @@ const handleEditSubmit = async (e) => {
     fetchEntities(); // Refresh list
   } catch (err) {
     console.error("Error updating entity:", err);
-    setError("Failed to update entity");
+    const { errors, message } = responseErrors(err, "Failed to update entity");
+    setEditErrors(errors);
+    setEditMessage(message);
+  }
+};
+
+// Open Delete Confirmation with the records that depend on the entity
+const handleDeleteClick = async (entity) => {
+  const token = localStorage.getItem("token");
+
+  try {
+    const response = await axios.get(`http://localhost:3000/api/Entities/${entity.id}`, {
+      headers: { Authorization: token },
+    });
+
+    setDeleteTarget(response.data.data);
+    setDeleteMode("restrict");
+    setReassignTo("");
+    setReassignTargets(await fetchAllPages("http://localhost:3000/api/Entities"));
+  } catch (err) {
+    console.error("Error fetching entity:", err);
+    setError("Failed to load entity");
+  }
+};
+
+// Handle Delete Confirmation
+const handleDeleteConfirm = async () => {
+  const token = localStorage.getItem("token");
+  const params = { mode: deleteMode };
+  if (deleteMode === "reassign") {
+    params.reassign_to = reassignTo;
+  }
+
+  try {
+    const response = await axios.delete(`http://localhost:3000/api/Entities/${deleteTarget.id}`, {
+      headers: { Authorization: token },
+      params,
+    });
+
+    console.log("Entity Deleted:", response.data);
+    setDeleteTarget(null); // Close modal
+    fetchEntities(); // Refresh list
+  } catch (err) {
+    console.error("Error deleting entity:", err);
+    setError("Failed to delete entity");
   }
 };
 
+const deleteDependencyCount = deleteTarget
+  ? Object.values(deleteTarget.dependencies).reduce((sum, count) => sum + count, 0)
+  : 0;
+
   return (
     <>
 
@@ -232,12 +302,13 @@ const handleEditSubmit = async (e) => {
                         <p className="card-text">{entity.entity_desc}</p>
                         <div className="d-flex gap-2">
                           <button className="btn btn-sm btn-outline-primary"onClick={() => handleEditClick(entity)}>Edit</button>
-                          <button className="btn btn-sm btn-outline-danger">Delete</button>
+                          <button className="btn btn-sm btn-outline-danger" onClick={() => handleDeleteClick(entity)}>Delete</button>
                         </div>
                       </div>
                     </div>
                   ))
                 )}
+                <Pagination pagination={pagination} onPage={setPage} />
               </div>
             </div>
           </div>
@@ -254,46 +325,50 @@ const handleEditSubmit = async (e) => {
                 </button>
               </div>
               <div className="modal-body">
-                <form onSubmit={handleSubmit}>
+                {formMessage && <div className="alert alert-danger">{formMessage}</div>}
+                <form onSubmit={handleSubmit} noValidate>
                   <div className="mb-3">
                     <label className="form-label">Entity Name</label>
                     <input
                       type="text"
-                      className="form-control"
+                      className={inputClass(formErrors, "entity_name")}
                       name="entity_name"
                       value={formData.entity_name}
                       onChange={handleChange}
                       required
                     />
+                    <FieldError errors={formErrors} name="entity_name" />
                   </div>
 
                   <div className="mb-3">
                     <label className="form-label">Entity Description</label>
                     <textarea
-                      className="form-control"
+                      className={inputClass(formErrors, "entity_desc")}
                       name="entity_desc"
                       value={formData.entity_desc}
                       onChange={handleChange}
                       required
                     />
+                    <FieldError errors={formErrors} name="entity_desc" />
                   </div>
 
                   <div className="mb-3">
                     <label className="form-label">Short Description</label>
                     <input
                       type="text"
-                      className="form-control"
+                      className={inputClass(formErrors, "entity_short_desc")}
                       name="entity_short_desc"
                       value={formData.entity_short_desc}
                       onChange={handleChange}
                       required
                     />
+                    <FieldError errors={formErrors} name="entity_short_desc" />
                   </div>
 
                   <div className="mb-3">
                     <label className="form-label">Category</label>
                     <select
-                      className="form-control"
+                      className={inputClass(formErrors, "category")}
                       name="category"
                       value={formData.category}
                       onChange={handleChange}
@@ -302,6 +377,7 @@ const handleEditSubmit = async (e) => {
                       <option value="income">Income</option>
                       <option value="expense">Expense</option>
                     </select>
+                    <FieldError errors={formErrors} name="category" />
                   </div>
 
                   <button type="submit" className="btn btn-primary">Save</button>
@@ -325,46 +401,50 @@ const handleEditSubmit = async (e) => {
                 </button>
               </div>
               <div className="modal-body">
-                <form onSubmit={handleEditSubmit}>
+                {editMessage && <div className="alert alert-danger">{editMessage}</div>}
+                <form onSubmit={handleEditSubmit} noValidate>
                   <div className="mb-3">
                     <label className="form-label">Entity Name</label>
                     <input
                       type="text"
-                      className="form-control"
+                      className={inputClass(editErrors, "entity_name")}
                       name="entity_name"
                       value={editFormData.entity_name}
                       onChange={handleEditChange}
                       required
                     />
+                    <FieldError errors={editErrors} name="entity_name" />
                   </div>
 
                   <div className="mb-3">
                     <label className="form-label">Entity Description</label>
                     <textarea
-                      className="form-control"
+                      className={inputClass(editErrors, "entity_desc")}
                       name="entity_desc"
                       value={editFormData.entity_desc}
                       onChange={handleEditChange}
                       required
                     />
+                    <FieldError errors={editErrors} name="entity_desc" />
                   </div>
 
                   <div className="mb-3">
                     <label className="form-label">Short Description</label>
                     <input
                       type="text"
-                      className="form-control"
+                      className={inputClass(editErrors, "entity_short_desc")}
                       name="entity_short_desc"
                       value={editFormData.entity_short_desc}
                       onChange={handleEditChange}
                       required
                     />
+                    <FieldError errors={editErrors} name="entity_short_desc" />
                   </div>
 
                   <div className="mb-3">
                     <label className="form-label">Category</label>
                     <select
-                      className="form-control"
+                      className={inputClass(editErrors, "category")}
                       name="category"
                       value={editFormData.category}
                       onChange={handleEditChange}
@@ -373,6 +453,7 @@ const handleEditSubmit = async (e) => {
                       <option value="income">Income</option>
                       <option value="expense">Expense</option>
                     </select>
+                    <FieldError errors={editErrors} name="category" />
                   </div>
 
                   <button type="submit" className="btn btn-primary">Update</button>
@@ -383,6 +464,83 @@ const handleEditSubmit = async (e) => {
         </div>
       )}
 
+      {/* Delete Confirmation Modal */}
+      {deleteTarget && (
+        <div className="modal show d-block" tabIndex="-1" role="dialog" style={{ background: "rgba(0,0,0,0.5)" }}>
+          <div className="modal-dialog" role="document">
+            <div className="modal-content">
+              <div className="modal-header">
+                <h5 className="modal-title">Delete Entity</h5>
+                <button type="button" className="close btn" onClick={() => setDeleteTarget(null)}>
+                  ×
+                </button>
+              </div>
+              <div className="modal-body">
+                <p>Are you sure you want to delete <strong>{deleteTarget.entity_name}</strong>?</p>
+
+                {deleteDependencyCount === 0 ? (
+                  <p className="text-muted mb-0">No services, payees or subscriptions use this entity.</p>
+                ) : (
+                  <>
+                    <p className="mb-2">The following records use this entity, its services or its payees:</p>
+                    <ul>
+                      <li>{deleteTarget.dependencies.services} service(s)</li>
+                      <li>{deleteTarget.dependencies.payees} payee(s)</li>
+                      <li>{deleteTarget.dependencies.subscriptions} subscription(s)</li>
+                    </ul>
+
+                    <div className="mb-3">
+                      <label className="form-label">What should happen to them?</label>
+                      <select
+                        className="form-control"
+                        value={deleteMode}
+                        onChange={(e) => setDeleteMode(e.target.value)}
+                      >
+                        <option value="restrict">Keep them (cancel the delete)</option>
+                        <option value="cascade">Delete them as well</option>
+                        <option value="reassign">Move them to another entity</option>
+                      </select>
+                    </div>
+
+                    {deleteMode === "reassign" && (
+                      <div className="mb-3">
+                        <label className="form-label">Move to</label>
+                        <select
+                          className="form-control"
+                          value={reassignTo}
+                          onChange={(e) => setReassignTo(e.target.value)}
+                        >
+                          <option value="">Select an entity</option>
+                          {reassignTargets
+                            .filter((entity) => entity.id !== deleteTarget.id)
+                            .map((entity) => (
+                              <option key={entity.id} value={entity.id}>{entity.entity_name}</option>
+                            ))}
+                        </select>
+                      </div>
+                    )}
+                  </>
+                )}
+              </div>
+              <div className="modal-footer">
+                <button type="button" className="btn btn-secondary" onClick={() => setDeleteTarget(null)}>Cancel</button>
+                <button
+                  type="button"
+                  className="btn btn-danger"
+                  onClick={handleDeleteConfirm}
+                  disabled={
+                    (deleteDependencyCount > 0 && deleteMode === "restrict") ||
+                    (deleteDependencyCount > 0 && deleteMode === "reassign" && !reassignTo)
+                  }
+                >
+                  Delete
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
           <div className="col-md-6 col-xxl-4">
             <div className="card h-100">
               <div className="card-header d-flex align-items-center justify-content-between">
@@ -1,30 +1,50 @@
 'use client'
 import React, { useState, useEffect } from 'react'
 import axios from 'axios';
+import PayeeList from '@/app/components/PayeeList';
+import Pagination from '@/app/components/Pagination';
+import FieldError, { inputClass, responseErrors } from '@/app/components/FieldError';
 
 export default function page() {
 
   const [payees, setPayees] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
   const [showModal, setShowModal] = useState(false);
-  const [newPayee, setNewPayee] = useState({ name: '', phone: '', email: '', entity: '', service: '' });
+  const [newPayee, setNewPayee] = useState({ payee_name: '', phone: '', email: '', entity_name: '', service_name: '', amount: '', category: 'expense' });
+  const [errors, setErrors] = useState({}); // Field errors returned by the API
+  const [formError, setFormError] = useState(null);
 
   useEffect(() => {
     fetchPayees();
-  }, []);
+  }, [page]);
 
   const fetchPayees = async () => {
     try {
       const token = localStorage.getItem("token");
       const response = await axios.get('http://localhost:3000/api/Payees', {
         headers: { Authorization: token }, // Send token in header
-      }); // Replace with actual API
-      setPayees(response.data);
+        params: { category: 'expense', page },
+      });
+      setPayees(response.data.data);
+      setPagination(response.data.pagination);
     } catch (error) {
       console.error('Error fetching payees:', error);
     }
   };
 
-  const addPayee = async () => {
+  const handleNewPayeeChange = (e) => {
+    setNewPayee({ ...newPayee, [e.target.name]: e.target.value });
+  };
+
+  const openModal = () => {
+    setErrors({});
+    setFormError(null);
+    setShowModal(true);
+  };
+
+  const addPayee = async (e) => {
+    e.preventDefault();
     try {
       const token = localStorage.getItem("token");
       console.log("Sending Payload:", newPayee);
@@ -38,6 +58,9 @@ export default function page() {
       fetchPayees(); // Refresh list after adding
     } catch (error) {
       console.error('Error adding payee:', error);
+      const { errors, message } = responseErrors(error, 'Failed to add payee');
+      setErrors(errors);
+      setFormError(message);
     }
   };
 
@@ -50,7 +73,7 @@ export default function page() {
               <div className="card-header d-flex align-items-center justify-content-between border-bottom mb-4">
                 <h5 className="card-title m-0 me-2">Payee Details</h5>
                 <div className="d-flex align-items-center">
-                  <button className="btn btn-primary rounded-pill me-2" onClick={() => setShowModal(true)}>+</button>
+                  <button className="btn btn-primary rounded-pill me-2" onClick={openModal}>+</button>
                   <div className="dropdown">
                     <button className="btn btn-text-secondary rounded-pill text-muted border-0 p-1" type="button" id="payeeMenu" data-bs-toggle="dropdown" aria-haspopup="true" aria-expanded="false">
                       <i className="ri-more-2-line ri-20px"></i>
@@ -119,23 +142,8 @@ export default function page() {
               </div> */}
 
               <div className="card-body">
-                <ul className="p-0 m-0">
-                  {payees.map((payee, index) => (
-                    <li key={index} className="d-flex align-items-center mb-6 border-0 rounded-3 shadow-sm mb-2 py-5 px-5">
-                      <div className="d-flex w-100 flex-wrap align-items-center justify-content-between gap-2">
-                        <div className="me-2">
-                          <h6 className="mb-0">{payee.name}</h6>
-                          <small className="d-flex align-items-center">Phone: {payee.phone}</small>
-                          <small className="d-flex align-items-center">Email: {payee.email}</small>
-                        </div>
-                        <div className="d-flex align-items-center">
-                          <div className="badge bg-label-primary rounded-pill me-2">Entity: {payee.entity}</div>
-                          <div className="badge bg-label-success rounded-pill me-2">Service: {payee.service}</div>
-                        </div>
-                      </div>
-                    </li>
-                  ))}
-                </ul>
+                <PayeeList payees={payees} onChanged={fetchPayees} />
+                <Pagination pagination={pagination} onPage={setPage} />
               </div>
 
             </div>
@@ -150,17 +158,39 @@ export default function page() {
                     <h5 className="modal-title">Add Payee</h5>
                     <button className="btn-close" onClick={() => setShowModal(false)}></button>
                   </div>
-                  <div className="modal-body">
-                    <input type="text" placeholder="Name" className="form-control mb-2" onChange={(e) => setNewPayee({ ...newPayee, name: e.target.value })} />
-                    <input type="text" placeholder="Phone" className="form-control mb-2" onChange={(e) => setNewPayee({ ...newPayee, phone: e.target.value })} />
-                    <input type="email" placeholder="Email" className="form-control mb-2" onChange={(e) => setNewPayee({ ...newPayee, email: e.target.value })} />
-                    <input type="text" placeholder="Entity" className="form-control mb-2" onChange={(e) => setNewPayee({ ...newPayee, entity: e.target.value })} />
-                    <input type="text" placeholder="Service" className="form-control mb-2" onChange={(e) => setNewPayee({ ...newPayee, service: e.target.value })} />
-                  </div>
-                  <div className="modal-footer">
-                    <button className="btn btn-secondary" onClick={() => setShowModal(false)}>Cancel</button>
-                    <button className="btn btn-primary" onClick={addPayee}>Add</button>
-                  </div>
+                  <form onSubmit={addPayee} noValidate>
+                    <div className="modal-body">
+                      {formError && <div className="alert alert-danger">{formError}</div>}
+                      <div className="mb-2">
+                        <input type="text" name="payee_name" placeholder="Name" className={inputClass(errors, 'payee_name')} onChange={handleNewPayeeChange} />
+                        <FieldError errors={errors} name="payee_name" />
+                      </div>
+                      <div className="mb-2">
+                        <input type="text" name="phone" placeholder="Phone" className={inputClass(errors, 'phone')} onChange={handleNewPayeeChange} />
+                        <FieldError errors={errors} name="phone" />
+                      </div>
+                      <div className="mb-2">
+                        <input type="email" name="email" placeholder="Email" className={inputClass(errors, 'email')} onChange={handleNewPayeeChange} />
+                        <FieldError errors={errors} name="email" />
+                      </div>
+                      <div className="mb-2">
+                        <input type="text" name="entity_name" placeholder="Entity" className={inputClass(errors, 'entity_name')} onChange={handleNewPayeeChange} />
+                        <FieldError errors={errors} name="entity_name" />
+                      </div>
+                      <div className="mb-2">
+                        <input type="text" name="service_name" placeholder="Service" className={inputClass(errors, 'service_name')} onChange={handleNewPayeeChange} />
+                        <FieldError errors={errors} name="service_name" />
+                      </div>
+                      <div className="mb-2">
+                        <input type="number" name="amount" placeholder="Amount" className={inputClass(errors, 'amount')} onChange={handleNewPayeeChange} />
+                        <FieldError errors={errors} name="amount" />
+                      </div>
+                    </div>
+                    <div className="modal-footer">
+                      <button type="button" className="btn btn-secondary" onClick={() => setShowModal(false)}>Cancel</button>
+                      <button type="submit" className="btn btn-primary">Add</button>
+                    </div>
+                  </form>
                 </div>
               </div>
             </div>
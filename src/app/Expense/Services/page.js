@@ -1,12 +1,18 @@
 'use client'
 import React, { useState, useEffect } from 'react'
 import AddServiceModal from '@/app/components/AddServiceModal'
+import EditServiceModal from '@/app/components/EditServiceModal'
+import Pagination from '@/app/components/Pagination'
+import { fetchAllPages } from '@/lib/listClient'
 import axios from 'axios';
 
 export default function page() {
 
   const [services, setServices] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
   const [showModal, setShowModal] = useState(false);
+  const [editService, setEditService] = useState(null); // Service open in the edit modal
 
   
 
@@ -28,12 +34,14 @@ export default function page() {
 
       const response = await axios.get('http://localhost:3000/api/Services', {
         headers: { Authorization: token }, // Send token in header
+        params: { page },
       });
 
       console.log("✅ API Response:", response.data);
 
       if (response) {
         setServices(response.data.data);
+        setPagination(response.data.pagination);
       } else {
         alert(response.data.message || "Failed to fetch services.");
       }
@@ -53,10 +61,10 @@ export default function page() {
     }
   };
 
-  // Fetch services on mount
+  // Fetch services on mount and when the page changes
   useEffect(() => {
     fetchServices();
-  }, []);
+  }, [page]);
 
   const handleServiceAdded = () =>{
     fetchServices()
@@ -71,11 +79,8 @@ export default function page() {
     }
   
     try {
-      const response = await axios.get("http://localhost:3000/api/Entities", {
-        headers: { Authorization: token }, // Ensure Bearer token format
-      });
-  
-      setEntities(response.data.data);
+      // Every entity, as the edit modal offers them all
+      setEntities(await fetchAllPages("http://localhost:3000/api/Entities"));
       setLoading(false);
     } catch (err) {
       console.error("Error fetching entities:", err);
@@ -88,6 +93,44 @@ export default function page() {
   }, []);
   
 
+  // Delete a service, asking again before removing the payees and subscriptions that use it
+  const handleDeleteService = async (service) => {
+    if (!window.confirm(`Delete ${service.service_name}?`)) {
+      return;
+    }
+
+    const token = localStorage.getItem("token");
+
+    try {
+      await axios.delete(`http://localhost:3000/api/Services/${service.id}`, {
+        headers: { Authorization: token },
+      });
+      fetchServices();
+    } catch (error) {
+      if (error.response?.status !== 409) {
+        console.error('Error deleting service:', error);
+        alert(error.response?.data?.message || "Failed to delete service.");
+        return;
+      }
+
+      const { payees, subscriptions } = error.response.data.dependencies;
+      if (!window.confirm(`${payees} payee(s) and ${subscriptions} subscription(s) use ${service.service_name} or its payees. Delete them as well?`)) {
+        return;
+      }
+
+      try {
+        await axios.delete(`http://localhost:3000/api/Services/${service.id}`, {
+          headers: { Authorization: token },
+          params: { mode: 'cascade' },
+        });
+        fetchServices();
+      } catch (err) {
+        console.error('Error deleting service:', err);
+        alert(err.response?.data?.message || "Failed to delete service.");
+      }
+    }
+  };
+
   const getEntityName = (id) => {
     const entity = entities.find((e) => e.id === id);
     console.log(entity)
@@ -131,18 +174,21 @@ export default function page() {
                           <div>
                             <h6 className="mb-0">{service.service_name}</h6>
                             <small>{service.service_desc}</small><br />
-                            <small className="text-muted">Default Duration [ monthly ] : {service.min_duration}</small>
+                            <small className="text-muted">Default Duration [ monthly ] : {service.min_duration}</small><br />
+                            <small className="text-muted">Grace period [ days ] : {service.grace_days}</small>
                           </div>
                           <div className="d-flex align-items-center">
                             {/* <div className="badge bg-label-primary rounded-pill me-2">{service.entity_id}</div> */}
                             <div className="badge bg-label-primary rounded-pill me-2">{getEntityName(service.entity_id)}</div>
-                            <i className="ri-pencil-line text-primary" role="button" title="Edit"></i>
+                            <i className="ri-pencil-line text-primary me-2" role="button" title="Edit" onClick={() => setEditService(service)}></i>
+                            <i className="ri-delete-bin-line text-danger" role="button" title="Delete" onClick={() => handleDeleteService(service)}></i>
                           </div>
                         </div>
                       </li>
                     ))}
                   </ul>
                 )}
+                <Pagination pagination={pagination} onPage={setPage} />
               </div>
             </div>
           </div>
@@ -153,6 +199,13 @@ export default function page() {
         onServiceAdded={handleServiceAdded} 
       />
 
+          <EditServiceModal
+        service={editService}
+        entities={entities}
+        onClose={() => setEditService(null)}
+        onServiceUpdated={handleServiceAdded}
+      />
+
           <div className="col-12 col-xxl-4 col-md-6">
             <div className="card h-100 shadow-lg border-0">
               <div className="card-header d-flex justify-content-between align-items-center border-bottom">
@@ -1,4 +1,6 @@
+'use client'
 import React from 'react'
+import InstallmentsDue from '@/app/components/InstallmentsDue'
 
 export default function page() {
   return (
@@ -63,6 +65,8 @@ export default function page() {
 
 
           
+          <InstallmentsDue category="income" />
+
         </div>
       </div>
 
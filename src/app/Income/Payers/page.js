@@ -1,6 +1,34 @@
-import React from 'react'
+'use client'
+import React, { useState, useEffect } from 'react'
+import axios from 'axios';
+import PayeeList from '@/app/components/PayeeList';
+import Pagination from '@/app/components/Pagination';
 
 export default function page() {
+
+  const [payers, setPayers] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
+
+  useEffect(() => {
+    fetchPayers();
+  }, [page]);
+
+  // Payers are the payees recorded under the income category
+  const fetchPayers = async () => {
+    try {
+      const token = localStorage.getItem("token");
+      const response = await axios.get('http://localhost:3000/api/Payees', {
+        headers: { Authorization: token }, // Send token in header
+        params: { category: 'income', page },
+      });
+      setPayers(response.data.data);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      console.error('Error fetching payers:', error);
+    }
+  };
+
   return (
     <>
 
@@ -28,57 +56,8 @@ export default function page() {
               </div>
 
               <div className="card-body">
-                <ul className="p-0 m-0">
-
-                  <li className="d-flex align-items-center mb-6 border-0 rounded-3 shadow-sm mb-2 py-5 px-5">
-                    <div className="d-flex w-100 flex-wrap align-items-center justify-content-between gap-2">
-                      <div className="me-2">
-                        <h6 className="mb-0">John Doe</h6>
-                        <small className="d-flex align-items-center">Phone: +1 234 567 890</small>
-                        <small className="d-flex align-items-center">Email: johndoe@example.com</small>
-                      </div>
-                      <div className="d-flex align-items-center">
-                        <div className="badge bg-label-primary rounded-pill me-2">Entity: Business</div>
-                        <div className="badge bg-label-success rounded-pill me-2">Service: Accounting</div>
-                        <i className="ri-pencil-line text-primary" role="button" title="Edit"></i>
-                      </div>
-                    </div>
-                  </li>
-
-
-                  <li className="d-flex align-items-center mb-6 border-0 rounded-3 shadow-sm mb-2 py-5 px-5">
-                    <div className="d-flex w-100 flex-wrap align-items-center justify-content-between gap-2">
-                      <div className="me-2">
-                        <h6 className="mb-0">Jane Smith</h6>
-                        <small className="d-flex align-items-center">Phone: +1 987 654 321</small>
-                        <small className="d-flex align-items-center">Email: janesmith@example.com</small>
-                      </div>
-                      <div className="d-flex align-items-center">
-                        <div className="badge bg-label-secondary rounded-pill me-2">Entity: Personal</div>
-                        <div className="badge bg-label-info rounded-pill me-2">Service: Consulting</div>
-                        <i className="ri-pencil-line text-primary" role="button" title="Edit"></i>
-                      </div>
-                    </div>
-                  </li>
-
-
-                  <li className="d-flex align-items-center mb-6 border-0 rounded-3 shadow-sm mb-2 py-5 px-5">
-                    <div className="d-flex w-100 flex-wrap align-items-center justify-content-between gap-2">
-                      <div className="me-2">
-                        <h6 className="mb-0">Michael Lee</h6>
-                        <small className="d-flex align-items-center">Phone: +1 555 666 777</small>
-                        <small className="d-flex align-items-center">Email: michaellee@example.com</small>
-                      </div>
-                      <div className="d-flex align-items-center">
-                        <div className="badge bg-label-warning rounded-pill me-2">Entity: Home</div>
-                        <div className="badge bg-label-dark rounded-pill me-2">Service: Maintenance</div>
-                        <i className="ri-pencil-line text-primary" role="button" title="Edit"></i>
-                      </div>
-                    </div>
-                  </li>
-
-
-                </ul>
+                <PayeeList payees={payers} onChanged={fetchPayers} />
+                <Pagination pagination={pagination} onPage={setPage} />
               </div>
             </div>
           </div>
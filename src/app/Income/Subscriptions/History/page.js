@@ -0,0 +1,26 @@
+'use client'
+import React, { useEffect, useState } from 'react'
+import SubscriptionHistory from '@/app/components/SubscriptionHistory'
+
+// Renewal history of one subscription, e.g. /Income/Subscriptions/History?id=12
+export default function page() {
+    const [id, setId] = useState(null)
+
+    useEffect(() => {
+        setId(new URLSearchParams(window.location.search).get('id'))
+    }, [])
+
+    return (
+        <>
+            <div className="container-xxl flex-grow-1 container-p-y">
+                <div className="d-flex justify-content-between align-items-center mb-6">
+                    <h4 className="mb-0">Subscription #{id}</h4>
+                    <a href="/Income/Subscriptions" className="btn btn-outline-secondary btn-sm">
+                        <i className="ri-arrow-left-line me-1"></i> All Subscriptions
+                    </a>
+                </div>
+                {id && <SubscriptionHistory id={id} />}
+            </div>
+        </>
+    )
+}
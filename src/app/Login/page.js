@@ -2,6 +2,7 @@
 import React, { useState } from 'react'
 import Link from 'next/link'
 import axios from "axios";
+import { safeRedirectPath } from '@/lib/redirects'
 
 export default function page() {
 
@@ -11,6 +12,19 @@ export default function page() {
   const [error, setError] = useState(null);
   const [loading, setLoading] = useState(false);
 
+  // Second step, when the account has two-step verification on
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState("");
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+
+  const finishLogin = (data) => {
+    // Save token to localStorage
+    localStorage.setItem("token", data.token);
+
+    // Go back to the page that sent us to login, or to the homepage
+    const next = new URLSearchParams(window.location.search).get("next");
+    window.location.href = safeRedirectPath(next, window.location.origin) || "/";
+  };
 
   const handleLogin = async (e) => {
     e.preventDefault(); // Prevent page reload
@@ -23,13 +37,13 @@ export default function page() {
         password: password,
       });
 
-      console.log("Login Success:", response.data);
-
-      // Save token to localStorage
-      localStorage.setItem("token", response.data.token);
+      if (response.data.two_factor_required) {
+        setChallengeToken(response.data.challenge_token);
+        return;
+      }
 
-      // Redirect to dashboard or homepage
-      window.location.href = "/";
+      console.log("Login Success:", response.data);
+      finishLogin(response.data);
     } catch (err) {
       console.error("Login Error:", err.response?.data);
       setError(err.response?.data?.message || "Login failed");
@@ -38,6 +52,34 @@ export default function page() {
     }
   };
 
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await axios.post("http://localhost:3000/api/Login/TwoFactor", {
+        challenge_token: challengeToken,
+        [useRecoveryCode ? "recovery_code" : "code"]: code,
+      });
+      finishLogin(response.data);
+    } catch (err) {
+      console.error("Verification Error:", err.response?.data);
+      setError(err.response?.data?.message || "Verification failed");
+      setCode("");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Back to the password step, e.g. after the challenge expired
+  const cancelVerify = () => {
+    setChallengeToken(null);
+    setCode("");
+    setUseRecoveryCode(false);
+    setError(null);
+  };
+
 
   return (
     <>
@@ -119,6 +161,52 @@ export default function page() {
         <div
           className="d-flex col-12 col-lg-5 col-xl-4 align-items-center authentication-bg position-relative py-sm-12 px-12 py-6">
           <div className="w-px-400 mx-auto pt-5 pt-lg-0">
+            {challengeToken ? (
+            <>
+            <h4 className="mb-1">Two-Step Verification 💬</h4>
+            <p className="mb-5">
+              {useRecoveryCode
+                ? "Enter one of the recovery codes you saved when you set up two-step verification."
+                : "Enter the 6-digit code from your authenticator app."}
+            </p>
+
+            <form id="formTwoFactor" className="mb-5" onSubmit={handleVerify}>
+              <div className="form-floating form-floating-outline mb-5">
+                <input
+                  type="text"
+                  className="form-control"
+                  id="code"
+                  name="code"
+                  autoComplete="one-time-code"
+                  inputMode={useRecoveryCode ? "text" : "numeric"}
+                  placeholder={useRecoveryCode ? "xxxxx-xxxxx" : "123456"}
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  autoFocus />
+                <label htmlFor="code">{useRecoveryCode ? "Recovery Code" : "Verification Code"}</label>
+              </div>
+
+              {error && <p className="text-danger">{error}</p>}
+
+              <button className="btn btn-primary d-grid w-100 mb-5" type="submit" disabled={loading || !code}>
+                {loading ? "Verifying..." : "Verify"}
+              </button>
+
+              <div className="d-flex justify-content-between">
+                <button
+                  type="button"
+                  className="btn btn-link p-0"
+                  onClick={() => { setUseRecoveryCode(!useRecoveryCode); setCode(""); setError(null); }}>
+                  {useRecoveryCode ? "Use authenticator app" : "Use a recovery code"}
+                </button>
+                <button type="button" className="btn btn-link p-0" onClick={cancelVerify}>
+                  Back to login
+                </button>
+              </div>
+            </form>
+            </>
+            ) : (
+            <>
             <h4 className="mb-1">Welcome to Materialize! 👋</h4>
             <p className="mb-5">Please sign-in to your account and start the adventure</p>
 
@@ -160,9 +248,9 @@ export default function page() {
                   <input className="form-check-input" type="checkbox" id="remember-me" />
                   <label className="form-check-label" htmlFor="remember-me"> Remember Me </label>
                 </div>
-                <a href="auth-forgot-password-cover.html" className="float-end mb-1 mt-2">
+                <Link href="/ForgotPassword" className="float-end mb-1 mt-2">
                   <span>Forgot Password?</span>
-                </a>
+                </Link>
               </div>
               {/* Error Message */}
               {error && <p className="text-danger">{error}</p>}
@@ -202,6 +290,8 @@ export default function page() {
                 <i className="tf-icons ri-google-fill"></i>
               </a>
             </div>
+            </>
+            )}
           </div>
         </div>
         
@@ -1,8 +1,46 @@
-import React from 'react'
+'use client'
+import React, { useState } from 'react'
 import Link from 'next/link'
+import axios from "axios";
+import FieldError, { inputClass, responseErrors } from '@/app/components/FieldError'
+import { PASSWORD_RULES } from '@/lib/passwordPolicy'
 
 
 export default function page() {
+  const [formData, setFormData] = useState({ username: "", email: "", password: "" });
+  const [agreed, setAgreed] = useState(false);
+  const [errors, setErrors] = useState({});
+  const [error, setError] = useState(null);
+  const [created, setCreated] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  const handleSignup = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setErrors({});
+    if (!agreed) {
+      setErrors({ terms: "Please accept the privacy policy & terms" });
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await axios.post("http://localhost:3000/api/Signup", formData);
+      setCreated(response.data.message);
+    } catch (err) {
+      console.error("Signup Error:", err.response?.data);
+      const { errors, message } = responseErrors(err, "Signup failed");
+      setErrors(errors);
+      setError(message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   return (
     <>
     
@@ -84,20 +122,38 @@ export default function page() {
             <h4 className="mb-1">Adventure starts here 🚀</h4>
             <p className="mb-5">Make your app management easy and fun!</p>
 
-            <form id="formAuthentication" className="mb-5" action="index.html" method="GET">
+            {created ? (
+            <div className="mb-5">
+              <div className="alert alert-success">{created}</div>
+              <p>Follow the link in the email to confirm your address, then sign in. You can sign in before that, but most features stay locked until it is confirmed.</p>
+            </div>
+            ) : (
+            <form id="formAuthentication" className="mb-5" onSubmit={handleSignup} noValidate>
+              {error && <div className="alert alert-danger">{error}</div>}
               <div className="form-floating form-floating-outline mb-5">
                 <input
                   type="text"
-                  className="form-control"
+                  className={inputClass(errors, "username")}
                   id="username"
                   name="username"
                   placeholder="Enter your username"
-                  autofocus />
-                <label for="username">Username</label>
+                  value={formData.username}
+                  onChange={handleChange}
+                  autoFocus />
+                <label htmlFor="username">Username</label>
+                <FieldError errors={errors} name="username" />
               </div>
               <div className="form-floating form-floating-outline mb-5">
-                <input type="text" className="form-control" id="email" name="email" placeholder="Enter your email" />
-                <label for="email">Email</label>
+                <input
+                  type="email"
+                  className={inputClass(errors, "email")}
+                  id="email"
+                  name="email"
+                  placeholder="Enter your email"
+                  value={formData.email}
+                  onChange={handleChange} />
+                <label htmlFor="email">Email</label>
+                <FieldError errors={errors} name="email" />
               </div>
               <div className="mb-5 form-password-toggle">
                 <div className="input-group input-group-merge">
@@ -105,26 +161,47 @@ export default function page() {
                     <input
                       type="password"
                       id="password"
-                      className="form-control"
+                      className={inputClass(errors, "password")}
                       name="password"
+                      autoComplete="new-password"
+                      value={formData.password}
+                      onChange={handleChange}
                       placeholder="&#xb7;&#xb7;&#xb7;&#xb7;&#xb7;&#xb7;&#xb7;&#xb7;&#xb7;&#xb7;&#xb7;&#xb7;"
                       aria-describedby="password" />
-                    <label for="password">Password</label>
+                    <label htmlFor="password">Password</label>
                   </div>
                   <span className="input-group-text cursor-pointer"><i className="ri-eye-off-line"></i></span>
                 </div>
+                <FieldError errors={errors} name="password" />
+                <ul className="ps-4 mt-2 mb-0 small">
+                  {PASSWORD_RULES.map((rule) => (
+                    <li key={rule.label} className={formData.password && rule.test(formData.password) ? "text-success" : ""}>
+                      {rule.label}
+                    </li>
+                  ))}
+                </ul>
               </div>
               <div className="mb-5">
                 <div className="form-check mt-2">
-                  <input className="form-check-input" type="checkbox" id="terms-conditions" name="terms" />
-                  <label className="form-check-label" for="terms-conditions">
+                  <input
+                    className="form-check-input"
+                    type="checkbox"
+                    id="terms-conditions"
+                    name="terms"
+                    checked={agreed}
+                    onChange={(e) => setAgreed(e.target.checked)} />
+                  <label className="form-check-label" htmlFor="terms-conditions">
                     I agree to
                     <a href="javascript:void(0);">privacy policy & terms</a>
                   </label>
                 </div>
+                <FieldError errors={errors} name="terms" />
               </div>
-              <button className="btn btn-primary d-grid w-100">Sign up</button>
+              <button className="btn btn-primary d-grid w-100" type="submit" disabled={loading}>
+                {loading ? "Signing up..." : "Sign up"}
+              </button>
             </form>
+            )}
 
             <p className="text-center">
               <span>Already have an account?</span>
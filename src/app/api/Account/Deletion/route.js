@@ -0,0 +1,88 @@
+import { NextResponse } from 'next/server';
+import { db } from '../../../../db';
+import { withAuth } from '../../../../lib/auth';
+import { DELETION_GRACE_PERIOD, cancelAccountDeletion, getAccountDeletion, scheduleAccountDeletion } from '../../../../lib/accountDeletion';
+import { verifyPassword } from '../../../../lib/passwords';
+import { ValidationError, parseBody } from '../../../../lib/validation';
+import { DELETE_ACCOUNT_SCHEMA } from '../../../../lib/schemas';
+
+// Enable CORS for preflight requests (OPTIONS)
+export async function OPTIONS() {
+  return NextResponse.json(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  });
+}
+
+// GET request for the pending deletion of the account, if any
+export const GET = withAuth(async (request, { user }) => {
+  try {
+    const deletion = await getAccountDeletion(user.id);
+
+    return NextResponse.json({
+      message: 'Account deletion fetched successfully',
+      data: { scheduled: Boolean(deletion), ...deletion, grace_period_days: DELETION_GRACE_PERIOD },
+    }, {
+      status: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+  } catch (error) {
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+}, { allowUnverified: true });
+
+// POST request to schedule the account's deletion after the grace period. Needs the password.
+export const POST = withAuth(async (request, { user }) => {
+  try {
+    const { password } = await parseBody(request, DELETE_ACCOUNT_SCHEMA);
+
+    const [[account]] = await db.execute('SELECT sr, username, name, email, password FROM users WHERE sr = ?', [user.id]);
+    if (!account) {
+      return NextResponse.json({ message: 'User not found' }, { status: 404 });
+    }
+    if (!(await verifyPassword(password, account.password)).valid) {
+      throw new ValidationError({ password: 'Password is incorrect' });
+    }
+
+    const deletion = await scheduleAccountDeletion(account);
+
+    return NextResponse.json({
+      message: 'Your account is scheduled for deletion. You can cancel until then.',
+      data: { scheduled: true, ...deletion, grace_period_days: DELETION_GRACE_PERIOD },
+    }, {
+      status: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return NextResponse.json({ message: error.message, errors: error.errors }, { status: 400 });
+    }
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+}, { allowUnverified: true });
+
+// DELETE request to cancel a pending deletion
+export const DELETE = withAuth(async (request, { user }) => {
+  try {
+    if (!(await cancelAccountDeletion(user.id))) {
+      return NextResponse.json({ message: 'No account deletion is pending' }, { status: 404 });
+    }
+
+    return NextResponse.json({ message: 'Account deletion cancelled' }, {
+      status: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+  } catch (error) {
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+}, { allowUnverified: true });
@@ -0,0 +1,38 @@
+import { NextResponse } from 'next/server';
+import { withAuth } from '../../../../lib/auth';
+import { buildDataExport } from '../../../../lib/dataExport';
+
+// Enable CORS for preflight requests (OPTIONS)
+export async function OPTIONS() {
+  return NextResponse.json(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  });
+}
+
+// GET request to download everything the account owns as a ZIP archive of JSON files
+export const GET = withAuth(async (request, { user }) => {
+  try {
+    const exported = await buildDataExport(user.id);
+    if (!exported) {
+      return NextResponse.json({ message: 'User not found' }, { status: 404 });
+    }
+
+    return new NextResponse(exported.archive, {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/zip',
+        'Content-Disposition': `attachment; filename="${exported.filename}"`,
+        'Cache-Control': 'no-store',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Expose-Headers': 'Content-Disposition',
+      },
+    });
+  } catch (error) {
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+}, { allowUnverified: true });
@@ -0,0 +1,30 @@
+import { NextResponse } from 'next/server';
+import { withAuth } from '../../../../lib/auth';
+import { revokeApiKey } from '../../../../lib/apiKeys';
+
+// Enable CORS for preflight requests (OPTIONS)
+export async function OPTIONS() {
+  return NextResponse.json(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  });
+}
+
+// DELETE request to revoke one of the user's API keys. Requests using it are refused from now on.
+export const DELETE = withAuth(async (request, { params, user }) => {
+  try {
+    const { id } = await params;
+
+    if (!(await revokeApiKey(id, user.id))) {
+      return NextResponse.json({ message: 'API key not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ message: 'API key revoked' }, { status: 200 });
+  } catch (error) {
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+});
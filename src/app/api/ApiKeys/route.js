@@ -0,0 +1,60 @@
+import { NextResponse } from 'next/server';
+import { withAuth } from '../../../lib/auth';
+import { createApiKey, listApiKeys } from '../../../lib/apiKeys';
+import { ValidationError, parseBody } from '../../../lib/validation';
+import { API_KEY_SCHEMA } from '../../../lib/schemas';
+
+// Enable CORS for preflight requests (OPTIONS)
+export async function OPTIONS() {
+  return NextResponse.json(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  });
+}
+
+// GET request to list the user's API keys. Only the first characters of each key are returned.
+export const GET = withAuth(async (request, { user }) => {
+  try {
+    const keys = await listApiKeys(user.id);
+
+    return NextResponse.json({
+      message: 'API keys fetched successfully',
+      data: keys,
+    }, {
+      status: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+  } catch (error) {
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+});
+
+// POST request to create an API key. The key is in the response and is not shown again.
+export const POST = withAuth(async (request, { user }) => {
+  try {
+    const body = await parseBody(request, API_KEY_SCHEMA);
+
+    const { apiKey, key } = await createApiKey(user.id, body);
+
+    return NextResponse.json({
+      message: 'API key created. Copy it now, it will not be shown again.',
+      data: { ...apiKey, key },
+    }, {
+      status: 201,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return NextResponse.json({ message: error.message, errors: error.errors }, { status: 400 });
+    }
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+});
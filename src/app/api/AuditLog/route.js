@@ -0,0 +1,62 @@
+import { NextResponse } from 'next/server';
+import { ListQueryError, runListQuery } from '../../../lib/listQuery';
+import { withAuth } from '../../../lib/auth';
+
+// Enable CORS for preflight requests (OPTIONS)
+export async function OPTIONS() {
+  return NextResponse.json(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  });
+}
+
+// GET request to list the audit trail of the user's entities, services, payees and subscriptions,
+// newest first. Filters: resource, record_id, action, actor_id and created_at_from / created_at_to.
+// Admins may pass user_id to read another user's trail.
+export const GET = withAuth(async (request, { user }) => {
+  try {
+    const { searchParams } = new URL(request.url);
+
+    const owner = user.roles.includes('admin') && searchParams.get('user_id') ? searchParams.get('user_id') : user.id;
+
+    const { rows, pagination } = await runListQuery(searchParams, {
+      select: `id, user_id, action, resource, record_id, actor_id, actor_username, api_key_id, ip, user_agent,
+               before_data, after_data, created_at`,
+      from: 'audit_log',
+      where: ['user_id = ?'],
+      params: [owner],
+      sortable: {
+        id: 'id',
+        created_at: 'created_at',
+      },
+      filters: {
+        resource: 'resource',
+        record_id: 'record_id',
+        action: 'action',
+        actor_id: 'actor_id',
+      },
+      dateFilters: { created_at: 'created_at' },
+      defaultSort: '-id',
+    });
+
+    return NextResponse.json({
+      message: 'Audit log fetched successfully',
+      data: rows,
+      pagination,
+    }, {
+      status: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+  } catch (error) {
+    if (error instanceof ListQueryError) {
+      return NextResponse.json({ message: error.message }, { status: 400 });
+    }
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+});
@@ -0,0 +1,23 @@
+import { NextResponse } from 'next/server';
+import { cronHandler } from '../../../../lib/cron';
+import { runPaymentTracking } from '../../../../lib/installments';
+
+// Enable CORS for preflight requests (OPTIONS)
+export async function OPTIONS() {
+  return NextResponse.json(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  });
+}
+
+// Record the installments that moved between due, overdue, in-grace and lapsed. Meant for a
+// daily cron job (or a scheduler that can only send GET requests) with
+// `Authorization: Bearer <CRON_SECRET>`; see lib/cron.js.
+const run = cronHandler(runPaymentTracking, 'Payment states recorded');
+
+export const GET = run;
+export const POST = run;
@@ -0,0 +1,22 @@
+import { NextResponse } from 'next/server';
+import { cronHandler } from '../../../../lib/cron';
+import { runReminders } from '../../../../lib/reminders';
+
+// Enable CORS for preflight requests (OPTIONS)
+export async function OPTIONS() {
+  return NextResponse.json(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  });
+}
+
+// Run the reminder scheduler. Meant for a daily cron job (or a scheduler that can only send
+// GET requests) with `Authorization: Bearer <CRON_SECRET>`; see lib/cron.js.
+const run = cronHandler(runReminders, 'Reminders scheduled');
+
+export const GET = run;
+export const POST = run;
@@ -0,0 +1,22 @@
+import { NextResponse } from 'next/server';
+import { cronHandler } from '../../../../lib/cron';
+import { runRenewals } from '../../../../lib/renewals';
+
+// Enable CORS for preflight requests (OPTIONS)
+export async function OPTIONS() {
+  return NextResponse.json(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  });
+}
+
+// Renew or lapse the subscriptions whose term has ended. Meant for a daily cron job (or a scheduler that can only send
+// GET requests) with `Authorization: Bearer <CRON_SECRET>`; see lib/cron.js.
+const run = cronHandler(runRenewals, 'Renewals processed');
+
+export const GET = run;
+export const POST = run;
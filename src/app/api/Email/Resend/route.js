@@ -0,0 +1,44 @@
+import { NextResponse } from 'next/server';
+import { db } from '../../../../db';
+import { withAuth } from '../../../../lib/auth';
+import { ResendTooSoonError, sendVerificationEmail } from '../../../../lib/emailVerification';
+
+// Enable CORS for preflight requests (OPTIONS)
+export async function OPTIONS() {
+  return NextResponse.json(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  });
+}
+
+// POST request to send a new verification link. Earlier links stop working.
+export const POST = withAuth(async (request, { user }) => {
+  try {
+    const [rows] = await db.execute('SELECT sr, username, name, email, email_verified_at FROM users WHERE sr = ?', [user.id]);
+    const account = rows[0];
+    if (!account) {
+      return NextResponse.json({ message: 'User not found' }, { status: 404 });
+    }
+    if (account.email_verified_at) {
+      return NextResponse.json({ message: 'Your email address is already verified' }, { status: 409 });
+    }
+
+    await sendVerificationEmail(account);
+
+    return NextResponse.json({ message: `Verification email sent to ${account.email}` }, {
+      status: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+  } catch (error) {
+    if (error instanceof ResendTooSoonError) {
+      return NextResponse.json({ message: error.message }, { status: 429 });
+    }
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+}, { allowUnverified: true });
@@ -0,0 +1,43 @@
+import { NextResponse } from 'next/server';
+import { verifyEmailToken } from '../../../../lib/emailVerification';
+import { ValidationError, parseBody } from '../../../../lib/validation';
+import { VERIFY_EMAIL_SCHEMA } from '../../../../lib/schemas';
+
+// Enable CORS for preflight requests (OPTIONS)
+export async function OPTIONS() {
+  return NextResponse.json(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  });
+}
+
+// POST request to confirm an email address with the token from the verification link.
+// It does not need a login, so the link also works in another browser.
+export async function POST(request) {
+  try {
+    const { token } = await parseBody(request, VERIFY_EMAIL_SCHEMA);
+
+    if (!(await verifyEmailToken(token))) {
+      return NextResponse.json(
+        { message: 'This verification link is invalid or has expired. Log in to get a new one.' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({ message: 'Your email address has been verified' }, {
+      status: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return NextResponse.json({ message: error.message, errors: error.errors }, { status: 400 });
+    }
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,41 @@
+import { NextResponse } from 'next/server';
+import { db } from '../../../db';
+import { withAuth } from '../../../lib/auth';
+
+// Enable CORS for preflight requests (OPTIONS)
+export async function OPTIONS() {
+  return NextResponse.json(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  });
+}
+
+// GET request for the user's email address and whether it has been verified
+export const GET = withAuth(async (request, { user }) => {
+  try {
+    const [rows] = await db.execute('SELECT email, email_verified_at FROM users WHERE sr = ?', [user.id]);
+    if (rows.length === 0) {
+      return NextResponse.json({ message: 'User not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      message: 'Email status fetched successfully',
+      data: {
+        email: rows[0].email,
+        verified: rows[0].email_verified_at !== null,
+        verified_at: rows[0].email_verified_at,
+      },
+    }, {
+      status: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+  } catch (error) {
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+}, { allowUnverified: true });
@@ -0,0 +1,270 @@
+import { NextResponse } from 'next/server';
+import { db, withTransaction } from '../../../../db';
+import { deleteOwned, findOwned, isNameTaken, listOwned, updateOwned } from '../../../../lib/records';
+import { withAuth } from '../../../../lib/auth';
+import { auditActor, auditChanges } from '../../../../lib/audit';
+import { ValidationError, parseBody } from '../../../../lib/validation';
+import { ENTITY_SCHEMA } from '../../../../lib/schemas';
+
+// Tables that reference an entity through entity_id
+const DEPENDENT_TABLES = ['services', 'payees', 'subscriptions'];
+
+// Enable CORS for preflight requests (OPTIONS)
+export async function OPTIONS() {
+  return NextResponse.json(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, PUT, PATCH, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  });
+}
+
+// The rows a cascading delete of an entity removes: its services, payees and subscriptions, and
+// the payees and subscriptions of other entities that use one of those services or payees
+async function cascadeDependents(id, user_id, conn = db) {
+  const services = await listOwned('services', 'entity_id', id, user_id, conn);
+  const serviceIds = services.map((service) => service.id);
+  const inList = (ids) => (ids.length ? `IN (${ids.map(() => '?').join(', ')})` : 'IN (NULL)');
+
+  const [payees] = await conn.execute(
+    `SELECT * FROM payees WHERE user_id = ? AND (entity_id = ? OR service_id ${inList(serviceIds)}) ORDER BY id`,
+    [user_id, id, ...serviceIds]
+  );
+  const payeeIds = payees.map((payee) => payee.id);
+
+  const [subscriptions] = await conn.execute(
+    `SELECT * FROM subscriptions
+     WHERE user_id = ? AND (entity_id = ? OR service_id ${inList(serviceIds)} OR payee_id ${inList(payeeIds)})
+     ORDER BY id`,
+    [user_id, id, ...serviceIds, ...payeeIds]
+  );
+  return { services, payees, subscriptions };
+}
+
+// Number of rows of each dependent table, as reported to the client
+function countDependents(dependents) {
+  return Object.fromEntries(DEPENDENT_TABLES.map((table) => [table, dependents[table].length]));
+}
+
+// GET request to fetch a single entity along with the records that depend on it
+export const GET = withAuth(async (request, { params, user }) => {
+  try {
+    const { id } = await params;
+
+    const entity = await findOwned('entities', id, user.id);
+    if (!entity) {
+      return NextResponse.json({ message: 'Entity not found' }, { status: 404 });
+    }
+
+    // Everything a cascading delete would remove, so the confirmation matches the delete
+    const dependencies = countDependents(await cascadeDependents(id, user.id));
+
+    return NextResponse.json({
+      message: 'Entity fetched successfully',
+      data: { ...entity, dependencies },
+    }, {
+      status: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+
+  } catch (error) {
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+}, { scope: 'entities' });
+
+// PUT request to update an entity. Only the fields present in the body are changed,
+// so the same handler also serves PATCH.
+export const PUT = withAuth(async (request, { params, user }) => {
+  try {
+    const { id } = await params;
+
+    const entity = await findOwned('entities', id, user.id);
+    if (!entity) {
+      return NextResponse.json({ message: 'Entity not found' }, { status: 404 });
+    }
+
+    // Validate the fields present in the body and merge them over the stored values
+    const body = await parseBody(request, ENTITY_SCHEMA, { partial: true });
+    const entity_name = body.entity_name ?? entity.entity_name;
+    const entity_desc = body.entity_desc ?? entity.entity_desc;
+    const entity_short_desc = body.entity_short_desc ?? entity.entity_short_desc;
+    const category = body.category ?? entity.category;
+
+    // Entity names are unique per user
+    if (await isNameTaken('entities', entity_name, user.id, entity.id)) {
+      const message = `Entity "${entity_name}" already exists`;
+      return NextResponse.json({ message, errors: { entity_name: message } }, { status: 409 });
+    }
+
+    // Update the entity in the database together with its audit entry
+    await withTransaction(async (connection) => {
+      await updateOwned('entities', id, {
+        entity_name,
+        entity_desc,
+        entity_short_desc,
+        category,
+      }, user.id, connection);
+      await auditChanges(auditActor(request, user), 'entities', [entity], connection);
+    });
+
+    return NextResponse.json(
+      {
+        message: 'Entity updated successfully',
+        data: {
+          id: entity.id,
+          user_id: user.id,
+          entity_name,
+          entity_desc,
+          entity_short_desc,
+          category,
+        },
+      },
+      {
+        status: 200,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+        }
+      }
+    );
+
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return NextResponse.json({ message: error.message, errors: error.errors }, { status: 400 });
+    }
+    return NextResponse.json(
+      { message: 'Something went wrong', error: error.message },
+      { status: 500 }
+    );
+  }
+}, { scope: 'entities' });
+
+export const PATCH = PUT;
+
+// DELETE request to remove an entity.
+// The `mode` query parameter decides what happens to dependent records:
+//   restrict (default) - refuse with 409 and report the dependencies
+//   cascade            - delete the dependent subscriptions, payees and services as well, including
+//                        payees and subscriptions of other entities that use those services or payees
+//   reassign           - move the dependent records to the entity given in `reassign_to`
+export const DELETE = withAuth(async (request, { params, user }) => {
+  try {
+    const { id } = await params;
+    const { searchParams } = new URL(request.url);
+    const mode = (searchParams.get('mode') || 'restrict').toLowerCase();
+    const reassign_to = searchParams.get('reassign_to');
+
+    if (!['restrict', 'cascade', 'reassign'].includes(mode)) {
+      return NextResponse.json(
+        { message: 'Invalid mode. Allowed values are "restrict", "cascade" or "reassign".' },
+        { status: 400 }
+      );
+    }
+
+    const entity = await findOwned('entities', id, user.id);
+    if (!entity) {
+      return NextResponse.json({ message: 'Entity not found' }, { status: 404 });
+    }
+
+    let target = null;
+    if (mode === 'reassign' && reassign_to) {
+      if (String(reassign_to) === String(id)) {
+        return NextResponse.json({ message: 'Cannot reassign records to the entity being deleted' }, { status: 400 });
+      }
+
+      target = await findOwned('entities', reassign_to, user.id);
+      if (!target) {
+        return NextResponse.json({ message: 'Target entity for reassignment not found' }, { status: 404 });
+      }
+    }
+
+    // Check, move or remove the dependents and delete the entity as one unit, auditing every row
+    // touched. The dependencies are read inside the transaction so that the 409 and the counts in
+    // `affected` describe the rows this delete actually meets.
+    const result = await withTransaction(async (connection) => {
+      const actor = auditActor(request, user);
+      const cascade = await cascadeDependents(id, user.id, connection);
+      const dependencies = countDependents(cascade);
+      const hasDependencies = Object.values(dependencies).some((count) => count > 0);
+
+      if (hasDependencies && mode === 'restrict') {
+        return { conflict: dependencies };
+      }
+      if (hasDependencies && mode === 'reassign' && !target) {
+        return { missingTarget: true };
+      }
+
+      // Reassigning moves only the rows that point at the entity itself
+      let dependents = cascade;
+      if (mode !== 'cascade') {
+        dependents = {};
+        for (const table of DEPENDENT_TABLES) {
+          dependents[table] = await listOwned(table, 'entity_id', id, user.id, connection);
+        }
+      }
+
+      if (hasDependencies && mode === 'reassign') {
+        for (const table of DEPENDENT_TABLES) {
+          await connection.execute(
+            `UPDATE ${table} SET entity_id = ? WHERE entity_id = ? AND user_id = ?`,
+            [target.id, id, user.id]
+          );
+        }
+      }
+
+      if (hasDependencies && mode === 'cascade') {
+        // Children first so that no row is left pointing at a deleted parent
+        for (const table of [...DEPENDENT_TABLES].reverse()) {
+          const ids = dependents[table].map((row) => row.id);
+          if (ids.length) {
+            await connection.execute(
+              `DELETE FROM ${table} WHERE user_id = ? AND id IN (${ids.map(() => '?').join(', ')})`,
+              [user.id, ...ids]
+            );
+          }
+        }
+      }
+
+      await deleteOwned('entities', id, user.id, connection);
+
+      for (const table of [...DEPENDENT_TABLES].reverse()) {
+        await auditChanges(actor, table, dependents[table], connection);
+      }
+      await auditChanges(actor, 'entities', [entity], connection);
+
+      return { affected: countDependents(dependents) };
+    });
+
+    if (result.conflict) {
+      return NextResponse.json(
+        { message: 'Entity is still referenced by other records', dependencies: result.conflict },
+        { status: 409 }
+      );
+    }
+    if (result.missingTarget) {
+      return NextResponse.json({ message: 'reassign_to is required when mode is "reassign"' }, { status: 400 });
+    }
+
+    return NextResponse.json(
+      {
+        message: 'Entity deleted successfully',
+        data: { id: entity.id, mode, affected: result.affected },
+      },
+      {
+        status: 200,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+        }
+      }
+    );
+
+  } catch (error) {
+    return NextResponse.json(
+      { message: 'Something went wrong', error: error.message },
+      { status: 500 }
+    );
+  }
+}, { scope: 'entities' });
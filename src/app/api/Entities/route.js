@@ -1,6 +1,11 @@
 import { NextResponse } from 'next/server';
-import jwt from 'jsonwebtoken';
-import { db } from '../../../db';
+import { withTransaction } from '../../../db';
+import { ListQueryError, runListQuery } from '../../../lib/listQuery';
+import { insertOwned, isNameTaken } from '../../../lib/records';
+import { withAuth } from '../../../lib/auth';
+import { auditActor, auditCreate } from '../../../lib/audit';
+import { ValidationError, parseBody } from '../../../lib/validation';
+import { ENTITY_SCHEMA } from '../../../lib/schemas';
 
 // Enable CORS for preflight requests (OPTIONS)
 export async function OPTIONS() {
@@ -15,39 +20,30 @@ export async function OPTIONS() {
 }
 
 // GET request to fetch entities with user details (username) from the database with Bearer token
-export async function GET(request) {
+export const GET = withAuth(async (request, { user }) => {
   try {
-    const authHeader = request.headers.get('Authorization');
-    
-    // Check if Authorization header is present
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return NextResponse.json({ message: 'Authorization token is missing or invalid' }, { status: 401 });
-    }
-
-    // Extract token from Authorization header
-    const token = authHeader.split(' ')[1];
-
-    // Verify the token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    // Query the database to fetch entities with the username by joining 'users' and 'entities'
-    const [rows] = await db.execute(
-      `SELECT entities.*, users.username, users.sr AS user_id
-       FROM entities
-       JOIN users ON entities.user_id = users.sr
-       WHERE users.sr = ?`,
-      [decoded.user_id]
-    );
-
-    // Check if there are entities
-    if (rows.length === 0) {
-      return NextResponse.json({ message: 'No entities found' }, { status: 404 });
-    }
+    // Query the database to fetch one page of entities with the username by joining 'users' and 'entities'
+    const { searchParams } = new URL(request.url);
+    const { rows, pagination } = await runListQuery(searchParams, {
+      select: 'entities.*, users.username, users.sr AS user_id',
+      from: 'entities JOIN users ON entities.user_id = users.sr',
+      where: ['users.sr = ?'],
+      params: [user.id],
+      sortable: {
+        id: 'entities.id',
+        entity_name: 'entities.entity_name',
+        entity_short_desc: 'entities.entity_short_desc',
+        category: 'entities.category',
+      },
+      filters: { category: 'entities.category' },
+      defaultSort: 'entity_name',
+    });
 
     // Send success response with fetched entities and user details
     return NextResponse.json({
       message: 'Entities fetched successfully',
       data: rows,
+      pagination,
     }, {
       status: 200,
       headers: {
@@ -56,68 +52,54 @@ export async function GET(request) {
     });
 
   } catch (error) {
+    if (error instanceof ListQueryError) {
+      return NextResponse.json({ message: error.message }, { status: 400 });
+    }
     return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
   }
-}
+}, { scope: 'entities' });
 
 
 // POST request to create a new entity
-export async function POST(request) {
+export const POST = withAuth(async (request, { user }) => {
   try {
-    const authHeader = request.headers.get('Authorization');
-
-    // Check if Authorization header is present
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return NextResponse.json({ message: 'Authorization token is missing or invalid' }, { status: 401 });
-    }
-
-    // Extract token and verify
-    const token = authHeader.split(' ')[1];
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    // Parse the request body
-    const body = await request.json();
+    // Parse and validate the request body
     const {
       entity_name,
       entity_desc,
       entity_short_desc,
       category,
-    } = body;
+    } = await parseBody(request, ENTITY_SCHEMA);
 
-    // Validate required fields
-    if (!entity_name || !entity_desc || !entity_short_desc || !category) {
-      return NextResponse.json(
-        { message: 'Missing required fields: entity_name, entity_desc, entity_short_desc, and category are mandatory.' },
-        { status: 400 }
-      );
+    // Entity names are unique per user
+    if (await isNameTaken('entities', entity_name, user.id)) {
+      const message = `Entity "${entity_name}" already exists`;
+      return NextResponse.json({ message, errors: { entity_name: message } }, { status: 409 });
     }
 
-    // Validate category
-    if (!['income', 'expense'].includes(category.toLowerCase())) {
-      return NextResponse.json(
-        { message: 'Invalid category. Allowed values are "income" or "expense".' },
-        { status: 400 }
-      );
-    }
-
-    // Insert the new entity into the database
-    const [result] = await db.execute(
-      `INSERT INTO entities (user_id, entity_name, entity_desc, entity_short_desc, category)
-       VALUES (?, ?, ?, ?, ?)`,
-      [decoded.user_id, entity_name, entity_desc, entity_short_desc, category.toLowerCase()]
-    );
+    // Insert the new entity into the database together with its audit entry
+    const id = await withTransaction(async (connection) => {
+      const id = await insertOwned('entities', {
+        entity_name,
+        entity_desc,
+        entity_short_desc,
+        category,
+      }, user.id, connection);
+      await auditCreate(auditActor(request, user), 'entities', id, connection);
+      return id;
+    });
 
     // Return success response
     return NextResponse.json(
       {
         message: 'Entity created successfully',
         data: {
-          id: result.insertId,
-          user_id: decoded.user_id,
+          id,
+          user_id: user.id,
           entity_name,
           entity_desc,
           entity_short_desc,
-          category: category.toLowerCase(),
+          category,
         },
       },
       {
@@ -129,9 +111,12 @@ export async function POST(request) {
     );
 
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return NextResponse.json({ message: error.message, errors: error.errors }, { status: 400 });
+    }
     return NextResponse.json(
       { message: 'Something went wrong', error: error.message },
       { status: 500 }
     );
   }
-}
\ No newline at end of file
+}, { scope: 'entities' });
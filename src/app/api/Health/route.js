@@ -0,0 +1,13 @@
+import { NextResponse } from 'next/server';
+import { checkDatabase } from '../../../db';
+
+// GET request used by load balancers and uptime checks. Reports whether the database answers.
+export async function GET() {
+  try {
+    await checkDatabase();
+
+    return NextResponse.json({ status: 'ok', database: 'up' }, { status: 200 });
+  } catch (error) {
+    return NextResponse.json({ status: 'error', database: 'down', error: error.message }, { status: 503 });
+  }
+}
@@ -0,0 +1,38 @@
+import { NextResponse } from 'next/server';
+import { markInstallments } from '../../../../lib/installments';
+import { withAuth } from '../../../../lib/auth';
+import { ValidationError, parseBody } from '../../../../lib/validation';
+import { INSTALLMENTS_PAY_SCHEMA } from '../../../../lib/schemas';
+
+// Enable CORS for preflight requests (OPTIONS)
+export async function OPTIONS() {
+  return NextResponse.json(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  });
+}
+
+// POST request to mark several installments paid in full at once: { ids: [1, 2], paid_on }
+export const POST = withAuth(async (request, { user }) => {
+  try {
+    const { ids, paid_on = null } = await parseBody(request, INSTALLMENTS_PAY_SCHEMA);
+
+    const changed = await markInstallments(user.id, ids, { paid: true, paid_on });
+
+    return NextResponse.json({ message: `${changed} installment(s) marked as paid`, data: { changed } }, {
+      status: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return NextResponse.json({ message: error.message, errors: error.errors }, { status: 400 });
+    }
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+}, { scope: 'subscriptions' });
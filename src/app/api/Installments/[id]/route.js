@@ -0,0 +1,47 @@
+import { NextResponse } from 'next/server';
+import { findInstallment, markInstallments } from '../../../../lib/installments';
+import { withAuth } from '../../../../lib/auth';
+import { ValidationError, parseBody } from '../../../../lib/validation';
+import { INSTALLMENT_PAYMENT_SCHEMA } from '../../../../lib/schemas';
+
+// Enable CORS for preflight requests (OPTIONS)
+export async function OPTIONS() {
+  return NextResponse.json(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'PATCH, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  });
+}
+
+// PATCH request to mark an installment paid ({ paid: true, paid_on, paid_amount }, both optional)
+// or unpaid ({ paid: false })
+export const PATCH = withAuth(async (request, { params, user }) => {
+  try {
+    const { id } = await params;
+    const { paid, paid_on = null, paid_amount = null } = await parseBody(request, INSTALLMENT_PAYMENT_SCHEMA);
+
+    if (!(await findInstallment(id, user.id))) {
+      return NextResponse.json({ message: 'Installment not found' }, { status: 404 });
+    }
+
+    await markInstallments(user.id, [id], { paid, paid_on, paid_amount });
+
+    return NextResponse.json({
+      message: paid ? 'Installment marked as paid' : 'Installment marked as unpaid',
+      data: await findInstallment(id, user.id),
+    }, {
+      status: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return NextResponse.json({ message: error.message, errors: error.errors }, { status: 400 });
+    }
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+}, { scope: 'subscriptions' });
@@ -0,0 +1,82 @@
+import { NextResponse } from 'next/server';
+import { ListQueryError, runListQuery } from '../../../lib/listQuery';
+import { INSTALLMENT_STATUS_SQL, INSTALLMENT_STATUSES, parseInstallmentStatusFilter } from '../../../lib/installments';
+import { withAuth } from '../../../lib/auth';
+
+// Enable CORS for preflight requests (OPTIONS)
+export async function OPTIONS() {
+  return NextResponse.json(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  });
+}
+
+// GET request to list the user's installments across subscriptions, soonest due first, with the
+// subscription each belongs to. Filters: status (paid, lapsed, in-grace, overdue, due, upcoming,
+// scheduled; comma separated), category, subscription_id and due_date_from / due_date_to. Cancelled subscriptions
+// are left out unless a subscription_id is given.
+export const GET = withAuth(async (request, { user }) => {
+  try {
+    const { searchParams } = new URL(request.url);
+    const statuses = parseInstallmentStatusFilter(searchParams.get('status'));
+    if (statuses === null) {
+      return NextResponse.json(
+        { message: `Invalid status. Allowed values are ${INSTALLMENT_STATUSES.map((s) => `"${s}"`).join(', ')}.` },
+        { status: 400 }
+      );
+    }
+
+    const { rows, pagination } = await runListQuery(searchParams, {
+      select: `installments.*, ${INSTALLMENT_STATUS_SQL} AS status,
+               subscriptions.category, subscriptions.billing_frequency, subscriptions.startDate, subscriptions.endDate,
+               services.service_name, services.grace_days, payees.payee_name, entities.entity_name,
+               (SELECT COUNT(*) FROM installments AS siblings WHERE siblings.subscription_id = installments.subscription_id) AS installment_count`,
+      from: `installments
+             JOIN subscriptions ON installments.subscription_id = subscriptions.id
+             LEFT JOIN services ON subscriptions.service_id = services.id
+             LEFT JOIN payees ON subscriptions.payee_id = payees.id
+             LEFT JOIN entities ON subscriptions.entity_id = entities.id`,
+      where: [
+        'installments.user_id = ?',
+        ...(searchParams.get('subscription_id') ? [] : ['subscriptions.cancelled = 0']),
+        ...(statuses.length ? [`${INSTALLMENT_STATUS_SQL} IN (${statuses.map(() => '?').join(', ')})`] : []),
+      ],
+      params: [user.id, ...statuses],
+      sortable: {
+        id: 'installments.id',
+        due_date: 'installments.due_date',
+        amount: 'installments.amount',
+        paid_on: 'installments.paid_on',
+      },
+      filters: {
+        category: 'subscriptions.category',
+        subscription_id: 'installments.subscription_id',
+      },
+      dateFilters: {
+        due_date: 'installments.due_date',
+        paid_on: 'installments.paid_on',
+      },
+      defaultSort: 'due_date',
+    });
+
+    return NextResponse.json({
+      message: 'Installments fetched successfully',
+      data: rows,
+      pagination,
+    }, {
+      status: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+  } catch (error) {
+    if (error instanceof ListQueryError) {
+      return NextResponse.json({ message: error.message }, { status: 400 });
+    }
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+}, { scope: 'subscriptions' });
@@ -0,0 +1,95 @@
+import { NextResponse } from 'next/server';
+import { db, withTransaction } from '../../../../db';
+import { loginResponse } from '../../../../lib/sessions';
+import {
+  checkLoginThrottle,
+  clearAccountThrottle,
+  recordBlockedLogin,
+  recordLoginFailure,
+  throttledResponse,
+} from '../../../../lib/loginThrottle';
+import {
+  consumeTwoFactorChallenge,
+  isTwoFactorEnabled,
+  releaseTwoFactorChallenge,
+  verifySecondFactor,
+  verifyTwoFactorChallenge,
+} from '../../../../lib/twoFactor';
+import { ValidationError, parseBody } from '../../../../lib/validation';
+import { TWO_FACTOR_LOGIN_SCHEMA } from '../../../../lib/schemas';
+
+// Enable CORS for preflight requests (OPTIONS)
+export async function OPTIONS() {
+  return NextResponse.json(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  });
+}
+
+// POST request for the second step of a login: the challenge token from /api/Login plus a
+// code from the authenticator app or a recovery code. Starts the session like /api/Login does.
+// A challenge token starts one session; after that it is refused like an expired one.
+export async function POST(request) {
+  try {
+    const { challenge_token, code, recovery_code } = await parseBody(request, TWO_FACTOR_LOGIN_SCHEMA);
+
+    const challenge = await verifyTwoFactorChallenge(challenge_token);
+    if (!challenge) {
+      return NextResponse.json({ message: 'Login has expired, please enter your password again' }, { status: 401 });
+    }
+
+    const [rows] = await db.execute('SELECT * FROM users WHERE sr = ?', [challenge.user_id]);
+    const user = rows[0];
+
+    if (!user) {
+      return NextResponse.json({ message: 'Login has expired, please enter your password again' }, { status: 401 });
+    }
+
+    // Wrong codes count against the account like wrong passwords, so codes cannot be guessed
+    // with one challenge token either
+    const block = await checkLoginThrottle(user, request);
+    if (block) {
+      await recordBlockedLogin(user, user.username, request);
+      return throttledResponse(block);
+    }
+
+    // The challenge is used up before the code is checked, so that of two requests racing on the
+    // same challenge the loser waits and is refused without spending a recovery code. A wrong code
+    // gives the challenge back for another try.
+    const outcome = await withTransaction(async (connection) => {
+      if (!(await consumeTwoFactorChallenge(challenge, connection))) {
+        return 'used';
+      }
+      // 2FA may have been turned off since the password step, which was still passed
+      if (isTwoFactorEnabled(user) && !(await verifySecondFactor(user, { code, recovery_code }, connection))) {
+        await releaseTwoFactorChallenge(challenge, connection);
+        return 'invalid';
+      }
+      return 'verified';
+    });
+
+    if (outcome === 'used') {
+      return NextResponse.json({ message: 'Login has expired, please enter your password again' }, { status: 401 });
+    }
+
+    if (outcome === 'invalid') {
+      await recordLoginFailure(user, user.username, request, 'failed_two_factor');
+      return NextResponse.json({
+        message: 'Invalid verification code',
+        errors: { [recovery_code ? 'recovery_code' : 'code']: 'Invalid verification code' },
+      }, { status: 401 });
+    }
+
+    await clearAccountThrottle(user.sr);
+    return await loginResponse(user, request);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return NextResponse.json({ message: error.message, errors: error.errors }, { status: 400 });
+    }
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,43 @@
+import { NextResponse } from 'next/server';
+import { unlockAccount } from '../../../../lib/loginThrottle';
+import { ValidationError, parseBody } from '../../../../lib/validation';
+import { UNLOCK_ACCOUNT_SCHEMA } from '../../../../lib/schemas';
+
+// Enable CORS for preflight requests (OPTIONS)
+export async function OPTIONS() {
+  return NextResponse.json(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  });
+}
+
+// POST request to lift a lockout from failed logins with the token from the emailed link.
+// Addresses blocked for too many failures stay blocked until their wait is over.
+export async function POST(request) {
+  try {
+    const { token } = await parseBody(request, UNLOCK_ACCOUNT_SCHEMA);
+
+    if (!(await unlockAccount(token, request))) {
+      return NextResponse.json(
+        { message: 'This unlock link is invalid or has expired. If your account is still locked, wait and try again.' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({ message: 'Your account has been unlocked. You can log in again.' }, {
+      status: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return NextResponse.json({ message: error.message, errors: error.errors }, { status: 400 });
+    }
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+}
@@ -1,6 +1,17 @@
 import { NextResponse } from 'next/server';
-import jwt from 'jsonwebtoken';
 import { db } from '../../../db';
+import { loginResponse } from '../../../lib/sessions';
+import {
+  checkLoginThrottle,
+  clearAccountThrottle,
+  recordBlockedLogin,
+  recordLoginFailure,
+  throttledResponse,
+} from '../../../lib/loginThrottle';
+import { isTwoFactorEnabled, signTwoFactorChallenge } from '../../../lib/twoFactor';
+import { hashPassword, rejectUnknownUser, verifyPassword } from '../../../lib/passwords';
+import { ValidationError, parseBody } from '../../../lib/validation';
+import { LOGIN_SCHEMA } from '../../../lib/schemas';
 
 // Enable CORS for preflight requests (OPTIONS)
 export async function OPTIONS() {
@@ -17,46 +28,63 @@ export async function OPTIONS() {
 // POST request to handle login
 export async function POST(request) {
   try {
-    const { username, password } = await request.json();
+    const { username, password } = await parseBody(request, LOGIN_SCHEMA);
 
-    // Query the database to find the user by username and password
+    // Find the user by username or by verified email address (a username match wins),
+    // then check the password against the stored hash
     const [rows] = await db.execute(
-      'SELECT * FROM users WHERE username = ? AND password = ?',
-      [username, password]
+      `SELECT * FROM users
+       WHERE username = ? OR (email = ? AND email_verified_at IS NOT NULL)
+       ORDER BY username = ? DESC
+       LIMIT 1`,
+      [username, username, username]
     );
+    const user = rows[0];
+
+    // After repeated failures for this account or from this address the password is not even checked
+    const block = await checkLoginThrottle(user, request);
+    if (block) {
+      await recordBlockedLogin(user, username, request);
+      return throttledResponse(block);
+    }
 
-    // Check if user exists
-    if (rows.length === 0) {
+    const { valid, needsUpgrade } = user
+      ? await verifyPassword(password, user.password)
+      : await rejectUnknownUser(password);
+
+    // Same answer for an unknown user and a wrong password
+    if (!valid) {
+      await recordLoginFailure(user, username, request, 'failed_password');
       return NextResponse.json({ message: 'Invalid credentials' }, { status: 401 });
     }
 
-    const user = rows[0];
+    // Replace a plain-text (or weaker) stored password now that we know the real one.
+    // The stored value is part of the condition so a concurrent password change wins.
+    if (needsUpgrade) {
+      await db.execute('UPDATE users SET password = ? WHERE sr = ? AND password = ?', [
+        await hashPassword(password),
+        user.sr,
+        user.password,
+      ]);
+    }
 
-    // Generate JWT token including user_id (actual value from database)
-    const token = jwt.sign(
-      { id: user.sr, username: user.username, user_id: user.sr }, // Use actual user ID as integer
-      process.env.JWT_SECRET,
-      { expiresIn: '1h' }
-    );
+    // With two-step verification on, the password alone does not start a session:
+    // the client must send a code to /api/Login/TwoFactor along with this challenge
+    if (isTwoFactorEnabled(user)) {
+      return NextResponse.json({
+        message: 'Enter the code from your authenticator app',
+        two_factor_required: true,
+        challenge_token: signTwoFactorChallenge(user),
+      }, { status: 200 });
+    }
 
-    // Send success response with token and user details, including user_id as integer
-    return NextResponse.json({
-      message: 'Login successful',
-      token: `Bearer ${token}`,
-      user: {
-        id: user.sr,
-        name: user.name,
-        email: user.email,
-        phone: user.phone,
-        user_id: user.sr,  // Return actual user_id as integer
-      }
-    }, {
-      status: 200,
-      headers: {
-        'Access-Control-Allow-Origin': '*',
-      },
-    });
+    // Start a session for this device and return the tokens
+    await clearAccountThrottle(user.sr);
+    return await loginResponse(user, request);
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return NextResponse.json({ message: error.message, errors: error.errors }, { status: 400 });
+    }
     return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
   }
 }
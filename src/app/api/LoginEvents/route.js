@@ -0,0 +1,34 @@
+import { NextResponse } from 'next/server';
+import { withAuth } from '../../../lib/auth';
+import { listLoginEvents } from '../../../lib/loginThrottle';
+
+// Enable CORS for preflight requests (OPTIONS)
+export async function OPTIONS() {
+  return NextResponse.json(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  });
+}
+
+// GET request to list recent failed sign-in attempts, lockouts and unlocks of the user's account
+export const GET = withAuth(async (request, { user }) => {
+  try {
+    const events = await listLoginEvents(user.id);
+
+    return NextResponse.json({
+      message: 'Sign-in events fetched successfully',
+      data: events,
+    }, {
+      status: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+  } catch (error) {
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+}, { allowUnverified: true });
@@ -0,0 +1,39 @@
+import { NextResponse } from 'next/server';
+import { AuthError, authenticate } from '../../../lib/auth';
+import { REFRESH_COOKIE, clearSessionCookies, revokeSession, revokeSessionByRefreshToken } from '../../../lib/sessions';
+
+// Enable CORS for preflight requests (OPTIONS)
+export async function OPTIONS() {
+  return NextResponse.json(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  });
+}
+
+// POST request to log out: revoke the current session and clear the session cookies.
+// The session is found from the refresh token cookie, or from the bearer token for API clients.
+// Logging out twice, or with an already expired session, still succeeds.
+export async function POST(request) {
+  try {
+    let revoked = await revokeSessionByRefreshToken(request.cookies.get(REFRESH_COOKIE)?.value);
+
+    if (!revoked && request.headers.get('Authorization')) {
+      try {
+        const user = await authenticate(request);
+        revoked = await revokeSession(user.session_id, user.id);
+      } catch (error) {
+        if (!(error instanceof AuthError)) {
+          throw error;
+        }
+      }
+    }
+
+    return clearSessionCookies(NextResponse.json({ message: 'Logged out successfully' }, { status: 200 }));
+  } catch (error) {
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+}
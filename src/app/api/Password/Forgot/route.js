@@ -0,0 +1,40 @@
+import { NextResponse } from 'next/server';
+import { requestPasswordReset } from '../../../../lib/passwordResets';
+import { ValidationError, parseBody } from '../../../../lib/validation';
+import { FORGOT_PASSWORD_SCHEMA } from '../../../../lib/schemas';
+
+// Enable CORS for preflight requests (OPTIONS)
+export async function OPTIONS() {
+  return NextResponse.json(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  });
+}
+
+// POST request to email a password reset link. The answer is the same whether or not
+// an account uses the address, so the form cannot be used to find out who has one.
+export async function POST(request) {
+  try {
+    const { email } = await parseBody(request, FORGOT_PASSWORD_SCHEMA);
+
+    await requestPasswordReset(email, request);
+
+    return NextResponse.json({
+      message: 'If an account uses this email address, a link to reset the password is on its way.',
+    }, {
+      status: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return NextResponse.json({ message: error.message, errors: error.errors }, { status: 400 });
+    }
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+}
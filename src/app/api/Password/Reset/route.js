@@ -0,0 +1,104 @@
+import { NextResponse } from 'next/server';
+import { withTransaction } from '../../../../db';
+import { PASSWORD_HISTORY, isRecentPassword, setPassword } from '../../../../lib/passwords';
+import { passwordPolicyError } from '../../../../lib/passwordPolicy';
+import { completePasswordReset, findPasswordReset } from '../../../../lib/passwordResets';
+import { revokeOtherSessions } from '../../../../lib/sessions';
+import { clearAccountThrottle } from '../../../../lib/loginThrottle';
+import { ValidationError, parseBody } from '../../../../lib/validation';
+import { RESET_PASSWORD_SCHEMA } from '../../../../lib/schemas';
+
+const INVALID_LINK = 'This reset link is invalid or has expired. Please request a new one.';
+
+// Enable CORS for preflight requests (OPTIONS)
+export async function OPTIONS() {
+  return NextResponse.json(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  });
+}
+
+// GET request to check a reset token (?token=...) before asking for the new password
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const reset = await findPasswordReset(searchParams.get('token'));
+
+    if (!reset) {
+      return NextResponse.json({ message: INVALID_LINK }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      message: 'Reset link is valid',
+      data: { expires_at: reset.expires_at },
+    }, {
+      status: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+  } catch (error) {
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+}
+
+// POST request to set a new password with a reset token. The token is used up and
+// every session of the account is ended, so the user logs in again with the new password.
+// A lockout from failed logins is lifted as well.
+export async function POST(request) {
+  try {
+    const { token, new_password, confirm_password } = await parseBody(request, RESET_PASSWORD_SCHEMA);
+
+    const errors = {};
+    const policyError = passwordPolicyError(new_password, 'New password');
+    if (policyError) {
+      errors.new_password = policyError;
+    }
+    if (new_password !== confirm_password) {
+      errors.confirm_password = 'Passwords do not match';
+    }
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError(errors);
+    }
+
+    const done = await withTransaction(async (connection) => {
+      const reset = await findPasswordReset(token, connection);
+      if (!reset) {
+        return false;
+      }
+
+      const [[account]] = await connection.execute('SELECT * FROM users WHERE sr = ? FOR UPDATE', [reset.user_id]);
+      if (await isRecentPassword(account, new_password, connection)) {
+        throw new ValidationError({
+          new_password: `New password must be different from your current and last ${PASSWORD_HISTORY} passwords`,
+        });
+      }
+
+      await setPassword(account, new_password, connection);
+      await completePasswordReset(reset, connection);
+      await revokeOtherSessions(account.sr, null, connection);
+      await clearAccountThrottle(account.sr, connection);
+      return true;
+    });
+
+    if (!done) {
+      return NextResponse.json({ message: INVALID_LINK }, { status: 404 });
+    }
+
+    return NextResponse.json({ message: 'Password has been reset. You can now log in with the new password.' }, {
+      status: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return NextResponse.json({ message: error.message, errors: error.errors }, { status: 400 });
+    }
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+}
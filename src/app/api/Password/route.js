@@ -0,0 +1,79 @@
+import { NextResponse } from 'next/server';
+import { withTransaction } from '../../../db';
+import { withAuth } from '../../../lib/auth';
+import { PASSWORD_HISTORY, isRecentPassword, setPassword, verifyPassword } from '../../../lib/passwords';
+import { passwordPolicyError } from '../../../lib/passwordPolicy';
+import { revokeOtherSessions } from '../../../lib/sessions';
+import { ValidationError, parseBody } from '../../../lib/validation';
+import { CHANGE_PASSWORD_SCHEMA } from '../../../lib/schemas';
+
+// Enable CORS for preflight requests (OPTIONS)
+export async function OPTIONS() {
+  return NextResponse.json(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'PUT, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  });
+}
+
+// PUT request to change the password. Checks the current password and the password policy,
+// refuses the current and recently used passwords, and signs out every other device.
+export const PUT = withAuth(async (request, { user }) => {
+  try {
+    const { current_password, new_password, confirm_password } = await parseBody(request, CHANGE_PASSWORD_SCHEMA);
+
+    const errors = {};
+    const policyError = passwordPolicyError(new_password, 'New password');
+    if (policyError) {
+      errors.new_password = policyError;
+    }
+    if (new_password !== confirm_password) {
+      errors.confirm_password = 'Passwords do not match';
+    }
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError(errors);
+    }
+
+    const revoked = await withTransaction(async (connection) => {
+      // Lock the row so two changes at once cannot both pass the history check
+      const [[account]] = await connection.execute('SELECT * FROM users WHERE sr = ? FOR UPDATE', [user.id]);
+      if (!account) {
+        return null;
+      }
+
+      if (!(await verifyPassword(current_password, account.password)).valid) {
+        throw new ValidationError({ current_password: 'Current password is incorrect' });
+      }
+      if (await isRecentPassword(account, new_password, connection)) {
+        throw new ValidationError({
+          new_password: `New password must be different from your current and last ${PASSWORD_HISTORY} passwords`,
+        });
+      }
+
+      await setPassword(account, new_password, connection);
+      return revokeOtherSessions(user.id, user.session_id, connection);
+    });
+
+    if (revoked === null) {
+      return NextResponse.json({ message: 'User not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      message: 'Password changed successfully',
+      sessions_revoked: revoked,
+    }, {
+      status: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return NextResponse.json({ message: error.message, errors: error.errors }, { status: 400 });
+    }
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+}, { allowUnverified: true });
@@ -0,0 +1,114 @@
+import { NextResponse } from 'next/server';
+import { withTransaction } from '../../../../../db';
+import { updateOwned } from '../../../../../lib/records';
+import { withAuth } from '../../../../../lib/auth';
+import { auditActor, auditChanges } from '../../../../../lib/audit';
+import { ValidationError, parseBody } from '../../../../../lib/validation';
+import { PAYEE_MERGE_SCHEMA } from '../../../../../lib/schemas';
+
+// Enable CORS for preflight requests (OPTIONS)
+export async function OPTIONS() {
+  return NextResponse.json(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  });
+}
+
+// POST request to merge duplicate payees into the payee in the URL.
+// Body: { source_ids: [2, 3] } (or a single source_id).
+// Every subscription of a source payee is repointed to the target, empty contact
+// fields on the target are filled in from the sources, and the sources are deleted.
+export const POST = withAuth(async (request, { params, user }) => {
+  try {
+    const user_id = user.id;
+
+    const { id } = await params;
+
+    // Parse and validate the request body; the ids come back without duplicates
+    const body = await parseBody(request, PAYEE_MERGE_SCHEMA);
+    const source_ids = [...new Set([...(body.source_ids ?? []), ...(body.source_id ? [body.source_id] : [])])]
+      .filter((source_id) => source_id !== Number(id));
+
+    if (source_ids.length === 0) {
+      const message = 'List at least one other payee to merge';
+      return NextResponse.json({ message, errors: { source_ids: message } }, { status: 400 });
+    }
+
+    // Load and lock the target and all source payees, making sure they belong to the user, then
+    // repoint the subscriptions, fill in the target and drop the duplicates as one unit, auditing
+    // every row touched. The locks keep subscriptions from being added to a source meanwhile.
+    const result = await withTransaction(async (connection) => {
+      const [[target]] = await connection.execute(
+        'SELECT * FROM payees WHERE id = ? AND user_id = ? FOR UPDATE',
+        [id, user_id]
+      );
+      if (!target) {
+        return { missing: 'Payee not found' };
+      }
+
+      const [sources] = await connection.execute(
+        `SELECT * FROM payees WHERE user_id = ? AND id IN (${source_ids.map(() => '?').join(', ')}) FOR UPDATE`,
+        [user_id, ...source_ids]
+      );
+      if (sources.length !== source_ids.length) {
+        return { missing: 'One or more payees to merge were not found' };
+      }
+
+      const [subscriptions] = await connection.execute(
+        `SELECT * FROM subscriptions
+         WHERE user_id = ? AND payee_id IN (${source_ids.map(() => '?').join(', ')}) ORDER BY id`,
+        [user_id, ...source_ids]
+      );
+
+      const [repointed] = await connection.execute(
+        `UPDATE subscriptions SET payee_id = ?
+         WHERE user_id = ? AND payee_id IN (${source_ids.map(() => '?').join(', ')})`,
+        [target.id, user_id, ...source_ids]
+      );
+
+      // Keep the target's own details, only filling in what it is missing
+      const phone = target.phone || sources.find((source) => source.phone)?.phone || null;
+      const email = target.email || sources.find((source) => source.email)?.email || null;
+      await updateOwned('payees', target.id, { phone, email }, user_id, connection);
+
+      await connection.execute(
+        `DELETE FROM payees WHERE user_id = ? AND id IN (${source_ids.map(() => '?').join(', ')})`,
+        [user_id, ...source_ids]
+      );
+
+      const actor = auditActor(request, user);
+      await auditChanges(actor, 'subscriptions', subscriptions, connection);
+      await auditChanges(actor, 'payees', [target, ...sources], connection);
+
+      return { id: target.id, subscriptions_repointed: repointed.affectedRows };
+    });
+
+    if (result.missing) {
+      return NextResponse.json({ message: result.missing }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      message: 'Payees merged successfully',
+      data: {
+        id: result.id,
+        merged_ids: source_ids,
+        subscriptions_repointed: result.subscriptions_repointed,
+      },
+    }, {
+      status: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return NextResponse.json({ message: error.message, errors: error.errors }, { status: 400 });
+    }
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+}, { scope: 'payees' });
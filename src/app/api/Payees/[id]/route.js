@@ -0,0 +1,207 @@
+import { NextResponse } from 'next/server';
+import { db, withTransaction } from '../../../../db';
+import { countOwned, deleteOwned, findOwned, isNameTaken, listOwned, referenceErrors, resolveOwned, updateOwned } from '../../../../lib/records';
+import { withAuth } from '../../../../lib/auth';
+import { auditActor, auditChanges } from '../../../../lib/audit';
+import { ValidationError, parseBody } from '../../../../lib/validation';
+import { PAYEE_SCHEMA } from '../../../../lib/schemas';
+
+// Enable CORS for preflight requests (OPTIONS)
+export async function OPTIONS() {
+  return NextResponse.json(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, PUT, PATCH, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  });
+}
+
+// Fetch a payee owned by the given user, or undefined if it does not exist
+async function findPayee(id, user_id) {
+  const [[payee]] = await db.execute(
+    `SELECT payees.*, entities.entity_name, services.service_name
+     FROM payees
+     LEFT JOIN entities ON payees.entity_id = entities.id
+     LEFT JOIN services ON payees.service_id = services.id
+     WHERE payees.id = ? AND payees.user_id = ?`,
+    [id, user_id]
+  );
+  return payee;
+}
+
+// GET request to fetch a single payee with the number of subscriptions using it
+export const GET = withAuth(async (request, { params, user }) => {
+  try {
+    const { id } = await params;
+
+    const payee = await findPayee(id, user.id);
+    if (!payee) {
+      return NextResponse.json({ message: 'Payee not found' }, { status: 404 });
+    }
+
+    const subscription_count = await countOwned('subscriptions', 'payee_id', id, user.id);
+
+    return NextResponse.json({
+      message: 'Payee fetched successfully',
+      data: { ...payee, subscription_count },
+    }, {
+      status: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+
+  } catch (error) {
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+}, { scope: 'payees' });
+
+// PUT request to update a payee. Only the fields present in the body are changed,
+// so the same handler also serves PATCH.
+export const PUT = withAuth(async (request, { params, user }) => {
+  try {
+    const user_id = user.id;
+
+    const { id } = await params;
+
+    const payee = await findPayee(id, user_id);
+    if (!payee) {
+      return NextResponse.json({ message: 'Payee not found' }, { status: 404 });
+    }
+
+    // Validate the fields present in the body and merge them over the stored values
+    const body = await parseBody(request, PAYEE_SCHEMA, { partial: true });
+    const payee_name = body.payee_name ?? payee.payee_name;
+    const phone = body.phone ?? payee.phone;
+    const email = body.email ?? payee.email;
+    const amount = body.amount ?? payee.amount;
+    const category = body.category ?? payee.category;
+
+    // Resolve the references among the user's own records, keeping the current ones if none are given
+    const entity = await resolveOwned(
+      'entities',
+      { id: body.entity_id ?? (body.entity_name ? undefined : payee.entity_id), name: body.entity_name },
+      user_id
+    );
+    const service = await resolveOwned(
+      'services',
+      { id: body.service_id ?? (body.service_name ? undefined : payee.service_id), name: body.service_name },
+      user_id
+    );
+
+    if (!entity || !service) {
+      return NextResponse.json({ message: 'Invalid entity or service', errors: referenceErrors(body, { entity, service }) }, { status: 404 });
+    }
+
+    // Payee names are unique per user
+    if (await isNameTaken('payees', payee_name, user_id, payee.id)) {
+      const message = `Payee "${payee_name}" already exists`;
+      return NextResponse.json({ message, errors: { payee_name: message } }, { status: 409 });
+    }
+
+    // Update the payee in the database together with its audit entry
+    await withTransaction(async (connection) => {
+      const before = await findOwned('payees', id, user_id, connection);
+      await updateOwned('payees', id, {
+        entity_id: entity.id,
+        service_id: service.id,
+        payee_name,
+        phone,
+        email,
+        amount,
+        category,
+      }, user_id, connection);
+      await auditChanges(auditActor(request, user), 'payees', [before], connection);
+    });
+
+    const updated = await findPayee(id, user_id);
+
+    return NextResponse.json({
+      message: 'Payee updated successfully',
+      data: updated,
+    }, {
+      status: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return NextResponse.json({ message: error.message, errors: error.errors }, { status: 400 });
+    }
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+}, { scope: 'payees' });
+
+export const PATCH = PUT;
+
+// DELETE request to remove a payee.
+// The `mode` query parameter decides what happens to its subscriptions:
+//   restrict (default) - refuse with 409 while subscriptions still use the payee
+//   cascade            - delete those subscriptions as well
+// To keep the subscriptions, merge the payee into another one instead.
+export const DELETE = withAuth(async (request, { params, user }) => {
+  try {
+    const { id } = await params;
+    const { searchParams } = new URL(request.url);
+    const mode = (searchParams.get('mode') || 'restrict').toLowerCase();
+
+    if (!['restrict', 'cascade'].includes(mode)) {
+      return NextResponse.json(
+        { message: 'Invalid mode. Allowed values are "restrict" or "cascade".' },
+        { status: 400 }
+      );
+    }
+
+    const payee = await findPayee(id, user.id);
+    if (!payee) {
+      return NextResponse.json({ message: 'Payee not found' }, { status: 404 });
+    }
+
+    // Remove the subscriptions and the payee as one unit, auditing every row removed. The payee
+    // row is locked first, so no subscription can be added to it between the count and the delete.
+    const result = await withTransaction(async (connection) => {
+      const actor = auditActor(request, user);
+      const [[before]] = await connection.execute(
+        'SELECT * FROM payees WHERE id = ? AND user_id = ? FOR UPDATE',
+        [id, user.id]
+      );
+      const subscriptions = await listOwned('subscriptions', 'payee_id', id, user.id, connection);
+
+      if (subscriptions.length > 0 && mode === 'restrict') {
+        return { conflict: { subscriptions: subscriptions.length } };
+      }
+
+      await connection.execute('DELETE FROM subscriptions WHERE payee_id = ? AND user_id = ?', [id, user.id]);
+      await deleteOwned('payees', id, user.id, connection);
+
+      await auditChanges(actor, 'subscriptions', subscriptions, connection);
+      await auditChanges(actor, 'payees', [before], connection);
+
+      return { affected: { subscriptions: subscriptions.length } };
+    });
+
+    if (result.conflict) {
+      return NextResponse.json(
+        { message: 'Payee is still referenced by subscriptions', dependencies: result.conflict },
+        { status: 409 }
+      );
+    }
+
+    return NextResponse.json({
+      message: 'Payee deleted successfully',
+      data: { id: payee.id, mode, affected: result.affected },
+    }, {
+      status: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+
+  } catch (error) {
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+}, { scope: 'payees' });
@@ -1,6 +1,12 @@
 import { NextResponse } from 'next/server';
-import jwt from 'jsonwebtoken';
-import { db } from '../../../db';
+import { withTransaction } from '../../../db';
+import { ListQueryError, runListQuery } from '../../../lib/listQuery';
+import { insertOwned, isNameTaken, referenceErrors, resolveOwned } from '../../../lib/records';
+import { withAuth } from '../../../lib/auth';
+import { auditActor, auditCreate } from '../../../lib/audit';
+import { syncSubscriptionInstallments } from '../../../lib/installments';
+import { ValidationError, parseBody } from '../../../lib/validation';
+import { PAYEE_SCHEMA } from '../../../lib/schemas';
 
 // Enable CORS for preflight requests (OPTIONS)
 export async function OPTIONS() {
@@ -15,43 +21,42 @@ export async function OPTIONS() {
 }
 
 // GET request to fetch payees with user details, entity and service details from the database using Bearer token
-export async function GET(request) {
+export const GET = withAuth(async (request, { user }) => {
   try {
-    const authHeader = request.headers.get('Authorization');
-    
-    // Check if Authorization header is present
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return NextResponse.json({ message: 'Authorization token is missing or invalid' }, { status: 401 });
-    }
-
-    // Extract token from Authorization header
-    const token = authHeader.split(' ')[1];
-
-    // Verify the token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    // Query the database to fetch payees, user details, entity details, and service details
-    const [rows] = await db.execute(
-      `SELECT payees.*, users.username, users.sr AS user_id,
+    // Query the database to fetch one page of payees, user details, entity details, and service details
+    const { searchParams } = new URL(request.url);
+    const { rows, pagination } = await runListQuery(searchParams, {
+      select: `payees.*, users.username, users.sr AS user_id,
               entities.id AS entity_id, entities.entity_name,
-              services.id AS service_id, services.service_name
-       FROM payees
+              services.id AS service_id, services.service_name`,
+      from: `payees
        JOIN users ON payees.user_id = users.sr
        LEFT JOIN entities ON payees.entity_id = entities.id
-       LEFT JOIN services ON payees.service_id = services.id
-       WHERE users.sr = ?`,
-      [decoded.user_id]
-    );
-
-    // Check if there are payees
-    if (rows.length === 0) {
-      return NextResponse.json({ message: 'No payees found' }, { status: 404 });
-    }
+       LEFT JOIN services ON payees.service_id = services.id`,
+      where: ['users.sr = ?'],
+      params: [user.id],
+      sortable: {
+        id: 'payees.id',
+        payee_name: 'payees.payee_name',
+        email: 'payees.email',
+        amount: 'payees.amount',
+        category: 'payees.category',
+        entity_name: 'entities.entity_name',
+        service_name: 'services.service_name',
+      },
+      filters: {
+        category: 'payees.category',
+        entity_id: 'payees.entity_id',
+        service_id: 'payees.service_id',
+      },
+      defaultSort: 'payee_name',
+    });
 
     // Send success response with fetched payees, user details, entity details, and service details
     return NextResponse.json({
       message: 'Payees fetched successfully',
       data: rows,
+      pagination,
     }, {
       status: 200,
       headers: {
@@ -60,55 +65,88 @@ export async function GET(request) {
     });
 
   } catch (error) {
+    if (error instanceof ListQueryError) {
+      return NextResponse.json({ message: error.message }, { status: 400 });
+    }
     return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
   }
-}
+}, { scope: 'payees' });
 
 
-export async function POST(request) {
+export const POST = withAuth(async (request, { user }) => {
   try {
-    // 1. Check for Authorization header
-    const authHeader = request.headers.get('Authorization');
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return NextResponse.json({ message: 'Authorization token is missing or invalid' }, { status: 401 });
-    }
+    const user_id = user.id;
 
-    // 2. Extract and verify the token
-    const token = authHeader.split(' ')[1];
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user_id = decoded.user_id;
+    // 1. Parse and validate the request body
+    const body = await parseBody(request, PAYEE_SCHEMA);
 
-    // 3. Parse the request body
-    const body = await request.json();
+    // Destructure the fields from the request body.
+    // References are given as IDs; entity_name / service_name are accepted for convenience.
+    // An optional `subscription` object ({ startDate, endDate, paymentDate, amount, billing_frequency, auto_renew }) creates
+    // the payee's first subscription in the same transaction.
+    const { entity_id, entity_name, service_id, service_name, payee_name, phone, email, amount, category, subscription } = body;
 
-    // Destructure the fields from the request body
-    const { entity_name, service_name, payee_name, phone, email, amount, category } = body;
+    // 2. Resolve the references among the user's own records
+    const entity = await resolveOwned('entities', { id: entity_id, name: entity_name }, user_id);
+    const service = await resolveOwned('services', { id: service_id, name: service_name }, user_id);
 
-    // 4. Validate required fields
-    if (!entity_name || !service_name || !payee_name || !phone || !email || !amount || !category) {
-      return NextResponse.json({ message: 'All fields are required' }, { status: 400 });
+    // 3. Check if the references exist
+    if (!entity || !service) {
+      return NextResponse.json({ message: 'Invalid entity or service', errors: referenceErrors(body, { entity, service }) }, { status: 404 });
     }
 
-    // 5. Get IDs from names
-    const [[entity]] = await db.execute('SELECT id FROM entities WHERE entity_name = ?', [entity_name]);
-    const [[service]] = await db.execute('SELECT id FROM services WHERE service_name = ?', [service_name]);
-
-    // 6. Check if the IDs exist
-    if (!entity || !service) {
-      return NextResponse.json({ message: 'Invalid entity or service name' }, { status: 404 });
+    // Payee names are unique per user
+    if (await isNameTaken('payees', payee_name, user_id)) {
+      const message = `Payee "${payee_name}" already exists`;
+      return NextResponse.json({ message, errors: { payee_name: message } }, { status: 409 });
     }
 
-    // 7. Insert the payee into the database
-    await db.execute(
-      'INSERT INTO payees (user_id, entity_id, service_id, payee_name, phone, email, amount, category) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
-      [user_id, entity.id, service.id, payee_name, phone, email, amount, category]
-    );
+    // 4. Insert the payee, and its first subscription if requested, as one unit
+    const { id, subscription_id } = await withTransaction(async (connection) => {
+      const id = await insertOwned('payees', {
+        entity_id: entity.id,
+        service_id: service.id,
+        payee_name,
+        phone,
+        email,
+        amount,
+        category,
+      }, user_id, connection);
+
+      let subscription_id = null;
+      if (subscription) {
+        subscription_id = await insertOwned('subscriptions', {
+          entity_id: entity.id,
+          service_id: service.id,
+          payee_id: id,
+          startDate: subscription.startDate,
+          endDate: subscription.endDate,
+          amount: subscription.amount ?? amount,
+          paymentDate: subscription.paymentDate,
+          billing_frequency: subscription.billing_frequency ?? 'once',
+          category,
+          auto_renew: subscription.auto_renew ? 1 : 0,
+        }, user_id, connection);
+        await syncSubscriptionInstallments(subscription_id, connection);
+      }
+
+      const actor = auditActor(request, user);
+      await auditCreate(actor, 'payees', id, connection);
+      if (subscription_id) {
+        await auditCreate(actor, 'subscriptions', subscription_id, connection);
+      }
+
+      return { id, subscription_id };
+    });
 
-    // 8. Respond with success message
-    return NextResponse.json({ message: 'Payee created successfully' }, { status: 201 });
+    // 5. Respond with success message
+    return NextResponse.json({ message: 'Payee created successfully', data: { id, subscription_id } }, { status: 201 });
 
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return NextResponse.json({ message: error.message, errors: error.errors }, { status: 400 });
+    }
     return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
   }
-}
+}, { scope: 'payees' });
 
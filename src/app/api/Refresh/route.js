@@ -0,0 +1,59 @@
+import { NextResponse } from 'next/server';
+import { REFRESH_COOKIE, clearSessionCookies, rotateSession, setSessionCookies } from '../../../lib/sessions';
+import { safeRedirectPath } from '../../../lib/redirects';
+
+// Enable CORS for preflight requests (OPTIONS)
+export async function OPTIONS() {
+  return NextResponse.json(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  });
+}
+
+// POST request to trade the refresh token cookie for a new access token.
+// The refresh token is rotated: the cookie is replaced and the old value stops working.
+export async function POST(request) {
+  try {
+    const tokens = await rotateSession(request.cookies.get(REFRESH_COOKIE)?.value, request);
+
+    if (!tokens) {
+      return clearSessionCookies(
+        NextResponse.json({ message: 'Session has ended, please log in again' }, { status: 401 })
+      );
+    }
+
+    const response = NextResponse.json({
+      message: 'Token refreshed',
+      token: `Bearer ${tokens.accessToken}`,
+    }, { status: 200 });
+
+    return setSessionCookies(response, tokens);
+  } catch (error) {
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+}
+
+// GET request used by the middleware when a page is opened after the access token cookie
+// has expired: refresh the cookies and continue to `next`, or go to /Login if the session is over
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const next = safeRedirectPath(searchParams.get('next'), request.url) || '/';
+
+  try {
+    const tokens = await rotateSession(request.cookies.get(REFRESH_COOKIE)?.value, request);
+
+    if (tokens) {
+      return setSessionCookies(NextResponse.redirect(new URL(next, request.url)), tokens);
+    }
+  } catch (error) {
+    // Fall through to the login page
+  }
+
+  const loginUrl = new URL('/Login', request.url);
+  loginUrl.searchParams.set('next', next);
+  return clearSessionCookies(NextResponse.redirect(loginUrl));
+}
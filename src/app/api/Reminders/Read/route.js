@@ -0,0 +1,31 @@
+import { NextResponse } from 'next/server';
+import { markReminders } from '../../../../lib/reminders';
+import { withAuth } from '../../../../lib/auth';
+
+// Enable CORS for preflight requests (OPTIONS)
+export async function OPTIONS() {
+  return NextResponse.json(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  });
+}
+
+// POST request to mark every reminder of the user as read
+export const POST = withAuth(async (request, { user }) => {
+  try {
+    const marked = await markReminders(user.id);
+
+    return NextResponse.json({ message: 'All reminders marked as read', marked }, {
+      status: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+  } catch (error) {
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+}, { scope: 'subscriptions' });
@@ -0,0 +1,61 @@
+import { NextResponse } from 'next/server';
+import { getReminderSettings, saveReminderSettings } from '../../../../lib/reminders';
+import { withAuth } from '../../../../lib/auth';
+import { ValidationError, parseBody } from '../../../../lib/validation';
+import { REMINDER_SETTINGS_SCHEMA } from '../../../../lib/schemas';
+
+// Enable CORS for preflight requests (OPTIONS)
+export async function OPTIONS() {
+  return NextResponse.json(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  });
+}
+
+// GET request for the account's reminder lead times: as stored (null = default), as they
+// apply, and the defaults
+export const GET = withAuth(async (request, { user }) => {
+  try {
+    const settings = await getReminderSettings(user.id);
+    if (!settings) {
+      return NextResponse.json({ message: 'User not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ message: 'Reminder settings fetched successfully', data: settings }, {
+      status: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+  } catch (error) {
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+});
+
+// PUT request to set the account's lead times, e.g. { reminder_days: [14, 3], payment_reminder_days: [] }.
+// A list left out goes back to the default; an empty list turns that kind of reminder off.
+export const PUT = withAuth(async (request, { user }) => {
+  try {
+    const body = await parseBody(request, REMINDER_SETTINGS_SCHEMA);
+    await saveReminderSettings(user.id, body);
+
+    return NextResponse.json({
+      message: 'Reminder settings saved',
+      data: await getReminderSettings(user.id),
+    }, {
+      status: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return NextResponse.json({ message: error.message, errors: error.errors }, { status: 400 });
+    }
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+});
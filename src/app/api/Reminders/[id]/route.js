@@ -0,0 +1,39 @@
+import { NextResponse } from 'next/server';
+import { markReminders } from '../../../../lib/reminders';
+import { withAuth } from '../../../../lib/auth';
+import { ValidationError, parseBody } from '../../../../lib/validation';
+import { REMINDER_READ_SCHEMA } from '../../../../lib/schemas';
+
+// Enable CORS for preflight requests (OPTIONS)
+export async function OPTIONS() {
+  return NextResponse.json(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'PATCH, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  });
+}
+
+// PATCH request to mark a reminder read ({ read: true }) or unread ({ read: false })
+export const PATCH = withAuth(async (request, { params, user }) => {
+  try {
+    const { id } = await params;
+    const { read } = await parseBody(request, REMINDER_READ_SCHEMA);
+
+    await markReminders(user.id, { id, read });
+
+    return NextResponse.json({ message: read ? 'Reminder marked as read' : 'Reminder marked as unread' }, {
+      status: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return NextResponse.json({ message: error.message, errors: error.errors }, { status: 400 });
+    }
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+}, { scope: 'subscriptions' });
@@ -0,0 +1,68 @@
+import { NextResponse } from 'next/server';
+import { ListQueryError, runListQuery } from '../../../lib/listQuery';
+import { countUnreadReminders } from '../../../lib/reminders';
+import { withAuth } from '../../../lib/auth';
+
+// Enable CORS for preflight requests (OPTIONS)
+export async function OPTIONS() {
+  return NextResponse.json(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  });
+}
+
+// GET request to list the user's reminders, newest first, with the subscription each is about.
+// Filters: kind (expiry | payment), subscription_id, and unread=1 for the unread ones only.
+export const GET = withAuth(async (request, { user }) => {
+  try {
+    const { searchParams } = new URL(request.url);
+
+    const where = ['reminders.user_id = ?'];
+    if (['1', 'true'].includes(searchParams.get('unread'))) {
+      where.push('reminders.read_at IS NULL');
+    }
+
+    const { rows, pagination } = await runListQuery(searchParams, {
+      select: `reminders.id, reminders.kind, reminders.due_date, reminders.days_before, reminders.remind_on,
+               reminders.created_at, reminders.read_at, reminders.subscription_id,
+               subscriptions.category, subscriptions.amount, services.service_name, payees.payee_name`,
+      from: `reminders
+             JOIN subscriptions ON reminders.subscription_id = subscriptions.id
+             LEFT JOIN services ON subscriptions.service_id = services.id
+             LEFT JOIN payees ON subscriptions.payee_id = payees.id`,
+      where,
+      params: [user.id],
+      sortable: {
+        id: 'reminders.id',
+        remind_on: 'reminders.remind_on',
+        due_date: 'reminders.due_date',
+      },
+      filters: {
+        kind: 'reminders.kind',
+        subscription_id: 'reminders.subscription_id',
+      },
+      defaultSort: '-id',
+    });
+
+    return NextResponse.json({
+      message: 'Reminders fetched successfully',
+      data: rows,
+      pagination,
+      unread: await countUnreadReminders(user.id),
+    }, {
+      status: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+  } catch (error) {
+    if (error instanceof ListQueryError) {
+      return NextResponse.json({ message: error.message }, { status: 400 });
+    }
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+}, { scope: 'subscriptions' });
@@ -0,0 +1,314 @@
+import { NextResponse } from 'next/server';
+import { db, withTransaction } from '../../../../db';
+import { deleteOwned, findOwned, isNameTaken, listOwned, referenceErrors, resolveOwned, updateOwned } from '../../../../lib/records';
+import { withAuth } from '../../../../lib/auth';
+import { auditActor, auditChanges } from '../../../../lib/audit';
+import { syncSubscriptionInstallments } from '../../../../lib/installments';
+import { ValidationError, parseBody } from '../../../../lib/validation';
+import { SERVICE_UPDATE_SCHEMA } from '../../../../lib/schemas';
+
+// Tables that reference a service through service_id
+const DEPENDENT_TABLES = ['payees', 'subscriptions'];
+
+// Enable CORS for preflight requests (OPTIONS)
+export async function OPTIONS() {
+  return NextResponse.json(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, PUT, PATCH, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  });
+}
+
+// Fetch a service owned by the given user, or undefined if it does not exist
+async function findService(id, user_id) {
+  const [[service]] = await db.execute(
+    `SELECT services.*, entities.entity_name
+     FROM services
+     LEFT JOIN entities ON services.entity_id = entities.id
+     WHERE services.id = ? AND services.user_id = ?`,
+    [id, user_id]
+  );
+  return service;
+}
+
+// The rows a cascading delete of a service removes: its payees, and its subscriptions together
+// with those of other services that use one of those payees
+async function cascadeDependents(id, user_id, conn) {
+  const payees = await listOwned('payees', 'service_id', id, user_id, conn);
+  const payeeIds = payees.map((payee) => payee.id);
+  const [subscriptions] = await conn.execute(
+    `SELECT * FROM subscriptions
+     WHERE user_id = ? AND (service_id = ? ${payeeIds.length ? `OR payee_id IN (${payeeIds.map(() => '?').join(', ')})` : ''})
+     ORDER BY id`,
+    [user_id, id, ...payeeIds]
+  );
+  return { payees, subscriptions };
+}
+
+// Number of rows of each dependent table, as reported to the client
+function countDependents(dependents) {
+  return Object.fromEntries(DEPENDENT_TABLES.map((table) => [table, dependents[table].length]));
+}
+
+// GET request to fetch a single service
+export const GET = withAuth(async (request, { params, user }) => {
+  try {
+    const { id } = await params;
+
+    const service = await findService(id, user.id);
+    if (!service) {
+      return NextResponse.json({ message: 'Service not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      message: 'Service fetched successfully',
+      data: service,
+    }, {
+      status: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+
+  } catch (error) {
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+}, { scope: 'services' });
+
+// PUT request to update a service. Only the fields present in the body are changed,
+// so the same handler also serves PATCH.
+//
+// When amount or min_duration changes, `apply_to` decides what happens to existing subscriptions:
+//   new (default) - only subscriptions created from now on get the new terms; existing
+//                   subscriptions have their renewal terms pinned to the old ones, since a
+//                   renewal otherwise takes the service's current terms
+//   renewals      - subscription terms that have not started yet take the new terms, and
+//                   existing subscriptions will renew at the new terms
+// There is no "none": leaving existing subscriptions on their old terms is what "new" does.
+export const PUT = withAuth(async (request, { params, user }) => {
+  try {
+    const user_id = user.id;
+
+    const { id } = await params;
+
+    const service = await findService(id, user_id);
+    if (!service) {
+      return NextResponse.json({ message: 'Service not found' }, { status: 404 });
+    }
+
+    // Validate the fields present in the body and merge them over the stored values
+    const body = await parseBody(request, SERVICE_UPDATE_SCHEMA, { partial: true });
+    const service_name = body.service_name ?? service.service_name;
+    const service_desc = body.service_desc ?? service.service_desc;
+    const min_duration = body.min_duration ?? service.min_duration;
+    const amount = body.amount ?? service.amount;
+    const category = body.category ?? service.category;
+    const grace_days = body.grace_days ?? service.grace_days;
+    const apply_to = body.apply_to ?? 'new';
+
+    // Resolve the entity among the user's own entities, keeping the current one if none is given
+    const entity = await resolveOwned(
+      'entities',
+      { id: body.entity_id ?? (body.entity_name ? undefined : service.entity_id), name: body.entity_name },
+      user_id
+    );
+    if (!entity) {
+      return NextResponse.json({ message: 'Invalid entity', errors: referenceErrors(body, { entity }) }, { status: 404 });
+    }
+    const entity_id = entity.id;
+
+    // Service names are unique per user
+    if (await isNameTaken('services', service_name, user_id, service.id)) {
+      const message = `Service "${service_name}" already exists`;
+      return NextResponse.json({ message, errors: { service_name: message } }, { status: 409 });
+    }
+
+    const termsChanged = Number(amount) !== Number(service.amount) || Number(min_duration) !== Number(service.min_duration);
+
+    // Propagate the new terms and update the service as one unit,
+    // collecting the subscriptions the change reaches and auditing every row touched
+    const touched = await withTransaction(async (connection) => {
+      const before = await findOwned('services', id, user_id, connection);
+      const subscriptions = termsChanged ? await listOwned('subscriptions', 'service_id', id, user_id, connection) : [];
+
+      let subscriptionIds = [];
+      if (termsChanged && apply_to === 'new') {
+        const [rows] = await connection.execute(
+          `SELECT id FROM subscriptions
+           WHERE service_id = ? AND user_id = ? AND cancelled = 0 AND endDate >= CURDATE()
+             AND renewal_amount IS NULL`,
+          [id, user_id]
+        );
+        subscriptionIds = rows.map((row) => row.id);
+
+        await connection.execute(
+          `UPDATE subscriptions SET renewal_amount = ?, renewal_duration = ?
+           WHERE service_id = ? AND user_id = ? AND cancelled = 0 AND endDate >= CURDATE()
+             AND renewal_amount IS NULL`,
+          [service.amount, service.min_duration, id, user_id]
+        );
+      }
+
+      if (termsChanged && apply_to === 'renewals') {
+        const [rows] = await connection.execute(
+          `SELECT id FROM subscriptions
+           WHERE service_id = ? AND user_id = ? AND cancelled = 0 AND endDate >= CURDATE()`,
+          [id, user_id]
+        );
+        subscriptionIds = rows.map((row) => row.id);
+
+        // Terms that have not started yet are billed at the new amount
+        await connection.execute(
+          `UPDATE subscriptions SET amount = ?
+           WHERE service_id = ? AND user_id = ? AND cancelled = 0 AND startDate > CURDATE()`,
+          [amount, id, user_id]
+        );
+
+        // Running terms keep their amount but renew at the service's terms
+        await connection.execute(
+          `UPDATE subscriptions SET renewal_amount = NULL, renewal_duration = NULL
+           WHERE service_id = ? AND user_id = ? AND cancelled = 0 AND endDate >= CURDATE()`,
+          [id, user_id]
+        );
+
+        // Repriced terms spread their new amount over their unpaid installments
+        for (const subscriptionId of subscriptionIds) {
+          await syncSubscriptionInstallments(subscriptionId, connection);
+        }
+      }
+
+      // Update the service in the database
+      await updateOwned('services', id, {
+        entity_id,
+        service_name,
+        service_desc,
+        min_duration,
+        amount,
+        category,
+        grace_days,
+      }, user_id, connection);
+
+      const actor = auditActor(request, user);
+      await auditChanges(actor, 'subscriptions', subscriptions, connection);
+      await auditChanges(actor, 'services', [before], connection);
+
+      return subscriptionIds;
+    });
+
+    const updated = await findService(id, user_id);
+
+    return NextResponse.json(
+      {
+        message: 'Service updated successfully',
+        data: updated,
+        apply_to,
+        touched_subscriptions: touched,
+      },
+      {
+        status: 200,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+        }
+      }
+    );
+
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return NextResponse.json({ message: error.message, errors: error.errors }, { status: 400 });
+    }
+    return NextResponse.json(
+      { message: 'Something went wrong', error: error.message },
+      { status: 500 }
+    );
+  }
+}, { scope: 'services' });
+
+export const PATCH = PUT;
+
+// DELETE request to remove a service.
+// The `mode` query parameter decides what happens to dependent records:
+//   restrict (default) - refuse with 409 and report the dependencies
+//   cascade            - delete the dependent subscriptions and payees as well, including
+//                        subscriptions of other services that use those payees
+export const DELETE = withAuth(async (request, { params, user }) => {
+  try {
+    const { id } = await params;
+    const { searchParams } = new URL(request.url);
+    const mode = (searchParams.get('mode') || 'restrict').toLowerCase();
+
+    if (!['restrict', 'cascade'].includes(mode)) {
+      return NextResponse.json(
+        { message: 'Invalid mode. Allowed values are "restrict" or "cascade".' },
+        { status: 400 }
+      );
+    }
+
+    const service = await findService(id, user.id);
+    if (!service) {
+      return NextResponse.json({ message: 'Service not found' }, { status: 404 });
+    }
+
+    // Remove the dependents and the service as one unit, auditing every row removed. The
+    // dependencies are read inside the transaction so that the 409 and the counts in `affected`
+    // describe the rows this delete actually meets.
+    const result = await withTransaction(async (connection) => {
+      const actor = auditActor(request, user);
+      const before = await findOwned('services', id, user.id, connection);
+      const dependents = await cascadeDependents(id, user.id, connection);
+      const dependencies = countDependents(dependents);
+
+      if (mode === 'restrict' && Object.values(dependencies).some((count) => count > 0)) {
+        return { conflict: dependencies };
+      }
+
+      // Children first so that no row is left pointing at a deleted parent
+      for (const table of [...DEPENDENT_TABLES].reverse()) {
+        const ids = dependents[table].map((row) => row.id);
+        if (ids.length) {
+          await connection.execute(
+            `DELETE FROM ${table} WHERE user_id = ? AND id IN (${ids.map(() => '?').join(', ')})`,
+            [user.id, ...ids]
+          );
+        }
+      }
+
+      await deleteOwned('services', id, user.id, connection);
+
+      for (const table of [...DEPENDENT_TABLES].reverse()) {
+        await auditChanges(actor, table, dependents[table], connection);
+      }
+      await auditChanges(actor, 'services', [before], connection);
+
+      return { affected: dependencies };
+    });
+
+    if (result.conflict) {
+      return NextResponse.json(
+        { message: 'Service is still referenced by other records', dependencies: result.conflict },
+        { status: 409 }
+      );
+    }
+
+    return NextResponse.json(
+      {
+        message: 'Service deleted successfully',
+        data: { id: service.id, mode, affected: result.affected },
+      },
+      {
+        status: 200,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+        }
+      }
+    );
+
+  } catch (error) {
+    return NextResponse.json(
+      { message: 'Something went wrong', error: error.message },
+      { status: 500 }
+    );
+  }
+}, { scope: 'services' });
@@ -1,6 +1,12 @@
 import { NextResponse } from 'next/server';
-import jwt from 'jsonwebtoken';
-import { db } from '../../../db';
+import { withTransaction } from '../../../db';
+import { ListQueryError, runListQuery } from '../../../lib/listQuery';
+import { insertOwned, isNameTaken, referenceErrors, resolveOwned } from '../../../lib/records';
+import { withAuth } from '../../../lib/auth';
+import { auditActor, auditCreate } from '../../../lib/audit';
+import { DEFAULT_GRACE_DAYS } from '../../../lib/installments';
+import { ValidationError, parseBody } from '../../../lib/validation';
+import { SERVICE_SCHEMA } from '../../../lib/schemas';
 
 // Enable CORS for preflight requests (OPTIONS)
 export async function OPTIONS() {
@@ -15,40 +21,38 @@ export async function OPTIONS() {
 }
 
 // GET request to fetch services with user details (username) and entity details from the database with Bearer token
-export async function GET(request) {
+export const GET = withAuth(async (request, { user }) => {
   try {
-    const authHeader = request.headers.get('Authorization');
-    
-    // Check if Authorization header is present
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return NextResponse.json({ message: 'Authorization token is missing or invalid' }, { status: 401 });
-    }
-
-    // Extract token from Authorization header
-    const token = authHeader.split(' ')[1];
-
-    // Verify the token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    // Query the database to fetch services with the username and entity details by joining 'users', 'services', and 'entities'
-    const [rows] = await db.execute(
-      `SELECT services.*, users.username, users.sr AS user_id, entities.id AS entity_id, entities.entity_name AS entity_name
-       FROM services
+    // Query the database to fetch one page of services with the username and entity details
+    const { searchParams } = new URL(request.url);
+    const { rows, pagination } = await runListQuery(searchParams, {
+      select: 'services.*, users.username, users.sr AS user_id, entities.id AS entity_id, entities.entity_name AS entity_name',
+      from: `services
        JOIN users ON services.user_id = users.sr
-       LEFT JOIN entities ON services.entity_id = entities.id
-       WHERE users.sr = ?`,
-      [decoded.user_id]
-    );
-
-    // Check if there are services
-    if (rows.length === 0) {
-      return NextResponse.json({ message: 'No services found' }, { status: 404 });
-    }
+       LEFT JOIN entities ON services.entity_id = entities.id`,
+      where: ['users.sr = ?'],
+      params: [user.id],
+      sortable: {
+        id: 'services.id',
+        service_name: 'services.service_name',
+        entity_name: 'entities.entity_name',
+        min_duration: 'services.min_duration',
+        grace_days: 'services.grace_days',
+        amount: 'services.amount',
+        category: 'services.category',
+      },
+      filters: {
+        category: 'services.category',
+        entity_id: 'services.entity_id',
+      },
+      defaultSort: 'service_name',
+    });
 
     // Send success response with fetched services, user details, and entity details
     return NextResponse.json({
       message: 'Services fetched successfully',
       data: rows,
+      pagination,
     }, {
       status: 200,
       headers: {
@@ -57,88 +61,80 @@ export async function GET(request) {
     });
 
   } catch (error) {
+    if (error instanceof ListQueryError) {
+      return NextResponse.json({ message: error.message }, { status: 400 });
+    }
     return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
   }
-}
+}, { scope: 'services' });
 
 
 // POST request to create a new service with entity name resolution
-export async function POST(request) {
+export const POST = withAuth(async (request, { user }) => {
   try {
-    const authHeader = request.headers.get('Authorization');
-
-    // Check if Authorization header is present
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return NextResponse.json({ message: 'Authorization token is missing or invalid' }, { status: 401 });
-    }
-
-    // Extract token and verify
-    const token = authHeader.split(' ')[1];
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    // Parse the request body
-    const body = await request.json();
+    // Parse and validate the request body
     const {
       service_name,
       service_desc,
-      entity_name, // User provides entity_name instead of entity_id
+      entity_id: requested_entity_id,
+      entity_name, // entity_name may be given instead of entity_id for convenience
       min_duration,
       amount,
       category,
-    } = body;
+      grace_days = DEFAULT_GRACE_DAYS,
+    } = await parseBody(request, SERVICE_SCHEMA);
 
-    // Validate required fields
-    if (!service_name || !service_desc || !min_duration || !amount || !category || !entity_name) {
-      return NextResponse.json(
-        { message: 'Missing required fields: service_name, service_desc, min_duration, amount, category, and entity_name are mandatory.' },
-        { status: 400 }
-      );
-    }
+    // Resolve the entity among the user's own entities
+    const entity = await resolveOwned('entities', { id: requested_entity_id, name: entity_name }, user.id);
 
-    // Validate category
-    if (!['income', 'expense'].includes(category.toLowerCase())) {
+    if (!entity) {
       return NextResponse.json(
-        { message: 'Invalid category. Allowed values are "income" or "expense".' },
-        { status: 400 }
+        {
+          message: `Entity "${requested_entity_id ?? entity_name}" not found`,
+          errors: referenceErrors({ entity_id: requested_entity_id }, { entity }),
+        },
+        { status: 404 }
       );
     }
 
-    // Fetch the entity_id based on entity_name
-    const [entityRows] = await db.execute(
-      `SELECT id FROM entities WHERE entity_name = ? LIMIT 1`,
-      [entity_name]
-    );
+    const entity_id = entity.id;
 
-    if (entityRows.length === 0) {
-      return NextResponse.json(
-        { message: `Entity with name "${entity_name}" not found` },
-        { status: 404 }
-      );
+    // Service names are unique per user
+    if (await isNameTaken('services', service_name, user.id)) {
+      const message = `Service "${service_name}" already exists`;
+      return NextResponse.json({ message, errors: { service_name: message } }, { status: 409 });
     }
 
-    const entity_id = entityRows[0].id;
-
-    // Insert the new service into the database
-    const [result] = await db.execute(
-      `INSERT INTO services (user_id, entity_id, service_name, service_desc, min_duration, amount, category)
-       VALUES (?, ?, ?, ?, ?, ?, ?)`,
-      [decoded.user_id, entity_id, service_name, service_desc, min_duration, amount, category.toLowerCase()]
-    );
+    // Insert the new service into the database together with its audit entry
+    const id = await withTransaction(async (connection) => {
+      const id = await insertOwned('services', {
+        entity_id,
+        service_name,
+        service_desc,
+        min_duration,
+        amount,
+        category,
+        grace_days,
+      }, user.id, connection);
+      await auditCreate(auditActor(request, user), 'services', id, connection);
+      return id;
+    });
 
     // Return success response
     return NextResponse.json(
       {
         message: 'Service created successfully',
         data: {
-          id: result.insertId,
-          user_id: decoded.user_id,
+          id,
+          user_id: user.id,
           entity_id,
-          entity_name,
+          entity_name: entity.entity_name,
           service_name,
           service_desc,
           min_duration,
           amount,
-          category: category.toLowerCase(),
+          category,
+          grace_days,
         },
       },
       {
@@ -150,10 +146,13 @@ export async function POST(request) {
     );
 
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return NextResponse.json({ message: error.message, errors: error.errors }, { status: 400 });
+    }
     return NextResponse.json(
       { message: 'Something went wrong', error: error.message },
       { status: 500 }
     );
   }
-}
+}, { scope: 'services' });
 
@@ -0,0 +1,34 @@
+import { NextResponse } from 'next/server';
+import { withAuth } from '../../../../lib/auth';
+import { clearSessionCookies, revokeSession } from '../../../../lib/sessions';
+
+// Enable CORS for preflight requests (OPTIONS)
+export async function OPTIONS() {
+  return NextResponse.json(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  });
+}
+
+// DELETE request to revoke one of the user's sessions. Its access token stops working at once
+// and its refresh token can no longer be used. Revoking the current session logs this device out.
+export const DELETE = withAuth(async (request, { params, user }) => {
+  try {
+    const { id } = await params;
+
+    if (!(await revokeSession(id, user.id))) {
+      return NextResponse.json({ message: 'Session not found' }, { status: 404 });
+    }
+
+    const current = Number(id) === user.session_id;
+    const response = NextResponse.json({ message: 'Session revoked', current }, { status: 200 });
+
+    return current ? clearSessionCookies(response) : response;
+  } catch (error) {
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+}, { allowUnverified: true });
@@ -0,0 +1,45 @@
+import { NextResponse } from 'next/server';
+import { withAuth } from '../../../lib/auth';
+import { listSessions, revokeOtherSessions } from '../../../lib/sessions';
+
+// Enable CORS for preflight requests (OPTIONS)
+export async function OPTIONS() {
+  return NextResponse.json(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  });
+}
+
+// GET request to list the user's active sessions (devices), flagging the one making the request
+export const GET = withAuth(async (request, { user }) => {
+  try {
+    const sessions = await listSessions(user.id);
+
+    return NextResponse.json({
+      message: 'Sessions fetched successfully',
+      data: sessions.map((session) => ({ ...session, current: session.id === user.session_id })),
+    }, {
+      status: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+  } catch (error) {
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+}, { allowUnverified: true });
+
+// DELETE request to sign out every other device, keeping the current session
+export const DELETE = withAuth(async (request, { user }) => {
+  try {
+    const revoked = await revokeOtherSessions(user.id, user.session_id);
+
+    return NextResponse.json({ message: 'Other sessions revoked', revoked }, { status: 200 });
+  } catch (error) {
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+}, { allowUnverified: true });
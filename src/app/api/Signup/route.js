@@ -1,5 +1,10 @@
 import { NextResponse } from 'next/server';
 import { db } from '../../../db';
+import { hashPassword } from '../../../lib/passwords';
+import { passwordPolicyError } from '../../../lib/passwordPolicy';
+import { sendVerificationEmail } from '../../../lib/emailVerification';
+import { ValidationError, parseBody } from '../../../lib/validation';
+import { SIGNUP_SCHEMA } from '../../../lib/schemas';
 
 // Enable CORS for preflight requests (OPTIONS)
 export async function OPTIONS() {
@@ -13,27 +18,62 @@ export async function OPTIONS() {
   });
 }
 
-// POST request for user signup (without password hashing)
+// POST request for user signup. The password is stored as a bcrypt hash.
+// The account starts unverified and a link to confirm the email address is sent.
 export async function POST(request) {
   try {
-    const { username, email, password, name, phone } = await request.json();
+    const { username, email, password, name = null, phone = null } = await parseBody(request, SIGNUP_SCHEMA);
 
-    // Check if the username already exists in the database
-    const [existingUser] = await db.execute('SELECT * FROM users WHERE username = ? OR email = ?', [username, email]);
+    const errors = {};
+    // Login takes a username or an email address, so a username must never look like one
+    if (username.includes('@')) {
+      errors.username = 'Username cannot contain "@"';
+    }
+    const policyError = passwordPolicyError(password);
+    if (policyError) {
+      errors.password = policyError;
+    }
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError(errors);
+    }
+
+    // Check both values against both columns, so that no username matches another account's
+    // email address and no email address matches another account's username
+    const [existingUser] = await db.execute(
+      'SELECT sr FROM users WHERE username IN (?, ?) OR email IN (?, ?)',
+      [username, email, username, email]
+    );
 
     if (existingUser.length > 0) {
       return NextResponse.json({ message: 'Username or email already exists' }, { status: 409 });
     }
 
-    // Insert the new user into the database without hashing the password
+    // Insert the new user into the database with the hashed password
     const [result] = await db.execute(
       'INSERT INTO users (username, email, password, name, phone) VALUES (?, ?, ?, ?, ?)',
-      [username, email, password, name, phone]
+      [username, email, await hashPassword(password), name, phone]
     );
 
+    // The account is usable without the email; a failed send can be retried with /api/Email/Resend
+    let emailSent = true;
+    try {
+      await sendVerificationEmail({ sr: result.insertId, username, name, email });
+    } catch (error) {
+      console.error('Error sending verification email:', error);
+      emailSent = false;
+    }
+
     // Return success response
-    return NextResponse.json({ message: 'User created successfully' }, { status: 201 });
+    return NextResponse.json({
+      message: emailSent
+        ? 'User created successfully. Check your email to verify your address.'
+        : 'User created successfully, but the verification email could not be sent. Log in to send it again.',
+      email_sent: emailSent,
+    }, { status: 201 });
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return NextResponse.json({ message: error.message, errors: error.errors }, { status: 400 });
+    }
     return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
   }
 }
@@ -0,0 +1,63 @@
+import { NextResponse } from 'next/server';
+import { getRenewalHistory, updateRenewalNotes } from '../../../../../lib/renewalHistory';
+import { withAuth } from '../../../../../lib/auth';
+import { ValidationError, parseBody } from '../../../../../lib/validation';
+import { RENEWAL_NOTES_SCHEMA } from '../../../../../lib/schemas';
+
+// Enable CORS for preflight requests (OPTIONS)
+export async function OPTIONS() {
+  return NextResponse.json(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, PATCH, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  });
+}
+
+// GET request for the renewal history of a subscription: every term of its chain, oldest first,
+// with the ledger entry of each renewal and the change in amount from the term before
+export const GET = withAuth(async (request, { params, user }) => {
+  try {
+    const { id } = await params;
+
+    const history = await getRenewalHistory(id, user.id);
+    if (!history) {
+      return NextResponse.json({ message: 'Subscription not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ message: 'Renewal history fetched successfully', data: history }, {
+      status: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+  } catch (error) {
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+}, { scope: 'subscriptions' });
+
+// PATCH request to change the notes on the ledger entry of the renewal that added this term
+export const PATCH = withAuth(async (request, { params, user }) => {
+  try {
+    const { id } = await params;
+
+    const { notes = null } = await parseBody(request, RENEWAL_NOTES_SCHEMA);
+    if (await updateRenewalNotes(id, user.id, notes) === 0) {
+      return NextResponse.json({ message: 'No renewal found for this subscription' }, { status: 404 });
+    }
+
+    return NextResponse.json({ message: 'Renewal notes saved', data: { id: Number(id), notes } }, {
+      status: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return NextResponse.json({ message: error.message, errors: error.errors }, { status: 400 });
+    }
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+}, { scope: 'subscriptions' });
@@ -0,0 +1,46 @@
+import { NextResponse } from 'next/server';
+import { findOwned } from '../../../../../lib/records';
+import { getInstallments, listPaymentStateChanges } from '../../../../../lib/installments';
+import { withAuth } from '../../../../../lib/auth';
+
+// Enable CORS for preflight requests (OPTIONS)
+export async function OPTIONS() {
+  return NextResponse.json(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  });
+}
+
+// GET request for a subscription's installment schedule with its totals and the recorded
+// changes of payment state. The schedule follows the subscription's billing_frequency and is
+// rewritten whenever the subscription changes.
+export const GET = withAuth(async (request, { params, user }) => {
+  try {
+    const { id } = await params;
+
+    const subscription = await findOwned('subscriptions', id, user.id);
+    if (!subscription) {
+      return NextResponse.json({ message: 'Subscription not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      message: 'Installments fetched successfully',
+      data: {
+        billing_frequency: subscription.billing_frequency,
+        ...(await getInstallments(id, user.id)),
+        state_changes: await listPaymentStateChanges(id, user.id),
+      },
+    }, {
+      status: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+  } catch (error) {
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+}, { scope: 'subscriptions' });
@@ -0,0 +1,87 @@
+import { NextResponse } from 'next/server';
+import { withTransaction } from '../../../../../db';
+import { findOwned, updateOwned } from '../../../../../lib/records';
+import { formatReminderDays, getSubscriptionReminderSettings } from '../../../../../lib/reminders';
+import { withAuth } from '../../../../../lib/auth';
+import { auditActor, auditChanges } from '../../../../../lib/audit';
+import { ValidationError, parseBody } from '../../../../../lib/validation';
+import { REMINDER_SETTINGS_SCHEMA } from '../../../../../lib/schemas';
+
+// Enable CORS for preflight requests (OPTIONS)
+export async function OPTIONS() {
+  return NextResponse.json(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  });
+}
+
+// GET request for a subscription's reminder lead times: as stored (null = the account's) and as they apply
+export const GET = withAuth(async (request, { params, user }) => {
+  try {
+    const { id } = await params;
+
+    const subscription = await findOwned('subscriptions', id, user.id);
+    if (!subscription) {
+      return NextResponse.json({ message: 'Subscription not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      message: 'Reminder settings fetched successfully',
+      data: await getSubscriptionReminderSettings(subscription),
+    }, {
+      status: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+  } catch (error) {
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+}, { scope: 'subscriptions' });
+
+// PUT request to set a subscription's lead times. A list left out follows the account's
+// setting again; an empty list turns that kind of reminder off for this subscription.
+export const PUT = withAuth(async (request, { params, user }) => {
+  try {
+    const { id } = await params;
+    const { reminder_days, payment_reminder_days } = await parseBody(request, REMINDER_SETTINGS_SCHEMA);
+
+    const subscription = await withTransaction(async (connection) => {
+      const before = await findOwned('subscriptions', id, user.id, connection);
+      if (!before) {
+        return null;
+      }
+
+      await updateOwned('subscriptions', id, {
+        reminder_days: formatReminderDays(reminder_days),
+        payment_reminder_days: formatReminderDays(payment_reminder_days),
+      }, user.id, connection);
+      await auditChanges(auditActor(request, user), 'subscriptions', [before], connection);
+
+      return findOwned('subscriptions', id, user.id, connection);
+    });
+
+    if (!subscription) {
+      return NextResponse.json({ message: 'Subscription not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      message: 'Reminder settings saved',
+      data: await getSubscriptionReminderSettings(subscription),
+    }, {
+      status: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return NextResponse.json({ message: error.message, errors: error.errors }, { status: 400 });
+    }
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+}, { scope: 'subscriptions' });
@@ -0,0 +1,126 @@
+import { NextResponse } from 'next/server';
+import { db, withTransaction } from '../../../../../db';
+import { findOwned, insertOwned } from '../../../../../lib/records';
+import { nextTerm } from '../../../../../lib/renewals';
+import { findNextTerm, recordRenewal } from '../../../../../lib/renewalHistory';
+import { withAuth } from '../../../../../lib/auth';
+import { auditActor, auditChanges, auditCreate } from '../../../../../lib/audit';
+import { syncSubscriptionInstallments } from '../../../../../lib/installments';
+import { ValidationError, parseBody } from '../../../../../lib/validation';
+import { RENEWAL_SCHEMA } from '../../../../../lib/schemas';
+
+// Enable CORS for preflight requests (OPTIONS)
+export async function OPTIONS() {
+  return NextResponse.json(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  });
+}
+
+// GET request for the term a renewal of this subscription would add by default
+export const GET = withAuth(async (request, { params, user }) => {
+  try {
+    const { id } = await params;
+
+    const subscription = await findOwned('subscriptions', id, user.id);
+    if (!subscription) {
+      return NextResponse.json({ message: 'Subscription not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      message: 'Next term fetched successfully',
+      data: { ...(await nextTerm(db, subscription)), auto_renew: Boolean(subscription.auto_renew) },
+    }, {
+      status: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+  } catch (error) {
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+}, { scope: 'subscriptions' });
+
+// POST request to renew a subscription by hand: adds the next term, linked to this one, and
+// enters the renewal in the ledger with `notes`. startDate, endDate, amount, paymentDate,
+// billing_frequency and auto_renew default to what the renewal scheduler would use. A term can be renewed once.
+export const POST = withAuth(async (request, { params, user }) => {
+  try {
+    const user_id = user.id;
+
+    const { id } = await params;
+
+    const subscription = await findOwned('subscriptions', id, user_id);
+    if (!subscription) {
+      return NextResponse.json({ message: 'Subscription not found' }, { status: 404 });
+    }
+    if (subscription.cancelled) {
+      return NextResponse.json({ message: 'A cancelled subscription cannot be renewed' }, { status: 409 });
+    }
+
+    const term = await nextTerm(db, subscription);
+    const body = await parseBody(request, RENEWAL_SCHEMA, { partial: true, current: term });
+    const fields = {
+      startDate: body.startDate ?? term.startDate,
+      endDate: body.endDate ?? term.endDate,
+      amount: body.amount ?? term.amount,
+      paymentDate: body.paymentDate ?? term.paymentDate,
+    };
+
+    // The lock on the old term keeps a concurrent renewal (or the scheduler) from adding a second next term
+    const next_id = await withTransaction(async (connection) => {
+      const [[before]] = await connection.execute(
+        'SELECT * FROM subscriptions WHERE id = ? AND user_id = ? FOR UPDATE',
+        [id, user_id]
+      );
+      if (await findNextTerm(id, user_id, connection)) {
+        return null;
+      }
+
+      const next_id = await insertOwned('subscriptions', {
+        entity_id: before.entity_id,
+        service_id: before.service_id,
+        payee_id: before.payee_id,
+        ...fields,
+        billing_frequency: body.billing_frequency ?? before.billing_frequency,
+        category: before.category,
+        renewal_amount: before.renewal_amount,
+        renewal_duration: before.renewal_duration,
+        auto_renew: (body.auto_renew ?? Boolean(before.auto_renew)) ? 1 : 0,
+        previous_id: before.id,
+        reminder_days: before.reminder_days,
+        payment_reminder_days: before.payment_reminder_days,
+      }, user_id, connection);
+      await connection.execute('UPDATE subscriptions SET renewed_at = NOW() WHERE id = ?', [before.id]);
+      await syncSubscriptionInstallments(next_id, connection);
+      await recordRenewal({
+        user_id,
+        subscription_id: next_id,
+        previous_id: before.id,
+        amount: fields.amount,
+        paymentDate: fields.paymentDate,
+        notes: body.notes ?? null,
+      }, user, connection);
+
+      const actor = auditActor(request, user);
+      await auditCreate(actor, 'subscriptions', next_id, connection);
+      await auditChanges(actor, 'subscriptions', [before], connection);
+      return next_id;
+    });
+
+    if (!next_id) {
+      return NextResponse.json({ message: 'This subscription has already been renewed' }, { status: 409 });
+    }
+
+    return NextResponse.json({ message: 'Subscription renewed successfully', data: { id: next_id, previous_id: Number(id) } }, { status: 201 });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return NextResponse.json({ message: error.message, errors: error.errors }, { status: 400 });
+    }
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+}, { scope: 'subscriptions' });
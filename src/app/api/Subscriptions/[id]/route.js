@@ -0,0 +1,189 @@
+import { NextResponse } from 'next/server';
+import { db, withTransaction } from '../../../../db';
+import { NEXT_TERM_SQL, SUBSCRIPTION_STATUS_SQL } from '../../../../lib/subscriptionStatus';
+import { deleteOwned, findOwned, referenceErrors, resolveOwned, updateOwned } from '../../../../lib/records';
+import { withAuth } from '../../../../lib/auth';
+import { auditActor, auditChanges } from '../../../../lib/audit';
+import { SUBSCRIPTION_PAYMENT_STATE_SQL, syncSubscriptionInstallments } from '../../../../lib/installments';
+import { ValidationError, parseBody } from '../../../../lib/validation';
+import { SUBSCRIPTION_SCHEMA } from '../../../../lib/schemas';
+
+// Enable CORS for preflight requests (OPTIONS)
+export async function OPTIONS() {
+  return NextResponse.json(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, PATCH, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  });
+}
+
+// Fetch a subscription owned by the given user together with its computed status
+async function findSubscription(id, user_id) {
+  const [[subscription]] = await db.execute(
+    `SELECT subscriptions.*, ${SUBSCRIPTION_STATUS_SQL} AS status, ${NEXT_TERM_SQL} AS next_id,
+            ${SUBSCRIPTION_PAYMENT_STATE_SQL} AS payment_status,
+            entities.entity_name,
+            services.service_name, services.min_duration AS service_duration, services.grace_days,
+            payees.payee_name, payees.email AS payee_email, payees.phone AS payee_phone
+     FROM subscriptions
+     LEFT JOIN entities ON subscriptions.entity_id = entities.id
+     LEFT JOIN services ON subscriptions.service_id = services.id
+     LEFT JOIN payees ON subscriptions.payee_id = payees.id
+     WHERE subscriptions.id = ? AND subscriptions.user_id = ?`,
+    [id, user_id]
+  );
+  return subscription;
+}
+
+// GET request to fetch a single subscription
+export const GET = withAuth(async (request, { params, user }) => {
+  try {
+    const { id } = await params;
+
+    const subscription = await findSubscription(id, user.id);
+    if (!subscription) {
+      return NextResponse.json({ message: 'Subscription not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      message: 'Subscription fetched successfully',
+      data: subscription,
+    }, {
+      status: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+
+  } catch (error) {
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+}, { scope: 'subscriptions' });
+
+// PATCH request to update some fields of a subscription.
+// Sending { cancelled: true } cancels the subscription, { cancelled: false } reinstates it.
+// { auto_renew: true } lets the renewal scheduler add the next term when this one ends. A lapsed
+// term that gets a new endDate or auto_renew is no longer lapsed and is looked at again.
+export const PATCH = withAuth(async (request, { params, user }) => {
+  try {
+    const user_id = user.id;
+
+    const { id } = await params;
+
+    const subscription = await findSubscription(id, user_id);
+    if (!subscription) {
+      return NextResponse.json({ message: 'Subscription not found' }, { status: 404 });
+    }
+
+    // Validate the fields present in the body and merge them over the stored values.
+    // Date ordering is checked against the stored dates when only one of them changes.
+    const body = await parseBody(request, SUBSCRIPTION_SCHEMA, { partial: true, current: subscription });
+    const startDate = body.startDate ?? subscription.startDate;
+    const endDate = body.endDate ?? subscription.endDate;
+    const amount = body.amount ?? subscription.amount;
+    const paymentDate = body.paymentDate ?? subscription.paymentDate;
+    const billing_frequency = body.billing_frequency ?? subscription.billing_frequency;
+    const category = body.category ?? subscription.category;
+    const cancelled = body.cancelled ?? Boolean(subscription.cancelled);
+    const auto_renew = body.auto_renew ?? Boolean(subscription.auto_renew);
+    const reopened = subscription.lapsed_at && (body.endDate !== undefined || body.auto_renew === true);
+
+    // Resolve the references among the user's own records, keeping the current ones if none are given
+    const entity = await resolveOwned(
+      'entities',
+      { id: body.entity_id ?? (body.entity_name ? undefined : subscription.entity_id), name: body.entity_name },
+      user_id
+    );
+    const service = await resolveOwned(
+      'services',
+      { id: body.service_id ?? (body.service_name ? undefined : subscription.service_id), name: body.service_name },
+      user_id
+    );
+    const payee = await resolveOwned(
+      'payees',
+      { id: body.payee_id ?? (body.payee_name ? undefined : subscription.payee_id), name: body.payee_name },
+      user_id
+    );
+
+    if (!entity || !service || !payee) {
+      return NextResponse.json(
+        { message: 'Invalid entity, service, or payee', errors: referenceErrors(body, { entity, service, payee }) },
+        { status: 404 }
+      );
+    }
+
+    // Update the subscription in the database together with its installments and audit entry
+    await withTransaction(async (connection) => {
+      const before = await findOwned('subscriptions', id, user_id, connection);
+      await updateOwned('subscriptions', id, {
+        entity_id: entity.id,
+        service_id: service.id,
+        payee_id: payee.id,
+        startDate,
+        endDate,
+        amount,
+        paymentDate,
+        billing_frequency,
+        category,
+        cancelled: cancelled ? 1 : 0,
+        auto_renew: auto_renew ? 1 : 0,
+        ...(reopened ? { lapsed_at: null } : {}),
+      }, user_id, connection);
+      await syncSubscriptionInstallments(id, connection);
+      await auditChanges(auditActor(request, user), 'subscriptions', [before], connection);
+    });
+
+    const updated = await findSubscription(id, user_id);
+
+    return NextResponse.json({
+      message: 'Subscription updated successfully',
+      data: updated,
+    }, {
+      status: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return NextResponse.json({ message: error.message, errors: error.errors }, { status: 400 });
+    }
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+}, { scope: 'subscriptions' });
+
+// DELETE request to permanently remove a subscription
+export const DELETE = withAuth(async (request, { params, user }) => {
+  try {
+    const { id } = await params;
+
+    // Delete the subscription together with its audit entry
+    const deleted = await withTransaction(async (connection) => {
+      const before = await findOwned('subscriptions', id, user.id, connection);
+      const deleted = await deleteOwned('subscriptions', id, user.id, connection);
+      await auditChanges(auditActor(request, user), 'subscriptions', [before], connection);
+      return deleted;
+    });
+
+    if (deleted === 0) {
+      return NextResponse.json({ message: 'Subscription not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      message: 'Subscription deleted successfully',
+      data: { id: Number(id) },
+    }, {
+      status: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+
+  } catch (error) {
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+}, { scope: 'subscriptions' });
@@ -1,6 +1,18 @@
 import { NextResponse } from 'next/server';
-import jwt from 'jsonwebtoken';
-import { db } from '../../../db';
+import { withTransaction } from '../../../db';
+import { ListQueryError, runListQuery } from '../../../lib/listQuery';
+import { insertOwned, referenceErrors, resolveOwned } from '../../../lib/records';
+import { NEXT_TERM_SQL, SUBSCRIPTION_STATUS_SQL, SUBSCRIPTION_STATUSES, parseStatusFilter } from '../../../lib/subscriptionStatus';
+import { withAuth } from '../../../lib/auth';
+import { auditActor, auditCreate } from '../../../lib/audit';
+import {
+  PAYMENT_STATES,
+  SUBSCRIPTION_PAYMENT_STATE_SQL,
+  parsePaymentStateFilter,
+  syncSubscriptionInstallments,
+} from '../../../lib/installments';
+import { ValidationError, parseBody } from '../../../lib/validation';
+import { SUBSCRIPTION_SCHEMA } from '../../../lib/schemas';
 
 // Enable CORS for preflight requests (OPTIONS)
 export async function OPTIONS() {
@@ -15,45 +27,80 @@ export async function OPTIONS() {
 }
 
 // GET request to fetch subscriptions with user, entity, service, payee details, and service duration from the database using Bearer token
-export async function GET(request) {
+export const GET = withAuth(async (request, { user }) => {
   try {
-    const authHeader = request.headers.get('Authorization');
-    
-    // Check if Authorization header is present
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return NextResponse.json({ message: 'Authorization token is missing or invalid' }, { status: 401 });
+    // Optional ?status=expiring-soon,expired filter on the computed status
+    const { searchParams } = new URL(request.url);
+    const statuses = parseStatusFilter(searchParams.get('status'));
+    if (statuses === null) {
+      return NextResponse.json(
+        { message: `Invalid status. Allowed values are ${SUBSCRIPTION_STATUSES.map((s) => `"${s}"`).join(', ')}.` },
+        { status: 400 }
+      );
     }
 
-    // Extract token from Authorization header
-    const token = authHeader.split(' ')[1];
-
-    // Verify the token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Optional ?payment_status=overdue,in-grace filter on the payment state of the installments
+    const paymentStates = parsePaymentStateFilter(searchParams.get('payment_status'));
+    if (paymentStates === null) {
+      return NextResponse.json(
+        { message: `Invalid payment_status. Allowed values are ${PAYMENT_STATES.map((s) => `"${s}"`).join(', ')}.` },
+        { status: 400 }
+      );
+    }
 
-    // Query the database to fetch subscriptions, user details, entity details, service details, and payee info
-    const [rows] = await db.execute(
-      `SELECT subscriptions.*, users.username, users.sr AS user_id,
+    // Query the database to fetch one page of subscriptions, user details, entity details, service details, and payee info
+    const { rows, pagination } = await runListQuery(searchParams, {
+      select: `subscriptions.*, ${SUBSCRIPTION_STATUS_SQL} AS status, ${NEXT_TERM_SQL} AS next_id,
+              ${SUBSCRIPTION_PAYMENT_STATE_SQL} AS payment_status,
+              users.username, users.sr AS user_id,
               entities.id AS entity_id, entities.entity_name,
               services.id AS service_id, services.service_name, services.min_duration AS service_duration,
-              payees.payee_name, payees.email AS payee_email, payees.phone AS payee_phone
-       FROM subscriptions
+              services.grace_days,
+              payees.payee_name, payees.email AS payee_email, payees.phone AS payee_phone`,
+      from: `subscriptions
        JOIN users ON subscriptions.user_id = users.sr
        LEFT JOIN entities ON subscriptions.entity_id = entities.id
        LEFT JOIN services ON subscriptions.service_id = services.id
-       LEFT JOIN payees ON subscriptions.payee_id = payees.id
-       WHERE users.sr = ?`,
-      [decoded.user_id]
-    );
-
-    // Check if there are subscriptions
-    if (rows.length === 0) {
-      return NextResponse.json({ message: 'No subscriptions found' }, { status: 404 });
-    }
+       LEFT JOIN payees ON subscriptions.payee_id = payees.id`,
+      where: [
+        'users.sr = ?',
+        ...(statuses.length ? [`${SUBSCRIPTION_STATUS_SQL} IN (${statuses.map(() => '?').join(', ')})`] : []),
+        ...(paymentStates.length ? [`${SUBSCRIPTION_PAYMENT_STATE_SQL} IN (${paymentStates.map(() => '?').join(', ')})`] : []),
+      ],
+      params: [user.id, ...statuses, ...paymentStates],
+      sortable: {
+        id: 'subscriptions.id',
+        startDate: 'subscriptions.startDate',
+        endDate: 'subscriptions.endDate',
+        paymentDate: 'subscriptions.paymentDate',
+        amount: 'subscriptions.amount',
+        category: 'subscriptions.category',
+        entity_name: 'entities.entity_name',
+        service_name: 'services.service_name',
+        payee_name: 'payees.payee_name',
+      },
+      filters: {
+        category: 'subscriptions.category',
+        billing_frequency: 'subscriptions.billing_frequency',
+        entity_id: 'subscriptions.entity_id',
+        service_id: 'subscriptions.service_id',
+        payee_id: 'subscriptions.payee_id',
+        auto_renew: 'subscriptions.auto_renew',
+        previous_id: 'subscriptions.previous_id',
+      },
+      dateFilters: {
+        startDate: 'subscriptions.startDate',
+        endDate: 'subscriptions.endDate',
+        paymentDate: 'subscriptions.paymentDate',
+      },
+      defaultSort: 'endDate',
+    });
 
     // Send success response with fetched subscriptions, user details, entity details, service details, and payee info
     return NextResponse.json({
       message: 'Subscriptions fetched successfully',
       data: rows,
+      pagination,
     }, {
       status: 200,
       headers: {
@@ -62,56 +109,68 @@ export async function GET(request) {
     });
 
   } catch (error) {
+    if (error instanceof ListQueryError) {
+      return NextResponse.json({ message: error.message }, { status: 400 });
+    }
     return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
   }
-}
+}, { scope: 'subscriptions' });
 
 
-export async function POST(request) {
+export const POST = withAuth(async (request, { user }) => {
   try {
-    // 1. Check for Authorization header
-    const authHeader = request.headers.get('Authorization');
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return NextResponse.json({ message: 'Authorization token is missing or invalid' }, { status: 401 });
-    }
-
-    // 2. Extract and verify the token
-    const token = authHeader.split(' ')[1];
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user_id = decoded.user_id;
-
-    // 3. Parse the request body
-    const body = await request.json();
+    const user_id = user.id;
 
-    // Destructure the fields from the request body
-    const { entity_name, service_name, payee_name, startDate, endDate, amount, paymentDate, category } = body;
+    // 1. Parse and validate the request body
+    const body = await parseBody(request, SUBSCRIPTION_SCHEMA);
 
-    // 4. Validate required fields
-    if (!entity_name || !service_name || !payee_name || !startDate || !endDate || !amount || !paymentDate || !category) {
-      return NextResponse.json({ message: 'All fields are required' }, { status: 400 });
-    }
+    // Destructure the fields from the request body.
+    // References are given as IDs; entity_name / service_name / payee_name are accepted for convenience.
+    const {
+      entity_id, entity_name, service_id, service_name, payee_id, payee_name,
+      startDate, endDate, amount, paymentDate, billing_frequency = 'once', category, auto_renew,
+    } = body;
 
-    // 5. Get IDs from names
-    const [[entity]] = await db.execute('SELECT id FROM entities WHERE entity_name = ?', [entity_name]);
-    const [[service]] = await db.execute('SELECT id FROM services WHERE service_name = ?', [service_name]);
-    const [[payee]] = await db.execute('SELECT id FROM payees WHERE payee_name = ?', [payee_name]);
+    // 2. Resolve the references among the user's own records
+    const entity = await resolveOwned('entities', { id: entity_id, name: entity_name }, user_id);
+    const service = await resolveOwned('services', { id: service_id, name: service_name }, user_id);
+    const payee = await resolveOwned('payees', { id: payee_id, name: payee_name }, user_id);
 
-    // 6. Check if the IDs exist
+    // 3. Check if the references exist
     if (!entity || !service || !payee) {
-      return NextResponse.json({ message: 'Invalid entity, service, or payee name' }, { status: 404 });
+      return NextResponse.json(
+        { message: 'Invalid entity, service, or payee', errors: referenceErrors(body, { entity, service, payee }) },
+        { status: 404 }
+      );
     }
 
-    // 7. Insert the subscription into the database
-    await db.execute(
-      'INSERT INTO subscriptions (user_id, entity_id, service_id, payee_id, startDate, endDate, amount, paymentDate, category) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
-      [user_id, entity.id, service.id, payee.id, startDate, endDate, amount, paymentDate, category]
-    );
+    // 4. Insert the subscription into the database together with its installments and audit entry
+    const id = await withTransaction(async (connection) => {
+      const id = await insertOwned('subscriptions', {
+        entity_id: entity.id,
+        service_id: service.id,
+        payee_id: payee.id,
+        startDate,
+        endDate,
+        amount,
+        paymentDate,
+        billing_frequency,
+        category,
+        auto_renew: auto_renew ? 1 : 0,
+      }, user_id, connection);
+      await syncSubscriptionInstallments(id, connection);
+      await auditCreate(auditActor(request, user), 'subscriptions', id, connection);
+      return id;
+    });
 
-    // 8. Respond with success message
-    return NextResponse.json({ message: 'Subscription created successfully' }, { status: 201 });
+    // 5. Respond with success message
+    return NextResponse.json({ message: 'Subscription created successfully', data: { id } }, { status: 201 });
 
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return NextResponse.json({ message: error.message, errors: error.errors }, { status: 400 });
+    }
     return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
   }
-}
+}, { scope: 'subscriptions' });
 
@@ -0,0 +1,66 @@
+import { NextResponse } from 'next/server';
+import { db, withTransaction } from '../../../../db';
+import { withAuth } from '../../../../lib/auth';
+import { verifyPassword } from '../../../../lib/passwords';
+import { isTwoFactorEnabled, verifySecondFactor } from '../../../../lib/twoFactor';
+import { ValidationError, parseBody } from '../../../../lib/validation';
+import { TWO_FACTOR_DISABLE_SCHEMA } from '../../../../lib/schemas';
+
+// Enable CORS for preflight requests (OPTIONS)
+export async function OPTIONS() {
+  return NextResponse.json(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  });
+}
+
+// POST request to turn 2FA off. Takes the password and a current code (or a recovery code),
+// so a stolen access token alone is not enough.
+export const POST = withAuth(async (request, { user }) => {
+  try {
+    const { password, code, recovery_code } = await parseBody(request, TWO_FACTOR_DISABLE_SCHEMA);
+
+    const [rows] = await db.execute('SELECT * FROM users WHERE sr = ?', [user.id]);
+    const account = rows[0];
+    if (!account) {
+      return NextResponse.json({ message: 'User not found' }, { status: 404 });
+    }
+    if (!isTwoFactorEnabled(account)) {
+      return NextResponse.json({ message: 'Two-step verification is not enabled' }, { status: 409 });
+    }
+
+    const { valid } = await verifyPassword(password, account.password);
+    if (!valid) {
+      return NextResponse.json({ message: 'Incorrect password', errors: { password: 'Incorrect password' } }, { status: 400 });
+    }
+    if (!(await verifySecondFactor(account, { code, recovery_code }))) {
+      const field = recovery_code ? 'recovery_code' : 'code';
+      return NextResponse.json({ message: 'Invalid verification code', errors: { [field]: 'Invalid verification code' } }, { status: 400 });
+    }
+
+    await withTransaction(async (connection) => {
+      await connection.execute(
+        `UPDATE users SET totp_secret = NULL, totp_pending_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL
+         WHERE sr = ?`,
+        [user.id]
+      );
+      await connection.execute('DELETE FROM recovery_codes WHERE user_id = ?', [user.id]);
+    });
+
+    return NextResponse.json({ message: 'Two-step verification disabled' }, {
+      status: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return NextResponse.json({ message: error.message, errors: error.errors }, { status: 400 });
+    }
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+}, { allowUnverified: true });
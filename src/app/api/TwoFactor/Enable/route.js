@@ -0,0 +1,79 @@
+import { NextResponse } from 'next/server';
+import { db, withTransaction } from '../../../../db';
+import { withAuth } from '../../../../lib/auth';
+import { decryptSecret, isTwoFactorEnabled, replaceRecoveryCodes, verifyTotp } from '../../../../lib/twoFactor';
+import { ValidationError, parseBody } from '../../../../lib/validation';
+import { TWO_FACTOR_CODE_SCHEMA } from '../../../../lib/schemas';
+
+// Enable CORS for preflight requests (OPTIONS)
+export async function OPTIONS() {
+  return NextResponse.json(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  });
+}
+
+// POST request to finish enrollment with a code from the app set up at /api/TwoFactor/Setup.
+// Turns 2FA on and returns the recovery codes, which are not shown again.
+export const POST = withAuth(async (request, { user }) => {
+  try {
+    const { code } = await parseBody(request, TWO_FACTOR_CODE_SCHEMA);
+
+    const [rows] = await db.execute(
+      'SELECT sr, totp_secret, totp_pending_secret, totp_enabled_at FROM users WHERE sr = ?',
+      [user.id]
+    );
+    const account = rows[0];
+    if (!account) {
+      return NextResponse.json({ message: 'User not found' }, { status: 404 });
+    }
+    if (isTwoFactorEnabled(account)) {
+      return NextResponse.json({ message: 'Two-step verification is already enabled' }, { status: 409 });
+    }
+    if (!account.totp_pending_secret) {
+      return NextResponse.json({ message: 'Start the setup again to get a new QR code' }, { status: 400 });
+    }
+
+    const step = verifyTotp(decryptSecret(account.totp_pending_secret), code);
+    if (step === null) {
+      return NextResponse.json({ message: 'Invalid verification code', errors: { code: 'Invalid verification code' } }, { status: 400 });
+    }
+
+    const recoveryCodes = await withTransaction(async (connection) => {
+      // The pending secret is part of the condition so a second setup started meanwhile wins
+      const [result] = await connection.execute(
+        `UPDATE users SET totp_secret = totp_pending_secret, totp_pending_secret = NULL,
+                totp_enabled_at = NOW(), totp_last_step = ?
+         WHERE sr = ? AND totp_pending_secret = ?`,
+        [step, user.id, account.totp_pending_secret]
+      );
+      if (result.affectedRows === 0) {
+        return null;
+      }
+      return replaceRecoveryCodes(user.id, connection);
+    });
+
+    if (!recoveryCodes) {
+      return NextResponse.json({ message: 'Start the setup again to get a new QR code' }, { status: 409 });
+    }
+
+    return NextResponse.json({
+      message: 'Two-step verification enabled',
+      data: { recovery_codes: recoveryCodes },
+    }, {
+      status: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return NextResponse.json({ message: error.message, errors: error.errors }, { status: 400 });
+    }
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+}, { allowUnverified: true });
@@ -0,0 +1,52 @@
+import { NextResponse } from 'next/server';
+import { db, withTransaction } from '../../../../db';
+import { withAuth } from '../../../../lib/auth';
+import { isTwoFactorEnabled, replaceRecoveryCodes, verifySecondFactor } from '../../../../lib/twoFactor';
+import { ValidationError, parseBody } from '../../../../lib/validation';
+import { TWO_FACTOR_CODE_SCHEMA } from '../../../../lib/schemas';
+
+// Enable CORS for preflight requests (OPTIONS)
+export async function OPTIONS() {
+  return NextResponse.json(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  });
+}
+
+// POST request to replace the recovery codes with a new set, confirmed with a current code.
+// The old codes stop working.
+export const POST = withAuth(async (request, { user }) => {
+  try {
+    const { code } = await parseBody(request, TWO_FACTOR_CODE_SCHEMA);
+
+    const [rows] = await db.execute('SELECT sr, totp_secret, totp_enabled_at, totp_last_step FROM users WHERE sr = ?', [user.id]);
+    const account = rows[0];
+    if (!account || !isTwoFactorEnabled(account)) {
+      return NextResponse.json({ message: 'Two-step verification is not enabled' }, { status: 409 });
+    }
+    if (!(await verifySecondFactor(account, { code }))) {
+      return NextResponse.json({ message: 'Invalid verification code', errors: { code: 'Invalid verification code' } }, { status: 400 });
+    }
+
+    const recoveryCodes = await withTransaction((connection) => replaceRecoveryCodes(user.id, connection));
+
+    return NextResponse.json({
+      message: 'New recovery codes generated',
+      data: { recovery_codes: recoveryCodes },
+    }, {
+      status: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return NextResponse.json({ message: error.message, errors: error.errors }, { status: 400 });
+    }
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+}, { allowUnverified: true });
@@ -0,0 +1,52 @@
+import { NextResponse } from 'next/server';
+import { db } from '../../../../db';
+import { withAuth } from '../../../../lib/auth';
+import { encryptSecret, generateSecret, isTwoFactorEnabled, otpauthUrl, qrCodeDataUrl } from '../../../../lib/twoFactor';
+
+// Enable CORS for preflight requests (OPTIONS)
+export async function OPTIONS() {
+  return NextResponse.json(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  });
+}
+
+// POST request to start enrollment: a new secret, returned with an otpauth:// URL and a QR code
+// for the authenticator app. Nothing changes for login until it is confirmed at /api/TwoFactor/Enable.
+export const POST = withAuth(async (request, { user }) => {
+  try {
+    const [rows] = await db.execute('SELECT sr, username, totp_secret, totp_enabled_at FROM users WHERE sr = ?', [user.id]);
+    const account = rows[0];
+    if (!account) {
+      return NextResponse.json({ message: 'User not found' }, { status: 404 });
+    }
+    if (isTwoFactorEnabled(account)) {
+      return NextResponse.json({ message: 'Two-step verification is already enabled' }, { status: 409 });
+    }
+
+    const secret = generateSecret();
+    await db.execute('UPDATE users SET totp_pending_secret = ? WHERE sr = ?', [encryptSecret(secret), user.id]);
+
+    const url = otpauthUrl(secret, account.username);
+
+    return NextResponse.json({
+      message: 'Scan the QR code with your authenticator app',
+      data: {
+        secret,
+        otpauth_url: url,
+        qr_code: await qrCodeDataUrl(url),
+      },
+    }, {
+      status: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+  } catch (error) {
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+}, { allowUnverified: true });
@@ -0,0 +1,41 @@
+import { NextResponse } from 'next/server';
+import { db } from '../../../db';
+import { withAuth } from '../../../lib/auth';
+import { countRecoveryCodes, isTwoFactorEnabled } from '../../../lib/twoFactor';
+
+// Enable CORS for preflight requests (OPTIONS)
+export async function OPTIONS() {
+  return NextResponse.json(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    },
+  });
+}
+
+// GET request for the user's two-step verification status
+export const GET = withAuth(async (request, { user }) => {
+  try {
+    const [rows] = await db.execute('SELECT sr, totp_secret, totp_enabled_at FROM users WHERE sr = ?', [user.id]);
+    const account = rows[0];
+    const enabled = Boolean(account && isTwoFactorEnabled(account));
+
+    return NextResponse.json({
+      message: 'Two-step verification status fetched successfully',
+      data: {
+        enabled,
+        enabled_at: enabled ? account.totp_enabled_at : null,
+        recovery_codes_remaining: enabled ? await countRecoveryCodes(user.id) : 0,
+      },
+    }, {
+      status: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+  } catch (error) {
+    return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+  }
+}, { allowUnverified: true });
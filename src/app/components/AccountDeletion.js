@@ -0,0 +1,129 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import FieldError, { inputClass, responseErrors } from './FieldError';
+
+function formatDay(value) {
+  return new Date(value).toLocaleDateString(undefined, { day: 'numeric', month: 'long', year: 'numeric' });
+}
+
+// "Delete Account" card on Accounts/Account. Deleting takes the password and only schedules
+// the deletion; until the date shown it can be cancelled here.
+export default function AccountDeletion() {
+  const [deletion, setDeletion] = useState(null);
+  const [password, setPassword] = useState('');
+  const [confirmed, setConfirmed] = useState(false);
+  const [errors, setErrors] = useState({});
+  const [formError, setFormError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const authHeaders = () => ({ Authorization: localStorage.getItem("token") });
+
+  useEffect(() => {
+    axios.get('http://localhost:3000/api/Account/Deletion', { headers: authHeaders() })
+      .then((response) => setDeletion(response.data.data))
+      .catch((err) => console.error('Error fetching account deletion:', err));
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setErrors({});
+    setFormError(null);
+
+    try {
+      const response = await axios.post('http://localhost:3000/api/Account/Deletion', { password }, { headers: authHeaders() });
+      setDeletion(response.data.data);
+      setPassword('');
+      setConfirmed(false);
+    } catch (err) {
+      console.error('Error deleting account:', err);
+      const { errors, message } = responseErrors(err, 'Failed to delete account');
+      setErrors(errors);
+      setFormError(message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const cancel = async () => {
+    setSaving(true);
+    setFormError(null);
+
+    try {
+      await axios.delete('http://localhost:3000/api/Account/Deletion', { headers: authHeaders() });
+      setDeletion({ ...deletion, scheduled: false, scheduled_at: null, requested_at: null });
+    } catch (err) {
+      console.error('Error cancelling account deletion:', err);
+      setFormError(err.response?.data?.message || 'Failed to cancel the deletion');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (deletion?.scheduled) {
+    return (
+      <div className="card">
+        <h5 className="card-header mb-1">Delete Account</h5>
+        <div className="card-body">
+          <div className="alert alert-danger">
+            <h6 className="alert-heading mb-1">Your account will be deleted on {formatDay(deletion.scheduled_at)}.</h6>
+            <p className="mb-0">
+              All of your entities, services, payees and subscriptions will be removed with it. Download your data
+              above if you want to keep a copy.
+            </p>
+          </div>
+          {formError && <p className="text-danger">{formError}</p>}
+          <button type="button" className="btn btn-primary" onClick={cancel} disabled={saving}>
+            Cancel deletion
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="card">
+      <h5 className="card-header mb-1">Delete Account</h5>
+      <div className="card-body">
+        <div className="mb-6 col-12 mb-0">
+          <div className="alert alert-warning">
+            <h6 className="alert-heading mb-1">Are you sure you want to delete your account?</h6>
+            <p className="mb-0">
+              Your account and all of its data will be deleted {deletion?.grace_period_days ?? 14} days from now.
+              Until then you can change your mind; after that there is no going back.
+            </p>
+          </div>
+        </div>
+        <form onSubmit={handleSubmit}>
+          <div className="form-floating form-floating-outline mb-4 col-md-6">
+            <input
+              className={inputClass(errors, 'password')}
+              type="password"
+              id="deletePassword"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete="current-password"
+              placeholder="Password" />
+            <label htmlFor="deletePassword">Confirm with your password</label>
+            <FieldError errors={errors} name="password" />
+          </div>
+          <div className="form-check mb-6">
+            <input
+              className="form-check-input"
+              type="checkbox"
+              id="accountActivation"
+              checked={confirmed}
+              onChange={(e) => setConfirmed(e.target.checked)} />
+            <label className="form-check-label" htmlFor="accountActivation">
+              I confirm my account deletion
+            </label>
+          </div>
+          {formError && !errors.password && <p className="text-danger">{formError}</p>}
+          <button type="submit" className="btn btn-danger deactivate-account" disabled={!confirmed || !password || saving}>
+            Delete Account
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
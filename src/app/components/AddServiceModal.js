@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import axios from 'axios';
+import FieldError, { inputClass, responseErrors } from './FieldError';
 
 export default function AddServiceModal({ show, onClose, onServiceAdded }) {
   const [formData, setFormData] = useState({
@@ -7,9 +8,12 @@ export default function AddServiceModal({ show, onClose, onServiceAdded }) {
     service_desc: '',
     entity_name: '',
     min_duration: '',
+    grace_days: 14,
     amount: '',
     category: 'income',
   });
+  const [errors, setErrors] = useState({}); // Field errors returned by the API
+  const [formError, setFormError] = useState(null);
 
   const handleChange = (e) => {
     setFormData({ ...formData, [e.target.name]: e.target.value });
@@ -25,18 +29,21 @@ export default function AddServiceModal({ show, onClose, onServiceAdded }) {
     }
     try {
       const response = await axios.post('http://localhost:3000/api/Services', formData, {
-        headers: { 
+        headers: {
           "Authorization": token,
           "Content-Type": "application/json",
         },
       });
 
-    
-      console.log("Entity Added:", response.data);
+      setErrors({});
+      setFormError(null);
       onServiceAdded(response.data.data);
       onClose();
     } catch (error) {
       console.error('Error adding service:', error);
+      const { errors, message } = responseErrors(error, 'Failed to add service');
+      setErrors(errors);
+      setFormError(message);
     }
   };
 
@@ -50,38 +57,52 @@ export default function AddServiceModal({ show, onClose, onServiceAdded }) {
               <button type="button" className="btn-close" onClick={onClose}></button>
             </div>
             <div className="modal-body">
-              <form onSubmit={handleSubmit}>
+              {formError && <div className="alert alert-danger">{formError}</div>}
+              <form onSubmit={handleSubmit} noValidate>
                 <div className="mb-3">
                   <label className="form-label">Service Name</label>
-                  <input type="text" className="form-control" name="service_name" onChange={handleChange} required />
+                  <input type="text" className={inputClass(errors, 'service_name')} name="service_name" onChange={handleChange} required />
+                  <FieldError errors={errors} name="service_name" />
                 </div>
 
                 <div className="mb-3">
                   <label className="form-label">Description</label>
-                  <textarea className="form-control" name="service_desc" onChange={handleChange} required></textarea>
+                  <textarea className={inputClass(errors, 'service_desc')} name="service_desc" onChange={handleChange} required></textarea>
+                  <FieldError errors={errors} name="service_desc" />
                 </div>
 
                 <div className="mb-3">
                   <label className="form-label">Entity Name</label>
-                  <input type="text" className="form-control" name="entity_name" onChange={handleChange} required />
+                  <input type="text" className={inputClass(errors, 'entity_name')} name="entity_name" onChange={handleChange} required />
+                  <FieldError errors={errors} name="entity_name" />
                 </div>
 
                 <div className="mb-3">
                   <label className="form-label">Duration (months)</label>
-                  <input type="number" className="form-control" name="min_duration" onChange={handleChange} required />
+                  <input type="number" className={inputClass(errors, 'min_duration')} name="min_duration" onChange={handleChange} required />
+                  <FieldError errors={errors} name="min_duration" />
+                </div>
+
+                <div className="mb-3">
+                  <label className="form-label">Grace period (days)</label>
+                  <input type="number" min="0" className={inputClass(errors, 'grace_days')} name="grace_days" value={formData.grace_days} onChange={handleChange} />
+                  <small className="text-muted">After a payment has been overdue for a week, before it counts as lapsed</small>
+                  <FieldError errors={errors} name="grace_days" />
                 </div>
 
                 <div className="mb-3">
                   <label className="form-label">Amount</label>
-                  <input type="number" className="form-control" name="amount" onChange={handleChange} required />
+                  <input type="number" className={inputClass(errors, 'amount')} name="amount" onChange={handleChange} required />
+                  <FieldError errors={errors} name="amount" />
                 </div>
 
                 <div className="mb-3">
                   <label className="form-label">Category</label>
-                  <select className="form-control" name="category" onChange={handleChange}>
+                  <select className={inputClass(errors, 'category')} name="category" onChange={handleChange}>
                     <option value="income">Income</option>
                     <option value="expense">Expense</option>
                   </select>
+                  <FieldError errors={errors} name="category" />
                 </div>
 
                 <div className="text-end">
@@ -0,0 +1,239 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import FieldError, { inputClass, responseErrors } from './FieldError';
+
+// Key types offered by the form, and the scopes each one grants (see src/lib/apiKeys.js)
+const KEY_TYPES = [
+  { value: 'full', label: 'Full Access', scopes: ['full'] },
+  { value: 'read', label: 'Read Only', scopes: ['read'] },
+  { value: 'subscriptions-read', label: 'Read Subscriptions', scopes: ['subscriptions:read'] },
+  { value: 'subscriptions-write', label: 'Read & Write Subscriptions', scopes: ['subscriptions:write'] },
+];
+
+const EXPIRY_OPTIONS = [
+  { value: '30', label: '30 days' },
+  { value: '90', label: '90 days' },
+  { value: '365', label: '1 year' },
+  { value: '', label: 'Never' },
+];
+
+function scopeLabel(scope) {
+  if (scope === 'full') {
+    return 'Full Access';
+  }
+  if (scope === 'read') {
+    return 'Read Only';
+  }
+  const [resource, access] = scope.split(':');
+  return `${resource.charAt(0).toUpperCase()}${resource.slice(1)} ${access === 'write' ? 'Read & Write' : 'Read'}`;
+}
+
+function formatDate(value) {
+  return new Date(value).toLocaleString(undefined, { day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+// "Create an API key" and "API Key List & Access" cards on Accounts/Security
+export default function ApiKeys() {
+  const [keys, setKeys] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const [formData, setFormData] = useState({ name: '', type: '', expires_in_days: '90' });
+  const [errors, setErrors] = useState({});
+  const [formError, setFormError] = useState(null);
+  const [createdKey, setCreatedKey] = useState(null); // Plain key, shown once after creating it
+
+  const authHeaders = () => ({ Authorization: localStorage.getItem("token") });
+
+  useEffect(() => {
+    fetchKeys();
+  }, []);
+
+  const fetchKeys = async () => {
+    try {
+      const response = await axios.get('http://localhost:3000/api/ApiKeys', { headers: authHeaders() });
+      setKeys(response.data.data);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching API keys:', err);
+      setError(err.response?.data?.message || 'Failed to load API keys');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const type = KEY_TYPES.find((option) => option.value === formData.type);
+    if (!type) {
+      setErrors({ scopes: 'Choose a key type' });
+      setFormError(null);
+      return;
+    }
+
+    try {
+      const response = await axios.post('http://localhost:3000/api/ApiKeys', {
+        name: formData.name,
+        scopes: type.scopes,
+        expires_in_days: formData.expires_in_days || null,
+      }, { headers: authHeaders() });
+
+      setCreatedKey(response.data.data);
+      setFormData({ name: '', type: '', expires_in_days: '90' });
+      setErrors({});
+      setFormError(null);
+      fetchKeys();
+    } catch (err) {
+      console.error('Error creating API key:', err);
+      const { errors, message } = responseErrors(err, 'Failed to create API key');
+      setErrors(errors);
+      setFormError(message);
+    }
+  };
+
+  const revoke = async (key) => {
+    if (!window.confirm(`Revoke "${key.name}"? Anything using it will stop working.`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`http://localhost:3000/api/ApiKeys/${key.id}`, { headers: authHeaders() });
+      if (createdKey?.id === key.id) {
+        setCreatedKey(null);
+      }
+      fetchKeys();
+    } catch (err) {
+      console.error('Error revoking API key:', err);
+      setError(err.response?.data?.message || 'Failed to revoke API key');
+    }
+  };
+
+  return (
+    <>
+      <div className="card mb-6">
+        <h5 className="card-header mb-1">Create an API key</h5>
+        <div className="row row-gap-1">
+          <div className="col-xl-5 col-md-7">
+            <div className="card-body">
+              <form id="formAccountSettingsApiKey" onSubmit={handleSubmit} noValidate>
+                {formError && <div className="alert alert-danger">{formError}</div>}
+                <div className="row gy-5">
+                  <div className="col-12">
+                    <div className="form-floating form-floating-outline">
+                      <select id="apiAccess" name="type" className={inputClass(errors, 'scopes', 'form-select')} value={formData.type} onChange={handleChange}>
+                        <option value="">Choose Key Type</option>
+                        {KEY_TYPES.map((option) => (
+                          <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                      </select>
+                      <label htmlFor="apiAccess">Choose the Api key type you want to create</label>
+                    </div>
+                    <FieldError errors={errors} name="scopes" />
+                  </div>
+                  <div className="col-12">
+                    <div className="form-floating form-floating-outline">
+                      <input
+                        type="text"
+                        className={inputClass(errors, 'name')}
+                        id="apiKey"
+                        name="name"
+                        value={formData.name}
+                        onChange={handleChange}
+                        placeholder="Renewals export" />
+                      <label htmlFor="apiKey">Name the API key</label>
+                    </div>
+                    <FieldError errors={errors} name="name" />
+                  </div>
+                  <div className="col-12">
+                    <div className="form-floating form-floating-outline">
+                      <select id="apiExpiry" name="expires_in_days" className={inputClass(errors, 'expires_in_days', 'form-select')} value={formData.expires_in_days} onChange={handleChange}>
+                        {EXPIRY_OPTIONS.map((option) => (
+                          <option key={option.label} value={option.value}>{option.label}</option>
+                        ))}
+                      </select>
+                      <label htmlFor="apiExpiry">Expires after</label>
+                    </div>
+                    <FieldError errors={errors} name="expires_in_days" />
+                  </div>
+                  <div className="col-12">
+                    <button type="submit" className="btn btn-primary me-2 w-100">Create Key</button>
+                  </div>
+                </div>
+              </form>
+            </div>
+          </div>
+          <div className="col-xl-7 col-md-5">
+            <div className="text-center">
+              <img
+                src="/assets/img/illustrations/account-settings-security-illustration.png"
+                className="img-fluid"
+                alt="Api Key Image"
+                width="143" />
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="card mb-6">
+        <div className="card-body">
+          <h5>API Key List & Access</h5>
+          <p className="mb-6">
+            Scripts and tools can call the API with a key instead of logging in, by sending it as
+            "Authorization: Bearer &lt;key&gt;". A key acts as you, limited to its access.
+          </p>
+
+          {createdKey && (
+            <div className="alert alert-success">
+              <p className="mb-2">Copy your new key now. You won't be able to see it again.</p>
+              <div className="d-flex align-items-center">
+                <code className="me-3 text-break">{createdKey.key}</code>
+                <span className="cursor-pointer" onClick={() => navigator.clipboard?.writeText(createdKey.key)}>
+                  <i className="ri-file-copy-line ri-20px"></i>
+                </span>
+              </div>
+            </div>
+          )}
+
+          {error && <p className="text-danger">{error}</p>}
+
+          {loading ? (
+            <p>Loading...</p>
+          ) : keys.length === 0 ? (
+            <p className="text-muted mb-0">You have no API keys.</p>
+          ) : (
+            keys.map((key, index) => (
+              <div key={key.id} className={`bg-lighter rounded-3 p-4${index < keys.length - 1 ? ' mb-6' : ''}`}>
+                <div className="d-flex align-items-center mb-2">
+                  <h6 className="mb-0 me-3">{key.name}</h6>
+                  {key.scopes.map((scope) => (
+                    <span key={scope} className="badge bg-label-primary rounded-pill me-2">{scopeLabel(scope)}</span>
+                  ))}
+                  {key.expired && <span className="badge bg-label-danger rounded-pill">Expired</span>}
+                  <button className="btn btn-sm btn-text-danger ms-auto" onClick={() => revoke(key)}>Revoke</button>
+                </div>
+                <div className="d-flex align-items-center mb-2">
+                  <span className="me-3 fw-medium">{key.key_prefix}…</span>
+                </div>
+                <span className="text-muted d-block">
+                  Created on {formatDate(key.created_at)}
+                  {' · '}
+                  {key.expires_at ? `${key.expired ? 'Expired' : 'Expires'} on ${formatDate(key.expires_at)}` : 'Never expires'}
+                </span>
+                <span className="text-muted d-block">
+                  {key.last_used_at
+                    ? `Last used on ${formatDate(key.last_used_at)}${key.last_used_ip ? ` from ${key.last_used_ip}` : ''}`
+                    : 'Never used'}
+                </span>
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,143 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import FieldError, { inputClass, responseErrors } from './FieldError';
+import { PASSWORD_RULES } from '@/lib/passwordPolicy';
+
+const EMPTY_FORM = { current_password: '', new_password: '', confirm_password: '' };
+
+function PasswordInput({ id, name, label, value, visible, onToggle, onChange, errors }) {
+  return (
+    <>
+      <div className="input-group input-group-merge">
+        <div className="form-floating form-floating-outline">
+          <input
+            className={inputClass(errors, name)}
+            type={visible ? 'text' : 'password'}
+            id={id}
+            name={name}
+            value={value}
+            onChange={onChange}
+            autoComplete={name === 'current_password' ? 'current-password' : 'new-password'}
+            placeholder="&#xb7;&#xb7;&#xb7;&#xb7;&#xb7;&#xb7;&#xb7;&#xb7;&#xb7;&#xb7;&#xb7;&#xb7;" />
+          <label htmlFor={id}>{label}</label>
+        </div>
+        <span className="input-group-text cursor-pointer" onClick={onToggle}>
+          <i className={visible ? 'ri-eye-line' : 'ri-eye-off-line'}></i>
+        </span>
+      </div>
+      <FieldError errors={errors} name={name} />
+    </>
+  );
+}
+
+// "Change Password" card on Accounts/Security. The requirements list is the policy the API
+// enforces, ticked off as the new password is typed.
+export default function ChangePasswordForm() {
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [visible, setVisible] = useState({});
+  const [errors, setErrors] = useState({});
+  const [formError, setFormError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+    setErrors({ ...errors, [e.target.name]: undefined });
+  };
+
+  const toggle = (name) => setVisible({ ...visible, [name]: !visible[name] });
+
+  const handleReset = () => {
+    setFormData(EMPTY_FORM);
+    setErrors({});
+    setFormError(null);
+    setSuccess(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setSuccess(null);
+
+    try {
+      const response = await axios.put('http://localhost:3000/api/Password', formData, {
+        headers: { Authorization: localStorage.getItem("token") },
+      });
+      handleReset();
+      setSuccess(response.data.sessions_revoked > 0
+        ? `Password changed. ${response.data.sessions_revoked} other device(s) were signed out.`
+        : 'Password changed.');
+    } catch (err) {
+      console.error('Error changing password:', err);
+      const { errors, message } = responseErrors(err, 'Failed to change password');
+      setErrors(errors);
+      setFormError(message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="card mb-6">
+      <h5 className="card-header">Change Password</h5>
+      <div className="card-body pt-1">
+        <form id="formAccountSettings" onSubmit={handleSubmit} onReset={handleReset} noValidate>
+          {formError && <div className="alert alert-danger">{formError}</div>}
+          {success && <div className="alert alert-success">{success}</div>}
+          <div className="row">
+            <div className="mb-5 col-md-6 form-password-toggle">
+              <PasswordInput
+                id="currentPassword"
+                name="current_password"
+                label="Current Password"
+                value={formData.current_password}
+                visible={visible.current_password}
+                onToggle={() => toggle('current_password')}
+                onChange={handleChange}
+                errors={errors} />
+            </div>
+          </div>
+          <div className="row g-5 mb-6">
+            <div className="col-md-6 form-password-toggle">
+              <PasswordInput
+                id="newPassword"
+                name="new_password"
+                label="New Password"
+                value={formData.new_password}
+                visible={visible.new_password}
+                onToggle={() => toggle('new_password')}
+                onChange={handleChange}
+                errors={errors} />
+            </div>
+            <div className="col-md-6 form-password-toggle">
+              <PasswordInput
+                id="confirmPassword"
+                name="confirm_password"
+                label="Confirm New Password"
+                value={formData.confirm_password}
+                visible={visible.confirm_password}
+                onToggle={() => toggle('confirm_password')}
+                onChange={handleChange}
+                errors={errors} />
+            </div>
+          </div>
+          <h6 className="text-body">Password Requirements:</h6>
+          <ul className="ps-4 mb-0">
+            {PASSWORD_RULES.map((rule, index) => {
+              const met = formData.new_password !== '' && rule.test(formData.new_password);
+              return (
+                <li key={rule.label} className={`${index < PASSWORD_RULES.length - 1 ? 'mb-4' : ''}${met ? ' text-success' : ''}`}>
+                  {rule.label}
+                </li>
+              );
+            })}
+          </ul>
+          <div className="mt-6">
+            <button type="submit" className="btn btn-primary me-3" disabled={saving}>Save changes</button>
+            <button type="reset" className="btn btn-outline-secondary">Reset</button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,49 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+
+// "Export Your Data" card on Accounts/Account: downloads the ZIP built by /api/Account/Export
+export default function DataExport() {
+  const [downloading, setDownloading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const download = async () => {
+    setDownloading(true);
+    setError(null);
+
+    try {
+      const response = await axios.get('http://localhost:3000/api/Account/Export', {
+        headers: { Authorization: localStorage.getItem("token") },
+        responseType: 'blob',
+      });
+      const filename = /filename="([^"]+)"/.exec(response.headers['content-disposition'] || '')?.[1] || 'expirio-export.zip';
+
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error exporting data:', err);
+      setError('Failed to export your data');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  return (
+    <div className="card mb-6">
+      <h5 className="card-header mb-1">Export Your Data</h5>
+      <div className="card-body">
+        <p>
+          Download a ZIP archive with your profile and all of your entities, services, payees and
+          subscriptions as JSON files.
+        </p>
+        {error && <p className="text-danger">{error}</p>}
+        <button type="button" className="btn btn-outline-primary" onClick={download} disabled={downloading}>
+          <i className="ri-download-2-line me-2"></i>{downloading ? 'Preparing...' : 'Download my data'}
+        </button>
+      </div>
+    </div>
+  );
+}
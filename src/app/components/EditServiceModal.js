@@ -0,0 +1,155 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import FieldError, { inputClass, responseErrors } from './FieldError';
+
+export default function EditServiceModal({ service, entities, onClose, onServiceUpdated }) {
+  const [formData, setFormData] = useState(null);
+  const [touched, setTouched] = useState(null); // Subscriptions affected by the last save
+  const [errors, setErrors] = useState({}); // Field errors returned by the API
+  const [formError, setFormError] = useState(null);
+
+  useEffect(() => {
+    if (service) {
+      setFormData({
+        service_name: service.service_name,
+        service_desc: service.service_desc,
+        entity_id: service.entity_id,
+        min_duration: service.min_duration,
+        grace_days: service.grace_days,
+        amount: service.amount,
+        category: service.category,
+        apply_to: 'new',
+      });
+      setTouched(null);
+      setErrors({});
+      setFormError(null);
+    }
+  }, [service]);
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  const termsChanged = formData && service &&
+    (Number(formData.amount) !== Number(service.amount) || Number(formData.min_duration) !== Number(service.min_duration));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const token = localStorage.getItem("token");
+
+    try {
+      const response = await axios.put(`http://localhost:3000/api/Services/${service.id}`, formData, {
+        headers: {
+          "Authorization": token,
+          "Content-Type": "application/json",
+        },
+      });
+
+      onServiceUpdated(response.data.data);
+      if (response.data.touched_subscriptions.length > 0) {
+        setTouched(response.data.touched_subscriptions);
+      } else {
+        onClose();
+      }
+    } catch (error) {
+      console.error('Error updating service:', error);
+      const { errors, message } = responseErrors(error, 'Failed to update service');
+      setErrors(errors);
+      setFormError(message);
+    }
+  };
+
+  return (
+    service && formData && (
+      <div className="modal fade show d-block" tabIndex="-1" style={{ background: 'rgba(0, 0, 0, 0.5)' }}>
+        <div className="modal-dialog modal-dialog-centered">
+          <div className="modal-content">
+            <div className="modal-header">
+              <h5 className="modal-title">Edit Service</h5>
+              <button type="button" className="btn-close" onClick={onClose}></button>
+            </div>
+            <div className="modal-body">
+              {touched ? (
+                <>
+                  <p>Service updated. The change was applied to {touched.length} subscription(s):</p>
+                  <p className="text-muted">{touched.map((id) => `#${id}`).join(', ')}</p>
+                  <div className="text-end">
+                    <button type="button" className="btn btn-primary" onClick={onClose}>Done</button>
+                  </div>
+                </>
+              ) : (
+                <form onSubmit={handleSubmit} noValidate>
+                  {formError && <div className="alert alert-danger">{formError}</div>}
+                  <div className="mb-3">
+                    <label className="form-label">Service Name</label>
+                    <input type="text" className={inputClass(errors, 'service_name')} name="service_name" value={formData.service_name} onChange={handleChange} required />
+                    <FieldError errors={errors} name="service_name" />
+                  </div>
+
+                  <div className="mb-3">
+                    <label className="form-label">Description</label>
+                    <textarea className={inputClass(errors, 'service_desc')} name="service_desc" value={formData.service_desc} onChange={handleChange} required></textarea>
+                    <FieldError errors={errors} name="service_desc" />
+                  </div>
+
+                  <div className="mb-3">
+                    <label className="form-label">Entity</label>
+                    <select className={inputClass(errors, 'entity_id')} name="entity_id" value={formData.entity_id} onChange={handleChange}>
+                      {entities.map((entity) => (
+                        <option key={entity.id} value={entity.id}>{entity.entity_name}</option>
+                      ))}
+                    </select>
+                    <FieldError errors={errors} name="entity_id" />
+                  </div>
+
+                  <div className="mb-3">
+                    <label className="form-label">Duration (months)</label>
+                    <input type="number" className={inputClass(errors, 'min_duration')} name="min_duration" value={formData.min_duration} onChange={handleChange} required />
+                    <FieldError errors={errors} name="min_duration" />
+                  </div>
+
+                  <div className="mb-3">
+                    <label className="form-label">Grace period (days)</label>
+                    <input type="number" min="0" className={inputClass(errors, 'grace_days')} name="grace_days" value={formData.grace_days} onChange={handleChange} />
+                    <FieldError errors={errors} name="grace_days" />
+                  </div>
+
+                  <div className="mb-3">
+                    <label className="form-label">Amount</label>
+                    <input type="number" className={inputClass(errors, 'amount')} name="amount" value={formData.amount} onChange={handleChange} required />
+                    <FieldError errors={errors} name="amount" />
+                  </div>
+
+                  {termsChanged && (
+                    <div className="mb-3">
+                      <label className="form-label">Apply new amount / duration to</label>
+                      <select className={inputClass(errors, 'apply_to')} name="apply_to" value={formData.apply_to} onChange={handleChange}>
+                        <option value="new">New subscriptions only (existing ones renew at the old price)</option>
+                        <option value="renewals">Future renewals of existing subscriptions</option>
+                      </select>
+                      <FieldError errors={errors} name="apply_to" />
+                    </div>
+                  )}
+
+                  <div className="mb-3">
+                    <label className="form-label">Category</label>
+                    <select className={inputClass(errors, 'category')} name="category" value={formData.category} onChange={handleChange}>
+                      <option value="income">Income</option>
+                      <option value="expense">Expense</option>
+                    </select>
+                    <FieldError errors={errors} name="category" />
+                  </div>
+
+                  <div className="text-end">
+                    <button type="button" className="btn btn-secondary me-2" onClick={onClose}>Cancel</button>
+                    <button type="submit" className="btn btn-primary">Update Service</button>
+                  </div>
+                </form>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    )
+  );
+}
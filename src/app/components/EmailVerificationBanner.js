@@ -0,0 +1,59 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+
+// Shown above every page while the account's email address is unverified. Most API calls
+// answer 403 until then, so this explains why and lets the user ask for a new link.
+export default function EmailVerificationBanner() {
+  const [email, setEmail] = useState(null); // Set only while unverified
+  const [notice, setNotice] = useState(null);
+  const [sending, setSending] = useState(false);
+
+  useEffect(() => {
+    const token = localStorage.getItem("token");
+    if (!token) {
+      return;
+    }
+
+    axios.get('http://localhost:3000/api/Email', { headers: { Authorization: token } })
+      .then((response) => {
+        if (!response.data.data.verified) {
+          setEmail(response.data.data.email);
+        }
+      })
+      .catch((err) => console.error('Error fetching email status:', err));
+  }, []);
+
+  const resend = async () => {
+    setSending(true);
+    try {
+      const response = await axios.post('http://localhost:3000/api/Email/Resend', null, {
+        headers: { Authorization: localStorage.getItem("token") },
+      });
+      setNotice(response.data.message);
+    } catch (err) {
+      console.error('Error resending verification email:', err);
+      setNotice(err.response?.data?.message || 'Failed to send the verification email');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  if (!email) {
+    return null;
+  }
+
+  return (
+    <div className="container-xxl pt-4">
+      <div className="alert alert-warning d-flex flex-wrap align-items-center justify-content-between gap-2 mb-0">
+        <span>
+          Please confirm your email address <strong>{email}</strong> using the link we sent you. Until then you can
+          only change your account settings.
+          {notice && <span className="d-block mt-1">{notice}</span>}
+        </span>
+        <button className="btn btn-sm btn-warning" onClick={resend} disabled={sending}>
+          {sending ? 'Sending...' : 'Resend email'}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,23 @@
+import React from 'react';
+
+// Inline message under a form input, taken from the `errors` map ({ field: message })
+// that the API returns with a 400, 404 or 409.
+export default function FieldError({ errors, name }) {
+  if (!errors || !errors[name]) {
+    return null;
+  }
+  return <div className="invalid-feedback d-block">{errors[name]}</div>;
+}
+
+// Class name for an input, marked invalid when the API reported an error for it
+export function inputClass(errors, name, base = 'form-control') {
+  return errors && errors[name] ? `${base} is-invalid` : base;
+}
+
+// Pull the field errors and the overall message out of a failed axios request
+export function responseErrors(error, fallback) {
+  return {
+    errors: error.response?.data?.errors || {},
+    message: error.response?.data?.message || fallback,
+  };
+}
@@ -0,0 +1,127 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import PaymentStateBadge from './PaymentStateBadge';
+
+const STATUS_BADGES = {
+  lapsed: 'bg-label-dark',
+  'in-grace': 'bg-label-danger',
+  overdue: 'bg-label-warning',
+  due: 'bg-label-warning',
+  upcoming: 'bg-label-info',
+};
+
+// Installments past their due date, whether still overdue, in the grace period or lapsed
+const PAST_DUE = 'overdue,in-grace,lapsed';
+
+function formatDay(value) {
+  return new Date(value).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+function formatAmount(value) {
+  return Number(value).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function total(installments) {
+  return installments.reduce((sum, installment) => sum + Number(installment.amount), 0);
+}
+
+// Past due and upcoming installments of one category ('expense' or 'income') for the dashboards,
+// each of which can be marked paid from here
+export default function InstallmentsDue({ category }) {
+  const [overdue, setOverdue] = useState([]);
+  const [upcoming, setUpcoming] = useState([]);
+  const [error, setError] = useState(null);
+
+  const authHeaders = () => ({ Authorization: localStorage.getItem("token") });
+
+  useEffect(() => {
+    fetchInstallments();
+  }, [category]);
+
+  const fetchInstallments = async () => {
+    try {
+      const list = (status) => axios.get('http://localhost:3000/api/Installments', {
+        headers: authHeaders(),
+        params: { category, status, limit: 10 },
+      });
+      const [overdueResponse, upcomingResponse] = await Promise.all([list(PAST_DUE), list('due,upcoming')]);
+      setOverdue(overdueResponse.data.data);
+      setUpcoming(upcomingResponse.data.data);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching installments:', err);
+      setError('Failed to load installments');
+    }
+  };
+
+  const markPaid = async (installment) => {
+    try {
+      await axios.patch(`http://localhost:3000/api/Installments/${installment.id}`, { paid: true }, { headers: authHeaders() });
+      fetchInstallments();
+    } catch (err) {
+      console.error('Error marking installment paid:', err);
+      setError(err.response?.data?.message || 'Failed to mark the installment paid');
+    }
+  };
+
+  const renderList = (installments, empty) => (
+    installments.length === 0
+      ? <p className="text-muted mb-0">{empty}</p>
+      : (
+        <ul className="list-unstyled mb-0">
+          {installments.map((installment) => (
+            <li key={installment.id} className="d-flex align-items-center justify-content-between mb-4">
+              <div className="me-2">
+                <h6 className="mb-0">
+                  {installment.service_name || `Subscription #${installment.subscription_id}`}
+                  {installment.installment_count > 1 && (
+                    <small className="text-muted fw-normal"> · {installment.sequence}/{installment.installment_count}</small>
+                  )}
+                </h6>
+                <small className="text-muted">
+                  {installment.payee_name ? `${installment.payee_name} · ` : ''}due {formatDay(installment.due_date)}
+                </small>
+                {PAST_DUE.split(',').includes(installment.status) && (
+                  <PaymentStateBadge state={installment.status} className="ms-2" />
+                )}
+              </div>
+              <div className="d-flex align-items-center gap-2">
+                <span className={`badge ${STATUS_BADGES[installment.status] || 'bg-label-secondary'}`}>{formatAmount(installment.amount)}</span>
+                <button type="button" className="btn btn-sm btn-outline-success" title="Mark as paid" onClick={() => markPaid(installment)}>
+                  <i className="ri-check-line"></i>
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )
+  );
+
+  return (
+    <>
+      {error && <div className="col-12"><div className="alert alert-danger mb-0">{error}</div></div>}
+      <div className="col-md-6">
+        <div className="card h-100">
+          <div className="card-header d-flex justify-content-between align-items-center">
+            <h5 className="card-title m-0">Overdue Installments</h5>
+            {overdue.length > 0 && <span className="badge bg-label-danger rounded-pill">{formatAmount(total(overdue))}</span>}
+          </div>
+          <div className="card-body">
+            {renderList(overdue, 'Nothing overdue.')}
+          </div>
+        </div>
+      </div>
+      <div className="col-md-6">
+        <div className="card h-100">
+          <div className="card-header d-flex justify-content-between align-items-center">
+            <h5 className="card-title m-0">Upcoming Installments</h5>
+            {upcoming.length > 0 && <span className="badge bg-label-info rounded-pill">{formatAmount(total(upcoming))}</span>}
+          </div>
+          <div className="card-body">
+            {renderList(upcoming, 'Nothing due in the next 30 days.')}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,69 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { describeDevice, formatDate } from './SessionList';
+
+const EVENTS = {
+  failed_password: { label: 'Wrong password', badge: 'bg-label-warning' },
+  failed_two_factor: { label: 'Wrong verification code', badge: 'bg-label-warning' },
+  blocked: { label: 'Attempt refused, too many failures', badge: 'bg-label-danger' },
+  locked: { label: 'Account locked', badge: 'bg-label-danger' },
+  unlocked: { label: 'Account unlocked', badge: 'bg-label-success' },
+};
+
+// "Failed Sign-in Attempts" card on Accounts/Security: wrong passwords and codes, lockouts and unlocks
+export default function LoginEvents() {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    axios.get('http://localhost:3000/api/LoginEvents', { headers: { Authorization: localStorage.getItem("token") } })
+      .then((response) => setEvents(response.data.data))
+      .catch((err) => {
+        console.error('Error fetching sign-in events:', err);
+        setError(err.response?.data?.message || 'Failed to load sign-in attempts');
+      })
+      .finally(() => setLoading(false));
+  }, []);
+
+  return (
+    <div className="card mb-6">
+      <h5 className="card-header">Failed Sign-in Attempts</h5>
+      {error && <p className="text-danger px-5">{error}</p>}
+      <div className="table-responsive">
+        <table className="table">
+          <thead>
+            <tr>
+              <th className="text-truncate">When</th>
+              <th className="text-truncate">What happened</th>
+              <th className="text-truncate">Browser</th>
+              <th className="text-truncate">IP Address</th>
+            </tr>
+          </thead>
+          <tbody>
+            {loading ? (
+              <tr><td colSpan="4">Loading...</td></tr>
+            ) : events.length === 0 ? (
+              <tr><td colSpan="4">No failed sign-in attempts.</td></tr>
+            ) : (
+              events.map((event) => {
+                const { browser, system, icon } = describeDevice(event.user_agent);
+                const { label, badge } = EVENTS[event.event] ?? { label: event.event, badge: 'bg-label-secondary' };
+                return (
+                  <tr key={event.id}>
+                    <td className="text-truncate">{formatDate(event.created_at)}</td>
+                    <td className="text-truncate"><span className={`badge ${badge} rounded-pill`}>{label}</span></td>
+                    <td className="text-truncate text-heading" title={event.user_agent || ''}>
+                      <i className={`${icon} ri-20px me-3`}></i>{browser} on {system}
+                    </td>
+                    <td className="text-truncate">{event.ip || 'Unknown'}</td>
+                  </tr>
+                );
+              })
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,22 @@
+import React from 'react';
+
+// Previous / next controls for a list endpoint's `pagination` ({ page, pages, ... }).
+// Renders nothing while everything fits on one page.
+export default function Pagination({ pagination, onPage }) {
+  if (!pagination || pagination.pages <= 1) {
+    return null;
+  }
+  const { page, pages } = pagination;
+
+  return (
+    <div className="d-flex justify-content-between align-items-center mt-5">
+      <button type="button" className="btn btn-outline-secondary btn-sm" disabled={page <= 1} onClick={() => onPage(page - 1)}>
+        Previous
+      </button>
+      <small className="text-muted">Page {page} of {pages}</small>
+      <button type="button" className="btn btn-outline-secondary btn-sm" disabled={page >= pages} onClick={() => onPage(page + 1)}>
+        Next
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,236 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import FieldError, { inputClass, responseErrors } from './FieldError';
+import { fetchAllPages } from '@/lib/listClient';
+
+// List of payees (or payers) with edit, delete and merge actions.
+// The parent owns the data; `onChanged` is called after every successful change so it can refetch.
+export default function PayeeList({ payees, onChanged }) {
+  const [editPayee, setEditPayee] = useState(null); // Payee being edited
+  const [deletePayee, setDeletePayee] = useState(null); // Payee pending deletion
+  const [mergePayee, setMergePayee] = useState(null); // Payee that duplicates will be merged into
+  const [mergeSources, setMergeSources] = useState([]);
+  const [mergeCandidates, setMergeCandidates] = useState([]); // Every payee of the category, not just this page
+  const [error, setError] = useState(null);
+  const [editErrors, setEditErrors] = useState({}); // Field errors returned by the API for the edit form
+  const [editMessage, setEditMessage] = useState(null);
+
+  const authHeaders = () => ({
+    "Authorization": localStorage.getItem("token"),
+    "Content-Type": "application/json",
+  });
+
+  const openEdit = (payee) => {
+    setEditErrors({});
+    setEditMessage(null);
+    setEditPayee(payee);
+  };
+
+  const handleEditChange = (e) => {
+    setEditPayee({ ...editPayee, [e.target.name]: e.target.value });
+  };
+
+  const handleEditSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      await axios.put(`http://localhost:3000/api/Payees/${editPayee.id}`, {
+        payee_name: editPayee.payee_name,
+        phone: editPayee.phone,
+        email: editPayee.email,
+        amount: editPayee.amount,
+      }, { headers: authHeaders() });
+
+      setEditPayee(null);
+      onChanged();
+    } catch (err) {
+      console.error('Error updating payee:', err);
+      const { errors, message } = responseErrors(err, 'Failed to update payee');
+      setEditErrors(errors);
+      setEditMessage(message);
+    }
+  };
+
+  // Ask the API what the payee is used by before confirming
+  const handleDeleteClick = async (payee) => {
+    try {
+      const response = await axios.get(`http://localhost:3000/api/Payees/${payee.id}`, { headers: authHeaders() });
+      setDeletePayee(response.data.data);
+    } catch (err) {
+      console.error('Error fetching payee:', err);
+      setError(err.response?.data?.message || 'Failed to load payee');
+    }
+  };
+
+  const handleDeleteConfirm = async () => {
+    try {
+      await axios.delete(`http://localhost:3000/api/Payees/${deletePayee.id}`, {
+        headers: authHeaders(),
+        params: { mode: 'cascade' },
+      });
+
+      setDeletePayee(null);
+      onChanged();
+    } catch (err) {
+      console.error('Error deleting payee:', err);
+      setError(err.response?.data?.message || 'Failed to delete payee');
+    }
+  };
+
+  const openMerge = async (payee) => {
+    try {
+      setMergeCandidates(await fetchAllPages('http://localhost:3000/api/Payees', { params: { category: payee.category } }));
+      setMergePayee(payee);
+    } catch (err) {
+      console.error('Error fetching payees:', err);
+      setError('Failed to load payees to merge');
+    }
+  };
+
+  const toggleMergeSource = (id) => {
+    setMergeSources(mergeSources.includes(id) ? mergeSources.filter((source) => source !== id) : [...mergeSources, id]);
+  };
+
+  const handleMergeSubmit = async () => {
+    try {
+      await axios.post(`http://localhost:3000/api/Payees/${mergePayee.id}/merge`, { source_ids: mergeSources }, {
+        headers: authHeaders(),
+      });
+
+      setMergePayee(null);
+      setMergeSources([]);
+      onChanged();
+    } catch (err) {
+      console.error('Error merging payees:', err);
+      setError(err.response?.data?.message || 'Failed to merge payees');
+    }
+  };
+
+  return (
+    <>
+      {error && <p className="text-danger">{error}</p>}
+
+      {payees.length === 0 ? (
+        <p>No payees found.</p>
+      ) : (
+        <ul className="p-0 m-0">
+          {payees.map((payee) => (
+            <li key={payee.id} className="d-flex align-items-center mb-6 border-0 rounded-3 shadow-sm mb-2 py-5 px-5">
+              <div className="d-flex w-100 flex-wrap align-items-center justify-content-between gap-2">
+                <div className="me-2">
+                  <h6 className="mb-0">{payee.payee_name}</h6>
+                  <small className="d-flex align-items-center">Phone: {payee.phone}</small>
+                  <small className="d-flex align-items-center">Email: {payee.email}</small>
+                </div>
+                <div className="d-flex align-items-center">
+                  <div className="badge bg-label-primary rounded-pill me-2">Entity: {payee.entity_name}</div>
+                  <div className="badge bg-label-success rounded-pill me-2">Service: {payee.service_name}</div>
+                  <i className="ri-pencil-line text-primary me-2" role="button" title="Edit" onClick={() => openEdit(payee)}></i>
+                  <i className="ri-git-merge-line text-info me-2" role="button" title="Merge duplicates" onClick={() => openMerge(payee)}></i>
+                  <i className="ri-delete-bin-line text-danger" role="button" title="Delete" onClick={() => handleDeleteClick(payee)}></i>
+                </div>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {editPayee && (
+        <div className="modal show d-block" style={{ background: 'rgba(0,0,0,0.5)' }}>
+          <div className="modal-dialog">
+            <div className="modal-content">
+              <div className="modal-header">
+                <h5 className="modal-title">Edit {editPayee.payee_name}</h5>
+                <button className="btn-close" onClick={() => setEditPayee(null)}></button>
+              </div>
+              <form onSubmit={handleEditSubmit} noValidate>
+                <div className="modal-body">
+                  {editMessage && <div className="alert alert-danger">{editMessage}</div>}
+                  <div className="mb-2">
+                    <input type="text" name="payee_name" placeholder="Name" className={inputClass(editErrors, 'payee_name')} value={editPayee.payee_name} onChange={handleEditChange} required />
+                    <FieldError errors={editErrors} name="payee_name" />
+                  </div>
+                  <div className="mb-2">
+                    <input type="text" name="phone" placeholder="Phone" className={inputClass(editErrors, 'phone')} value={editPayee.phone} onChange={handleEditChange} required />
+                    <FieldError errors={editErrors} name="phone" />
+                  </div>
+                  <div className="mb-2">
+                    <input type="email" name="email" placeholder="Email" className={inputClass(editErrors, 'email')} value={editPayee.email} onChange={handleEditChange} required />
+                    <FieldError errors={editErrors} name="email" />
+                  </div>
+                  <div className="mb-2">
+                    <input type="number" name="amount" placeholder="Amount" className={inputClass(editErrors, 'amount')} value={editPayee.amount} onChange={handleEditChange} required />
+                    <FieldError errors={editErrors} name="amount" />
+                  </div>
+                </div>
+                <div className="modal-footer">
+                  <button type="button" className="btn btn-secondary" onClick={() => setEditPayee(null)}>Cancel</button>
+                  <button type="submit" className="btn btn-primary">Update</button>
+                </div>
+              </form>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {deletePayee && (
+        <div className="modal show d-block" style={{ background: 'rgba(0,0,0,0.5)' }}>
+          <div className="modal-dialog">
+            <div className="modal-content">
+              <div className="modal-header">
+                <h5 className="modal-title">Delete {deletePayee.payee_name}</h5>
+                <button className="btn-close" onClick={() => setDeletePayee(null)}></button>
+              </div>
+              <div className="modal-body">
+                <p>Are you sure you want to delete this payee?</p>
+                {deletePayee.subscription_count > 0 && (
+                  <p className="text-danger mb-0">
+                    {deletePayee.subscription_count} subscription(s) will be deleted with it.
+                    Use merge instead to keep them under another payee.
+                  </p>
+                )}
+              </div>
+              <div className="modal-footer">
+                <button className="btn btn-secondary" onClick={() => setDeletePayee(null)}>Cancel</button>
+                <button className="btn btn-danger" onClick={handleDeleteConfirm}>Delete</button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {mergePayee && (
+        <div className="modal show d-block" style={{ background: 'rgba(0,0,0,0.5)' }}>
+          <div className="modal-dialog">
+            <div className="modal-content">
+              <div className="modal-header">
+                <h5 className="modal-title">Merge into {mergePayee.payee_name}</h5>
+                <button className="btn-close" onClick={() => { setMergePayee(null); setMergeSources([]); }}></button>
+              </div>
+              <div className="modal-body">
+                <p>Select the duplicates to fold into this payee. Their subscriptions will be moved over and the duplicates removed.</p>
+                {mergeCandidates.filter((payee) => payee.id !== mergePayee.id).map((payee) => (
+                  <div key={payee.id} className="form-check mb-2">
+                    <input
+                      type="checkbox"
+                      className="form-check-input"
+                      id={`merge-${payee.id}`}
+                      checked={mergeSources.includes(payee.id)}
+                      onChange={() => toggleMergeSource(payee.id)}
+                    />
+                    <label className="form-check-label" htmlFor={`merge-${payee.id}`}>
+                      {payee.payee_name} <small className="text-muted">({payee.email})</small>
+                    </label>
+                  </div>
+                ))}
+              </div>
+              <div className="modal-footer">
+                <button className="btn btn-secondary" onClick={() => { setMergePayee(null); setMergeSources([]); }}>Cancel</button>
+                <button className="btn btn-primary" onClick={handleMergeSubmit} disabled={mergeSources.length === 0}>Merge</button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
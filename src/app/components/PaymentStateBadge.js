@@ -0,0 +1,30 @@
+import React from 'react';
+
+// Colours of the payment states computed by lib/paymentTracking.mjs
+export const PAYMENT_STATE_BADGES = {
+  due: 'bg-label-info',
+  overdue: 'bg-label-warning',
+  'in-grace': 'bg-label-danger',
+  lapsed: 'bg-label-dark',
+  paid: 'bg-label-success',
+};
+
+export const PAYMENT_STATE_LABELS = {
+  due: 'Due',
+  overdue: 'Overdue',
+  'in-grace': 'In grace',
+  lapsed: 'Lapsed',
+  paid: 'Paid',
+};
+
+// Badge for the payment state of an installment or subscription; nothing without a state
+export default function PaymentStateBadge({ state, className = '' }) {
+  if (!state) {
+    return null;
+  }
+  return (
+    <span className={`badge ${PAYMENT_STATE_BADGES[state] || 'bg-label-secondary'} ${className}`.trim()}>
+      {PAYMENT_STATE_LABELS[state] || state}
+    </span>
+  );
+}
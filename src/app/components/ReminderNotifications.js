@@ -0,0 +1,131 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+
+function formatDay(value) {
+  return new Date(value).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+function describe(reminder) {
+  const name = reminder.service_name || `Subscription #${reminder.subscription_id}`;
+  const what = reminder.kind === 'payment' ? 'Payment' : 'Expiry';
+  const when = reminder.days_before === 0 ? 'today' : `in ${reminder.days_before} day${reminder.days_before === 1 ? '' : 's'}`;
+  return {
+    title: `${name}: ${what.toLowerCase()} ${when}`,
+    detail: `${what} on ${formatDay(reminder.due_date)}${reminder.payee_name ? ` · ${reminder.payee_name}` : ''}`,
+  };
+}
+
+// Bell in the navbar with the reminders recorded by the scheduler (see reminderSchedule.mjs)
+export default function ReminderNotifications() {
+  const [reminders, setReminders] = useState([]);
+  const [unread, setUnread] = useState(0);
+
+  const authHeaders = () => ({ Authorization: localStorage.getItem("token") });
+
+  useEffect(() => {
+    fetchReminders();
+  }, []);
+
+  const fetchReminders = async () => {
+    try {
+      const response = await axios.get('http://localhost:3000/api/Reminders', {
+        headers: authHeaders(),
+        params: { limit: 10 },
+      });
+      setReminders(response.data.data);
+      setUnread(response.data.unread);
+    } catch (err) {
+      console.error('Error fetching reminders:', err);
+    }
+  };
+
+  const markRead = async (reminder, read) => {
+    try {
+      await axios.patch(`http://localhost:3000/api/Reminders/${reminder.id}`, { read }, { headers: authHeaders() });
+      fetchReminders();
+    } catch (err) {
+      console.error('Error updating reminder:', err);
+    }
+  };
+
+  const markAllRead = async () => {
+    try {
+      await axios.post('http://localhost:3000/api/Reminders/Read', {}, { headers: authHeaders() });
+      fetchReminders();
+    } catch (err) {
+      console.error('Error updating reminders:', err);
+    }
+  };
+
+  return (
+    <li className="nav-item dropdown-notifications navbar-dropdown dropdown me-4 me-xl-1">
+      <a
+        className="nav-link btn btn-text-secondary rounded-pill btn-icon dropdown-toggle hide-arrow"
+        href="javascript:void(0);"
+        data-bs-toggle="dropdown"
+        data-bs-auto-close="outside"
+        aria-expanded="false">
+        <i className="ri-notification-2-line ri-22px"></i>
+        {unread > 0 && (
+          <span className="position-absolute top-0 start-50 translate-middle-y badge badge-dot bg-danger mt-2 border"></span>
+        )}
+      </a>
+      <ul className="dropdown-menu dropdown-menu-end py-0">
+        <li className="dropdown-menu-header border-bottom py-50">
+          <div className="dropdown-header d-flex align-items-center py-2">
+            <h6 className="mb-0 me-auto">Reminders</h6>
+            <div className="d-flex align-items-center">
+              {unread > 0 && <span className="badge rounded-pill bg-label-primary fs-xsmall me-2">{unread} New</span>}
+              <a
+                href="javascript:void(0)"
+                className="btn btn-text-secondary rounded-pill btn-icon dropdown-notifications-all"
+                title="Mark all as read"
+                onClick={markAllRead}
+              ><i className="ri-mail-open-line text-heading ri-20px"></i></a>
+            </div>
+          </div>
+        </li>
+        <li className="dropdown-notifications-list scrollable-container">
+          <ul className="list-group list-group-flush">
+            {reminders.length === 0 && (
+              <li className="list-group-item">
+                <small className="text-muted">No reminders yet.</small>
+              </li>
+            )}
+            {reminders.map((reminder) => {
+              const { title, detail } = describe(reminder);
+              return (
+                <li
+                  key={reminder.id}
+                  className={`list-group-item list-group-item-action dropdown-notifications-item${reminder.read_at ? ' marked-as-read' : ''}`}>
+                  <div className="d-flex">
+                    <div className="flex-shrink-0 me-3">
+                      <div className="avatar">
+                        <span className={`avatar-initial rounded-circle ${reminder.kind === 'payment' ? 'bg-label-warning' : 'bg-label-danger'}`}>
+                          <i className={reminder.kind === 'payment' ? 'ri-money-dollar-circle-line' : 'ri-calendar-close-line'}></i>
+                        </span>
+                      </div>
+                    </div>
+                    <div className="flex-grow-1">
+                      <h6 className="small mb-1">{title}</h6>
+                      <small className="mb-1 d-block text-body">{detail}</small>
+                      <small className="text-muted">{formatDay(reminder.remind_on)}</small>
+                    </div>
+                    <div className="flex-shrink-0 dropdown-notifications-actions">
+                      <a
+                        href="javascript:void(0)"
+                        className="dropdown-notifications-read"
+                        title={reminder.read_at ? 'Mark as unread' : 'Mark as read'}
+                        onClick={() => markRead(reminder, !reminder.read_at)}
+                      ><span className="badge badge-dot"></span></a>
+                    </div>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        </li>
+      </ul>
+    </li>
+  );
+}
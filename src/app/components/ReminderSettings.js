@@ -0,0 +1,129 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import FieldError, { inputClass, responseErrors } from './FieldError';
+
+const LISTS = [
+  { name: 'reminder_days', label: 'Before a subscription expires', help: 'Days before the end date' },
+  { name: 'payment_reminder_days', label: 'Before a payment is due', help: 'Days before the payment date; 0 is the day itself' },
+];
+
+function toText(days) {
+  return days.join(', ');
+}
+
+// The text of an input as the list the API takes; "" turns that kind of reminder off
+function toDays(text) {
+  return text.split(',').map((item) => item.trim()).filter((item) => item !== '');
+}
+
+// "Reminders" card on Accounts/Account: how many days ahead the scheduler reminds of expiries
+// and payments. Each list can follow the default or be set here; subscriptions can override it.
+export default function ReminderSettings() {
+  const [settings, setSettings] = useState(null);
+  const [form, setForm] = useState({});
+  const [errors, setErrors] = useState({});
+  const [formError, setFormError] = useState(null);
+  const [saved, setSaved] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const authHeaders = () => ({ Authorization: localStorage.getItem("token") });
+
+  const load = (data) => {
+    setSettings(data);
+    setForm(Object.fromEntries(LISTS.map(({ name }) => [name, {
+      useDefault: data[name] === null,
+      text: toText(data[name] ?? data.defaults[name]),
+    }])));
+  };
+
+  useEffect(() => {
+    axios.get('http://localhost:3000/api/Reminders/Settings', { headers: authHeaders() })
+      .then((response) => load(response.data.data))
+      .catch((err) => console.error('Error fetching reminder settings:', err));
+  }, []);
+
+  const update = (name, changes) => {
+    setForm({ ...form, [name]: { ...form[name], ...changes } });
+    setSaved(false);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setErrors({});
+    setFormError(null);
+
+    // A list left out goes back to the default
+    const body = {};
+    for (const { name } of LISTS) {
+      if (!form[name].useDefault) {
+        body[name] = toDays(form[name].text);
+      }
+    }
+
+    try {
+      const response = await axios.put('http://localhost:3000/api/Reminders/Settings', body, { headers: authHeaders() });
+      load(response.data.data);
+      setSaved(true);
+    } catch (err) {
+      console.error('Error saving reminder settings:', err);
+      const { errors, message } = responseErrors(err, 'Failed to save reminder settings');
+      setErrors(errors);
+      setFormError(message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!settings) {
+    return null;
+  }
+
+  return (
+    <div className="card mb-6">
+      <h5 className="card-header mb-1">Reminders</h5>
+      <div className="card-body">
+        <p>
+          Choose how many days ahead you are reminded, as a comma-separated list such as "30, 7, 1".
+          Leave a list empty to turn those reminders off. A subscription can set its own lists.
+        </p>
+        <form onSubmit={handleSubmit}>
+          <div className="row">
+            {LISTS.map(({ name, label, help }) => (
+              <div className="col-md-6 mb-5" key={name}>
+                <label className="form-label" htmlFor={name}>{label}</label>
+                <input
+                  id={name}
+                  type="text"
+                  className={inputClass(errors, name)}
+                  value={form[name].useDefault ? toText(settings.defaults[name]) : form[name].text}
+                  onChange={(e) => update(name, { text: e.target.value })}
+                  disabled={form[name].useDefault}
+                />
+                <FieldError errors={errors} name={name} />
+                <div className="form-text">{help}</div>
+                <div className="form-check mt-2">
+                  <input
+                    id={`${name}_default`}
+                    type="checkbox"
+                    className="form-check-input"
+                    checked={form[name].useDefault}
+                    onChange={(e) => update(name, { useDefault: e.target.checked })}
+                  />
+                  <label className="form-check-label" htmlFor={`${name}_default`}>
+                    Use the default ({toText(settings.defaults[name])})
+                  </label>
+                </div>
+              </div>
+            ))}
+          </div>
+          {formError && <p className="text-danger">{formError}</p>}
+          {saved && <p className="text-success">Reminder settings saved</p>}
+          <button type="submit" className="btn btn-primary" disabled={saving}>
+            {saving ? 'Saving...' : 'Save reminders'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
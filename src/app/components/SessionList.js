@@ -0,0 +1,138 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+
+// Rough browser / OS names from a user agent, enough to tell devices apart in the list
+const BROWSERS = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+const SYSTEMS = [
+  ['iPhone', 'iPhone', 'ri-smartphone-line text-danger'],
+  ['iPad', 'iPad', 'ri-tablet-line text-danger'],
+  ['Android', 'Android', 'ri-android-line text-success'],
+  ['Windows', 'Windows', 'ri-macbook-line text-warning'],
+  ['Mac OS', 'MacOS', 'ri-mac-line text-info'],
+  ['Linux', 'Linux', 'ri-computer-line text-primary'],
+];
+
+export function describeDevice(userAgent = '') {
+  const ua = userAgent || '';
+  const browser = BROWSERS.find(([token]) => ua.includes(token))?.[1] ?? 'Unknown browser';
+  const [, system, icon] = SYSTEMS.find(([token]) => ua.includes(token)) ?? [null, 'Unknown device', 'ri-computer-line text-secondary'];
+  return { browser, system, icon };
+}
+
+export function formatDate(value) {
+  return new Date(value).toLocaleString(undefined, { day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+// "Recent Devices" card on Accounts/Security: the user's active sessions, each of which can be revoked
+export default function SessionList() {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const authHeaders = () => ({ Authorization: localStorage.getItem("token") });
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const fetchSessions = async () => {
+    try {
+      const response = await axios.get('http://localhost:3000/api/Sessions', { headers: authHeaders() });
+      setSessions(response.data.data);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching sessions:', err);
+      setError(err.response?.data?.message || 'Failed to load sessions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const revoke = async (session) => {
+    const message = session.current
+      ? 'This will log you out on this device. Continue?'
+      : 'Sign this device out?';
+    if (!window.confirm(message)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`http://localhost:3000/api/Sessions/${session.id}`, { headers: authHeaders() });
+      if (session.current) {
+        localStorage.removeItem("token");
+        window.location.href = "/Login";
+        return;
+      }
+      fetchSessions();
+    } catch (err) {
+      console.error('Error revoking session:', err);
+      setError(err.response?.data?.message || 'Failed to revoke session');
+    }
+  };
+
+  const revokeOthers = async () => {
+    if (!window.confirm('Sign out every other device?')) {
+      return;
+    }
+
+    try {
+      await axios.delete('http://localhost:3000/api/Sessions', { headers: authHeaders() });
+      fetchSessions();
+    } catch (err) {
+      console.error('Error revoking sessions:', err);
+      setError(err.response?.data?.message || 'Failed to revoke sessions');
+    }
+  };
+
+  return (
+    <div className="card mb-6">
+      <div className="card-header d-flex align-items-center justify-content-between">
+        <h6 className="mb-0">Recent Devices</h6>
+        {sessions.length > 1 && (
+          <button className="btn btn-sm btn-outline-danger" onClick={revokeOthers}>Sign out other devices</button>
+        )}
+      </div>
+      {error && <p className="text-danger px-5">{error}</p>}
+      <div className="table-responsive">
+        <table className="table">
+          <thead>
+            <tr>
+              <th className="text-truncate">Browser</th>
+              <th className="text-truncate">Device</th>
+              <th className="text-truncate">IP Address</th>
+              <th className="text-truncate">Recent Activities</th>
+              <th className="text-truncate"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {loading ? (
+              <tr><td colSpan="5">Loading...</td></tr>
+            ) : sessions.length === 0 ? (
+              <tr><td colSpan="5">No active sessions.</td></tr>
+            ) : (
+              sessions.map((session) => {
+                const { browser, system, icon } = describeDevice(session.user_agent);
+                return (
+                  <tr key={session.id}>
+                    <td className="text-truncate text-heading">
+                      <i className={`${icon} ri-20px me-3`}></i>{browser} on {system}
+                      {session.current && <span className="badge bg-label-success rounded-pill ms-2">This device</span>}
+                    </td>
+                    <td className="text-truncate" title={session.user_agent || ''}>{system}</td>
+                    <td className="text-truncate">{session.ip || 'Unknown'}</td>
+                    <td className="text-truncate">{formatDate(session.last_seen_at)}</td>
+                    <td className="text-truncate text-end">
+                      <button className="btn btn-sm btn-text-danger" onClick={() => revoke(session)}>
+                        {session.current ? 'Log out' : 'Revoke'}
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -278,6 +278,11 @@ export default function Sidebar() {
                       <div data-i18n="Billing & Plans">Billing & Plans</div>
                     </a>
                   </li>
+                  <li className="menu-item">
+                    <a href="/Accounts/AuditLog" className="menu-link">
+                      <div data-i18n="Audit Log">Audit Log</div>
+                    </a>
+                  </li>
                 </ul>
               </li>
               <li className="menu-item">
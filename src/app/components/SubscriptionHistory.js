@@ -0,0 +1,252 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import FieldError, { inputClass, responseErrors } from './FieldError';
+
+const STATUS_BADGES = {
+  upcoming: 'bg-label-info',
+  active: 'bg-label-success',
+  'expiring-soon': 'bg-label-warning',
+  expired: 'bg-label-secondary',
+  renewed: 'bg-label-primary',
+  lapsed: 'bg-label-danger',
+  cancelled: 'bg-label-dark',
+};
+
+function formatDay(value) {
+  return new Date(value).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+function formatAmount(value) {
+  return Number(value).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function PriceChange({ term }) {
+  if (term.change === null) {
+    return <span className="text-muted">—</span>;
+  }
+  if (term.change === 0) {
+    return <span className="text-muted">No change</span>;
+  }
+  const up = term.change > 0;
+  return (
+    <span className={up ? 'text-danger' : 'text-success'}>
+      <i className={up ? 'ri-arrow-up-line' : 'ri-arrow-down-line'}></i>
+      {' '}{formatAmount(Math.abs(term.change))}
+      {term.change_percent !== null && ` (${up ? '+' : ''}${term.change_percent}%)`}
+    </span>
+  );
+}
+
+// Renewal history of the subscription `id`: every term of its chain with the price change from
+// the term before, who renewed it and notes, and a form to renew the latest term by hand.
+export default function SubscriptionHistory({ id }) {
+  const [history, setHistory] = useState(null);
+  const [error, setError] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [renewal, setRenewal] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [formError, setFormError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const authHeaders = () => ({ Authorization: localStorage.getItem("token") });
+
+  useEffect(() => {
+    if (id) {
+      fetchHistory();
+    }
+  }, [id]);
+
+  const fetchHistory = async () => {
+    try {
+      const response = await axios.get(`http://localhost:3000/api/Subscriptions/${id}/History`, { headers: authHeaders() });
+      setHistory(response.data.data);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching renewal history:', err);
+      setError(err.response?.data?.message || 'Failed to load the renewal history');
+    }
+  };
+
+  const latest = history?.terms[history.terms.length - 1];
+
+  const startRenewal = async () => {
+    try {
+      const response = await axios.get(`http://localhost:3000/api/Subscriptions/${latest.id}/Renew`, { headers: authHeaders() });
+      setRenewal({ ...response.data.data, notes: '' });
+      setErrors({});
+      setFormError(null);
+    } catch (err) {
+      console.error('Error fetching next term:', err);
+      setFormError(err.response?.data?.message || 'Failed to prepare the renewal');
+    }
+  };
+
+  const handleRenewalChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setRenewal({ ...renewal, [name]: type === 'checkbox' ? checked : value });
+  };
+
+  const submitRenewal = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setErrors({});
+    setFormError(null);
+
+    try {
+      await axios.post(`http://localhost:3000/api/Subscriptions/${latest.id}/Renew`, renewal, { headers: authHeaders() });
+      setRenewal(null);
+      fetchHistory();
+    } catch (err) {
+      console.error('Error renewing subscription:', err);
+      const { errors, message } = responseErrors(err, 'Failed to renew the subscription');
+      setErrors(errors);
+      setFormError(message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const saveNotes = async () => {
+    try {
+      await axios.patch(`http://localhost:3000/api/Subscriptions/${editing.id}/History`, { notes: editing.notes }, { headers: authHeaders() });
+      setEditing(null);
+      fetchHistory();
+    } catch (err) {
+      console.error('Error saving renewal notes:', err);
+      setFormError(err.response?.data?.message || 'Failed to save the notes');
+    }
+  };
+
+  if (error) {
+    return <div className="alert alert-danger">{error}</div>;
+  }
+  if (!history) {
+    return <p className="text-muted">Loading...</p>;
+  }
+
+  const { summary } = history;
+  const canRenew = latest.status !== 'cancelled' && latest.status !== 'renewed';
+
+  return (
+    <>
+      <div className="row g-6 mb-6">
+        {[
+          ['Terms', summary.terms],
+          ['Renewals', summary.renewals],
+          ['First amount', formatAmount(summary.first_amount)],
+          ['Latest amount', formatAmount(summary.latest_amount)],
+          ['Total', formatAmount(summary.total_amount)],
+          ['Price changes', summary.price_changes],
+        ].map(([label, value]) => (
+          <div className="col-sm-4 col-lg-2" key={label}>
+            <div className="card h-100">
+              <div className="card-body">
+                <small className="text-muted d-block mb-1">{label}</small>
+                <h5 className="mb-0">{value}</h5>
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="card mb-6">
+        <div className="card-header d-flex justify-content-between align-items-center">
+          <h5 className="mb-0">Renewal History</h5>
+          {canRenew && !renewal && (
+            <button type="button" className="btn btn-primary btn-sm" onClick={startRenewal}>
+              <i className="ri-refresh-line me-1"></i> Renew
+            </button>
+          )}
+        </div>
+
+        {renewal && (
+          <div className="card-body border-bottom">
+            <form onSubmit={submitRenewal}>
+              <div className="row g-4">
+                {[['startDate', 'Start date', 'date'], ['endDate', 'End date', 'date'], ['paymentDate', 'Payment date', 'date'], ['amount', 'Amount', 'number']].map(([name, label, type]) => (
+                  <div className="col-md-3" key={name}>
+                    <label className="form-label" htmlFor={`renewal_${name}`}>{label}</label>
+                    <input
+                      id={`renewal_${name}`}
+                      type={type}
+                      step={type === 'number' ? '0.01' : undefined}
+                      name={name}
+                      className={inputClass(errors, name)}
+                      value={renewal[name]}
+                      onChange={handleRenewalChange}
+                    />
+                    <FieldError errors={errors} name={name} />
+                  </div>
+                ))}
+                <div className="col-md-9">
+                  <label className="form-label" htmlFor="renewal_notes">Notes</label>
+                  <input id="renewal_notes" type="text" name="notes" className={inputClass(errors, 'notes')} value={renewal.notes} onChange={handleRenewalChange} />
+                  <FieldError errors={errors} name="notes" />
+                </div>
+                <div className="col-md-3 d-flex align-items-end">
+                  <div className="form-check">
+                    <input id="renewal_auto_renew" type="checkbox" name="auto_renew" className="form-check-input" checked={renewal.auto_renew} onChange={handleRenewalChange} />
+                    <label className="form-check-label" htmlFor="renewal_auto_renew">Auto-renew</label>
+                  </div>
+                </div>
+              </div>
+              {formError && <p className="text-danger mt-3 mb-0">{formError}</p>}
+              <div className="mt-4">
+                <button type="submit" className="btn btn-primary me-2" disabled={saving}>{saving ? 'Renewing...' : 'Renew'}</button>
+                <button type="button" className="btn btn-outline-secondary" onClick={() => setRenewal(null)}>Cancel</button>
+              </div>
+            </form>
+          </div>
+        )}
+
+        <div className="table-responsive text-nowrap">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Term</th>
+                <th>Period</th>
+                <th>Amount</th>
+                <th>Change</th>
+                <th>Payment date</th>
+                <th>Status</th>
+                <th>Renewed by</th>
+                <th>Notes</th>
+              </tr>
+            </thead>
+            <tbody>
+              {history.terms.map((term) => (
+                <tr key={term.id} className={String(term.id) === String(id) ? 'table-active' : ''}>
+                  <td>#{term.id}</td>
+                  <td>{formatDay(term.startDate)} – {formatDay(term.endDate)}</td>
+                  <td>{formatAmount(term.amount)}</td>
+                  <td><PriceChange term={term} /></td>
+                  <td>{formatDay(term.paymentDate)}</td>
+                  <td><span className={`badge ${STATUS_BADGES[term.status] || 'bg-label-secondary'}`}>{term.status}</span></td>
+                  <td>
+                    {term.renewal
+                      ? <>{term.renewal.renewed_by_username || 'Unknown'}<small className="d-block text-muted">{formatDay(term.renewal.renewed_at)}</small></>
+                      : <span className="text-muted">First term</span>}
+                  </td>
+                  <td className="text-wrap" style={{ minWidth: 200 }}>
+                    {term.renewal && editing?.id === term.id && (
+                      <div className="d-flex gap-2">
+                        <input type="text" className="form-control form-control-sm" value={editing.notes} onChange={(e) => setEditing({ ...editing, notes: e.target.value })} />
+                        <button type="button" className="btn btn-sm btn-primary" onClick={saveNotes}>Save</button>
+                      </div>
+                    )}
+                    {term.renewal && editing?.id !== term.id && (
+                      <>
+                        {term.renewal.notes || <span className="text-muted">—</span>}
+                        <i className="ri-pencil-line text-primary ms-2" role="button" title="Edit notes" onClick={() => setEditing({ id: term.id, notes: term.renewal.notes || '' })}></i>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,145 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import PaymentStateBadge from './PaymentStateBadge';
+import Pagination from './Pagination';
+
+const STATUS_BADGES = {
+  upcoming: 'bg-label-info',
+  active: 'bg-label-success',
+  'expiring-soon': 'bg-label-warning',
+  expired: 'bg-label-secondary',
+  renewed: 'bg-label-primary',
+  lapsed: 'bg-label-danger',
+  cancelled: 'bg-label-dark',
+};
+
+// Filter pills on the payment state; the values are passed as ?payment_status=
+const FILTERS = [
+  ['', 'All'],
+  ['due', 'Due'],
+  ['overdue', 'Overdue'],
+  ['in-grace', 'In grace'],
+  ['lapsed', 'Lapsed'],
+  ['paid', 'Paid'],
+];
+
+const PAGE_SIZE = 30;
+
+function formatDay(value) {
+  return new Date(value).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+function formatAmount(value) {
+  return Number(value).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+// Subscriptions of one category ('expense' or 'income') with their term status and payment
+// state, filtered by payment state. Each card links to the renewal history of the term.
+export default function SubscriptionList({ category }) {
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [paymentStatus, setPaymentStatus] = useState('');
+  const [page, setPage] = useState(1);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const basePath = category === 'income' ? '/Income' : '/Expense';
+
+  useEffect(() => {
+    fetchSubscriptions();
+  }, [category, paymentStatus, page]);
+
+  const fetchSubscriptions = async () => {
+    setLoading(true);
+    try {
+      const response = await axios.get('http://localhost:3000/api/Subscriptions', {
+        headers: { Authorization: localStorage.getItem("token") },
+        params: {
+          category,
+          page,
+          limit: PAGE_SIZE,
+          ...(paymentStatus ? { payment_status: paymentStatus } : {}),
+        },
+      });
+      setSubscriptions(response.data.data);
+      setPagination(response.data.pagination);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching subscriptions:', err);
+      setError(err.response?.data?.message || 'Failed to load subscriptions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const selectFilter = (value) => {
+    setPaymentStatus(value);
+    setPage(1);
+  };
+
+  return (
+    <div className="card shadow-lg border-0">
+      <div className="card-header d-flex flex-wrap gap-3 justify-content-between align-items-center border-bottom mb-4">
+        <h4 className="card-title mb-0">All Subscriptions</h4>
+        <ul className="nav nav-pills">
+          {FILTERS.map(([value, label]) => (
+            <li className="nav-item" key={label}>
+              <button
+                type="button"
+                className={`nav-link btn-sm ${paymentStatus === value ? 'active' : ''}`}
+                onClick={() => selectFilter(value)}
+              >
+                {label}
+              </button>
+            </li>
+          ))}
+        </ul>
+      </div>
+      <div className="card-body my-5">
+        {error && <div className="alert alert-danger">{error}</div>}
+        {!error && loading && <p className="text-muted mb-0">Loading...</p>}
+        {!error && !loading && subscriptions.length === 0 && (
+          <p className="text-muted mb-0">No subscriptions{paymentStatus ? ' in this state' : ''}.</p>
+        )}
+
+        <div className="row row-cols-1 row-cols-md-3 g-4">
+          {!loading && subscriptions.map((subscription) => (
+            <div className="col" key={subscription.id}>
+              <div className="card shadow-sm border-0 h-100">
+                <div className="card-body d-flex flex-column">
+                  <div className="d-flex justify-content-between align-items-start">
+                    <div>
+                      <h5 className="card-title mb-1">{subscription.payee_name || `Subscription #${subscription.id}`}</h5>
+                      {subscription.entity_name && <span className="badge bg-label-primary me-1">Entity: {subscription.entity_name}</span>}
+                      {subscription.service_name && <span className="badge bg-label-info">Service: {subscription.service_name}</span>}
+                      {subscription.payee_phone && <p className="mt-2 mb-1 text-muted">Phone: {subscription.payee_phone}</p>}
+                      {subscription.payee_email && <p className="text-muted mb-0">Email: {subscription.payee_email}</p>}
+                    </div>
+                    <a href={`${basePath}/Subscriptions/History?id=${subscription.id}`} title="Renewal history">
+                      <i className="ri-history-line text-primary"></i>
+                    </a>
+                  </div>
+                  <div className="d-flex flex-wrap gap-1 mt-3">
+                    <span className={`badge ${STATUS_BADGES[subscription.status] || 'bg-label-secondary'}`}>{subscription.status}</span>
+                    <PaymentStateBadge state={subscription.payment_status} />
+                  </div>
+                  <div className="d-flex justify-content-between align-items-center mt-3">
+                    <span className="fw-bold text-success">Amt: {formatAmount(subscription.amount)}</span>
+                    <small className="text-muted">Start: {formatDay(subscription.startDate)}</small>
+                    <small className="text-muted">End: {formatDay(subscription.endDate)}</small>
+                  </div>
+                  <p className="text-muted mt-3 mb-0">
+                    Payment Date: {formatDay(subscription.paymentDate)}
+                    {subscription.grace_days !== null && <small className="d-block">Grace period: {subscription.grace_days} days</small>}
+                  </p>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <Pagination pagination={pagination} onPage={setPage} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,258 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import FieldError, { inputClass, responseErrors } from './FieldError';
+
+// "Two-steps verification" card on Accounts/Security with the "Enable One Time Password" modal.
+// The modal steps through: scan the QR code -> confirm a code -> note the recovery codes.
+// The same modal asks for a code before new recovery codes are issued, and for the password
+// and a code before 2FA is turned off.
+export default function TwoFactorCard() {
+  const [status, setStatus] = useState(null);
+  const [error, setError] = useState(null);
+
+  // null when the modal is closed, otherwise 'setup', 'regenerate', 'disable' or 'codes'
+  const [step, setStep] = useState(null);
+  const [setup, setSetup] = useState(null); // { secret, otpauth_url, qr_code }
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [formData, setFormData] = useState({ code: '', password: '' });
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [errors, setErrors] = useState({});
+  const [formError, setFormError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const authHeaders = () => ({ Authorization: localStorage.getItem("token") });
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const fetchStatus = async () => {
+    try {
+      const response = await axios.get('http://localhost:3000/api/TwoFactor', { headers: authHeaders() });
+      setStatus(response.data.data);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching two-step verification status:', err);
+      setError(err.response?.data?.message || 'Failed to load two-step verification status');
+    }
+  };
+
+  const openStep = (next) => {
+    setStep(next);
+    setFormData({ code: '', password: '' });
+    setUseRecoveryCode(false);
+    setErrors({});
+    setFormError(null);
+  };
+
+  const closeModal = () => {
+    setStep(null);
+    setSetup(null);
+    setRecoveryCodes([]);
+    fetchStatus();
+  };
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  const startSetup = async () => {
+    try {
+      const response = await axios.post('http://localhost:3000/api/TwoFactor/Setup', null, { headers: authHeaders() });
+      setSetup(response.data.data);
+      openStep('setup');
+    } catch (err) {
+      console.error('Error starting two-step verification setup:', err);
+      setError(err.response?.data?.message || 'Failed to start setup');
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    const codeField = useRecoveryCode ? 'recovery_code' : 'code';
+    const requests = {
+      setup: () => axios.post('http://localhost:3000/api/TwoFactor/Enable', { code: formData.code }, { headers: authHeaders() }),
+      regenerate: () => axios.post('http://localhost:3000/api/TwoFactor/RecoveryCodes', { code: formData.code }, { headers: authHeaders() }),
+      disable: () => axios.post('http://localhost:3000/api/TwoFactor/Disable',
+        { password: formData.password, [codeField]: formData.code },
+        { headers: authHeaders() }),
+    };
+
+    try {
+      const response = await requests[step]();
+      if (step === 'disable') {
+        closeModal();
+        return;
+      }
+      setRecoveryCodes(response.data.data.recovery_codes);
+      setStep('codes');
+    } catch (err) {
+      console.error('Error updating two-step verification:', err);
+      const { errors, message } = responseErrors(err, 'Something went wrong');
+      // The code input is shared by the code and recovery code fields
+      setErrors(errors.recovery_code ? { ...errors, code: errors.recovery_code } : errors);
+      setFormError(message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const copyCodes = () => {
+    navigator.clipboard?.writeText(recoveryCodes.join('\n'));
+  };
+
+  const titles = {
+    setup: 'Enable One Time Password',
+    regenerate: 'New Recovery Codes',
+    disable: 'Disable Two-Step Verification',
+    codes: 'Save Your Recovery Codes',
+  };
+
+  return (
+    <>
+      <div className="card mb-6">
+        <div className="card-body">
+          <h5 className="mb-6">Two-steps verification</h5>
+          {error && <p className="text-danger">{error}</p>}
+          {status?.enabled ? (
+            <>
+              <p className="mb-4">
+                <span className="badge bg-label-success rounded-pill me-2">Enabled</span>
+                You are asked for a code from your authenticator app when you log in.
+              </p>
+              <p className="w-75">
+                {status.recovery_codes_remaining} unused recovery code(s) left. Each one logs you in once if you lose
+                access to your authenticator app.
+              </p>
+              <button className="btn btn-outline-primary mt-2 me-2" onClick={() => openStep('regenerate')}>
+                New Recovery Codes
+              </button>
+              <button className="btn btn-outline-danger mt-2" onClick={() => openStep('disable')}>
+                Disable Two-Factor Authentication
+              </button>
+            </>
+          ) : (
+            <>
+              <p className="mb-4">Two factor authentication is not enabled yet.</p>
+              <p className="w-75">
+                Two-factor authentication adds an additional layer of security to your account by requiring more
+                than just a password to log in.
+              </p>
+              <button className="btn btn-primary mt-2" onClick={startSetup} disabled={!status}>
+                Enable Two-Factor Authentication
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+
+      {step && (
+        <div className="modal fade show d-block" tabIndex="-1" style={{ background: 'rgba(0, 0, 0, 0.5)' }}>
+          <div className="modal-dialog modal-simple modal-enable-otp modal-dialog-centered">
+            <div className="modal-content">
+              <button type="button" className="btn-close" onClick={closeModal} aria-label="Close"></button>
+              <div className="modal-body p-0">
+                <div className="text-center mb-6">
+                  <h4 className="mb-2">{titles[step]}</h4>
+                </div>
+
+                {step === 'codes' ? (
+                  <>
+                    <p className="mb-5">
+                      Keep these codes somewhere safe. Each one can be used once to log in without your
+                      authenticator app. They will not be shown again.
+                    </p>
+                    <div className="row g-2 mb-5 font-monospace text-center">
+                      {recoveryCodes.map((code) => (
+                        <div className="col-6" key={code}>{code}</div>
+                      ))}
+                    </div>
+                    <div className="d-flex flex-wrap justify-content-center gap-4">
+                      <button type="button" className="btn btn-outline-secondary" onClick={copyCodes}>Copy</button>
+                      <button type="button" className="btn btn-primary" onClick={closeModal}>Done</button>
+                    </div>
+                  </>
+                ) : (
+                  <form className="row g-5" onSubmit={handleSubmit} noValidate>
+                    {formError && <div className="col-12"><div className="alert alert-danger mb-0">{formError}</div></div>}
+
+                    {step === 'setup' && setup && (
+                      <div className="col-12 text-center">
+                        <p className="mb-4">
+                          Scan this QR code with an authenticator app (Google Authenticator, Authy, 1Password...),
+                          then enter the 6-digit code it shows.
+                        </p>
+                        <img src={setup.qr_code} alt="QR code for the authenticator app" width="200" height="200" />
+                        <p className="mt-4 mb-0 small">Can't scan it? Enter this key instead:</p>
+                        <code className="d-block text-break">{setup.secret}</code>
+                      </div>
+                    )}
+
+                    {step === 'regenerate' && (
+                      <p className="col-12 mb-0">
+                        Your current recovery codes will stop working. Enter a code from your authenticator app to continue.
+                      </p>
+                    )}
+
+                    {step === 'disable' && (
+                      <div className="col-12">
+                        <div className="form-floating form-floating-outline">
+                          <input
+                            type="password"
+                            id="twoFactorPassword"
+                            name="password"
+                            className={inputClass(errors, 'password')}
+                            value={formData.password}
+                            onChange={handleChange}
+                            placeholder="Password" />
+                          <label htmlFor="twoFactorPassword">Password</label>
+                        </div>
+                        <FieldError errors={errors} name="password" />
+                      </div>
+                    )}
+
+                    <div className="col-12">
+                      <div className="form-floating form-floating-outline">
+                        <input
+                          type="text"
+                          id="twoFactorCode"
+                          name="code"
+                          className={inputClass(errors, 'code')}
+                          autoComplete="one-time-code"
+                          inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                          placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                          value={formData.code}
+                          onChange={handleChange} />
+                        <label htmlFor="twoFactorCode">{useRecoveryCode ? 'Recovery Code' : 'Verification Code'}</label>
+                      </div>
+                      <FieldError errors={errors} name="code" />
+                      {step === 'disable' && (
+                        <button
+                          type="button"
+                          className="btn btn-link p-0 mt-2"
+                          onClick={() => { setUseRecoveryCode(!useRecoveryCode); setFormData({ ...formData, code: '' }); }}>
+                          {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+                        </button>
+                      )}
+                    </div>
+
+                    <div className="col-12 d-flex flex-wrap justify-content-center gap-4 row-gap-4">
+                      <button type="submit" className={step === 'disable' ? 'btn btn-danger' : 'btn btn-primary'} disabled={saving}>
+                        {step === 'disable' ? 'Disable' : 'Submit'}
+                      </button>
+                      <button type="button" className="btn btn-outline-secondary" onClick={closeModal}>
+                        Cancel
+                      </button>
+                    </div>
+                  </form>
+                )}
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
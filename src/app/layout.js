@@ -1,12 +1,16 @@
 'use client'
 import { Geist, Geist_Mono } from "next/font/google";
 import "./globals.css";
-import { usePathname, useRouter  } from "next/navigation";
-import { useEffect } from "react";
+import { usePathname } from "next/navigation";
 
 import Sidebar from "./components/Sidebar/Sidebar";
 import Navbar from "./components/Navbar/Navbar";
 import Footer from "./components/Footer/Footer"
+import EmailVerificationBanner from "./components/EmailVerificationBanner";
+import { installRefreshInterceptor } from "@/lib/sessionClient";
+
+// Renew the short-lived access token transparently when an API call gets a 401
+installRefreshInterceptor();
 
 const geistSans = Geist({
   variable: "--font-geist-sans",
@@ -25,17 +29,9 @@ const geistMono = Geist_Mono({
 
 export default function RootLayout({ children }) {
   const pathname = usePathname();
-  const router = useRouter();
-  const isAuthPage  = ["/login", "/signup"].includes(pathname.toLowerCase()); 
-  
-  useEffect(() => {
-    const token = localStorage.getItem("token");
-
-    // If no token and not already on login/signup, redirect to /login
-    if (!token && !isAuthPage) {
-      router.push("/Login");
-    }
-  }, [pathname]); // Runs when pathname changes
+  // Signed-out visitors are redirected by src/middleware.js; this only hides the app chrome
+  const isAuthPage  = ["/login", "/signup", "/forgotpassword", "/resetpassword", "/verifyemail", "/unlockaccount"].includes(pathname.toLowerCase()); 
+
   return (
     <html lang="en">
       <body className={`${geistSans.variable} ${geistMono.variable}`}>
@@ -53,6 +49,8 @@ export default function RootLayout({ children }) {
 
               <div class="content-wrapper">
 
+                {!isAuthPage && <EmailVerificationBanner />}
+
                 {children}
 
                 {/* <Footer /> */}
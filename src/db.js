@@ -3,9 +3,75 @@ import dotenv from 'dotenv';
 
 dotenv.config();
 
-export const db = await mysql.createConnection({
-  host: process.env.DB_HOST,
-  user: process.env.DB_USER,
-  password: process.env.DB_PASSWORD,
-  database: process.env.DB_NAME
-});
+// How many times getConnection() retries when a pooled connection fails its health check
+const CONNECTION_RETRIES = 3;
+
+function createPool() {
+  return mysql.createPool({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    waitForConnections: true,
+    connectionLimit: Number(process.env.DB_POOL_SIZE) || 10,
+    maxIdle: Number(process.env.DB_POOL_SIZE) || 10,
+    idleTimeout: 60000,
+    queueLimit: 0,
+    enableKeepAlive: true,
+    keepAliveInitialDelay: 10000,
+  });
+}
+
+// Keep a single pool across hot reloads in development instead of leaking one per reload
+const globalForDb = globalThis;
+
+// Shared connection pool. db.execute() / db.query() borrow a connection for a single
+// statement and return it, so concurrent requests no longer queue behind one socket.
+// Connections that MySQL drops are discarded by the pool and replaced on demand.
+export const db = globalForDb.expirioDbPool ?? createPool();
+
+if (process.env.NODE_ENV !== 'production') {
+  globalForDb.expirioDbPool = db;
+}
+
+// Borrow a dedicated connection from the pool, pinging it first so that a connection
+// MySQL has silently closed is destroyed and replaced rather than handed out.
+// The caller must release() it.
+export async function getConnection() {
+  let lastError;
+  for (let attempt = 0; attempt < CONNECTION_RETRIES; attempt++) {
+    const connection = await db.getConnection();
+    try {
+      await connection.ping();
+      return connection;
+    } catch (error) {
+      lastError = error;
+      connection.destroy();
+    }
+  }
+  throw lastError;
+}
+
+// Run `work(connection)` inside a transaction. It is committed if `work` resolves and
+// rolled back if it throws; the error is rethrown to the caller either way.
+export async function withTransaction(work) {
+  const connection = await getConnection();
+  try {
+    await connection.beginTransaction();
+    const result = await work(connection);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    // Keep the original error even if the rollback itself fails on a broken connection
+    await connection.rollback().catch(() => {});
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Check that the database answers. Used by the health endpoint.
+export async function checkDatabase() {
+  const connection = await getConnection();
+  connection.release();
+}
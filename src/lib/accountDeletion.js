@@ -0,0 +1,65 @@
+import { db } from '../db';
+import { APP_URL, sendMail } from './mail';
+
+// Account deletion with a grace period.
+//
+// scheduleAccountDeletion() marks the account for deletion DELETION_GRACE_PERIOD from now and
+// emails the owner. Until then the account works as before and cancelAccountDeletion() takes
+// the request back. scripts/purge-accounts.mjs (`npm run accounts:purge`, run it daily) then
+// deletes the due accounts with everything they own.
+
+export const DELETION_GRACE_PERIOD = 14; // days
+
+function formatDay(value) {
+  return new Date(value).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+}
+
+// { requested_at, scheduled_at } of a pending deletion, or null
+export async function getAccountDeletion(user_id) {
+  const [[row]] = await db.execute(
+    'SELECT deletion_requested_at, deletion_scheduled_at FROM users WHERE sr = ? AND deletion_scheduled_at IS NOT NULL',
+    [user_id]
+  );
+  return row ? { requested_at: row.deletion_requested_at, scheduled_at: row.deletion_scheduled_at } : null;
+}
+
+// Schedule the deletion of a users row. Asking again keeps the original date.
+export async function scheduleAccountDeletion(user) {
+  await db.execute(
+    `UPDATE users SET deletion_requested_at = NOW(), deletion_scheduled_at = NOW() + INTERVAL ? DAY
+     WHERE sr = ? AND deletion_scheduled_at IS NULL`,
+    [DELETION_GRACE_PERIOD, user.sr]
+  );
+  const deletion = await getAccountDeletion(user.sr);
+
+  // The request stands even if the email cannot be sent
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Your Expirio account will be deleted',
+      text: [
+        `Hi ${user.name || user.username},`,
+        '',
+        `As requested, your Expirio account and all of its entities, services, payees and subscriptions will be deleted on ${formatDay(deletion.scheduled_at)}.`,
+        'Until then you can download your data or cancel the deletion from your account page:',
+        '',
+        `${APP_URL}/Accounts/Account`,
+        '',
+        "If you didn't ask for this, log in, cancel the deletion and change your password.",
+      ].join('\n'),
+    });
+  } catch (error) {
+    console.error('Error sending account deletion email:', error);
+  }
+
+  return deletion;
+}
+
+// Take back a pending deletion. Returns false if none was pending.
+export async function cancelAccountDeletion(user_id) {
+  const [result] = await db.execute(
+    'UPDATE users SET deletion_requested_at = NULL, deletion_scheduled_at = NULL WHERE sr = ? AND deletion_scheduled_at IS NOT NULL',
+    [user_id]
+  );
+  return result.affectedRows > 0;
+}
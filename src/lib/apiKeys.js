@@ -0,0 +1,114 @@
+import crypto from 'crypto';
+import { db } from '../db';
+import { requestMeta } from './sessions';
+
+// API keys: long-lived credentials for scripts, sent as "Authorization: Bearer exp_...".
+//
+// A key belongs to a user and acts as that user, limited to its scopes. Scopes name a
+// resource and an access level ("subscriptions:read", "payees:write"); "read" allows every
+// GET and "full" everything. Write access to a resource includes reading it.
+// Routes opt in with withAuth(handler, { scope: 'subscriptions' }); everything else, such as
+// sessions, 2FA and the keys themselves, only accepts a login.
+
+export const API_KEY_PREFIX = 'exp_';
+
+export const API_KEY_RESOURCES = ['entities', 'services', 'payees', 'subscriptions'];
+
+export const API_KEY_SCOPES = [
+  'full',
+  'read',
+  ...API_KEY_RESOURCES.flatMap((resource) => [`${resource}:read`, `${resource}:write`]),
+];
+
+// last_used_at and last_used_ip are written at most this often per key
+const TOUCH_INTERVAL = 60; // seconds
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+export function isApiKey(token) {
+  return typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+}
+
+// Whether `scopes` allow 'read' or 'write' access to a resource
+export function hasScope(scopes, resource, access) {
+  if (scopes.includes('full')) {
+    return true;
+  }
+  if (access === 'read' && (scopes.includes('read') || scopes.includes(`${resource}:read`))) {
+    return true;
+  }
+  return scopes.includes(`${resource}:write`);
+}
+
+const LIST_SELECT = `SELECT id, name, key_prefix, scopes, expires_at, last_used_at, last_used_ip, created_at,
+                            (expires_at IS NOT NULL AND expires_at <= NOW()) AS expired
+                     FROM api_keys`;
+
+function formatApiKey(row) {
+  return { ...row, scopes: row.scopes.split(','), expired: Boolean(row.expired) };
+}
+
+// Issue a key for the user. Returns the stored row and the key in plain text, which
+// is not kept anywhere and cannot be shown again.
+export async function createApiKey(user_id, { name, scopes, expires_in_days }) {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+
+  const [result] = await db.execute(
+    `INSERT INTO api_keys (user_id, name, key_prefix, key_hash, scopes, expires_at)
+     VALUES (?, ?, ?, ?, ?, IF(? IS NULL, NULL, DATE_ADD(NOW(), INTERVAL ? DAY)))`,
+    [user_id, name, key.slice(0, 12), hashKey(key), scopes.join(','), expires_in_days ?? null, expires_in_days ?? null]
+  );
+
+  const [[row]] = await db.execute(`${LIST_SELECT} WHERE id = ?`, [result.insertId]);
+  return { apiKey: formatApiKey(row), key };
+}
+
+// The user's keys that have not been revoked, newest first (expired ones included)
+export async function listApiKeys(user_id) {
+  const [rows] = await db.execute(
+    `${LIST_SELECT} WHERE user_id = ? AND revoked_at IS NULL ORDER BY created_at DESC, id DESC`,
+    [user_id]
+  );
+  return rows.map(formatApiKey);
+}
+
+// Revoke one of the user's keys. Returns the number of keys revoked (0 or 1).
+export async function revokeApiKey(id, user_id) {
+  const [result] = await db.execute(
+    'UPDATE api_keys SET revoked_at = NOW() WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+    [id, user_id]
+  );
+  return result.affectedRows;
+}
+
+// Look up a key presented with a request, recording its use.
+// Returns { id, user_id, username, role, email_verified, scopes } or null for an unknown, expired or revoked key.
+export async function verifyApiKey(key, request) {
+  const [[row]] = await db.execute(
+    `SELECT api_keys.id, api_keys.scopes, users.sr AS user_id, users.username, users.role, users.email_verified_at,
+            TIMESTAMPDIFF(SECOND, api_keys.last_used_at, NOW()) AS idle
+     FROM api_keys JOIN users ON users.sr = api_keys.user_id
+     WHERE api_keys.key_hash = ? AND api_keys.revoked_at IS NULL
+       AND (api_keys.expires_at IS NULL OR api_keys.expires_at > NOW())`,
+    [hashKey(key)]
+  );
+  if (!row) {
+    return null;
+  }
+
+  if (row.idle === null || row.idle >= TOUCH_INTERVAL) {
+    const { ip } = requestMeta(request);
+    await db.execute('UPDATE api_keys SET last_used_at = NOW(), last_used_ip = ? WHERE id = ?', [ip, row.id]);
+  }
+
+  return {
+    id: row.id,
+    user_id: row.user_id,
+    username: row.username,
+    role: row.role,
+    email_verified: row.email_verified_at !== null,
+    scopes: row.scopes.split(','),
+  };
+}
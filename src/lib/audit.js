@@ -0,0 +1,96 @@
+import { db } from '../db';
+import { OWNED_TABLES } from './records';
+import { requestMeta } from './sessions';
+
+// Audit trail for entities, services, payees and subscriptions.
+//
+// Routes that change these tables record every row they create, update or delete:
+//
+//   const actor = auditActor(request, user);
+//   const id = await insertOwned('entities', fields, user.id, connection);
+//   await auditCreate(actor, 'entities', id, connection);
+//
+//   const before = await listOwned('subscriptions', 'service_id', id, user.id, connection);
+//   await connection.execute('UPDATE subscriptions ...');
+//   await auditChanges(actor, 'subscriptions', before, connection);
+//
+// auditChanges() reads the rows again and records an update for each one that changed and
+// a delete for each one that is gone, so bulk statements need no bookkeeping of their own.
+// Pass the transaction's connection so the entries commit or roll back with the change.
+
+function resourceTable(resource) {
+  if (!OWNED_TABLES[resource]) {
+    throw new Error(`Unknown audit resource "${resource}"`);
+  }
+  return resource;
+}
+
+// Who is making the changes in this request
+export function auditActor(request, user) {
+  const { ip, user_agent } = requestMeta(request);
+  return {
+    id: user.id,
+    username: user.username,
+    api_key_id: user.api_key?.id ?? null,
+    ip,
+    user_agent,
+  };
+}
+
+// Write one entry. `before` / `after` are whole rows, null for a create / delete.
+export async function recordAudit(actor, action, resource, before, after, conn = db) {
+  const row = after ?? before;
+  await conn.execute(
+    `INSERT INTO audit_log
+       (user_id, actor_id, actor_username, api_key_id, ip, user_agent, action, resource, record_id, before_data, after_data)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      row.user_id,
+      actor.id,
+      actor.username,
+      actor.api_key_id,
+      actor.ip,
+      actor.user_agent,
+      action,
+      resourceTable(resource),
+      row.id,
+      before ? JSON.stringify(before) : null,
+      after ? JSON.stringify(after) : null,
+    ]
+  );
+}
+
+async function findByIds(resource, ids, conn) {
+  if (ids.length === 0) {
+    return [];
+  }
+  const [rows] = await conn.execute(
+    `SELECT * FROM ${resourceTable(resource)} WHERE id IN (${ids.map(() => '?').join(', ')})`,
+    ids
+  );
+  return rows;
+}
+
+// Record the creation of the row with this id
+export async function auditCreate(actor, resource, id, conn = db) {
+  const [row] = await findByIds(resource, [id], conn);
+  if (row) {
+    await recordAudit(actor, 'create', resource, null, row, conn);
+  }
+}
+
+// Record what happened to rows read before a change: an update for each row that now
+// differs, a delete for each row that no longer exists. Rows left as they were are skipped.
+export async function auditChanges(actor, resource, beforeRows, conn = db) {
+  const rows = beforeRows.filter(Boolean);
+  const current = new Map((await findByIds(resource, rows.map((row) => row.id), conn)).map((row) => [row.id, row]));
+
+  for (const before of rows) {
+    const after = current.get(before.id);
+    if (!after) {
+      await recordAudit(actor, 'delete', resource, before, null, conn);
+    } else if (JSON.stringify(after) !== JSON.stringify(before)) {
+      await recordAudit(actor, 'update', resource, before, after, conn);
+    }
+  }
+}
@@ -0,0 +1,129 @@
+import { NextResponse } from 'next/server';
+import jwt from 'jsonwebtoken';
+import { touchSession } from './sessions';
+import { hasScope, isApiKey, verifyApiKey } from './apiKeys';
+
+// Authentication for API route handlers.
+//
+// Wrap a handler with withAuth() instead of parsing the Authorization header by hand:
+//
+//   export const GET = withAuth(async (request, { params, user }) => { ... });
+//   export const DELETE = withAuth(handler, { roles: ['admin'] });
+//   export const GET = withAuth(handler, { scope: 'subscriptions' });
+//   export const POST = withAuth(handler, { allowUnverified: true });
+//
+// The handler only runs for a valid token whose session has not been revoked, and receives
+// `user` ({ id, username, roles, session_id, api_key, email_verified }).
+// Missing, malformed or expired tokens get a 401, a user without a required role a 403.
+//
+// Until the account's email address is verified only handlers marked `allowUnverified`
+// (sessions, passwords, 2FA and the email endpoints) run; the rest answer 403 with
+// code 'email_unverified'.
+//
+// An API key (see apiKeys.js) may be sent instead of the token, but only to handlers that name
+// the resource they serve with `scope`, and only if the key has read access to it (for GET) or
+// write access (for anything else). `api_key` is then { id, scopes } and session_id is null.
+
+export class AuthError extends Error {
+  constructor(message, status = 401, code = null) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Verify the request's bearer token and its session, and return the user it belongs to
+export async function authenticate(request) {
+  const authHeader = request.headers.get('Authorization');
+
+  // Check if Authorization header is present
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    throw new AuthError('Authorization token is missing or invalid');
+  }
+
+  // Extract token and verify
+  const token = authHeader.split(' ')[1];
+  if (isApiKey(token)) {
+    return authenticateApiKey(token, request);
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    if (error instanceof jwt.TokenExpiredError) {
+      throw new AuthError('Token has expired');
+    }
+    throw new AuthError('Authorization token is missing or invalid');
+  }
+
+  // Tokens are tied to a server-side session so that logging out or revoking a device takes effect
+  const session = decoded.sid ? await touchSession(decoded.sid, decoded.user_id, request) : null;
+  if (!session) {
+    throw new AuthError('Session has ended, please log in again');
+  }
+
+  return {
+    id: decoded.user_id,
+    username: decoded.username,
+    roles: decoded.roles ?? ['user'],
+    session_id: decoded.sid,
+    api_key: null,
+    email_verified: session.email_verified,
+  };
+}
+
+async function authenticateApiKey(token, request) {
+  const apiKey = await verifyApiKey(token, request);
+  if (!apiKey) {
+    throw new AuthError('API key is invalid, expired or revoked');
+  }
+
+  return {
+    id: apiKey.user_id,
+    username: apiKey.username,
+    roles: [apiKey.role || 'user'],
+    session_id: null,
+    api_key: { id: apiKey.id, scopes: apiKey.scopes },
+    email_verified: apiKey.email_verified,
+  };
+}
+
+function checkApiKeyScope(request, apiKey, scope) {
+  if (!scope) {
+    throw new AuthError('API keys cannot be used for this endpoint, please log in', 403);
+  }
+  const access = ['GET', 'HEAD'].includes(request.method) ? 'read' : 'write';
+  if (!hasScope(apiKey.scopes, scope, access)) {
+    throw new AuthError(`This API key does not have the ${scope}:${access} scope`, 403);
+  }
+}
+
+export function withAuth(handler, { roles = [], scope = null, allowUnverified = false } = {}) {
+  return async (request, context = {}) => {
+    let user;
+    try {
+      user = await authenticate(request);
+
+      if (user.api_key) {
+        checkApiKeyScope(request, user.api_key, scope);
+      }
+
+      if (!user.email_verified && !allowUnverified) {
+        throw new AuthError('Please verify your email address to use this feature', 403, 'email_unverified');
+      }
+
+      if (roles.length > 0 && !roles.some((role) => user.roles.includes(role))) {
+        throw new AuthError('You do not have permission to perform this action', 403);
+      }
+    } catch (error) {
+      if (error instanceof AuthError) {
+        const body = error.code ? { message: error.message, code: error.code } : { message: error.message };
+        return NextResponse.json(body, { status: error.status });
+      }
+      throw error;
+    }
+
+    return handler(request, { ...context, user });
+  };
+}
@@ -0,0 +1,49 @@
+import crypto from 'crypto';
+import { NextResponse } from 'next/server';
+
+// Routes under /api/Cron run the scheduled jobs for an external scheduler (cron, a hosted
+// cron service) as an alternative to the scripts. They are called with
+// `Authorization: Bearer <CRON_SECRET>` and answer 503 while CRON_SECRET is not set.
+
+// Whether the request carries `Authorization: Bearer <CRON_SECRET>`
+export function isCronRequest(request) {
+  const secret = process.env.CRON_SECRET;
+  const header = request.headers.get('Authorization') || '';
+  if (!secret || !header.startsWith('Bearer ')) {
+    return false;
+  }
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(header.slice(7)), digest(secret));
+}
+
+// Handler running `job(options)` for a cron request and answering { message, data: result }.
+// Outside production ?date=YYYY-MM-DD runs the job as of another day.
+export function cronHandler(job, message) {
+  return async function run(request) {
+    try {
+      if (!process.env.CRON_SECRET) {
+        return NextResponse.json({ message: 'CRON_SECRET is not configured' }, { status: 503 });
+      }
+      if (!isCronRequest(request)) {
+        return NextResponse.json({ message: 'Authorization token is missing or invalid' }, { status: 401 });
+      }
+
+      const { searchParams } = new URL(request.url);
+      const date = searchParams.get('date');
+      if (date && (process.env.NODE_ENV === 'production' || !/^\d{4}-\d{2}-\d{2}$/.test(date))) {
+        return NextResponse.json({ message: 'date must be YYYY-MM-DD and is not accepted in production' }, { status: 400 });
+      }
+
+      const result = await job(date ? { today: date } : {});
+
+      return NextResponse.json({ message, data: result }, {
+        status: 200,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+        },
+      });
+    } catch (error) {
+      return NextResponse.json({ message: 'Something went wrong', error: error.message }, { status: 500 });
+    }
+  };
+}
@@ -0,0 +1,54 @@
+import { db } from '../db';
+import { createZip } from './zip';
+
+// Personal data export.
+//
+// buildDataExport() collects the account's profile and every entity, service, payee,
+// subscription, renewal ledger entry and installment it owns into a ZIP archive of JSON files, one per table, for
+// GET /api/Account/Export. Password hashes, 2FA secrets and other credentials are left out.
+
+const TABLES = ['entities', 'services', 'payees', 'subscriptions', 'renewals', 'installments', 'payment_state_changes'];
+
+// Returns { filename, archive } or null when the user no longer exists
+export async function buildDataExport(user_id) {
+  const [[account]] = await db.execute(
+    `SELECT sr AS id, username, email, email_verified_at, name, phone, role, created_at,
+            totp_enabled_at IS NOT NULL AS two_factor_enabled, deletion_scheduled_at
+     FROM users WHERE sr = ?`,
+    [user_id]
+  );
+  if (!account) {
+    return null;
+  }
+
+  const exportedAt = new Date();
+  const files = [
+    { name: 'account.json', content: JSON.stringify({ ...account, two_factor_enabled: Boolean(account.two_factor_enabled) }, null, 2) },
+  ];
+  const counts = {};
+
+  for (const table of TABLES) {
+    const [rows] = await db.execute(`SELECT * FROM ${table} WHERE user_id = ? ORDER BY id`, [user_id]);
+    files.push({ name: `${table}.json`, content: JSON.stringify(rows, null, 2) });
+    counts[table] = rows.length;
+  }
+
+  files.unshift({
+    name: 'README.txt',
+    content: [
+      `Expirio data export for ${account.username}`,
+      `Created ${exportedAt.toISOString()}`,
+      '',
+      'account.json        your profile',
+      ...TABLES.map((table) => `${`${table}.json`.padEnd(20)}${counts[table]} record${counts[table] === 1 ? '' : 's'}`),
+      '',
+      'Records refer to each other by id (entity_id, service_id, payee_id, previous_id).',
+    ].join('\n'),
+  });
+
+  const day = exportedAt.toISOString().slice(0, 10);
+  return {
+    filename: `expirio-export-${account.username.replace(/[^A-Za-z0-9_.-]/g, '_')}-${day}.zip`,
+    archive: createZip(files, exportedAt),
+  };
+}
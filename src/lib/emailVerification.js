@@ -0,0 +1,98 @@
+import crypto from 'crypto';
+import { db, withTransaction } from '../db';
+import { APP_URL, sendMail } from './mail';
+
+// Email verification.
+//
+// Signing up sends a link to /VerifyEmail?token=... . Until it is followed the account can
+// log in but withAuth() only lets it reach handlers marked allowUnverified, and its email
+// address cannot be used to log in. Tokens are stored as hashes, work once, expire after
+// VERIFICATION_TOKEN_TTL and are retired when a new link is sent.
+
+export const VERIFICATION_TOKEN_TTL = 24 * 60 * 60; // seconds
+
+// How soon another link may be sent to the same account
+export const RESEND_INTERVAL = 60; // seconds
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+export class ResendTooSoonError extends Error {
+  constructor() {
+    super(`Please wait ${RESEND_INTERVAL} seconds before asking for another email`);
+  }
+}
+
+// Email a verification link to a users row (sr, username, name, email).
+// Throws ResendTooSoonError if a link was sent less than RESEND_INTERVAL ago.
+export async function sendVerificationEmail(user) {
+  const [[recent]] = await db.execute(
+    'SELECT id FROM email_verifications WHERE user_id = ? AND created_at > NOW() - INTERVAL ? SECOND LIMIT 1',
+    [user.sr, RESEND_INTERVAL]
+  );
+  if (recent) {
+    throw new ResendTooSoonError();
+  }
+
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await db.execute(
+    'UPDATE email_verifications SET expires_at = NOW() WHERE user_id = ? AND used_at IS NULL AND expires_at > NOW()',
+    [user.sr]
+  );
+  await db.execute(
+    `INSERT INTO email_verifications (user_id, email, token_hash, expires_at)
+     VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))`,
+    [user.sr, user.email, hashToken(token), VERIFICATION_TOKEN_TTL]
+  );
+
+  const link = `${APP_URL}/VerifyEmail?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Confirm your email address for Expirio',
+    text: [
+      `Hi ${user.name || user.username},`,
+      '',
+      'Please confirm that this is your email address by opening:',
+      '',
+      link,
+      '',
+      `The link expires in ${VERIFICATION_TOKEN_TTL / 3600} hours. You can ask for a new one from the app.`,
+      "If you didn't create an Expirio account, you can ignore this email.",
+    ].join('\n'),
+  });
+}
+
+// Mark the email address a token was sent to as verified.
+// Returns the user id, or null when the token is unknown, used, expired or for an old address.
+export async function verifyEmailToken(token) {
+  if (!token) {
+    return null;
+  }
+
+  return withTransaction(async (connection) => {
+    const [[verification]] = await connection.execute(
+      `SELECT email_verifications.id, email_verifications.user_id
+       FROM email_verifications JOIN users ON users.sr = email_verifications.user_id
+       WHERE email_verifications.token_hash = ? AND email_verifications.used_at IS NULL
+         AND email_verifications.expires_at > NOW() AND email_verifications.email = users.email
+       FOR UPDATE`,
+      [hashToken(token)]
+    );
+    if (!verification) {
+      return null;
+    }
+
+    await connection.execute(
+      'UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()) WHERE sr = ?',
+      [verification.user_id]
+    );
+    await connection.execute(
+      'UPDATE email_verifications SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL',
+      [verification.user_id]
+    );
+    return verification.user_id;
+  });
+}
@@ -0,0 +1,78 @@
+// Installment schedules.
+//
+// A subscription's amount covers its whole term. With a billing_frequency other than 'once'
+// it is paid in installments instead: the first due on paymentDate, the next ones every 1, 3,
+// 6 or 12 months after it, one for each period that starts within the term. The amount is split
+// evenly to the cent, the rounding difference going to the last installment.
+//
+// syncInstallments(conn, subscription) writes the schedule to the installments table and is
+// called whenever a subscription is created or its dates, amount or frequency change. Paid
+// installments are never altered; the others follow the new schedule.
+//
+// The module imports nothing from the app so that the renewal scheduler (renewalSchedule.mjs)
+// can load it as well as the routes.
+
+import { dateKey } from './reminderSchedule.mjs';
+
+export const BILLING_FREQUENCIES = ['once', 'monthly', 'quarterly', 'half-yearly', 'yearly'];
+
+const FREQUENCY_MONTHS = {
+  monthly: 1,
+  quarterly: 3,
+  'half-yearly': 6,
+  yearly: 12,
+};
+
+// `key` plus `months`, kept on the same day of the month or the last day of a shorter month
+export function addMonths(key, months) {
+  const [year, month, day] = key.split('-').map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay));
+  return target.toISOString().slice(0, 10);
+}
+
+// The installments of a subscription: [{ sequence, due_date, amount }] with amounts as strings
+export function buildSchedule({ startDate, endDate, paymentDate, amount, billing_frequency }) {
+  const months = FREQUENCY_MONTHS[billing_frequency];
+  const start = dateKey(startDate);
+  const end = dateKey(endDate);
+  const firstDue = dateKey(paymentDate);
+
+  let count = 1;
+  while (months && addMonths(start, count * months) <= end) {
+    count++;
+  }
+
+  const cents = Math.round(Number(amount) * 100);
+  const share = Math.floor(cents / count);
+
+  return Array.from({ length: count }, (_, index) => ({
+    sequence: index + 1,
+    due_date: months ? addMonths(firstDue, index * months) : firstDue,
+    amount: ((index === count - 1 ? cents - share * (count - 1) : share) / 100).toFixed(2),
+  }));
+}
+
+// Bring the stored installments of `subscription` (a whole subscriptions row) in line with its
+// schedule. Returns the number of installments in the schedule.
+export async function syncInstallments(conn, subscription) {
+  const schedule = buildSchedule(subscription);
+
+  for (const { sequence, due_date, amount } of schedule) {
+    await conn.execute(
+      `INSERT INTO installments (user_id, subscription_id, sequence, due_date, amount)
+       VALUES (?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+         due_date = IF(paid_on IS NULL, VALUES(due_date), due_date),
+         amount = IF(paid_on IS NULL, VALUES(amount), amount)`,
+      [subscription.user_id, subscription.id, sequence, due_date, amount]
+    );
+  }
+
+  await conn.execute(
+    'DELETE FROM installments WHERE subscription_id = ? AND sequence > ? AND paid_on IS NULL',
+    [subscription.id, schedule.length]
+  );
+  return schedule.length;
+}
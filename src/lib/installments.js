@@ -0,0 +1,145 @@
+import { db, withTransaction } from '../db';
+import { BILLING_FREQUENCIES, syncInstallments } from './installmentSchedule.mjs';
+import { DEFAULT_GRACE_DAYS, PAYMENT_STATES, paymentStateSql, runPaymentTracker, subscriptionPaymentStateSql } from './paymentTracking.mjs';
+
+// App side of installment schedules (see installmentSchedule.mjs): the computed status of an
+// installment, reading a subscription's schedule and marking installments paid. Payment states
+// and their history come from paymentTracking.mjs.
+
+export { BILLING_FREQUENCIES, DEFAULT_GRACE_DAYS, PAYMENT_STATES, syncInstallments };
+
+// An unpaid installment due within this many days is "upcoming" on the dashboards
+export const UPCOMING_INSTALLMENT_DAYS = 30;
+
+export const INSTALLMENT_STATUSES = ['paid', 'lapsed', 'in-grace', 'overdue', 'due', 'upcoming', 'scheduled'];
+
+// SQL expression for the payment state of a row in `installments` today (see paymentTracking.mjs)
+export const PAYMENT_STATE_SQL = paymentStateSql();
+
+// SQL expression for the status of a row in `installments`: its payment state once it is paid or
+// its due date has passed (overdue, in-grace or lapsed), otherwise due (today), upcoming (within
+// UPCOMING_INSTALLMENT_DAYS) or scheduled (later). The query must join `services` for the
+// installment's subscription.
+export const INSTALLMENT_STATUS_SQL = `(CASE
+    WHEN installments.paid_on IS NOT NULL OR installments.due_date < CURDATE() THEN ${PAYMENT_STATE_SQL}
+    WHEN installments.due_date = CURDATE() THEN 'due'
+    WHEN installments.due_date <= DATE_ADD(CURDATE(), INTERVAL ${UPCOMING_INSTALLMENT_DAYS} DAY) THEN 'upcoming'
+    ELSE 'scheduled'
+  END)`;
+
+// Run the payment tracker in paymentTracking.mjs as /api/Cron/Payments does, as one transaction
+export function runPaymentTracking(options) {
+  return withTransaction((connection) => runPaymentTracker(connection, options));
+}
+
+// SQL expression for the payment state of a row in `subscriptions`, the worst of its installments.
+// The query must join `services` for the subscription.
+export const SUBSCRIPTION_PAYMENT_STATE_SQL = subscriptionPaymentStateSql();
+
+// Parse a comma separated `payment_status` query parameter; null if any state is unknown
+export function parsePaymentStateFilter(value) {
+  if (!value) {
+    return [];
+  }
+  const states = value.split(',').map((state) => state.trim().toLowerCase()).filter(Boolean);
+  return states.every((state) => PAYMENT_STATES.includes(state)) ? states : null;
+}
+
+// The recorded moves between payment states of a subscription's installments, newest first
+export async function listPaymentStateChanges(subscription_id, user_id, limit = 100) {
+  const [rows] = await db.execute(
+    `SELECT payment_state_changes.id, payment_state_changes.installment_id, installments.sequence,
+            payment_state_changes.from_state, payment_state_changes.to_state,
+            payment_state_changes.as_of, payment_state_changes.changed_at
+     FROM payment_state_changes
+     JOIN installments ON payment_state_changes.installment_id = installments.id
+     WHERE payment_state_changes.subscription_id = ? AND payment_state_changes.user_id = ?
+     ORDER BY payment_state_changes.id DESC LIMIT ${Number(limit)}`,
+    [subscription_id, user_id]
+  );
+  return rows;
+}
+
+// Unpaid installments whose due date has passed
+export const PAST_DUE_STATUSES = ['overdue', 'in-grace', 'lapsed'];
+
+// Parse a comma separated `status` query parameter; null if any status is unknown
+export function parseInstallmentStatusFilter(value) {
+  if (!value) {
+    return [];
+  }
+  const statuses = value.split(',').map((status) => status.trim().toLowerCase()).filter(Boolean);
+  return statuses.every((status) => INSTALLMENT_STATUSES.includes(status)) ? statuses : null;
+}
+
+// Rewrite the schedule of subscription `id` after it was created or changed
+export async function syncSubscriptionInstallments(id, conn = db) {
+  const [[subscription]] = await conn.execute('SELECT * FROM subscriptions WHERE id = ?', [id]);
+  if (subscription) {
+    await syncInstallments(conn, subscription);
+  }
+}
+
+export async function findInstallment(id, user_id) {
+  const [[row]] = await db.execute(
+    `SELECT installments.*, ${INSTALLMENT_STATUS_SQL} AS status FROM installments
+     JOIN subscriptions ON installments.subscription_id = subscriptions.id
+     JOIN services ON subscriptions.service_id = services.id
+     WHERE installments.id = ? AND installments.user_id = ?`,
+    [id, user_id]
+  );
+  return row;
+}
+
+// The schedule of a subscription with totals
+export async function getInstallments(subscription_id, user_id) {
+  const [rows] = await db.execute(
+    `SELECT installments.*, ${INSTALLMENT_STATUS_SQL} AS status FROM installments
+     JOIN subscriptions ON installments.subscription_id = subscriptions.id
+     JOIN services ON subscriptions.service_id = services.id
+     WHERE installments.subscription_id = ? AND installments.user_id = ? ORDER BY installments.sequence`,
+    [subscription_id, user_id]
+  );
+
+  const sum = (items, field) => Number(items.reduce((total, item) => total + Number(item[field] ?? 0), 0).toFixed(2));
+  const paid = rows.filter((row) => row.status === 'paid');
+  const overdue = rows.filter((row) => PAST_DUE_STATUSES.includes(row.status));
+  return {
+    installments: rows,
+    summary: {
+      count: rows.length,
+      paid: paid.length,
+      amount: sum(rows, 'amount'),
+      paid_amount: sum(paid, 'paid_amount'),
+      outstanding: sum(rows.filter((row) => row.status !== 'paid'), 'amount'),
+      overdue: overdue.length,
+      overdue_amount: sum(overdue, 'amount'),
+      by_status: Object.fromEntries(INSTALLMENT_STATUSES.map((status) => [status, rows.filter((row) => row.status === status).length])),
+    },
+  };
+}
+
+// Mark installments of the user paid (on `paid_on`, default today, for `paid_amount`, default
+// the amount due) or unpaid, and record the change of payment state, all as one transaction.
+// Installments already in that state are left alone. Returns the number changed.
+export async function markInstallments(user_id, ids, { paid = true, paid_on = null, paid_amount = null } = {}) {
+  if (ids.length === 0) {
+    return 0;
+  }
+  const placeholders = ids.map(() => '?').join(', ');
+  return withTransaction(async (connection) => {
+    const [result] = paid
+      ? await connection.execute(
+        `UPDATE installments SET paid_on = COALESCE(?, CURDATE()), paid_amount = COALESCE(?, amount)
+         WHERE user_id = ? AND paid_on IS NULL AND id IN (${placeholders})`,
+        [paid_on, paid_amount, user_id, ...ids]
+      )
+      : await connection.execute(
+        `UPDATE installments SET paid_on = NULL, paid_amount = NULL
+         WHERE user_id = ? AND paid_on IS NOT NULL AND id IN (${placeholders})`,
+        [user_id, ...ids]
+      );
+    await runPaymentTracker(connection, { ids, user_id });
+    return result.affectedRows;
+  });
+}
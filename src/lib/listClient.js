@@ -0,0 +1,23 @@
+import axios from 'axios';
+
+// Browser side of the paginated list endpoints (see listQuery.js). Lists the user pages through
+// use the Pagination component; choices such as a select of entities need every row and load
+// them here page by page.
+
+// The largest page the API serves (MAX_LIMIT in listQuery.js)
+const PAGE_SIZE = 500;
+
+// Every row of a list endpoint, e.g. fetchAllPages('http://localhost:3000/api/Entities')
+export async function fetchAllPages(url, { params = {} } = {}) {
+  const rows = [];
+  for (let page = 1; ; page++) {
+    const response = await axios.get(url, {
+      headers: { Authorization: localStorage.getItem("token") },
+      params: { ...params, page, limit: PAGE_SIZE },
+    });
+    rows.push(...response.data.data);
+    if (page >= response.data.pagination.pages) {
+      return rows;
+    }
+  }
+}
@@ -0,0 +1,116 @@
+import { db } from '../db';
+
+// Pagination, sorting and filtering shared by every list endpoint.
+//
+// Query parameters understood by all lists:
+//   page, limit           - 1-based page number and page size (default 1 / 50, max limit 500)
+//   sort                  - column to sort on, prefix with "-" for descending (e.g. sort=-endDate)
+//   <filter>=value        - equality filters declared by the endpoint (category, entity_id, ...)
+//   <date>_from/<date>_to - inclusive date ranges declared by the endpoint (startDate_from=2025-01-01);
+//                           a date-only _to takes in the whole day, also for DATETIME columns
+
+export const DEFAULT_LIMIT = 50;
+export const MAX_LIMIT = 500;
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Thrown for malformed list parameters; routes turn it into a 400
+export class ListQueryError extends Error {}
+
+function positiveInt(value, fallback, name) {
+  if (value === null || value === '') {
+    return fallback;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new ListQueryError(`${name} must be a positive integer`);
+  }
+  return number;
+}
+
+// Run a paginated list query and return { rows, pagination }.
+//   select / from      - SELECT list and FROM clause (with joins), without the keywords
+//   where / params     - base conditions that are always applied, e.g. ownership
+//   sortable           - sort name -> SQL column; `sort` must be one of these
+//   filters            - query parameter -> SQL column for equality filters
+//   dateFilters        - query parameter -> SQL column for _from/_to ranges
+export async function runListQuery(searchParams, {
+  select,
+  from,
+  where = [],
+  params = [],
+  sortable,
+  filters = {},
+  dateFilters = {},
+  defaultSort,
+}) {
+  const conditions = [...where];
+  const values = [...params];
+
+  for (const [name, column] of Object.entries(filters)) {
+    const value = searchParams.get(name);
+    if (value !== null && value !== '') {
+      conditions.push(`${column} = ?`);
+      values.push(value);
+    }
+  }
+
+  for (const [name, column] of Object.entries(dateFilters)) {
+    for (const [suffix, operator] of [['_from', '>='], ['_to', '<=']]) {
+      const value = searchParams.get(`${name}${suffix}`);
+      if (value === null || value === '') {
+        continue;
+      }
+      if (Number.isNaN(Date.parse(value))) {
+        throw new ListQueryError(`${name}${suffix} must be a valid date`);
+      }
+      if (suffix === '_to' && DATE_ONLY.test(value)) {
+        conditions.push(`${column} < DATE_ADD(?, INTERVAL 1 DAY)`);
+      } else {
+        conditions.push(`${column} ${operator} ?`);
+      }
+      values.push(value);
+    }
+  }
+
+  const sort = searchParams.get('sort') || defaultSort;
+  const descending = sort.startsWith('-');
+  const sortName = descending ? sort.slice(1) : sort;
+  if (!sortable[sortName]) {
+    throw new ListQueryError(`Cannot sort on "${sortName}". Allowed values are ${Object.keys(sortable).join(', ')}`);
+  }
+
+  const limit = Math.min(positiveInt(searchParams.get('limit'), DEFAULT_LIMIT, 'limit'), MAX_LIMIT);
+  const page = positiveInt(searchParams.get('page'), 1, 'page');
+  const offset = (page - 1) * limit;
+
+  // Rows with equal sort values are ordered by the primary key of the first table in `from`, in
+  // the same direction, so that they keep their order from page to page
+  const direction = descending ? 'DESC' : 'ASC';
+  const primaryKey = `${from.trim().split(/\s+/)[0]}.id`;
+  const orderBy = [primaryKey, 'id'].includes(sortable[sortName])
+    ? `${sortable[sortName]} ${direction}`
+    : `${sortable[sortName]} ${direction}, ${primaryKey} ${direction}`;
+
+  const whereClause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const [[{ total }]] = await db.execute(`SELECT COUNT(*) AS total FROM ${from} ${whereClause}`, values);
+
+  // LIMIT and OFFSET are validated integers, so they are inlined rather than bound
+  const [rows] = await db.execute(
+    `SELECT ${select} FROM ${from} ${whereClause}
+     ORDER BY ${orderBy}
+     LIMIT ${limit} OFFSET ${offset}`,
+    values
+  );
+
+  return {
+    rows,
+    pagination: {
+      total: Number(total),
+      page,
+      limit,
+      pages: Math.ceil(Number(total) / limit),
+    },
+  };
+}
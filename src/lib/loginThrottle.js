@@ -0,0 +1,215 @@
+import crypto from 'crypto';
+import { NextResponse } from 'next/server';
+import { db, withTransaction } from '../db';
+import { APP_URL, sendMail } from './mail';
+import { requestMeta } from './sessions';
+
+// Brute-force protection for /api/Login and /api/Login/TwoFactor.
+//
+// Failed attempts are counted per account and per client IP in login_throttles. After a few
+// free failures each further one makes the next attempt wait twice as long (1s, 2s, 4s, ...).
+// LOCKOUT_FAILURES failures in a row lock the account for LOCKOUT_DURATION and email the owner
+// a link that lifts the lock early. Attempts made while blocked are refused without checking
+// the password. A successful login clears the account's count; the IP's count only decays.
+// Failures, refusals, lockouts and unlocks are written to login_events for Accounts/Security.
+
+const ACCOUNT_FREE_FAILURES = 3;
+const ACCOUNT_MAX_DELAY = 15 * 60; // seconds
+const LOCKOUT_FAILURES = 10;
+export const LOCKOUT_DURATION = 30 * 60; // seconds
+
+// Many users can share an address (offices, mobile carriers), so IPs get more room and no lockout
+const IP_FREE_FAILURES = 10;
+const IP_MAX_DELAY = 60 * 60; // seconds
+
+// A failure this long after the previous one starts the count again
+const FAILURE_WINDOW = 60 * 60; // seconds
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function backoff(failures, free, max) {
+  return failures > free ? Math.min(2 ** (failures - free - 1), max) : 0;
+}
+
+async function recordEvent(user_id, identifier, event, request, conn = db) {
+  const { ip, user_agent } = requestMeta(request);
+  await conn.execute(
+    'INSERT INTO login_events (user_id, identifier, event, ip, user_agent) VALUES (?, ?, ?, ?, ?)',
+    [user_id, identifier?.slice(0, 255) ?? null, event, ip, user_agent]
+  );
+}
+
+// Count one failure against a throttle key and block it as the backoff requires.
+// Returns { failures, locked } where locked means this failure locked the account.
+async function addFailure(scope, key) {
+  return withTransaction(async (connection) => {
+    await connection.execute(
+      'INSERT IGNORE INTO login_throttles (scope, throttle_key, failures, last_failure_at) VALUES (?, ?, 0, NOW())',
+      [scope, key]
+    );
+    const [[row]] = await connection.execute(
+      `SELECT failures, (last_failure_at < NOW() - INTERVAL ? SECOND) AS stale FROM login_throttles
+       WHERE scope = ? AND throttle_key = ? FOR UPDATE`,
+      [FAILURE_WINDOW, scope, key]
+    );
+
+    const failures = row.stale ? 1 : row.failures + 1;
+    const locked = scope === 'account' && failures >= LOCKOUT_FAILURES;
+    const delay = locked
+      ? LOCKOUT_DURATION
+      : scope === 'account'
+        ? backoff(failures, ACCOUNT_FREE_FAILURES, ACCOUNT_MAX_DELAY)
+        : backoff(failures, IP_FREE_FAILURES, IP_MAX_DELAY);
+
+    await connection.execute(
+      `UPDATE login_throttles
+       SET failures = ?, last_failure_at = NOW(),
+           blocked_until = IF(? > 0, NOW() + INTERVAL ? SECOND, NULL), locked_at = IF(?, NOW(), NULL)
+       WHERE scope = ? AND throttle_key = ?`,
+      [failures, delay, delay, locked, scope, key]
+    );
+    return { failures, locked };
+  });
+}
+
+// Whether a login attempt for a users row (or null for an unknown username) from this
+// request must wait. Returns null, or { retryAfter (seconds), locked }.
+export async function checkLoginThrottle(user, request) {
+  const { ip } = requestMeta(request);
+  const [rows] = await db.execute(
+    `SELECT scope, locked_at, TIMESTAMPDIFF(SECOND, NOW(), blocked_until) AS wait FROM login_throttles
+     WHERE blocked_until > NOW()
+       AND ((scope = 'account' AND throttle_key = ?) OR (scope = 'ip' AND throttle_key = ?))`,
+    [user ? String(user.sr) : '', ip ?? '']
+  );
+  if (rows.length === 0) {
+    return null;
+  }
+
+  return {
+    retryAfter: Math.max(1, ...rows.map((row) => Number(row.wait))),
+    locked: rows.some((row) => row.scope === 'account' && row.locked_at),
+  };
+}
+
+// Record an attempt refused by checkLoginThrottle()
+export async function recordBlockedLogin(user, identifier, request) {
+  await recordEvent(user?.sr ?? null, identifier, 'blocked', request);
+}
+
+// Record a wrong password ('failed_password') or second factor ('failed_two_factor').
+// `user` is null when the username matched no account.
+export async function recordLoginFailure(user, identifier, request, event) {
+  await recordEvent(user?.sr ?? null, identifier, event, request);
+
+  const { ip } = requestMeta(request);
+  if (ip) {
+    await addFailure('ip', ip);
+  }
+  if (!user) {
+    return;
+  }
+
+  const { locked } = await addFailure('account', String(user.sr));
+  if (locked) {
+    await recordEvent(user.sr, identifier, 'locked', request);
+    // The lockout stands either way; the link only ends it early
+    try {
+      await sendUnlockEmail(user);
+    } catch (error) {
+      console.error('Error sending unlock email:', error);
+    }
+  }
+}
+
+// Forget the account's failures after a successful login, an unlock or a password reset
+export async function clearAccountThrottle(user_id, conn = db) {
+  await conn.execute("DELETE FROM login_throttles WHERE scope = 'account' AND throttle_key = ?", [String(user_id)]);
+}
+
+async function sendUnlockEmail(user) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await db.execute(
+    `INSERT INTO account_unlocks (user_id, token_hash, expires_at)
+     VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))`,
+    [user.sr, hashToken(token), LOCKOUT_DURATION]
+  );
+
+  const link = `${APP_URL}/UnlockAccount?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Your Expirio account has been locked',
+    text: [
+      `Hi ${user.name || user.username},`,
+      '',
+      `After ${LOCKOUT_FAILURES} failed sign-in attempts we have locked your Expirio account for ${LOCKOUT_DURATION / 60} minutes.`,
+      'If it was you, open this link to unlock it now:',
+      '',
+      link,
+      '',
+      "If it wasn't you, someone may be guessing your password. Consider changing it once you are signed in,",
+      'and turning on two-step verification on the Security page.',
+    ].join('\n'),
+  });
+}
+
+// Lift a lockout with the token from the emailed link. Returns the user id or null when
+// the token is unknown, used or expired.
+export async function unlockAccount(token, request) {
+  if (!token) {
+    return null;
+  }
+
+  return withTransaction(async (connection) => {
+    const [[unlock]] = await connection.execute(
+      `SELECT id, user_id FROM account_unlocks
+       WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()
+       FOR UPDATE`,
+      [hashToken(token)]
+    );
+    if (!unlock) {
+      return null;
+    }
+
+    await connection.execute('UPDATE account_unlocks SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL', [unlock.user_id]);
+    await clearAccountThrottle(unlock.user_id, connection);
+    await recordEvent(unlock.user_id, null, 'unlocked', request, connection);
+    return unlock.user_id;
+  });
+}
+
+// The account's latest failed sign-ins, refusals, lockouts and unlocks, newest first
+export async function listLoginEvents(user_id, limit = 20) {
+  const [rows] = await db.execute(
+    `SELECT id, event, ip, user_agent, created_at FROM login_events
+     WHERE user_id = ? ORDER BY id DESC LIMIT ${Number(limit)}`,
+    [user_id]
+  );
+  return rows;
+}
+
+function describeWait(seconds) {
+  if (seconds < 60) {
+    return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  }
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+// 429 answer for a blocked attempt, with Retry-After
+export function throttledResponse({ retryAfter, locked }) {
+  const message = locked
+    ? `Too many failed sign-in attempts. This account is locked for ${describeWait(retryAfter)}; check your email for a link to unlock it sooner.`
+    : `Too many failed sign-in attempts. Please try again in ${describeWait(retryAfter)}.`;
+
+  return NextResponse.json({ message, retry_after: retryAfter, locked }, {
+    status: 429,
+    headers: {
+      'Retry-After': String(retryAfter),
+      'Access-Control-Allow-Origin': '*',
+    },
+  });
+}
@@ -0,0 +1,69 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { db } from '../db';
+
+// Outgoing mail.
+//
+// sendMail({ to, subject, text, html }) hands the message to the transport named by
+// MAIL_TRANSPORT in .env:
+//   outbox - (default) stored in the mail_outbox table, see `npm run mail:outbox`
+//   file   - appended as a JSON line to MAIL_OUTBOX_FILE (default ./mail-outbox.jsonl)
+//   smtp   - sent with nodemailer using SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASSWORD
+// Nothing leaves the machine unless MAIL_TRANSPORT=smtp. Tests and scripts can replace the
+// transport with setMailTransport().
+
+export const MAIL_FROM = process.env.MAIL_FROM || 'Expirio <no-reply@expirio.local>';
+
+// Base URL for links in emails
+export const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+async function outboxTransport(message) {
+  await db.execute(
+    'INSERT INTO mail_outbox (to_address, subject, body_text, body_html) VALUES (?, ?, ?, ?)',
+    [message.to, message.subject, message.text, message.html ?? null]
+  );
+}
+
+async function fileTransport(message) {
+  const file = path.resolve(process.env.MAIL_OUTBOX_FILE || 'mail-outbox.jsonl');
+  await fs.appendFile(file, `${JSON.stringify({ ...message, sent_at: new Date().toISOString() })}\n`);
+}
+
+let smtp;
+
+async function smtpTransport(message) {
+  if (!smtp) {
+    const { default: nodemailer } = await import('nodemailer');
+    smtp = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: Number(process.env.SMTP_PORT) === 465,
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined,
+    });
+  }
+  await smtp.sendMail(message);
+}
+
+const TRANSPORTS = {
+  outbox: outboxTransport,
+  file: fileTransport,
+  smtp: smtpTransport,
+};
+
+let override = null;
+
+// Use `transport` (an async function taking the message) instead of MAIL_TRANSPORT;
+// pass null to go back
+export function setMailTransport(transport) {
+  override = transport;
+}
+
+export async function sendMail({ to, subject, text, html }) {
+  const name = process.env.MAIL_TRANSPORT || 'outbox';
+  const transport = override ?? TRANSPORTS[name];
+  if (!transport) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+  }
+
+  await transport({ from: MAIL_FROM, to, subject, text, html });
+}
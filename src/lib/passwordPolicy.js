@@ -0,0 +1,36 @@
+// Password requirements, shared by the API and the forms so the list the user sees is the
+// list that is enforced. Keep this module free of server-only imports.
+
+export const PASSWORD_RULES = [
+  {
+    label: 'Minimum 8 characters long - the more, the better',
+    message: 'be at least 8 characters long',
+    test: (password) => password.length >= 8,
+  },
+  {
+    label: 'At least one lowercase character',
+    message: 'contain a lowercase character',
+    test: (password) => /[a-z]/.test(password),
+  },
+  {
+    label: 'At least one number, symbol, or whitespace character',
+    message: 'contain a number, symbol or whitespace character',
+    test: (password) => /[^A-Za-z]/.test(password),
+  },
+];
+
+// The rules `password` does not meet
+export function unmetPasswordRules(password) {
+  return PASSWORD_RULES.filter((rule) => !rule.test(password ?? ''));
+}
+
+// One error message listing every unmet rule, or null when the password is acceptable
+export function passwordPolicyError(password, label = 'Password') {
+  const unmet = unmetPasswordRules(password);
+  if (unmet.length === 0) {
+    return null;
+  }
+  const messages = unmet.map((rule) => rule.message);
+  const list = messages.length > 1 ? `${messages.slice(0, -1).join(', ')} and ${messages.at(-1)}` : messages[0];
+  return `${label} must ${list}`;
+}
@@ -0,0 +1,90 @@
+import crypto from 'crypto';
+import { db } from '../db';
+import { APP_URL, sendMail } from './mail';
+import { requestMeta } from './sessions';
+
+// Forgot-password tokens.
+//
+// requestPasswordReset() emails a link to /ResetPassword?token=... . The token is random,
+// stored only as a hash, works once and expires after RESET_TOKEN_TTL. Asking again
+// retires the earlier tokens. The reset itself is done by /api/Password/Reset.
+
+export const RESET_TOKEN_TTL = 60 * 60; // seconds
+
+// A new email is not sent if one went out this recently, so the form cannot be used to flood an inbox
+const REQUEST_INTERVAL = 60; // seconds
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Email a reset link to the account with this email address, if there is one.
+// Says nothing about whether the account exists, so the caller can answer the same either way.
+export async function requestPasswordReset(email, request) {
+  const [[user]] = await db.execute('SELECT sr, username, name, email FROM users WHERE email = ?', [email]);
+  if (!user) {
+    return;
+  }
+
+  const [[recent]] = await db.execute(
+    'SELECT id FROM password_resets WHERE user_id = ? AND created_at > NOW() - INTERVAL ? SECOND LIMIT 1',
+    [user.sr, REQUEST_INTERVAL]
+  );
+  if (recent) {
+    return;
+  }
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const { ip } = requestMeta(request);
+
+  await db.execute(
+    'UPDATE password_resets SET expires_at = NOW() WHERE user_id = ? AND used_at IS NULL AND expires_at > NOW()',
+    [user.sr]
+  );
+  await db.execute(
+    `INSERT INTO password_resets (user_id, token_hash, requested_ip, expires_at)
+     VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))`,
+    [user.sr, hashToken(token), ip, RESET_TOKEN_TTL]
+  );
+
+  const link = `${APP_URL}/ResetPassword?token=${encodeURIComponent(token)}`;
+  const minutes = RESET_TOKEN_TTL / 60;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your Expirio password',
+    text: [
+      `Hi ${user.name || user.username},`,
+      '',
+      'Someone asked to reset the password of your Expirio account. To choose a new password, open:',
+      '',
+      link,
+      '',
+      `The link works once and expires in ${minutes} minutes.`,
+      "If you didn't ask for this, you can ignore this email; your password stays the same.",
+    ].join('\n'),
+  });
+}
+
+// Look up an unused, unexpired token. Inside a transaction the row stays locked until the
+// commit, so the token cannot be used twice at once. Returns { id, user_id, expires_at } or null.
+export async function findPasswordReset(token, conn = db) {
+  if (!token) {
+    return null;
+  }
+  const [[reset]] = await conn.execute(
+    `SELECT id, user_id, expires_at FROM password_resets
+     WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()
+     FOR UPDATE`,
+    [hashToken(token)]
+  );
+  return reset ?? null;
+}
+
+// Use up a token and every other outstanding token of the same user
+export async function completePasswordReset(reset, conn = db) {
+  await conn.execute(
+    'UPDATE password_resets SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL',
+    [reset.user_id]
+  );
+}
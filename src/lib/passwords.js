@@ -0,0 +1,90 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import { db } from '../db';
+
+// Password storage.
+//
+// Passwords are stored as bcrypt hashes. Accounts created before hashing was introduced
+// still hold their password in plain text; verifyPassword() accepts those and reports
+// that the row needs an upgrade, which the login route writes back after a successful
+// login. scripts/check-passwords.mjs lists the accounts that have not been upgraded yet.
+//
+// The requirements a new password must meet are in passwordPolicy.js.
+
+export const BCRYPT_ROUNDS = Number(process.env.BCRYPT_ROUNDS) || 12;
+
+// How many replaced passwords are remembered and refused when choosing a new one
+export const PASSWORD_HISTORY = 5;
+
+const BCRYPT_PATTERN = /^\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}$/;
+
+export function isPasswordHash(value) {
+  return typeof value === 'string' && BCRYPT_PATTERN.test(value);
+}
+
+export function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+// Compare two strings in constant time, whatever their lengths
+function safeEqual(a, b) {
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+// Check `password` against the stored value. Returns { valid, needsUpgrade }, where
+// needsUpgrade means the stored value is plain text or hashed with fewer rounds than
+// BCRYPT_ROUNDS and should be replaced by hashPassword(password).
+export async function verifyPassword(password, stored) {
+  if (isPasswordHash(stored)) {
+    const valid = await bcrypt.compare(password, stored);
+    return { valid, needsUpgrade: valid && bcrypt.getRounds(stored) < BCRYPT_ROUNDS };
+  }
+
+  const valid = typeof stored === 'string' && stored !== '' && safeEqual(password, stored);
+  return { valid, needsUpgrade: valid };
+}
+
+// A hash nobody's password matches, compared against when the username is unknown so
+// that a failed login takes as long whether or not the account exists
+let dummyHash;
+
+export async function rejectUnknownUser(password) {
+  dummyHash ??= await bcrypt.hash('expirio-unknown-user', BCRYPT_ROUNDS);
+  await bcrypt.compare(password, dummyHash);
+  return { valid: false, needsUpgrade: false };
+}
+
+// Whether `password` is the current password of a users row or one it used recently
+export async function isRecentPassword(user, password, conn = db) {
+  if ((await verifyPassword(password, user.password)).valid) {
+    return true;
+  }
+
+  const [rows] = await conn.execute(
+    `SELECT password_hash FROM password_history WHERE user_id = ? ORDER BY id DESC LIMIT ${PASSWORD_HISTORY}`,
+    [user.sr]
+  );
+  for (const row of rows) {
+    if (await bcrypt.compare(password, row.password_hash)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Give a users row a new password, remembering the one it replaces.
+// Run it in a transaction together with whatever else the change implies.
+export async function setPassword(user, password, conn = db) {
+  // Rows from before hashing still hold plain text, which must not end up in the history
+  const previous = isPasswordHash(user.password) ? user.password : await hashPassword(user.password);
+
+  await conn.execute('INSERT INTO password_history (user_id, password_hash) VALUES (?, ?)', [user.sr, previous]);
+  await conn.execute(
+    `DELETE FROM password_history WHERE user_id = ? AND id NOT IN (
+       SELECT id FROM (SELECT id FROM password_history WHERE user_id = ? ORDER BY id DESC LIMIT ${PASSWORD_HISTORY}) AS recent
+     )`,
+    [user.sr, user.sr]
+  );
+  await conn.execute('UPDATE users SET password = ? WHERE sr = ?', [await hashPassword(password), user.sr]);
+}
@@ -0,0 +1,92 @@
+// Overdue tracking for installments (and through them, subscriptions).
+//
+// An unpaid installment moves through these payment states:
+//   due      - its due date has not passed
+//   overdue  - for OVERDUE_DAYS after the due date
+//   in-grace - for the service's grace_days after that
+//   lapsed   - once the grace period is over
+// and is 'paid' once marked paid. A subscription is in the worst state of its installments.
+//
+// The state is computed in SQL whenever it is read (paymentStateSql()), so lists and filters
+// are never stale. runPaymentTracker(conn, { today }) records the moves: it stores each
+// installment's current state in installments.payment_state and writes a row with timestamps to
+// payment_state_changes for every one that moved since the last run. Cancelled subscriptions
+// are not tracked.
+//
+// Like the other schedulers the module imports nothing from the app, so scripts/payments.mjs
+// and /api/Cron/Payments can both load it. `today` ('YYYY-MM-DD' or a Date) defaults to the
+// current date.
+
+import { dateKey } from './reminderSchedule.mjs';
+
+export const PAYMENT_STATES = ['due', 'overdue', 'in-grace', 'lapsed', 'paid'];
+
+// Days a missed payment is overdue before the service's grace period starts
+export const OVERDUE_DAYS = 7;
+
+// services.grace_days of a service created without one
+export const DEFAULT_GRACE_DAYS = 14;
+
+// SQL expression for the payment state of a row in `installments` on `day`, an SQL date
+// expression (CURDATE() or a quoted 'YYYY-MM-DD'). The query must join `services`.
+export function paymentStateSql(day = 'CURDATE()') {
+  return `(CASE
+    WHEN installments.paid_on IS NOT NULL THEN 'paid'
+    WHEN installments.due_date >= ${day} THEN 'due'
+    WHEN installments.due_date >= DATE_SUB(${day}, INTERVAL ${OVERDUE_DAYS} DAY) THEN 'overdue'
+    WHEN installments.due_date >= DATE_SUB(${day}, INTERVAL (${OVERDUE_DAYS} + services.grace_days) DAY) THEN 'in-grace'
+    ELSE 'lapsed'
+  END)`;
+}
+
+// SQL expression for the payment state of a row in `subscriptions`: the worst state among its
+// installments, 'paid' when all are paid, NULL without installments. The query must join
+// `services` for the subscription.
+export function subscriptionPaymentStateSql(day = 'CURDATE()') {
+  const order = ['paid', 'due', 'overdue', 'in-grace', 'lapsed'].map((state) => `'${state}'`).join(', ');
+  return `(SELECT ELT(MAX(FIELD(${paymentStateSql(day)}, ${order})), ${order})
+    FROM installments WHERE installments.subscription_id = subscriptions.id)`;
+}
+
+// Record the payment state of every tracked installment (or only those in `ids` of `user_id`)
+// that moved since it was last recorded. Returns { date, changed, counts } where counts has the number of
+// changes into each state.
+export async function runPaymentTracker(conn, { today = new Date(), ids = null, user_id = null } = {}) {
+  const day = dateKey(today);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+    throw new Error(`Invalid date "${day}"`);
+  }
+  if (ids && ids.length === 0) {
+    return { date: day, changed: 0, counts: {} };
+  }
+
+  const [rows] = await conn.execute(
+    `SELECT installments.id, installments.user_id, installments.subscription_id,
+            installments.payment_state, ${paymentStateSql(`'${day}'`)} AS state
+     FROM installments
+     JOIN subscriptions ON installments.subscription_id = subscriptions.id
+     JOIN services ON subscriptions.service_id = services.id
+     WHERE subscriptions.cancelled = 0
+       ${user_id ? 'AND installments.user_id = ?' : ''}
+       ${ids ? `AND installments.id IN (${ids.map(() => '?').join(', ')})` : ''}
+     HAVING NOT (state <=> payment_state)
+     ORDER BY installments.id`,
+    [...(user_id ? [user_id] : []), ...(ids ?? [])]
+  );
+
+  const counts = {};
+  for (const row of rows) {
+    await conn.execute(
+      'UPDATE installments SET payment_state = ?, payment_state_at = NOW() WHERE id = ?',
+      [row.state, row.id]
+    );
+    await conn.execute(
+      `INSERT INTO payment_state_changes (user_id, subscription_id, installment_id, from_state, to_state, as_of)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [row.user_id, row.subscription_id, row.id, row.payment_state, row.state, day]
+    );
+    counts[row.state] = (counts[row.state] ?? 0) + 1;
+  }
+
+  return { date: day, changed: rows.length, counts };
+}
@@ -0,0 +1,127 @@
+import { db } from '../db';
+
+// Owner-scoped access to the user's own records.
+//
+// Every query in here is filtered on user_id, so a route that only goes through
+// these helpers can never read or attach another user's data. Table and column
+// names come from the whitelist below, never from the request.
+//
+// Each helper takes an optional connection as its last argument so it can run
+// inside withTransaction(); by default it uses the shared pool.
+
+export const OWNED_TABLES = {
+  entities: { label: 'Entity', nameColumn: 'entity_name' },
+  services: { label: 'Service', nameColumn: 'service_name' },
+  payees: { label: 'Payee', nameColumn: 'payee_name' },
+  subscriptions: { label: 'Subscription', nameColumn: null },
+};
+
+function tableConfig(table) {
+  const config = OWNED_TABLES[table];
+  if (!config) {
+    throw new Error(`Unknown table "${table}"`);
+  }
+  return config;
+}
+
+// Fetch a row by id, or undefined if it does not exist or belongs to someone else
+export async function findOwned(table, id, user_id, conn = db) {
+  tableConfig(table);
+  const [[row]] = await conn.execute(`SELECT * FROM ${table} WHERE id = ? AND user_id = ?`, [id, user_id]);
+  return row;
+}
+
+// Fetch a row by its name column (entity_name, service_name, payee_name)
+export async function findOwnedByName(table, name, user_id, conn = db) {
+  const { nameColumn } = tableConfig(table);
+  const [[row]] = await conn.execute(
+    `SELECT * FROM ${table} WHERE ${nameColumn} = ? AND user_id = ? LIMIT 1`,
+    [name, user_id]
+  );
+  return row;
+}
+
+// Resolve a reference given either as an id or, for convenience, as a name.
+// The id wins when both are given.
+export async function resolveOwned(table, { id, name }, user_id, conn = db) {
+  if (id !== undefined && id !== null && id !== '') {
+    return findOwned(table, id, user_id, conn);
+  }
+  if (name) {
+    return findOwnedByName(table, name, user_id, conn);
+  }
+  return undefined;
+}
+
+// Names are unique per user, not globally. `exceptId` skips the row being renamed.
+export async function isNameTaken(table, name, user_id, exceptId = null, conn = db) {
+  const { nameColumn } = tableConfig(table);
+  const [[row]] = await conn.execute(
+    `SELECT id FROM ${table} WHERE ${nameColumn} = ? AND user_id = ? AND id <> ? LIMIT 1`,
+    [name, user_id, exceptId ?? 0]
+  );
+  return Boolean(row);
+}
+
+// Count the user's rows in `table` whose `column` equals `value`
+export async function countOwned(table, column, value, user_id, conn = db) {
+  tableConfig(table);
+  const [[row]] = await conn.execute(
+    `SELECT COUNT(*) AS total FROM ${table} WHERE ${column} = ? AND user_id = ?`,
+    [value, user_id]
+  );
+  return Number(row.total);
+}
+
+// The user's rows in `table` whose `column` equals `value`
+export async function listOwned(table, column, value, user_id, conn = db) {
+  tableConfig(table);
+  const [rows] = await conn.execute(
+    `SELECT * FROM ${table} WHERE ${column} = ? AND user_id = ? ORDER BY id`,
+    [value, user_id]
+  );
+  return rows;
+}
+
+// Insert a row owned by the user and return its id
+export async function insertOwned(table, fields, user_id, conn = db) {
+  tableConfig(table);
+  const columns = ['user_id', ...Object.keys(fields)];
+  const [result] = await conn.execute(
+    `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    [user_id, ...Object.values(fields)]
+  );
+  return result.insertId;
+}
+
+// Update the given columns of a row the user owns. Returns the number of rows changed.
+export async function updateOwned(table, id, fields, user_id, conn = db) {
+  tableConfig(table);
+  const columns = Object.keys(fields);
+  const [result] = await conn.execute(
+    `UPDATE ${table} SET ${columns.map((column) => `${column} = ?`).join(', ')} WHERE id = ? AND user_id = ?`,
+    [...Object.values(fields), id, user_id]
+  );
+  return result.affectedRows;
+}
+
+// Delete a row the user owns. Returns the number of rows removed.
+export async function deleteOwned(table, id, user_id, conn = db) {
+  tableConfig(table);
+  const [result] = await conn.execute(`DELETE FROM ${table} WHERE id = ? AND user_id = ?`, [id, user_id]);
+  return result.affectedRows;
+}
+
+// Field errors for references resolveOwned() could not find, keyed by the field the client
+// used (entity_id or entity_name) so a form can show them next to the right input.
+//   referenceErrors(body, { entity, service }) -> { service_name: 'Service not found' }
+export function referenceErrors(body, resolved) {
+  const errors = {};
+  for (const [reference, row] of Object.entries(resolved)) {
+    if (!row) {
+      const field = body[`${reference}_id`] ? `${reference}_id` : `${reference}_name`;
+      errors[field] = `${reference[0].toUpperCase()}${reference.slice(1)} not found`;
+    }
+  }
+  return errors;
+}
@@ -0,0 +1,17 @@
+// Where to send the user after logging in or refreshing the session. Shared by the login page
+// and /api/Refresh, so keep this module free of server-only imports.
+
+// The path, query and hash of `next` if it points into `origin` (e.g. 'http://localhost:3000'),
+// otherwise null. Backslashes are refused outright: browsers read them as slashes, so
+// '/\evil.com' would leave the site.
+export function safeRedirectPath(next, origin) {
+  if (!next || !next.startsWith('/') || next.includes('\\')) {
+    return null;
+  }
+  try {
+    const url = new URL(next, origin);
+    return url.origin === new URL(origin).origin ? `${url.pathname}${url.search}${url.hash}` : null;
+  } catch {
+    return null;
+  }
+}
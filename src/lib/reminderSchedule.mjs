@@ -0,0 +1,110 @@
+// Expiry and payment reminder scheduler.
+//
+// runReminderSchedule(conn, { today }) looks at every subscription that is not cancelled and
+// records the reminders due by `today` in the reminders table: by default 30, 7 and 1 days
+// before endDate and on paymentDate, or the lists set on the subscription or its account.
+// A reminder is only ever recorded once, so the job can run as often as you like.
+//
+// The module imports nothing from the app so that the standalone runner
+// (scripts/reminders.mjs) can load it as well as /api/Cron/Reminders. `conn` is anything with
+// mysql2's execute(), the pool or a single connection. `today` ('YYYY-MM-DD' or a Date)
+// defaults to the current date; pass another one to see what a given day would do.
+
+export const DEFAULT_REMINDER_DAYS = [30, 7, 1];
+export const DEFAULT_PAYMENT_REMINDER_DAYS = [0];
+
+// "30,7,1" -> [30, 7, 1]; NULL (use the default) stays null and '' (no reminders) becomes []
+export function parseReminderDays(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  return String(value).split(',').filter(Boolean).map(Number).filter(Number.isInteger);
+}
+
+export function formatReminderDays(days) {
+  return days === null || days === undefined ? null : days.join(',');
+}
+
+// The lists that apply to a subscription: its own, else its account's, else the defaults
+export function effectiveReminderDays(subscription, account = {}) {
+  return {
+    reminder_days: parseReminderDays(subscription.reminder_days)
+      ?? parseReminderDays(account.reminder_days)
+      ?? DEFAULT_REMINDER_DAYS,
+    payment_reminder_days: parseReminderDays(subscription.payment_reminder_days)
+      ?? parseReminderDays(account.payment_reminder_days)
+      ?? DEFAULT_PAYMENT_REMINDER_DAYS,
+  };
+}
+
+// A Date as a local "YYYY-MM-DD"; strings are taken as they are
+export function dateKey(value) {
+  if (value instanceof Date) {
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+  return value;
+}
+
+function addDays(key, days) {
+  const date = new Date(`${key}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+// The reminder for `due` that applies on `today`: the one for the fewest days before whose day
+// has come. Thresholds passed while the job was not running are skipped rather than all sent
+// at once. Returns { days_before, remind_on } or null.
+export function dueReminder(due, days, today) {
+  if (!due || due < today) {
+    return null;
+  }
+  const reached = days.filter((daysBefore) => addDays(due, -daysBefore) <= today);
+  if (reached.length === 0) {
+    return null;
+  }
+  const days_before = Math.min(...reached);
+  return { days_before, remind_on: addDays(due, -days_before) };
+}
+
+// Record every reminder due by `today`. Returns { date, checked, created }.
+export async function runReminderSchedule(conn, { today = new Date() } = {}) {
+  const day = dateKey(today);
+
+  const [rows] = await conn.execute(
+    `SELECT subscriptions.id, subscriptions.user_id,
+            DATE_FORMAT(subscriptions.endDate, '%Y-%m-%d') AS endDate,
+            DATE_FORMAT(subscriptions.paymentDate, '%Y-%m-%d') AS paymentDate,
+            subscriptions.reminder_days, subscriptions.payment_reminder_days,
+            users.reminder_days AS account_reminder_days,
+            users.payment_reminder_days AS account_payment_reminder_days
+     FROM subscriptions
+     JOIN users ON subscriptions.user_id = users.sr
+     WHERE subscriptions.cancelled = 0 AND (subscriptions.endDate >= ? OR subscriptions.paymentDate >= ?)`,
+    [day, day]
+  );
+
+  let created = 0;
+  for (const row of rows) {
+    const { reminder_days, payment_reminder_days } = effectiveReminderDays(row, {
+      reminder_days: row.account_reminder_days,
+      payment_reminder_days: row.account_payment_reminder_days,
+    });
+
+    for (const [kind, due, days] of [['expiry', row.endDate, reminder_days], ['payment', row.paymentDate, payment_reminder_days]]) {
+      const reminder = dueReminder(due, days, day);
+      if (!reminder) {
+        continue;
+      }
+      const [result] = await conn.execute(
+        `INSERT IGNORE INTO reminders (user_id, subscription_id, kind, due_date, days_before, remind_on)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [row.user_id, row.id, kind, due, reminder.days_before, reminder.remind_on]
+      );
+      created += result.affectedRows;
+    }
+  }
+
+  return { date: day, checked: rows.length, created };
+}
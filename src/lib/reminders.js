@@ -0,0 +1,66 @@
+import { db } from '../db';
+import {
+  DEFAULT_PAYMENT_REMINDER_DAYS,
+  DEFAULT_REMINDER_DAYS,
+  effectiveReminderDays,
+  formatReminderDays,
+  parseReminderDays,
+  runReminderSchedule,
+} from './reminderSchedule.mjs';
+
+// App side of the reminder scheduler in reminderSchedule.mjs: running it from the cron route,
+// reminder settings of accounts and subscriptions, and the reminders a user has received.
+
+export { formatReminderDays };
+
+export function runReminders(options) {
+  return runReminderSchedule(db, options);
+}
+
+// The account's lists as stored (null = default) and as they apply
+export async function getReminderSettings(user_id) {
+  const [[account]] = await db.execute('SELECT reminder_days, payment_reminder_days FROM users WHERE sr = ?', [user_id]);
+  if (!account) {
+    return null;
+  }
+  return {
+    reminder_days: parseReminderDays(account.reminder_days),
+    payment_reminder_days: parseReminderDays(account.payment_reminder_days),
+    effective: effectiveReminderDays({}, account),
+    defaults: { reminder_days: DEFAULT_REMINDER_DAYS, payment_reminder_days: DEFAULT_PAYMENT_REMINDER_DAYS },
+  };
+}
+
+// A subscription's lists as stored (null = the account's) and as they apply
+export async function getSubscriptionReminderSettings(subscription) {
+  const [[account]] = await db.execute('SELECT reminder_days, payment_reminder_days FROM users WHERE sr = ?', [subscription.user_id]);
+  return {
+    reminder_days: parseReminderDays(subscription.reminder_days),
+    payment_reminder_days: parseReminderDays(subscription.payment_reminder_days),
+    effective: effectiveReminderDays(subscription, account),
+  };
+}
+
+// Store the account's lists; a missing list goes back to the default
+export async function saveReminderSettings(user_id, { reminder_days, payment_reminder_days }, conn = db) {
+  await conn.execute('UPDATE users SET reminder_days = ?, payment_reminder_days = ? WHERE sr = ?', [
+    formatReminderDays(reminder_days),
+    formatReminderDays(payment_reminder_days),
+    user_id,
+  ]);
+}
+
+export async function countUnreadReminders(user_id) {
+  const [[row]] = await db.execute('SELECT COUNT(*) AS total FROM reminders WHERE user_id = ? AND read_at IS NULL', [user_id]);
+  return Number(row.total);
+}
+
+// Mark one reminder (or, without an id, all of them) read or unread. Returns the rows changed.
+export async function markReminders(user_id, { id = null, read = true } = {}) {
+  const [result] = await db.execute(
+    `UPDATE reminders SET read_at = ${read ? 'NOW()' : 'NULL'}
+     WHERE user_id = ? AND read_at IS ${read ? '' : 'NOT '}NULL ${id ? 'AND id = ?' : ''}`,
+    id ? [user_id, id] : [user_id]
+  );
+  return result.affectedRows;
+}
@@ -0,0 +1,101 @@
+import { db } from '../db';
+import { SUBSCRIPTION_STATUS_SQL } from './subscriptionStatus';
+
+// Renewal ledger: successive terms of a subscription are chained by subscriptions.previous_id,
+// and the renewals table holds one entry per renewal with the amount and payment date agreed,
+// who renewed (a user, or "auto-renewal" for the scheduler in renewalSchedule.mjs) and notes.
+//
+// Renewing by hand goes through /api/Subscriptions/{id}/Renew; the whole chain of a term,
+// with the price change from one term to the next, comes from /api/Subscriptions/{id}/History.
+
+// Enter the renewal of term `previous_id` by the new term `subscription_id`, made by `user`
+export async function recordRenewal({ user_id, subscription_id, previous_id, amount, paymentDate, notes = null }, user, conn = db) {
+  await conn.execute(
+    `INSERT INTO renewals (user_id, subscription_id, previous_id, amount, paymentDate, renewed_by, renewed_by_username, notes)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [user_id, subscription_id, previous_id, amount, paymentDate, user?.id ?? null, user?.username ?? null, notes]
+  );
+}
+
+// The term that renewed this one, if any
+export async function findNextTerm(id, user_id, conn = db) {
+  const [[row]] = await conn.execute('SELECT id FROM subscriptions WHERE previous_id = ? AND user_id = ?', [id, user_id]);
+  return row;
+}
+
+// Change the notes of the ledger entry for the term `subscription_id`. Returns the rows changed.
+export async function updateRenewalNotes(subscription_id, user_id, notes, conn = db) {
+  const [result] = await conn.execute(
+    'UPDATE renewals SET notes = ? WHERE subscription_id = ? AND user_id = ?',
+    [notes, subscription_id, user_id]
+  );
+  return result.affectedRows;
+}
+
+// Every term in the chain of subscription `id`, oldest first, each with its ledger entry
+// (null for the first term) and the change in amount from the term before. Returns null
+// when the subscription does not exist or belongs to someone else.
+export async function getRenewalHistory(id, user_id) {
+  const [rows] = await db.execute(
+    `WITH RECURSIVE earlier AS (
+       SELECT id, previous_id, 0 AS position FROM subscriptions WHERE id = ? AND user_id = ?
+       UNION ALL
+       SELECT subscriptions.id, subscriptions.previous_id, earlier.position - 1
+       FROM subscriptions JOIN earlier ON subscriptions.id = earlier.previous_id
+     ),
+     later AS (
+       SELECT id, 0 AS position FROM subscriptions WHERE id = ? AND user_id = ?
+       UNION ALL
+       SELECT subscriptions.id, later.position + 1
+       FROM subscriptions JOIN later ON subscriptions.previous_id = later.id
+     ),
+     chain AS (
+       SELECT id, position FROM earlier
+       UNION
+       SELECT id, position FROM later
+     )
+     SELECT subscriptions.id, subscriptions.previous_id, subscriptions.startDate, subscriptions.endDate,
+            subscriptions.amount, subscriptions.paymentDate, subscriptions.auto_renew,
+            ${SUBSCRIPTION_STATUS_SQL} AS status,
+            renewals.id AS ledger_id, renewals.amount AS ledger_amount,
+            renewals.paymentDate AS ledger_paymentDate, renewals.renewed_by, renewals.renewed_by_username,
+            renewals.notes, renewals.created_at AS renewed_at
+     FROM chain
+     JOIN subscriptions ON subscriptions.id = chain.id AND subscriptions.user_id = ?
+     LEFT JOIN renewals ON renewals.subscription_id = subscriptions.id
+     ORDER BY chain.position`,
+    [id, user_id, id, user_id, user_id]
+  );
+  if (rows.length === 0) {
+    return null;
+  }
+
+  let previous = null;
+  const terms = rows.map(({ ledger_id, ledger_amount, ledger_paymentDate, renewed_by, renewed_by_username, notes, renewed_at, ...term }) => {
+    const amount = Number(term.amount);
+    const change = previous === null ? null : Number((amount - previous).toFixed(2));
+    const entry = {
+      ...term,
+      renewal: ledger_id
+        ? { id: ledger_id, amount: ledger_amount, paymentDate: ledger_paymentDate, renewed_by, renewed_by_username, notes, renewed_at }
+        : null,
+      change,
+      change_percent: change === null || previous === 0 ? null : Number(((change / previous) * 100).toFixed(1)),
+    };
+    previous = amount;
+    return entry;
+  });
+
+  const amounts = terms.map((term) => Number(term.amount));
+  return {
+    terms,
+    summary: {
+      terms: terms.length,
+      renewals: terms.filter((term) => term.previous_id).length,
+      total_amount: Number(amounts.reduce((sum, amount) => sum + amount, 0).toFixed(2)),
+      first_amount: amounts[0],
+      latest_amount: amounts[amounts.length - 1],
+      price_changes: terms.filter((term) => term.change).length,
+    },
+  };
+}
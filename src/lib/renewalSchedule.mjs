@@ -0,0 +1,132 @@
+// Auto-renewal of subscriptions.
+//
+// runRenewalSchedule(conn, { today }) looks at every term that is not cancelled and ended
+// before `today` without having been renewed or marked lapsed:
+//   - with auto_renew the next term is added as a new subscription linked to it by previous_id.
+//     It starts the day after the old endDate and runs for the service's min_duration months,
+//     at the service's current amount, unless the old term had its renewal terms pinned by a
+//     service update (renewal_amount / renewal_duration), which then carry over. The payment
+//     date keeps its distance from the start date, the billing frequency carries over with a new
+//     installment schedule, and the old term gets renewed_at.
+//   - without auto_renew the term gets lapsed_at.
+// A next term that has itself already ended (the job did not run for a while) is renewed in
+// turn, until the chain reaches `today`. Each renewal is entered in the renewals ledger and
+// every change is written to audit_log, both as made by "auto-renewal".
+//
+// Like reminderSchedule.mjs the module imports nothing from the app, so scripts/renewals.mjs
+// and /api/Cron/Renewals can both load it. Run it inside a transaction on `conn` so a failed
+// run leaves nothing half done. `today` ('YYYY-MM-DD' or a Date) defaults to the current date.
+
+import { dateKey } from './reminderSchedule.mjs';
+import { syncInstallments } from './installmentSchedule.mjs';
+
+// Shown as who renewed in the ledger and audit entries the scheduler writes
+export const RENEWAL_ACTOR = 'auto-renewal';
+
+// Upper bound on the terms added to one chain in a single run
+const MAX_PASSES = 120;
+
+async function findSubscription(conn, id) {
+  const [[row]] = await conn.execute('SELECT * FROM subscriptions WHERE id = ?', [id]);
+  return row;
+}
+
+// Same entry as recordAudit() in audit.js, with no user behind it
+async function audit(conn, action, before, after) {
+  const row = after ?? before;
+  await conn.execute(
+    `INSERT INTO audit_log (user_id, actor_id, actor_username, action, resource, record_id, before_data, after_data)
+     VALUES (?, NULL, ?, ?, 'subscriptions', ?, ?, ?)`,
+    [row.user_id, RENEWAL_ACTOR, action, row.id, before ? JSON.stringify(before) : null, after ? JSON.stringify(after) : null]
+  );
+}
+
+// The term that would follow `subscription`: { startDate, endDate, amount, paymentDate } as
+// 'YYYY-MM-DD' strings and the amount as stored. Also used for renewals made by hand.
+export async function nextTerm(conn, subscription) {
+  const [[term]] = await conn.execute(
+    `SELECT DATE_FORMAT(term.nextStart, '%Y-%m-%d') AS startDate,
+            DATE_FORMAT(DATE_SUB(DATE_ADD(term.nextStart, INTERVAL term.duration MONTH), INTERVAL 1 DAY), '%Y-%m-%d') AS endDate,
+            term.nextAmount AS amount,
+            DATE_FORMAT(DATE_ADD(term.nextStart, INTERVAL term.paymentOffset DAY), '%Y-%m-%d') AS paymentDate
+     FROM (
+       SELECT DATE_ADD(subscriptions.endDate, INTERVAL 1 DAY) AS nextStart,
+              COALESCE(subscriptions.renewal_duration, services.min_duration) AS duration,
+              COALESCE(subscriptions.renewal_amount, services.amount) AS nextAmount,
+              GREATEST(DATEDIFF(subscriptions.paymentDate, subscriptions.startDate), 0) AS paymentOffset
+       FROM subscriptions
+       JOIN services ON subscriptions.service_id = services.id
+       WHERE subscriptions.id = ?
+     ) AS term`,
+    [subscription.id]
+  );
+  return term;
+}
+
+// Add the term that follows `subscription`, mark it renewed and enter it in the renewal ledger.
+// Returns the new id.
+async function renew(conn, subscription) {
+  const term = await nextTerm(conn, subscription);
+  const [result] = await conn.execute(
+    `INSERT INTO subscriptions
+       (user_id, entity_id, service_id, payee_id, startDate, endDate, amount, paymentDate, billing_frequency,
+        category, renewal_amount, renewal_duration, auto_renew, previous_id, reminder_days, payment_reminder_days)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?, ?, ?)`,
+    [
+      subscription.user_id, subscription.entity_id, subscription.service_id, subscription.payee_id,
+      term.startDate, term.endDate, term.amount, term.paymentDate, subscription.billing_frequency, subscription.category,
+      subscription.renewal_amount, subscription.renewal_duration, subscription.id,
+      subscription.reminder_days, subscription.payment_reminder_days,
+    ]
+  );
+
+  await conn.execute('UPDATE subscriptions SET renewed_at = NOW() WHERE id = ?', [subscription.id]);
+  const next = await findSubscription(conn, result.insertId);
+  await syncInstallments(conn, next);
+  await conn.execute(
+    `INSERT INTO renewals (user_id, subscription_id, previous_id, amount, paymentDate, renewed_by_username)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [subscription.user_id, result.insertId, subscription.id, term.amount, term.paymentDate, RENEWAL_ACTOR]
+  );
+
+  await audit(conn, 'create', null, next);
+  await audit(conn, 'update', subscription, await findSubscription(conn, subscription.id));
+  return result.insertId;
+}
+
+async function lapse(conn, subscription) {
+  await conn.execute('UPDATE subscriptions SET lapsed_at = NOW() WHERE id = ?', [subscription.id]);
+  await audit(conn, 'update', subscription, await findSubscription(conn, subscription.id));
+}
+
+// Renew or lapse every term that ended before `today`. Returns { date, renewed, lapsed }
+// where renewed lists { id, previous_id } pairs and lapsed the ids of the lapsed terms.
+export async function runRenewalSchedule(conn, { today = new Date() } = {}) {
+  const day = dateKey(today);
+  const renewed = [];
+  const lapsed = [];
+
+  for (let pass = 0; pass < MAX_PASSES; pass++) {
+    const [rows] = await conn.execute(
+      `SELECT * FROM subscriptions
+       WHERE cancelled = 0 AND endDate < ? AND renewed_at IS NULL AND lapsed_at IS NULL
+       ORDER BY id
+       FOR UPDATE`,
+      [day]
+    );
+    if (rows.length === 0) {
+      break;
+    }
+
+    for (const subscription of rows) {
+      if (subscription.auto_renew) {
+        renewed.push({ id: await renew(conn, subscription), previous_id: subscription.id });
+      } else {
+        await lapse(conn, subscription);
+        lapsed.push(subscription.id);
+      }
+    }
+  }
+
+  return { date: day, renewed, lapsed };
+}
@@ -0,0 +1,11 @@
+import { withTransaction } from '../db';
+import { nextTerm, runRenewalSchedule } from './renewalSchedule.mjs';
+
+// App side of the auto-renewal scheduler in renewalSchedule.mjs
+
+export { nextTerm };
+
+// Run the scheduler as /api/Cron/Renewals does, the whole run as one transaction
+export function runRenewals(options) {
+  return withTransaction((connection) => runRenewalSchedule(connection, options));
+}
@@ -0,0 +1,192 @@
+// Validation schemas for the write endpoints (see validation.js for the rule format).
+// Lengths and ranges follow the columns in migrations/0001_initial_schema.up.sql.
+
+import { API_KEY_SCOPES } from './apiKeys';
+import { BILLING_FREQUENCIES } from './installmentSchedule.mjs';
+
+export const CATEGORIES = ['income', 'expense'];
+
+// DECIMAL(12, 2)
+const AMOUNT = { type: 'number', positive: true, decimals: 2, max: 9999999999.99 };
+
+export const ENTITY_SCHEMA = {
+  entity_name: { label: 'Entity name', required: true, maxLength: 255 },
+  entity_desc: { label: 'Description', required: true, maxLength: 65535 },
+  entity_short_desc: { label: 'Short description', required: true, maxLength: 255 },
+  category: { label: 'Category', type: 'enum', values: CATEGORIES, required: true },
+};
+
+export const SERVICE_SCHEMA = {
+  service_name: { label: 'Service name', required: true, maxLength: 255 },
+  service_desc: { label: 'Description', required: true, maxLength: 65535 },
+  entity_id: { label: 'Entity', type: 'id' },
+  entity_name: { label: 'Entity', maxLength: 255, requiredUnless: 'entity_id' },
+  min_duration: { label: 'Duration', type: 'integer', positive: true, max: 1200, required: true },
+  amount: { label: 'Amount', ...AMOUNT, required: true },
+  category: { label: 'Category', type: 'enum', values: CATEGORIES, required: true },
+  grace_days: { label: 'Grace period', type: 'integer', min: 0, max: 365 },
+};
+
+// PUT /api/Services/[id] also says which subscriptions a change of terms reaches
+export const SERVICE_UPDATE_SCHEMA = {
+  ...SERVICE_SCHEMA,
+  apply_to: { label: 'Apply to', type: 'enum', values: ['new', 'renewals'] },
+};
+
+// The optional first subscription created together with a payee
+export const PAYEE_SUBSCRIPTION_SCHEMA = {
+  startDate: { label: 'Start date', type: 'date', required: true },
+  endDate: { label: 'End date', type: 'date', required: true, after: 'startDate' },
+  paymentDate: { label: 'Payment date', type: 'date', required: true },
+  amount: { label: 'Amount', ...AMOUNT },
+  billing_frequency: { label: 'Billing frequency', type: 'enum', values: BILLING_FREQUENCIES },
+  auto_renew: { label: 'Auto-renew', type: 'boolean' },
+};
+
+export const PAYEE_SCHEMA = {
+  payee_name: { label: 'Payee name', required: true, maxLength: 255 },
+  phone: { label: 'Phone', type: 'phone', required: true, maxLength: 30 },
+  email: { label: 'Email', type: 'email', required: true, maxLength: 255 },
+  entity_id: { label: 'Entity', type: 'id' },
+  entity_name: { label: 'Entity', maxLength: 255, requiredUnless: 'entity_id' },
+  service_id: { label: 'Service', type: 'id' },
+  service_name: { label: 'Service', maxLength: 255, requiredUnless: 'service_id' },
+  amount: { label: 'Amount', ...AMOUNT, required: true },
+  category: { label: 'Category', type: 'enum', values: CATEGORIES, required: true },
+  subscription: { label: 'Subscription', type: 'object', schema: PAYEE_SUBSCRIPTION_SCHEMA },
+};
+
+// POST /api/Payees/[id]/merge takes the duplicates as source_ids, or one as source_id
+export const PAYEE_MERGE_SCHEMA = {
+  source_ids: { label: 'Payees to merge', type: 'integers', maxItems: 500, requiredUnless: 'source_id' },
+  source_id: { label: 'Payee to merge', type: 'id' },
+};
+
+export const SUBSCRIPTION_SCHEMA = {
+  entity_id: { label: 'Entity', type: 'id' },
+  entity_name: { label: 'Entity', maxLength: 255, requiredUnless: 'entity_id' },
+  service_id: { label: 'Service', type: 'id' },
+  service_name: { label: 'Service', maxLength: 255, requiredUnless: 'service_id' },
+  payee_id: { label: 'Payee', type: 'id' },
+  payee_name: { label: 'Payee', maxLength: 255, requiredUnless: 'payee_id' },
+  startDate: { label: 'Start date', type: 'date', required: true },
+  endDate: { label: 'End date', type: 'date', required: true, after: 'startDate' },
+  amount: { label: 'Amount', ...AMOUNT, required: true },
+  paymentDate: { label: 'Payment date', type: 'date', required: true },
+  billing_frequency: { label: 'Billing frequency', type: 'enum', values: BILLING_FREQUENCIES },
+  category: { label: 'Category', type: 'enum', values: CATEGORIES, required: true },
+  cancelled: { label: 'Cancelled', type: 'boolean' },
+  auto_renew: { label: 'Auto-renew', type: 'boolean' },
+};
+
+// Renewing a subscription by hand. Fields left out take the next term's defaults
+// (see nextTerm() in renewalSchedule.mjs).
+export const RENEWAL_SCHEMA = {
+  startDate: { label: 'Start date', type: 'date' },
+  endDate: { label: 'End date', type: 'date', after: 'startDate' },
+  amount: { label: 'Amount', ...AMOUNT },
+  paymentDate: { label: 'Payment date', type: 'date' },
+  billing_frequency: { label: 'Billing frequency', type: 'enum', values: BILLING_FREQUENCIES },
+  auto_renew: { label: 'Auto-renew', type: 'boolean' },
+  notes: { label: 'Notes', maxLength: 2000 },
+};
+
+export const RENEWAL_NOTES_SCHEMA = {
+  notes: { label: 'Notes', maxLength: 2000 },
+};
+
+// Marking an installment paid (paid_on defaults to today, paid_amount to the amount due) or unpaid
+export const INSTALLMENT_PAYMENT_SCHEMA = {
+  paid: { label: 'Paid', type: 'boolean', required: true },
+  paid_on: { label: 'Paid on', type: 'date' },
+  paid_amount: { label: 'Paid amount', ...AMOUNT },
+};
+
+export const INSTALLMENTS_PAY_SCHEMA = {
+  ids: { label: 'Installments', type: 'integers', maxItems: 500, required: true },
+  paid_on: { label: 'Paid on', type: 'date' },
+};
+
+// bcrypt ignores everything past the first 72 bytes, so longer passwords are refused
+// rather than silently truncated
+export const SIGNUP_SCHEMA = {
+  username: { label: 'Username', required: true, maxLength: 100 },
+  email: { label: 'Email', type: 'email', required: true, maxLength: 255 },
+  password: { label: 'Password', required: true, maxLength: 72 },
+  name: { label: 'Name', maxLength: 255 },
+  phone: { label: 'Phone', type: 'phone', maxLength: 30 },
+};
+
+// The password requirements themselves are checked with passwordPolicy.js
+export const CHANGE_PASSWORD_SCHEMA = {
+  current_password: { label: 'Current password', required: true, maxLength: 255 },
+  new_password: { label: 'New password', required: true, maxLength: 72 },
+  confirm_password: { label: 'Password confirmation', required: true, maxLength: 72 },
+};
+
+export const VERIFY_EMAIL_SCHEMA = {
+  token: { label: 'Verification link', required: true, maxLength: 100 },
+};
+
+export const UNLOCK_ACCOUNT_SCHEMA = {
+  token: { label: 'Unlock link', required: true, maxLength: 100 },
+};
+
+// Days before endDate / paymentDate on which a reminder is due. Leaving a list out (or null)
+// falls back to the default: the account's for a subscription, the app's for an account.
+const REMINDER_DAYS = { type: 'integers', max: 365, maxItems: 10 };
+
+export const REMINDER_SETTINGS_SCHEMA = {
+  reminder_days: { label: 'Expiry reminders', ...REMINDER_DAYS },
+  payment_reminder_days: { label: 'Payment reminders', ...REMINDER_DAYS },
+};
+
+export const REMINDER_READ_SCHEMA = {
+  read: { label: 'Read', type: 'boolean', required: true },
+};
+
+// Scheduling the account's deletion takes the password
+export const DELETE_ACCOUNT_SCHEMA = {
+  password: { label: 'Password', required: true, maxLength: 255 },
+};
+
+export const FORGOT_PASSWORD_SCHEMA = {
+  email: { label: 'Email', type: 'email', required: true, maxLength: 255 },
+};
+
+export const RESET_PASSWORD_SCHEMA = {
+  token: { label: 'Reset link', required: true, maxLength: 100 },
+  new_password: { label: 'New password', required: true, maxLength: 72 },
+  confirm_password: { label: 'Password confirmation', required: true, maxLength: 72 },
+};
+
+export const TWO_FACTOR_LOGIN_SCHEMA = {
+  challenge_token: { label: 'Challenge', required: true },
+  code: { label: 'Code', requiredUnless: 'recovery_code', maxLength: 10 },
+  recovery_code: { label: 'Recovery code', maxLength: 20 },
+};
+
+// Confirming enrollment or regenerating recovery codes takes a current code
+export const TWO_FACTOR_CODE_SCHEMA = {
+  code: { label: 'Code', required: true, maxLength: 10 },
+};
+
+// Turning 2FA off takes the password and a code or a recovery code
+export const TWO_FACTOR_DISABLE_SCHEMA = {
+  password: { label: 'Password', required: true, maxLength: 255 },
+  code: { label: 'Code', requiredUnless: 'recovery_code', maxLength: 10 },
+  recovery_code: { label: 'Recovery code', maxLength: 20 },
+};
+
+// A key without expires_in_days never expires
+export const API_KEY_SCHEMA = {
+  name: { label: 'Key name', required: true, maxLength: 100 },
+  scopes: { label: 'Scopes', type: 'list', required: true, values: API_KEY_SCOPES },
+  expires_in_days: { label: 'Expiry', type: 'integer', positive: true, max: 3650 },
+};
+
+// `username` may also be the account's verified email address
+export const LOGIN_SCHEMA = {
+  username: { label: 'Username or email', required: true, maxLength: 255 },
+  password: { label: 'Password', required: true, maxLength: 255 },
+};
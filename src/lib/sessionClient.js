@@ -0,0 +1,77 @@
+import axios from 'axios';
+
+// Browser side of the session handling in sessions.js.
+//
+// Pages keep the access token in localStorage and send it as the Authorization header.
+// It is short-lived, so when a request comes back 401 the interceptor installed here asks
+// /api/Refresh for a new one (using the httpOnly refresh cookie), stores it and retries the
+// request once. If the session is over the user is sent to /Login.
+
+// Requests that must never trigger a refresh
+const AUTH_ENDPOINTS = ['/api/login', '/api/signup', '/api/refresh', '/api/logout', '/api/password/forgot', '/api/password/reset', '/api/email/verify'];
+
+let refreshing = null;
+let installed = false;
+
+function isAuthEndpoint(url = '') {
+  const path = url.toLowerCase();
+  return AUTH_ENDPOINTS.some((endpoint) => path.includes(endpoint));
+}
+
+// Fetch a new access token. Concurrent callers share one request, since each refresh
+// rotates the refresh token.
+export function refreshAccessToken() {
+  refreshing ??= axios.post('/api/Refresh')
+    .then((response) => {
+      localStorage.setItem('token', response.data.token);
+      return response.data.token;
+    })
+    .finally(() => {
+      refreshing = null;
+    });
+  return refreshing;
+}
+
+function redirectToLogin() {
+  localStorage.removeItem('token');
+  const next = window.location.pathname;
+  window.location.href = `/Login?next=${encodeURIComponent(next)}`;
+}
+
+export function installRefreshInterceptor() {
+  if (installed || typeof window === 'undefined') {
+    return;
+  }
+  installed = true;
+
+  axios.interceptors.response.use(undefined, async (error) => {
+    const config = error.config;
+    if (error.response?.status !== 401 || !config || config.retriedAfterRefresh || isAuthEndpoint(config.url)) {
+      throw error;
+    }
+
+    let token;
+    try {
+      token = await refreshAccessToken();
+    } catch {
+      redirectToLogin();
+      throw error;
+    }
+
+    config.retriedAfterRefresh = true;
+    config.headers.Authorization = token;
+    return axios(config);
+  });
+}
+
+// Revoke the current session on the server and forget the token locally
+export async function logout() {
+  const token = localStorage.getItem('token');
+  try {
+    await axios.post('/api/Logout', null, { headers: token ? { Authorization: token } : {} });
+  } catch (error) {
+    console.error('Error logging out:', error);
+  }
+  localStorage.removeItem('token');
+  window.location.href = '/Login';
+}
@@ -0,0 +1,257 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { NextResponse } from 'next/server';
+import { db, withTransaction } from '../db';
+
+// Server-tracked login sessions.
+//
+// Logging in creates a row in `sessions` and hands out two tokens:
+//   - a short-lived access token (JWT) carrying the session id as `sid`. It is sent as
+//     "Authorization: Bearer ..." and withAuth() rejects it once the session is revoked.
+//   - a long-lived refresh token, a random string kept in an httpOnly cookie and stored
+//     only as a hash.
+// POST /api/Refresh trades the refresh token for a new pair and the old refresh token stops
+// working. If the old one is presented again later it has been copied, so the session is revoked.
+
+export const ACCESS_TOKEN_TTL = 15 * 60; // seconds
+export const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60; // seconds, renewed on every refresh
+
+export const ACCESS_COOKIE = 'token';
+export const REFRESH_COOKIE = 'refresh_token';
+
+// Two tabs refreshing at the same moment both send the same token; the slower one is not
+// treated as a replay if it arrives this soon after the rotation
+const ROTATION_GRACE = 30; // seconds
+
+// last_seen_at and ip are written at most this often per session
+const TOUCH_INTERVAL = 60; // seconds
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function newRefreshToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+// Number of reverse proxies in front of the app that append to X-Forwarded-For. Unset, one hop
+// is assumed: the rightmost entry is then the one written by whatever connected to the app (a load
+// balancer, or Next.js itself, which fills the header in with the peer address when it is absent).
+const TRUSTED_PROXY_HOPS = Number(process.env.TRUSTED_PROXY_HOPS) || 1;
+
+if (process.env.NODE_ENV === 'production' && !(Number(process.env.TRUSTED_PROXY_HOPS) > 0)) {
+  console.warn(
+    'TRUSTED_PROXY_HOPS is not set; client addresses are taken from the rightmost X-Forwarded-For entry. ' +
+    'Set it to the number of reverse proxies in front of the app, or per-IP login throttling will ' +
+    'count a proxy\'s address instead of the client\'s.'
+  );
+}
+
+// The client address. The client can put anything in X-Forwarded-For itself, so the address is
+// the one the outermost trusted proxy saw: the hops-th entry from the right. Without the header,
+// the address the platform gives (request.ip) is used where there is one.
+function clientIp(request) {
+  const forwarded = request.headers.get('x-forwarded-for') || '';
+  const addresses = forwarded.split(',').map((address) => address.trim()).filter(Boolean);
+  const address = addresses.length >= TRUSTED_PROXY_HOPS
+    ? addresses[addresses.length - TRUSTED_PROXY_HOPS]
+    : request.ip;
+  return address ? address.slice(0, 45) : null;
+}
+
+// Client details recorded with a session
+export function requestMeta(request) {
+  return {
+    ip: clientIp(request),
+    user_agent: request.headers.get('user-agent')?.slice(0, 512) || null,
+  };
+}
+
+// Sign an access token for a users row (sr, username, role)
+export function signAccessToken(user, session_id) {
+  return jwt.sign(
+    { id: user.sr, username: user.username, user_id: user.sr, roles: [user.role || 'user'], sid: session_id },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// Start a session for a users row and return { session_id, accessToken, refreshToken }
+export async function createSession(user, request, conn = db) {
+  const refreshToken = newRefreshToken();
+  const { ip, user_agent } = requestMeta(request);
+
+  const [result] = await conn.execute(
+    `INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip, expires_at)
+     VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))`,
+    [user.sr, hashToken(refreshToken), user_agent, ip, REFRESH_TOKEN_TTL]
+  );
+
+  return {
+    session_id: result.insertId,
+    accessToken: signAccessToken(user, result.insertId),
+    refreshToken,
+  };
+}
+
+// Trade a refresh token for a new access token and refresh token.
+// Returns null when the token is unknown, expired or revoked. Within the rotation grace
+// period the previous token still gets an access token, but refreshToken is then null
+// because the browser already holds the newer one.
+export async function rotateSession(refreshToken, request) {
+  if (!refreshToken) {
+    return null;
+  }
+  const hash = hashToken(refreshToken);
+  const { ip, user_agent } = requestMeta(request);
+
+  return withTransaction(async (connection) => {
+    const [[session]] = await connection.execute(
+      `SELECT sessions.id, sessions.refresh_token_hash, users.sr, users.username, users.role,
+              (sessions.revoked_at IS NULL AND sessions.expires_at > NOW()) AS active,
+              (sessions.rotated_at > NOW() - INTERVAL ? SECOND) AS just_rotated
+       FROM sessions JOIN users ON users.sr = sessions.user_id
+       WHERE sessions.refresh_token_hash = ? OR sessions.previous_token_hash = ?
+       LIMIT 1
+       FOR UPDATE`,
+      [ROTATION_GRACE, hash, hash]
+    );
+
+    if (!session || !session.active) {
+      return null;
+    }
+
+    if (session.refresh_token_hash !== hash) {
+      if (session.just_rotated) {
+        return { session_id: session.id, accessToken: signAccessToken(session, session.id), refreshToken: null };
+      }
+      // An old token is being replayed: whoever copied it and the real owner both lose the session
+      await connection.execute('UPDATE sessions SET revoked_at = NOW() WHERE id = ?', [session.id]);
+      return null;
+    }
+
+    const nextToken = newRefreshToken();
+    await connection.execute(
+      `UPDATE sessions
+       SET previous_token_hash = refresh_token_hash, refresh_token_hash = ?, rotated_at = NOW(),
+           ip = ?, user_agent = ?, last_seen_at = NOW(), expires_at = DATE_ADD(NOW(), INTERVAL ? SECOND)
+       WHERE id = ?`,
+      [hashToken(nextToken), ip, user_agent, REFRESH_TOKEN_TTL, session.id]
+    );
+
+    return { session_id: session.id, accessToken: signAccessToken(session, session.id), refreshToken: nextToken };
+  });
+}
+
+// Check that an access token's session is still live, recording the activity.
+// Returns null for revoked or expired sessions, otherwise { email_verified } for the account.
+export async function touchSession(session_id, user_id, request) {
+  const [[session]] = await db.execute(
+    `SELECT sessions.id, TIMESTAMPDIFF(SECOND, sessions.last_seen_at, NOW()) AS idle, users.email_verified_at
+     FROM sessions JOIN users ON users.sr = sessions.user_id
+     WHERE sessions.id = ? AND sessions.user_id = ? AND sessions.revoked_at IS NULL AND sessions.expires_at > NOW()`,
+    [session_id, user_id]
+  );
+  if (!session) {
+    return null;
+  }
+
+  if (session.idle >= TOUCH_INTERVAL) {
+    const { ip } = requestMeta(request);
+    await db.execute('UPDATE sessions SET last_seen_at = NOW(), ip = COALESCE(?, ip) WHERE id = ?', [ip, session_id]);
+  }
+  return { email_verified: session.email_verified_at !== null };
+}
+
+// The user's sessions that can still be used, most recently active first
+export async function listSessions(user_id) {
+  const [rows] = await db.execute(
+    `SELECT id, user_agent, ip, created_at, last_seen_at, expires_at FROM sessions
+     WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY last_seen_at DESC`,
+    [user_id]
+  );
+  return rows;
+}
+
+// Revoke one of the user's sessions. Returns the number of sessions revoked (0 or 1).
+export async function revokeSession(session_id, user_id, conn = db) {
+  const [result] = await conn.execute(
+    'UPDATE sessions SET revoked_at = NOW() WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+    [session_id, user_id]
+  );
+  return result.affectedRows;
+}
+
+// Revoke every session of the user except `exceptId` (pass null to end them all)
+export async function revokeOtherSessions(user_id, exceptId = null, conn = db) {
+  const [result] = await conn.execute(
+    'UPDATE sessions SET revoked_at = NOW() WHERE user_id = ? AND id <> ? AND revoked_at IS NULL',
+    [user_id, exceptId ?? 0]
+  );
+  return result.affectedRows;
+}
+
+// Revoke the session a refresh token belongs to, used by logout
+export async function revokeSessionByRefreshToken(refreshToken) {
+  if (!refreshToken) {
+    return 0;
+  }
+  const [result] = await db.execute(
+    'UPDATE sessions SET revoked_at = NOW() WHERE refresh_token_hash = ? AND revoked_at IS NULL',
+    [hashToken(refreshToken)]
+  );
+  return result.affectedRows;
+}
+
+// Put the tokens in httpOnly cookies: the access token lets the middleware guard pages,
+// the refresh token lets /api/Refresh issue new tokens
+export function setSessionCookies(response, { accessToken, refreshToken }) {
+  const options = {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    path: '/',
+  };
+  response.cookies.set(ACCESS_COOKIE, accessToken, { ...options, maxAge: ACCESS_TOKEN_TTL });
+  if (refreshToken) {
+    response.cookies.set(REFRESH_COOKIE, refreshToken, { ...options, maxAge: REFRESH_TOKEN_TTL });
+  }
+  return response;
+}
+
+// Start a session for a users row whose credentials have been checked and build the
+// successful login response: the access token and user details in the body, both tokens in cookies
+export async function loginResponse(user, request) {
+  // The access token carries user_id (actual value from database), the user's roles and the session id
+  const { accessToken, refreshToken } = await createSession(user, request);
+
+  // Send success response with token and user details, including user_id as integer
+  const response = NextResponse.json({
+    message: 'Login successful',
+    token: `Bearer ${accessToken}`,
+    user: {
+      id: user.sr,
+      name: user.name,
+      email: user.email,
+      phone: user.phone,
+      user_id: user.sr, // Return actual user_id as integer
+      roles: [user.role || 'user'],
+      email_verified: user.email_verified_at !== null,
+    },
+  }, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+    },
+  });
+
+  // The same token as a cookie lets the middleware guard pages on the server
+  return setSessionCookies(response, { accessToken, refreshToken });
+}
+
+export function clearSessionCookies(response) {
+  response.cookies.delete(ACCESS_COOKIE);
+  response.cookies.delete(REFRESH_COOKIE);
+  return response;
+}
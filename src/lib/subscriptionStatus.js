@@ -0,0 +1,36 @@
+// Computed lifecycle status for subscriptions.
+//
+// The status is never stored; it is derived from startDate, endDate, the `cancelled` flag and
+// what the auto-renewal scheduler did with an ended term (renewed_at / lapsed_at) every time a
+// subscription is read, so it can never go stale.
+
+// A subscription whose endDate falls within this many days is "expiring-soon"
+export const EXPIRING_SOON_DAYS = 30;
+
+export const SUBSCRIPTION_STATUSES = ['upcoming', 'active', 'expiring-soon', 'expired', 'renewed', 'lapsed', 'cancelled'];
+
+// SQL expression that evaluates to the status of a row in `subscriptions`.
+// Use it both in the SELECT list and in WHERE clauses so that filtering and
+// the returned value always agree.
+export const SUBSCRIPTION_STATUS_SQL = `(CASE
+    WHEN subscriptions.cancelled = 1 THEN 'cancelled'
+    WHEN subscriptions.renewed_at IS NOT NULL AND subscriptions.endDate < CURDATE() THEN 'renewed'
+    WHEN subscriptions.lapsed_at IS NOT NULL THEN 'lapsed'
+    WHEN subscriptions.startDate > CURDATE() THEN 'upcoming'
+    WHEN subscriptions.endDate < CURDATE() THEN 'expired'
+    WHEN subscriptions.endDate <= DATE_ADD(CURDATE(), INTERVAL ${EXPIRING_SOON_DAYS} DAY) THEN 'expiring-soon'
+    ELSE 'active'
+  END)`;
+
+// SQL expression for the id of the term that renewed a row in `subscriptions`, or NULL
+export const NEXT_TERM_SQL = '(SELECT next_term.id FROM subscriptions AS next_term WHERE next_term.previous_id = subscriptions.id)';
+
+// Parse a comma separated `status` query parameter.
+// Returns the list of requested statuses, or null if any of them is unknown.
+export function parseStatusFilter(value) {
+  if (!value) {
+    return [];
+  }
+  const statuses = value.split(',').map((status) => status.trim().toLowerCase()).filter(Boolean);
+  return statuses.every((status) => SUBSCRIPTION_STATUSES.includes(status)) ? statuses : null;
+}
@@ -0,0 +1,237 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import QRCode from 'qrcode';
+import { db } from '../db';
+
+// TOTP two-step verification (RFC 6238: HMAC-SHA1, 6 digits, 30-second steps).
+//
+// Enrollment: setup stores a new secret in totp_pending_secret and returns it with a QR code;
+// the user scans it and confirms with a code, which moves it to totp_secret and issues the
+// recovery codes. Secrets are encrypted with TWO_FACTOR_KEY (falling back to JWT_SECRET).
+//
+// Login: when the password is right and 2FA is on, /api/Login answers with a short-lived
+// challenge token instead of a session. /api/Login/TwoFactor takes that token plus a code
+// (or a recovery code) and only then starts the session. Each challenge token starts one
+// session at most.
+
+export const ISSUER = 'Expirio';
+export const RECOVERY_CODE_COUNT = 10;
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Accept the previous and next step too, for clocks that are slightly off
+const DRIFT_STEPS = 1;
+const CHALLENGE_TTL = 5 * 60; // seconds
+
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of text.replace(/=+$/, '').toUpperCase()) {
+    const index = BASE32.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+export function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function codeForStep(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const digest = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = digest[digest.length - 1] & 15;
+  const number = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(number % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+export function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+// Return the step a code belongs to, or null if it does not match. Steps at or before
+// `lastStep` are refused so an intercepted code cannot be replayed.
+export function verifyTotp(secret, code, lastStep = null, now = Date.now()) {
+  const normalized = String(code ?? '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) {
+    return null;
+  }
+
+  const step = currentStep(now);
+  for (let candidate = step - DRIFT_STEPS; candidate <= step + DRIFT_STEPS; candidate++) {
+    if (lastStep !== null && candidate <= Number(lastStep)) {
+      continue;
+    }
+    const expected = codeForStep(secret, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+export function otpauthUrl(secret, username) {
+  const label = encodeURIComponent(`${ISSUER}:${username}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+}
+
+export function qrCodeDataUrl(url) {
+  return QRCode.toDataURL(url, { margin: 1, width: 200 });
+}
+
+// AES-256-GCM, stored as iv.tag.ciphertext in base64url
+function encryptionKey() {
+  return crypto.createHash('sha256').update(process.env.TWO_FACTOR_KEY || process.env.JWT_SECRET).digest();
+}
+
+export function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64url')).join('.');
+}
+
+export function decryptSecret(stored) {
+  const [iv, tag, encrypted] = stored.split('.').map((part) => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+// Recovery codes look like "k3f9q-2m8xz" and are compared without dashes, spaces or case
+function normalizeRecoveryCode(code) {
+  return String(code ?? '').replace(/[\s-]/g, '').toLowerCase();
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+function newRecoveryCode() {
+  const alphabet = 'abcdefghjkmnpqrstuvwxyz23456789';
+  const chars = Array.from(crypto.randomBytes(10), (byte) => alphabet[byte % alphabet.length]).join('');
+  return `${chars.slice(0, 5)}-${chars.slice(5)}`;
+}
+
+// Replace the user's recovery codes with a fresh set and return them in plain text.
+// They are only ever shown this once.
+export async function replaceRecoveryCodes(user_id, conn = db) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, newRecoveryCode);
+  await conn.execute('DELETE FROM recovery_codes WHERE user_id = ?', [user_id]);
+  for (const code of codes) {
+    await conn.execute('INSERT INTO recovery_codes (user_id, code_hash) VALUES (?, ?)', [user_id, hashRecoveryCode(code)]);
+  }
+  return codes;
+}
+
+export async function countRecoveryCodes(user_id) {
+  const [[row]] = await db.execute(
+    'SELECT COUNT(*) AS total FROM recovery_codes WHERE user_id = ? AND used_at IS NULL',
+    [user_id]
+  );
+  return Number(row.total);
+}
+
+// Check a second factor for a users row with 2FA enabled: either `code` from the
+// authenticator app or one of the unused `recovery_code`s, which is then used up.
+// Returns 'totp', 'recovery_code' or null.
+export async function verifySecondFactor(user, { code, recovery_code }, conn = db) {
+  if (recovery_code) {
+    const [result] = await conn.execute(
+      'UPDATE recovery_codes SET used_at = NOW() WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+      [user.sr, hashRecoveryCode(recovery_code)]
+    );
+    return result.affectedRows > 0 ? 'recovery_code' : null;
+  }
+
+  if (!user.totp_secret) {
+    return null;
+  }
+  const step = verifyTotp(decryptSecret(user.totp_secret), code, user.totp_last_step);
+  if (step === null) {
+    return null;
+  }
+
+  // Record the step; the condition keeps two concurrent logins from both using the same code
+  const [result] = await conn.execute(
+    'UPDATE users SET totp_last_step = ? WHERE sr = ? AND (totp_last_step IS NULL OR totp_last_step < ?)',
+    [step, user.sr, step]
+  );
+  return result.affectedRows > 0 ? 'totp' : null;
+}
+
+export function isTwoFactorEnabled(user) {
+  return Boolean(user.totp_enabled_at && user.totp_secret);
+}
+
+// Token proving the password step of a login, exchanged at /api/Login/TwoFactor.
+// It has no session id, so withAuth() never accepts it as an access token.
+export function signTwoFactorChallenge(user) {
+  return jwt.sign({ purpose: 'two-factor', user_id: user.sr }, process.env.JWT_SECRET, {
+    expiresIn: CHALLENGE_TTL,
+    jwtid: crypto.randomBytes(16).toString('hex'),
+  });
+}
+
+// Return { user_id, jti, exp } for a challenge token, or null if it is invalid, expired or
+// already used
+export async function verifyTwoFactorChallenge(token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch {
+    return null;
+  }
+  if (decoded.purpose !== 'two-factor' || !decoded.jti) {
+    return null;
+  }
+  const [[used]] = await db.execute('SELECT jti FROM two_factor_challenges WHERE jti = ?', [decoded.jti]);
+  return used ? null : { user_id: decoded.user_id, jti: decoded.jti, exp: decoded.exp };
+}
+
+// Mark a challenge from verifyTwoFactorChallenge() used. Returns false if another request used
+// it first, in which case no session may be started. Inside a transaction, a second request for
+// the same challenge waits here until the first one commits or rolls back.
+export async function consumeTwoFactorChallenge(challenge, conn = db) {
+  await conn.execute('DELETE FROM two_factor_challenges WHERE expires_at < NOW()');
+  const [result] = await conn.execute(
+    'INSERT IGNORE INTO two_factor_challenges (jti, user_id, expires_at) VALUES (?, ?, FROM_UNIXTIME(?))',
+    [challenge.jti, challenge.user_id, challenge.exp]
+  );
+  return result.affectedRows === 1;
+}
+
+// Undo consumeTwoFactorChallenge(), so that the challenge can be tried again
+export async function releaseTwoFactorChallenge(challenge, conn = db) {
+  await conn.execute('DELETE FROM two_factor_challenges WHERE jti = ?', [challenge.jti]);
+}
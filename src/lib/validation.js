@@ -0,0 +1,270 @@
+// Request body validation shared by the write endpoints.
+//
+// A schema maps each field to its rules:
+//   label          - name used in error messages (defaults to the field name)
+//   type           - 'string' | 'integer' | 'number' | 'date' | 'email' | 'phone' | 'enum' | 'list' | 'integers' |
+//                    'boolean' | 'id' | 'object'
+//   required       - the field must be present and not empty
+//   requiredUnless - required unless the named alternative is given (entity_name unless entity_id)
+//   maxLength      - longest accepted string, after trimming
+//   values         - allowed values of an 'enum' (or of each item of a 'list'), matched case-insensitively
+//                    and returned lower case
+//   positive       - numbers must be greater than zero
+//   min            - smallest accepted 'integer'
+//   max            - largest accepted number (or item of an 'integers' list, whose items are never negative)
+//   maxItems       - most items an 'integers' list may have
+//   decimals       - most decimal places a 'number' may have (2 for amounts)
+//   after          - a date field this date may not precede (endDate: { after: 'startDate' })
+//   schema         - the nested schema of an 'object'
+//
+// validate() collects every problem before failing, so the client can show them all at once.
+// It throws a ValidationError whose `errors` maps field -> message; routes turn it into a 400
+// with { message, errors }. Nested fields are reported as "subscription.startDate".
+
+export class ValidationError extends Error {
+  constructor(errors, message = 'Please correct the highlighted fields') {
+    super(message);
+    this.errors = errors;
+  }
+}
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[\d\s().-]+$/;
+const MIN_PHONE_DIGITS = 7;
+const MAX_PHONE_DIGITS = 15;
+
+function isEmpty(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+// Turn a date from the request ("2025-01-31") or from MySQL (a Date at local midnight)
+// into a comparable "YYYY-MM-DD" string
+function dateKey(value) {
+  if (value instanceof Date) {
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+  return value;
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (typeof value === 'string' && value.trim() !== '') {
+    return Number(value);
+  }
+  return NaN;
+}
+
+// Check one non-empty value against its rule. Returns [cleanValue] or [undefined, message].
+function checkValue(value, rule, label) {
+  switch (rule.type ?? 'string') {
+    case 'string':
+    case 'email':
+    case 'phone': {
+      if (typeof value !== 'string') {
+        return [undefined, `${label} must be text`];
+      }
+      const text = value.trim();
+      if (rule.maxLength && text.length > rule.maxLength) {
+        return [undefined, `${label} must be at most ${rule.maxLength} characters`];
+      }
+      if (rule.type === 'email' && !EMAIL_PATTERN.test(text)) {
+        return [undefined, `${label} must be a valid email address`];
+      }
+      if (rule.type === 'phone') {
+        const digits = text.replace(/\D/g, '').length;
+        if (!PHONE_PATTERN.test(text) || digits < MIN_PHONE_DIGITS || digits > MAX_PHONE_DIGITS) {
+          return [undefined, `${label} must be a valid phone number`];
+        }
+      }
+      return [text];
+    }
+
+    case 'integer':
+    case 'id': {
+      const number = toNumber(value);
+      if (!Number.isInteger(number)) {
+        return [undefined, `${label} must be a whole number`];
+      }
+      if ((rule.type === 'id' || rule.positive) && number <= 0) {
+        return [undefined, `${label} must be greater than zero`];
+      }
+      if (rule.min !== undefined && number < rule.min) {
+        return [undefined, `${label} must be at least ${rule.min}`];
+      }
+      if (rule.max !== undefined && number > rule.max) {
+        return [undefined, `${label} must be at most ${rule.max}`];
+      }
+      return [number];
+    }
+
+    case 'number': {
+      const number = toNumber(value);
+      if (!Number.isFinite(number)) {
+        return [undefined, `${label} must be a number`];
+      }
+      if (rule.positive && number <= 0) {
+        return [undefined, `${label} must be greater than zero`];
+      }
+      if (rule.max !== undefined && number > rule.max) {
+        return [undefined, `${label} must be at most ${rule.max}`];
+      }
+      if (rule.decimals !== undefined && Number(number.toFixed(rule.decimals)) !== number) {
+        return [undefined, `${label} can have at most ${rule.decimals} decimal places`];
+      }
+      return [number];
+    }
+
+    case 'date': {
+      const match = typeof value === 'string' && DATE_PATTERN.exec(value.trim());
+      if (!match) {
+        return [undefined, `${label} must be a date (YYYY-MM-DD)`];
+      }
+      // Reject dates that do not exist, such as 2025-02-30
+      const [, year, month, day] = match.map(Number);
+      const date = new Date(year, month - 1, day);
+      if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+        return [undefined, `${label} is not a valid date`];
+      }
+      return [match[0]];
+    }
+
+    case 'enum': {
+      const option = typeof value === 'string' ? value.trim().toLowerCase() : value;
+      if (!rule.values.includes(option)) {
+        return [undefined, `${label} must be one of: ${rule.values.join(', ')}`];
+      }
+      return [option];
+    }
+
+    case 'list': {
+      if (!Array.isArray(value) || value.length === 0) {
+        return [undefined, `${label} must be a list of at least one of: ${rule.values.join(', ')}`];
+      }
+      const options = value.map((item) => (typeof item === 'string' ? item.trim().toLowerCase() : item));
+      const unknown = options.find((option) => !rule.values.includes(option));
+      if (unknown !== undefined) {
+        return [undefined, `${label} must only include: ${rule.values.join(', ')}`];
+      }
+      return [[...new Set(options)]];
+    }
+
+    // A possibly empty list of whole numbers, returned without duplicates and largest first
+    case 'integers': {
+      if (!Array.isArray(value)) {
+        return [undefined, `${label} must be a list of whole numbers`];
+      }
+      if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+        return [undefined, `${label} can have at most ${rule.maxItems} items`];
+      }
+      const numbers = value.map(toNumber);
+      if (numbers.some((number) => !Number.isInteger(number) || number < 0 || (rule.max !== undefined && number > rule.max))) {
+        return [undefined, `${label} must be whole numbers from 0${rule.max !== undefined ? ` to ${rule.max}` : ''}`];
+      }
+      return [[...new Set(numbers)].sort((a, b) => b - a)];
+    }
+
+    case 'boolean': {
+      if ([true, 1, '1', 'true'].includes(value)) {
+        return [true];
+      }
+      if ([false, 0, '0', 'false'].includes(value)) {
+        return [false];
+      }
+      return [undefined, `${label} must be true or false`];
+    }
+
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        return [undefined, `${label} must be an object`];
+      }
+      return [value];
+    }
+
+    default:
+      throw new Error(`Unknown validation type "${rule.type}"`);
+  }
+}
+
+function collect(body, schema, { partial, current, prefix }, data, errors) {
+  for (const [field, rule] of Object.entries(schema)) {
+    const label = rule.label ?? field;
+    const key = prefix + field;
+    const value = body[field];
+
+    if (isEmpty(value)) {
+      // In a partial update an absent (or null) field keeps its stored value
+      if (partial) {
+        if (value !== undefined && value !== null && rule.required) {
+          errors[key] = `${label} cannot be empty`;
+        }
+        continue;
+      }
+      if (rule.required || (rule.requiredUnless && isEmpty(body[rule.requiredUnless]))) {
+        errors[key] = `${label} is required`;
+      }
+      continue;
+    }
+
+    const [clean, message] = checkValue(value, rule, label);
+    if (message) {
+      errors[key] = message;
+      continue;
+    }
+
+    if (rule.type === 'object') {
+      data[field] = {};
+      collect(clean, rule.schema, { partial: false, current: {}, prefix: `${key}.` }, data[field], errors);
+    } else {
+      data[field] = clean;
+    }
+  }
+
+  // Cross-field date ordering, checked against the stored value when only one side changes
+  for (const [field, rule] of Object.entries(schema)) {
+    if (!rule.after || errors[prefix + field] || errors[prefix + rule.after]) {
+      continue;
+    }
+    if (data[field] === undefined && data[rule.after] === undefined) {
+      continue;
+    }
+    const value = dateKey(data[field] ?? current[field]);
+    const other = dateKey(data[rule.after] ?? current[rule.after]);
+    if (value && other && value < other) {
+      errors[prefix + field] = `${rule.label ?? field} cannot be before ${(schema[rule.after].label ?? rule.after).toLowerCase()}`;
+    }
+  }
+}
+
+// Validate `body` against `schema` and return the cleaned values of the fields it contains.
+//   partial - only check the fields present, for PUT/PATCH bodies merged over a stored row
+//   current - the stored row, used by cross-field checks when the body only has one side
+export function validate(body, schema, { partial = false, current = {} } = {}) {
+  if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+    throw new ValidationError({}, 'Request body must be a JSON object');
+  }
+
+  const data = {};
+  const errors = {};
+  collect(body, schema, { partial, current, prefix: '' }, data, errors);
+
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError(errors);
+  }
+  return data;
+}
+
+// Read the JSON body of a request and validate it in one step
+export async function parseBody(request, schema, options) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    throw new ValidationError({}, 'Request body must be valid JSON');
+  }
+  return validate(body, schema, options);
+}
@@ -0,0 +1,54 @@
+import { NextResponse } from 'next/server';
+import { verifyToken } from './lib/edgeToken';
+
+// Pages and API routes that can be used without signing in (compared lower-cased)
+const PUBLIC_PAGES = ['/login', '/signup', '/forgotpassword', '/resetpassword', '/verifyemail', '/unlockaccount'];
+const PUBLIC_API = [
+  '/api/login', '/api/signup', '/api/health', '/api/refresh', '/api/logout',
+  '/api/password/forgot', '/api/password/reset', '/api/email/verify',
+];
+
+function isPublic(pathname, list) {
+  return list.some((path) => pathname === path || pathname.startsWith(`${path}/`));
+}
+
+// Guards every page and API route.
+// API routes must carry an Authorization header; the handler's withAuth() verifies it and
+// answers 401/403. Pages need the access token cookie set at login. When it has expired but
+// a refresh token cookie is present, /api/Refresh renews both and comes back to the page;
+// otherwise the browser is sent to /Login and brought back afterwards.
+export async function middleware(request) {
+  const { pathname } = request.nextUrl;
+  const path = pathname.toLowerCase();
+
+  if (path.startsWith('/api/')) {
+    if (request.method === 'OPTIONS' || isPublic(path, PUBLIC_API) || request.headers.get('Authorization')) {
+      return NextResponse.next();
+    }
+    return NextResponse.json({ message: 'Authorization token is missing or invalid' }, { status: 401 });
+  }
+
+  if (isPublic(path, PUBLIC_PAGES)) {
+    return NextResponse.next();
+  }
+
+  const claims = await verifyToken(request.cookies.get('token')?.value, process.env.JWT_SECRET);
+  if (!claims) {
+    if (request.cookies.get('refresh_token')) {
+      const refreshUrl = new URL('/api/Refresh', request.url);
+      refreshUrl.searchParams.set('next', pathname);
+      return NextResponse.redirect(refreshUrl);
+    }
+
+    const loginUrl = new URL('/Login', request.url);
+    loginUrl.searchParams.set('next', pathname);
+    return NextResponse.redirect(loginUrl);
+  }
+
+  return NextResponse.next();
+}
+
+export const config = {
+  // Skip Next.js internals and static files (anything with an extension)
+  matcher: ['/((?!_next/|.*\\..*).*)'],
+};